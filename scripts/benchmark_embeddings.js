@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * 👻 GhostCoder - Embedding Benchmark
+ * Author: Ayushman Lakshkar
+ *
+ * Measures embedding throughput (items/sec) of buildEmbeddingIndex on a
+ * fixture repository: one item per call, batched, and batched on worker threads.
+ *
+ * Usage: node scripts/benchmark_embeddings.js [fixture-path] [--batch-size 32] [--workers 2] [--limit 500]
+ *        (the fixture defaults to GhostCoder's own src/ directory)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCodeFiles, log } from '../src/utils.js';
+import { buildSymbolGraph } from '../src/symbolGraph.js';
+import { buildEmbeddingIndex, generateEmbeddings } from '../src/embeddingIndex.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const options = { fixture: path.join(__dirname, '..', 'src'), batchSize: 32, workers: 2, limit: 0 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--batch-size': options.batchSize = parseInt(argv[++i], 10); break;
+      case '--workers': options.workers = parseInt(argv[++i], 10); break;
+      case '--limit': options.limit = parseInt(argv[++i], 10); break;
+      default: options.fixture = path.resolve(argv[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Keep the first `limit` symbols (and no file entries) for quicker runs
+ */
+function limitGraph(symbolGraph, limit) {
+  if (!limit) {
+    return symbolGraph;
+  }
+  const symbols = Object.fromEntries(Object.entries(symbolGraph.symbols).slice(0, limit));
+  return { ...symbolGraph, symbols, files: {} };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  log(`Benchmark fixture: ${options.fixture}`, 'ghost');
+  const codeFiles = await getCodeFiles(options.fixture);
+  const symbolGraph = limitGraph(await buildSymbolGraph(codeFiles, options.fixture), options.limit);
+
+  // Load the model before timing anything
+  await generateEmbeddings(['warm up']);
+
+  const runs = [
+    { name: 'one per call', batchSize: 1, workers: 0 },
+    { name: 'batched', batchSize: options.batchSize, workers: 0 }
+  ];
+  if (options.workers > 0) {
+    // Includes each worker loading its own model
+    runs.push({ name: `batched, ${options.workers} workers`, batchSize: options.batchSize, workers: options.workers });
+  }
+
+  const results = [];
+  for (const run of runs) {
+    const start = process.hrtime.bigint();
+    const index = await buildEmbeddingIndex(symbolGraph, 'benchmark', {
+      codeFiles,
+      batchSize: run.batchSize,
+      workers: run.workers,
+      persist: false
+    });
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    results.push({
+      run: run.name,
+      batchSize: run.batchSize,
+      workers: run.workers,
+      items: index.metadata.totalEmbeddings,
+      seconds: Number(seconds.toFixed(2)),
+      itemsPerSecond: Number((index.metadata.totalEmbeddings / seconds).toFixed(1))
+    });
+  }
+
+  const baseline = results[0].itemsPerSecond;
+  console.table(results.map(result => ({ ...result, speedup: `${(result.itemsPerSecond / baseline).toFixed(2)}x` })));
+}
+
+main().catch(error => {
+  log(`Benchmark failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * 👻 GhostCoder - Search Benchmark
+ * Author: Ayushman Lakshkar
+ *
+ * Compares HNSW search against exact search: build time, query latency and
+ * recall@k (share of the exact top k that the approximate search also returns).
+ *
+ * Usage: node scripts/benchmark_search.js [--repo owner/repo] [--count 20000] [--dimensions 384]
+ *                                         [--queries 200] [--top-k 10]
+ *        (without --repo, a synthetic clustered set of `count` vectors is used)
+ */
+
+import { log } from '../src/utils.js';
+import { loadIndex, searchByVector } from '../src/embeddingIndex.js';
+import { buildAnnIndex } from '../src/annIndex.js';
+
+const EF_SEARCH_VALUES = [16, 32, 64, 128, 256];
+
+function parseArgs(argv) {
+  const options = { repo: null, count: 20000, dimensions: 384, queries: 200, topK: 10 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--repo': options.repo = argv[++i]; break;
+      case '--count': options.count = parseInt(argv[++i], 10); break;
+      case '--dimensions': options.dimensions = parseInt(argv[++i], 10); break;
+      case '--queries': options.queries = parseInt(argv[++i], 10); break;
+      case '--top-k': options.topK = parseInt(argv[++i], 10); break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Random unit vectors around sqrt(count) centres, which is closer to real
+ * embeddings than uniformly random ones
+ */
+function createSyntheticEmbeddings(count, dimensions) {
+  const centres = Array.from({ length: Math.max(1, Math.round(Math.sqrt(count))) }, () => randomVector(dimensions, 1));
+  return Array.from({ length: count }, (_, i) => ({
+    id: `synthetic::${i}`,
+    embedding: normalize(addNoise(centres[i % centres.length], 0.6))
+  }));
+}
+
+function randomVector(dimensions, scale) {
+  return Float32Array.from({ length: dimensions }, () => (Math.random() * 2 - 1) * scale);
+}
+
+function addNoise(vector, scale) {
+  const noise = randomVector(vector.length, scale);
+  return vector.map((value, i) => value + noise[i]);
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+function timeQueries(queries, search) {
+  const latencies = [];
+  const results = queries.map(query => {
+    const start = process.hrtime.bigint();
+    const result = search(query);
+    latencies.push(Number(process.hrtime.bigint() - start) / 1e6);
+    return result;
+  });
+
+  latencies.sort((a, b) => a - b);
+  return {
+    results,
+    meanMs: latencies.reduce((sum, value) => sum + value, 0) / latencies.length,
+    p95Ms: latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let embeddings;
+  if (options.repo) {
+    const index = await loadIndex(options.repo);
+    if (!index) {
+      throw new Error(`No index found for ${options.repo}`);
+    }
+    embeddings = index.embeddings;
+  } else {
+    log(`Generating ${options.count} synthetic ${options.dimensions}-dimensional vectors...`, 'info');
+    embeddings = createSyntheticEmbeddings(options.count, options.dimensions);
+  }
+
+  // Queries are perturbed copies of stored vectors, like a query that is close to some symbols
+  const queries = Array.from({ length: options.queries }, () =>
+    normalize(addNoise(embeddings[Math.floor(Math.random() * embeddings.length)].embedding, 0.05)));
+
+  const buildStart = process.hrtime.bigint();
+  const ann = buildAnnIndex(embeddings.length, id => embeddings[id].embedding);
+  const buildSeconds = Number(process.hrtime.bigint() - buildStart) / 1e9;
+  log(`HNSW built over ${embeddings.length} vectors in ${buildSeconds.toFixed(1)}s`, 'success');
+
+  const index = { embeddings, ann };
+  const exact = timeQueries(queries, query => searchByVector(index, query, options.topK, { exact: true }));
+  const rows = [{ search: 'exact', meanMs: exact.meanMs, p95Ms: exact.p95Ms, recall: 1 }];
+
+  for (const efSearch of EF_SEARCH_VALUES) {
+    const approximate = timeQueries(queries, query => searchByVector(index, query, options.topK, { efSearch }));
+    const recall = approximate.results.reduce((sum, result, i) => {
+      const expected = new Set(exact.results[i].map(item => item.id));
+      return sum + result.filter(item => expected.has(item.id)).length / expected.size;
+    }, 0) / queries.length;
+
+    rows.push({ search: `hnsw ef=${efSearch}`, meanMs: approximate.meanMs, p95Ms: approximate.p95Ms, recall });
+  }
+
+  console.table(rows.map(row => ({
+    search: row.search,
+    'mean ms': Number(row.meanMs.toFixed(3)),
+    'p95 ms': Number(row.p95Ms.toFixed(3)),
+    [`recall@${options.topK}`]: Number(row.recall.toFixed(3)),
+    speedup: `${(exact.meanMs / row.meanMs).toFixed(1)}x`
+  })));
+}
+
+main().catch(error => {
+  log(`Benchmark failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * 👻 GhostCoder - Model Downloader
+ * Author: Ayushman Lakshkar
+ *
+ * Downloads an embedding model into MODELS_DIR (default data/models/) so it
+ * can be bundled for machines without network access, which then run with
+ * EMBEDDING_OFFLINE=true and MODELS_DIR pointing at the bundle.
+ *
+ * Usage: node scripts/download_model.js [model]
+ *        (a preset name such as minilm, bge-small or jina-code, or a model id;
+ *        defaults to EMBEDDING_MODEL)
+ */
+
+import { log } from '../src/utils.js';
+import { generateEmbeddings, getEmbeddingModel } from '../src/embeddingIndex.js';
+
+async function main() {
+  const [name] = process.argv.slice(2);
+  if (name) {
+    process.env.EMBEDDING_MODEL = name;
+  }
+  process.env.EMBEDDING_OFFLINE = 'false';
+
+  const model = getEmbeddingModel();
+  const [vector] = await generateEmbeddings(['warm up']);
+
+  log(`${model.id} is ready in ${model.directory} (${vector.length} dimensions, ${model.quantized ? 'quantized' : 'full precision'})`, 'success');
+}
+
+main().catch(error => {
+  log(`Download failed: ${error.message}`, 'error');
+  process.exit(1);
+});
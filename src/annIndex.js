@@ -0,0 +1,340 @@
+/**
+ * 👻 GhostCoder - Approximate Nearest Neighbour Index
+ *
+ * HNSW (Hierarchical Navigable Small World, Malkov & Yashunin) graph over
+ * the embedding vectors, so semantic search visits a few hundred vectors
+ * instead of all of them. Vectors are compared by dot product, which is the
+ * cosine similarity for the normalized vectors the embedding model returns.
+ *
+ * Nodes are identified by their position in the index's embeddings array;
+ * vectors are looked up through a `getVector(id)` callback so callers do not
+ * have to copy them into a separate array.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+// Neighbours per node and layer (layer 0 keeps twice as many)
+const DEFAULT_M = 16;
+const DEFAULT_EF_CONSTRUCTION = 64;
+const DEFAULT_EF_SEARCH = 64;
+
+// Serialized layout: header, then per node its level and each layer's neighbour list
+const ANN_FILE_MAGIC = 'GCHN';
+const ANN_FORMAT_VERSION = 1;
+const ANN_HEADER_BYTES = 24;
+
+/**
+ * Build an HNSW graph
+ * @param {number} count - Number of vectors
+ * @param {Function} getVector - Returns the normalized vector of a node id
+ * @param {Object} options - Build options
+ * @param {number} options.M - Neighbours per node (default 16)
+ * @param {number} options.efConstruction - Candidate list size while inserting (default 64)
+ * @param {number} options.seed - Seed for the level generator, builds are reproducible
+ * @returns {Object} ANN index
+ */
+export function buildAnnIndex(count, getVector, options = {}) {
+  const { M = DEFAULT_M, efConstruction = DEFAULT_EF_CONSTRUCTION, seed = 42 } = options;
+  const random = createRandom(seed);
+  const levelFactor = 1 / Math.log(M);
+
+  const ann = {
+    count,
+    M,
+    entryPoint: -1,
+    maxLevel: -1,
+    neighbors: new Array(count)
+  };
+  const visited = createVisitedSet(count);
+
+  for (let node = 0; node < count; node++) {
+    const level = Math.floor(-Math.log(1 - random()) * levelFactor);
+    ann.neighbors[node] = Array.from({ length: level + 1 }, () => []);
+
+    if (ann.entryPoint === -1) {
+      ann.entryPoint = node;
+      ann.maxLevel = level;
+      continue;
+    }
+
+    const query = getVector(node);
+    let entry = { id: ann.entryPoint, similarity: dot(query, getVector(ann.entryPoint)) };
+
+    // Greedy descent through the layers above the new node's level
+    for (let layer = ann.maxLevel; layer > level; layer--) {
+      entry = searchLayer(ann, getVector, query, [entry], 1, layer, visited)[0];
+    }
+
+    let entries = [entry];
+    for (let layer = Math.min(level, ann.maxLevel); layer >= 0; layer--) {
+      const candidates = searchLayer(ann, getVector, query, entries, efConstruction, layer, visited);
+      const maxNeighbors = layer === 0 ? 2 * M : M;
+      const selected = selectNeighbors(getVector, candidates, M);
+
+      ann.neighbors[node][layer] = selected.map(candidate => candidate.id);
+
+      // Link back, pruning neighbours that now have too many connections
+      for (const { id } of selected) {
+        const links = ann.neighbors[id][layer];
+        links.push(node);
+        if (links.length > maxNeighbors) {
+          const scored = links.map(link => ({ id: link, similarity: dot(getVector(id), getVector(link)) }));
+          ann.neighbors[id][layer] = selectNeighbors(getVector, scored, maxNeighbors).map(candidate => candidate.id);
+        }
+      }
+
+      entries = candidates;
+    }
+
+    if (level > ann.maxLevel) {
+      ann.entryPoint = node;
+      ann.maxLevel = level;
+    }
+  }
+
+  return ann;
+}
+
+/**
+ * Find the approximate nearest neighbours of a query
+ * @param {Object} ann - ANN index from buildAnnIndex
+ * @param {Function} getVector - Returns the vector of a node id, as passed to buildAnnIndex
+ * @param {ArrayLike<number>} query - Normalized query vector
+ * @param {number} topK - Number of results
+ * @param {number} efSearch - Candidate list size, higher is slower but more accurate (default 64)
+ * @returns {Array<{id: number, similarity: number}>} Best first
+ */
+export function searchAnnIndex(ann, getVector, query, topK, efSearch = DEFAULT_EF_SEARCH) {
+  if (ann.entryPoint === -1) {
+    return [];
+  }
+
+  const visited = createVisitedSet(ann.count);
+  let entry = { id: ann.entryPoint, similarity: dot(query, getVector(ann.entryPoint)) };
+
+  for (let layer = ann.maxLevel; layer > 0; layer--) {
+    entry = searchLayer(ann, getVector, query, [entry], 1, layer, visited)[0];
+  }
+
+  return searchLayer(ann, getVector, query, [entry], Math.max(efSearch, topK), 0, visited).slice(0, topK);
+}
+
+/**
+ * Serialize an ANN index
+ * @returns {Buffer}
+ */
+export function serializeAnnIndex(ann) {
+  const words = [];
+  for (const layers of ann.neighbors) {
+    words.push(layers.length - 1);
+    for (const links of layers) {
+      words.push(links.length, ...links);
+    }
+  }
+
+  const header = Buffer.alloc(ANN_HEADER_BYTES);
+  header.write(ANN_FILE_MAGIC, 0, 'ascii');
+  header.writeUInt32LE(ANN_FORMAT_VERSION, 4);
+  header.writeUInt32LE(ann.count, 8);
+  header.writeUInt32LE(ann.M, 12);
+  header.writeInt32LE(ann.entryPoint, 16);
+  header.writeInt32LE(ann.maxLevel, 20);
+
+  const body = Buffer.alloc(words.length * 4);
+  words.forEach((word, i) => body.writeInt32LE(word, i * 4));
+
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Read an ANN index written by serializeAnnIndex
+ * @param {Buffer} buffer
+ * @returns {Object} ANN index
+ * @throws {Error} If the data is not an ANN index of a supported version
+ */
+export function deserializeAnnIndex(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== ANN_FILE_MAGIC) {
+    throw new Error('not an ANN index file');
+  }
+  const version = buffer.readUInt32LE(4);
+  if (version !== ANN_FORMAT_VERSION) {
+    throw new Error(`unsupported ANN index version ${version}`);
+  }
+
+  const ann = {
+    count: buffer.readUInt32LE(8),
+    M: buffer.readUInt32LE(12),
+    entryPoint: buffer.readInt32LE(16),
+    maxLevel: buffer.readInt32LE(20),
+    neighbors: []
+  };
+
+  let offset = ANN_HEADER_BYTES;
+  const next = () => {
+    const word = buffer.readInt32LE(offset);
+    offset += 4;
+    return word;
+  };
+
+  for (let node = 0; node < ann.count; node++) {
+    const level = next();
+    const layers = [];
+    for (let layer = 0; layer <= level; layer++) {
+      const length = next();
+      const links = new Array(length);
+      for (let i = 0; i < length; i++) links[i] = next();
+      layers.push(links);
+    }
+    ann.neighbors.push(layers);
+  }
+
+  return ann;
+}
+
+/**
+ * Best-first search of one layer
+ * @returns {Array<{id: number, similarity: number}>} Up to `ef` nodes, best first
+ */
+function searchLayer(ann, getVector, query, entries, ef, layer, visited) {
+  visited.clear();
+  const candidates = createHeap((a, b) => a.similarity > b.similarity); // best first
+  const results = createHeap((a, b) => a.similarity < b.similarity);    // worst first
+
+  for (const entry of entries) {
+    if (visited.has(entry.id)) continue;
+    visited.add(entry.id);
+    candidates.push(entry);
+    results.push(entry);
+    if (results.size() > ef) results.pop();
+  }
+
+  while (candidates.size() > 0) {
+    const current = candidates.pop();
+    if (results.size() >= ef && current.similarity < results.peek().similarity) break;
+
+    for (const neighbor of ann.neighbors[current.id][layer] || []) {
+      if (visited.has(neighbor)) continue;
+      visited.add(neighbor);
+
+      const similarity = dot(query, getVector(neighbor));
+      if (results.size() < ef || similarity > results.peek().similarity) {
+        const candidate = { id: neighbor, similarity };
+        candidates.push(candidate);
+        results.push(candidate);
+        if (results.size() > ef) results.pop();
+      }
+    }
+  }
+
+  return results.toArray().sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Pick up to `count` neighbours, preferring ones that are not already
+ * covered by a closer pick (keeps links spread out, which helps recall);
+ * the remaining slots are filled with the best skipped candidates
+ */
+function selectNeighbors(getVector, candidates, count) {
+  const sorted = [...candidates].sort((a, b) => b.similarity - a.similarity);
+  const selected = [];
+  const skipped = [];
+
+  for (const candidate of sorted) {
+    if (selected.length >= count) break;
+    const covered = selected.some(picked => dot(getVector(candidate.id), getVector(picked.id)) > candidate.similarity);
+    (covered ? skipped : selected).push(candidate);
+  }
+
+  for (const candidate of skipped) {
+    if (selected.length >= count) break;
+    selected.push(candidate);
+  }
+
+  return selected;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Binary heap; `before(a, b)` is true when a belongs above b
+ */
+function createHeap(before) {
+  const items = [];
+
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+
+  return {
+    size: () => items.length,
+    peek: () => items[0],
+    toArray: () => [...items],
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!before(items[i], items[parent])) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let best = i;
+          if (left < items.length && before(items[left], items[best])) best = left;
+          if (right < items.length && before(items[right], items[best])) best = right;
+          if (best === i) break;
+          swap(i, best);
+          i = best;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+/**
+ * Set of node ids, cleared in O(1) by bumping a generation counter
+ */
+function createVisitedSet(size) {
+  const marks = new Uint32Array(size);
+  let generation = 1;
+
+  return {
+    has: id => marks[id] === generation,
+    add: id => { marks[id] = generation; },
+    clear: () => {
+      generation++;
+      if (generation === 0xffffffff) {
+        marks.fill(0);
+        generation = 1;
+      }
+    }
+  };
+}
+
+/**
+ * Deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -11,13 +11,24 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { Octokit } from '@octokit/rest';
 import { runGhostCoder } from './ghost_engine.js';
-import { deleteIndex } from './embeddingIndex.js';
-import { log } from './utils.js';
+import { 
+  initJobQueue, 
+  enqueueJob, 
+  getJob, 
+  listJobs, 
+  cancelJob, 
+  isJobFinished,
+  getJobProgress,
+  subscribeToJob,
+  JobStatus 
+} from './jobQueue.js';
+import { log, parseGitHubUrl } from './utils.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SSE_HEARTBEAT_MS = 15000;
 
 // Middleware
 app.use(cors());
@@ -31,17 +42,46 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Run GhostCoder analysis on a repository
+ * Run a queued analysis job
+ */
+async function processAnalysisJob({ repoUrl, options }, { signal, onProgress }) {
+  // The symbol graph cache and embedding index are kept, so the next run only re-indexes changed files
+  return runGhostCoder(repoUrl, { ...options, signal, onProgress });
+}
+
+/**
+ * Format a job record for API responses
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    repoUrl: job.request.repoUrl,
+    options: job.request.options,
+    result: job.result,
+    error: job.error,
+    progress: job.progress || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Queue a GhostCoder analysis on a repository
  * POST /api/analyze
  * Body: {
  *   repoUrl: string (required) - GitHub repository URL
  *   branch?: string (optional) - Branch to analyze
  *   path?: string (optional) - Specific path/folder to analyze
+ *   dryRun?: boolean (optional) - Write a patch bundle instead of opening a PR
+ *   allowFailingChecks?: boolean (optional) - Open the PR even if verification fails
  * }
+ * Responds 202 with the job id; poll GET /api/jobs/:id for the result.
  */
 app.post('/api/analyze', async (req, res) => {
   try {
-    const { repoUrl, branch, path } = req.body;
+    const { repoUrl, branch, path, dryRun, allowFailingChecks } = req.body;
 
     if (!repoUrl) {
       return res.status(400).json({ 
@@ -55,19 +95,18 @@ app.post('/api/analyze', async (req, res) => {
     const options = {};
     if (branch) options.baseBranch = branch;
     if (path) options.analyzePath = path;
+    if (dryRun) options.dryRun = true;
+    if (allowFailingChecks) options.allowFailingChecks = true;
 
-    const result = await runGhostCoder(repoUrl, options);
-    
-    // Delete embedding index after successful PR creation
-    if (result.status === 'success' || result.status === 'no_improvements') {
-      const repoId = result.repo;
-      log(`Cleaning up embedding index for ${repoId}...`, 'info');
-      await deleteIndex(repoId);
-    }
+    const job = await enqueueJob({ repoUrl, options });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      data: result
+      data: {
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
+      }
     });
 
   } catch (error) {
@@ -80,6 +119,141 @@ app.post('/api/analyze', async (req, res) => {
   }
 });
 
+/**
+ * Stream progress of an analysis job as Server-Sent Events
+ * GET /api/analyze/:jobId/events
+ * Events: `progress` ({ stage, message, current?, total?, timestamp }),
+ * `status` (job record) and a final `done` (job record) before the stream closes.
+ */
+app.get('/api/analyze/:jobId/events', (req, res) => {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job with id ${req.params.jobId}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Replay what happened so far
+  send('status', formatJob(job));
+  for (const event of getJobProgress(job.id)) {
+    send('progress', event);
+  }
+
+  if (isJobFinished(job)) {
+    send('done', formatJob(job));
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  const unsubscribe = subscribeToJob(job.id, ({ type, data }) => {
+    if (type === 'progress') {
+      send('progress', data);
+      return;
+    }
+
+    send('status', formatJob(data));
+    if (isJobFinished(data)) {
+      send('done', formatJob(data));
+      cleanup();
+      res.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+});
+
+/**
+ * List analysis jobs (newest first)
+ * GET /api/jobs?status=<queued|running|completed|failed|cancelled>
+ */
+app.get('/api/jobs', (req, res) => {
+  const { status } = req.query;
+
+  if (status && !Object.values(JobStatus).includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status parameter',
+      message: `status must be one of: ${Object.values(JobStatus).join(', ')}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: listJobs({ status }).map(formatJob)
+  });
+});
+
+/**
+ * Get an analysis job
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job with id ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatJob(job)
+  });
+});
+
+/**
+ * Cancel an analysis job
+ * DELETE /api/jobs/:id
+ */
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job with id ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job)
+    });
+
+  } catch (error) {
+    log(`API Error: ${error.message}`, 'error');
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get all branches for a GitHub repository
  * GET /api/branches?owner=<owner>&repo=<repo>
@@ -375,15 +549,39 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * Key of the repository a job analyzes, the same for every URL form of it
+ * (jobs on one repository share its clone and index files, so they run one at a time)
+ */
+function getRepositoryKey(request) {
+  try {
+    const { owner, repo } = parseGitHubUrl(request.repoUrl);
+    return `${owner}/${repo}`.toLowerCase();
+  } catch {
+    return request.repoUrl;
+  }
+}
+
 /**
  * Start server
  */
+await initJobQueue(processAnalysisJob, {
+  concurrency: process.env.JOB_CONCURRENCY,
+  getJobKey: getRepositoryKey,
+  historyLimit: process.env.JOB_HISTORY_LIMIT,
+  retentionHours: process.env.JOB_RETENTION_HOURS
+});
+
 app.listen(PORT, () => {
   log(`🚀 GhostCoder API Server running on port ${PORT}`, 'ghost');
   log(`Environment: ${process.env.NODE_ENV || 'development'}`, 'info');
   log(`Endpoints:`, 'info');
   log(`  GET  /health - Health check`, 'info');
-  log(`  POST /api/analyze - Run GhostCoder analysis`, 'info');
+  log(`  POST /api/analyze - Queue GhostCoder analysis`, 'info');
+  log(`  GET  /api/analyze/:jobId/events - Stream analysis progress (SSE)`, 'info');
+  log(`  GET  /api/jobs - List analysis jobs`, 'info');
+  log(`  GET  /api/jobs/:id - Get analysis job status`, 'info');
+  log(`  DELETE /api/jobs/:id - Cancel analysis job`, 'info');
   log(`  GET  /api/branches - Get repository branches`, 'info');
   log(`  GET  /api/repos - Get user repositories`, 'info');
   log(`  POST /api/parse-github-url - Parse GitHub URL`, 'info');
@@ -0,0 +1,215 @@
+/**
+ * 👻 GhostCoder - Code Chunker
+ *
+ * Splits source files into chunks for embedding, so the code itself (not
+ * just names and docs) can be matched by semantic search:
+ * - every outermost function or method body, with the comments right above
+ *   it, is one chunk, or overlapping line windows when it is too long for
+ *   the embedding model
+ * - code outside functions (module-level statements, class fields, scripts)
+ *   is grouped by its enclosing class, or the file, and windowed the same way
+ *
+ * Chunk boundaries come from the symbol ranges of the symbol graph.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import path from 'path';
+import { SymbolType } from './symbolGraph.js';
+
+// The embedding model reads about 256 tokens, roughly this much code
+const CHUNK_MAX_LINES = 40;
+const CHUNK_MAX_CHARS = 1500;
+const CHUNK_OVERLAP_LINES = 5;
+
+// Code outside functions needs this many non-blank lines to be worth a chunk
+const CHUNK_MIN_LINES = 3;
+
+const COMMENT_LINE = /^\s*(\/\/|\/\*|\*|#(?!include|define|if|endif|pragma))/;
+
+const BODY_TYPES = new Set([SymbolType.FUNCTION, SymbolType.METHOD]);
+const CONTAINER_TYPES = new Set([SymbolType.CLASS, SymbolType.INTERFACE, SymbolType.TYPE]);
+
+export const ChunkKind = {
+  BODY: 'body',           // a whole function or method
+  WINDOW: 'window',       // part of a long function or method
+  TOP_LEVEL: 'top-level'  // code outside functions
+};
+
+/**
+ * Chunk the code files of a symbol graph
+ * @param {Object} symbolGraph - Symbol graph from symbolGraph.js
+ * @param {Array<{path: string, content: string}>} codeFiles - File contents
+ * @returns {Array<Object>} Chunks: {id, file, startLine, endLine, kind, symbolId, symbolName, context, code}
+ */
+export function createCodeChunks(symbolGraph, codeFiles) {
+  const symbolsByFile = new Map();
+  for (const [symbolId, symbol] of Object.entries(symbolGraph.symbols)) {
+    if (!symbol.range) continue;
+    if (!symbolsByFile.has(symbol.file)) symbolsByFile.set(symbol.file, []);
+    symbolsByFile.get(symbol.file).push({ id: symbolId, ...symbol });
+  }
+
+  return codeFiles
+    .filter(file => symbolGraph.files[file.path])
+    .flatMap(file => chunkFile(file, symbolsByFile.get(file.path) || []));
+}
+
+function chunkFile(file, symbols) {
+  const lines = file.content.split('\n');
+  const chunks = [];
+  const covered = new Uint8Array(lines.length + 1);
+
+  // Outer functions first; nested functions are part of their outer function's chunks
+  const bodies = [];
+  const candidates = symbols
+    .filter(symbol => BODY_TYPES.has(symbol.type))
+    .sort((a, b) => a.range.startLine - b.range.startLine || b.range.endLine - a.range.endLine);
+  for (const symbol of candidates) {
+    if (!bodies.some(outer => contains(outer, symbol))) {
+      bodies.push(symbol);
+    }
+  }
+
+  for (const symbol of bodies) {
+    const startLine = extendOverComments(lines, symbol.range.startLine);
+    const { endLine } = symbol.range;
+    const windows = splitIntoWindows(lines, startLine, endLine);
+
+    for (const window of windows) {
+      chunks.push(createChunk(file.path, lines, window, {
+        kind: windows.length === 1 ? ChunkKind.BODY : ChunkKind.WINDOW,
+        symbol,
+        context: describeSymbol(symbol, file.path)
+      }));
+    }
+    covered.fill(1, startLine, endLine + 1);
+  }
+
+  // Everything else, grouped by the innermost class (or interface...) around it
+  const containers = symbols.filter(symbol => CONTAINER_TYPES.has(symbol.type));
+  let group = null;
+  const flush = () => {
+    if (group && countCodeLines(lines, group.startLine, group.endLine) >= CHUNK_MIN_LINES) {
+      for (const window of splitIntoWindows(lines, group.startLine, group.endLine)) {
+        chunks.push(createChunk(file.path, lines, window, {
+          kind: ChunkKind.TOP_LEVEL,
+          symbol: group.container,
+          context: group.container
+            ? describeSymbol(group.container, file.path)
+            : `top-level code in ${file.path}`
+        }));
+      }
+    }
+    group = null;
+  };
+
+  for (let line = 1; line <= lines.length; line++) {
+    if (covered[line]) {
+      flush();
+      continue;
+    }
+
+    const container = findInnermost(containers, line);
+    if (group && group.container !== container) flush();
+    if (!group) group = { container, startLine: line, endLine: line };
+    group.endLine = line;
+  }
+  flush();
+
+  return chunks.sort((a, b) => a.startLine - b.startLine);
+}
+
+/**
+ * Overlapping windows of at most CHUNK_MAX_LINES lines and (unless a
+ * single line is longer) CHUNK_MAX_CHARS characters, without blank edges
+ * @returns {Array<{startLine: number, endLine: number}>} 1-based, inclusive
+ */
+function splitIntoWindows(lines, startLine, endLine) {
+  const windows = [];
+  let start = startLine;
+
+  while (start <= endLine) {
+    let end = start;
+    let chars = lines[start - 1].length;
+    while (end < endLine && end - start + 1 < CHUNK_MAX_LINES && chars + lines[end].length + 1 <= CHUNK_MAX_CHARS) {
+      chars += lines[end].length + 1;
+      end++;
+    }
+
+    const window = trimBlankLines(lines, start, end);
+    if (window) windows.push(window);
+
+    if (end >= endLine) break;
+    start = Math.max(end - CHUNK_OVERLAP_LINES + 1, start + 1);
+  }
+
+  return windows;
+}
+
+/**
+ * First line of the comment block directly above `startLine`, if any
+ */
+function extendOverComments(lines, startLine) {
+  while (startLine > 1 && COMMENT_LINE.test(lines[startLine - 2])) {
+    startLine--;
+  }
+  return startLine;
+}
+
+function trimBlankLines(lines, startLine, endLine) {
+  while (startLine <= endLine && !lines[startLine - 1].trim()) startLine++;
+  while (endLine >= startLine && !lines[endLine - 1].trim()) endLine--;
+  return startLine <= endLine ? { startLine, endLine } : null;
+}
+
+function countCodeLines(lines, startLine, endLine) {
+  let count = 0;
+  for (let line = startLine; line <= endLine; line++) {
+    if (lines[line - 1].trim()) count++;
+  }
+  return count;
+}
+
+function createChunk(filePath, lines, { startLine, endLine }, { kind, symbol, context }) {
+  return {
+    id: `chunk::${filePath}#L${startLine}-L${endLine}`,
+    file: filePath,
+    startLine,
+    endLine,
+    kind,
+    symbolId: symbol?.id || null,
+    symbolName: symbol?.name || path.basename(filePath),
+    context,
+    code: lines.slice(startLine - 1, endLine).join('\n')
+  };
+}
+
+/**
+ * What a chunk is part of, e.g. "method User.save of class User: save(options) in src/models/user.js"
+ */
+function describeSymbol(symbol, filePath) {
+  let description = `${symbol.type} ${symbol.name}`;
+  if (symbol.className) {
+    description += ` of class ${symbol.className}`;
+  }
+  if (symbol.signature) {
+    description += `: ${symbol.signature}`;
+  }
+  return `${description} in ${filePath}`;
+}
+
+function contains(outer, inner) {
+  return outer.range.startLine <= inner.range.startLine && inner.range.endLine <= outer.range.endLine;
+}
+
+function findInnermost(symbols, line) {
+  let innermost = null;
+  for (const symbol of symbols) {
+    if (symbol.range.startLine <= line && line <= symbol.range.endLine &&
+        (!innermost || contains(innermost, symbol))) {
+      innermost = symbol;
+    }
+  }
+  return innermost;
+}
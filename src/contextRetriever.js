@@ -11,8 +11,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { log } from './utils.js';
+import { getTokenCounter } from './tokenCounter.js';
 import { 
-  semanticSearch, 
+  hybridSearch, 
   findSymbolsByType, 
   findSymbolsInFile,
   findSimilarSymbols 
@@ -20,7 +21,9 @@ import {
 import { 
   findSymbolsByName, 
   findReferences, 
-  getSymbolHierarchy 
+  getSymbolHierarchy,
+  getCallers,
+  getCallees
 } from './symbolGraph.js';
 
 /**
@@ -40,7 +43,7 @@ export async function retrieveContext(index, symbolGraph, repoPath, options = {}
     focusAreas = [] // e.g., ['security', 'performance', 'best practices']
   } = options;
 
-  log('Retrieving relevant context using semantic search...', 'code');
+  log('Retrieving relevant context using hybrid (semantic + lexical) search...', 'code');
 
   const context = {
     relevantFiles: [],
@@ -50,8 +53,8 @@ export async function retrieveContext(index, symbolGraph, repoPath, options = {}
     summary: ''
   };
 
-  // Step 1: Semantic search for relevant symbols and files
-  const searchResults = await semanticSearch(index, query, maxSymbols);
+  // Step 1: Hybrid search for relevant symbols and files
+  const searchResults = await hybridSearch(index, query, maxSymbols);
   
   // Step 2: Group results by file
   const fileGroups = new Map();
@@ -109,9 +112,12 @@ async function buildFileContext(filePath, relevantSymbols, symbolGraph, repoPath
     path: filePath,
     language: symbolGraph.files[filePath]?.language || 'unknown',
     relevantSymbols: relevantSymbols.map(s => ({
+      id: s.id,
+      symbolId: s.symbolId || null, // Function or class a code chunk is part of
       name: s.symbolName,
       type: s.symbolType,
       line: s.line,
+      endLine: s.endLine,
       similarity: s.similarity,
       documentation: s.documentation,
       signature: s.signature
@@ -137,7 +143,7 @@ async function buildFileContext(filePath, relevantSymbols, symbolGraph, repoPath
       fileContext.fullContent = content;
     } else {
       // Extract relevant snippets around each symbol
-      fileContext.snippet = extractRelevantSnippets(content, relevantSymbols);
+      fileContext.snippet = extractRelevantSnippets(content, relevantSymbols, symbolGraph);
     }
   } catch (error) {
     log(`Could not read file ${filePath}: ${error.message}`, 'warning');
@@ -147,19 +153,26 @@ async function buildFileContext(filePath, relevantSymbols, symbolGraph, repoPath
 }
 
 /**
- * Extract code snippets around relevant symbols
+ * Extract the source of relevant symbols using their ranges from the symbol graph
+ * Code chunks cover exactly their own lines. Symbols without a known range
+ * (e.g. file-level results) get a few lines of context.
  */
-function extractRelevantSnippets(content, relevantSymbols) {
+function extractRelevantSnippets(content, relevantSymbols, symbolGraph) {
   const lines = content.split('\n');
   const snippets = [];
-  const contextLines = 5; // Lines before and after
+  const contextLines = 5; // Lines before and after, when there is no range
+  const maxSnippetLines = 60;
   const addedLines = new Set();
 
   for (const symbol of relevantSymbols.slice(0, 5)) { // Top 5 symbols
     if (!symbol.line) continue;
 
-    const startLine = Math.max(0, symbol.line - contextLines - 1);
-    const endLine = Math.min(lines.length, symbol.line + contextLines);
+    const range = symbol.symbolType === 'chunk'
+      ? { startLine: symbol.line, endLine: symbol.endLine }
+      : symbolGraph.symbols?.[symbol.id]?.range;
+    const startLine = range ? range.startLine - 1 : Math.max(0, symbol.line - contextLines - 1);
+    const fullEndLine = range ? range.endLine : Math.min(lines.length, symbol.line + contextLines);
+    const endLine = Math.min(fullEndLine, startLine + maxSnippetLines);
 
     // Avoid duplicate lines
     let snippet = '';
@@ -170,10 +183,16 @@ function extractRelevantSnippets(content, relevantSymbols) {
       }
     }
 
+    if (snippet && endLine < fullEndLine) {
+      snippet += `... (${fullEndLine - endLine} more lines)\n`;
+    }
+
     if (snippet) {
       snippets.push({
+        id: symbol.id,
         symbolName: symbol.symbolName,
-        line: symbol.line,
+        line: startLine + 1,
+        endLine: fullEndLine,
         code: snippet
       });
     }
@@ -184,25 +203,21 @@ function extractRelevantSnippets(content, relevantSymbols) {
 
 /**
  * Build dependency graph from relevant files
+ * Uses the resolved module dependencies recorded in the symbol graph, so
+ * `to` is a repository file or, for external packages, the package name.
  */
 function buildDependencyGraph(relevantFiles, symbolGraph) {
   const dependencies = [];
   
   for (const file of relevantFiles) {
-    for (const importName of file.imports) {
-      // Find where this import comes from
-      const edges = symbolGraph.edges.filter(e => 
-        e.from.includes(file.path) && e.type === 'imports'
-      );
-      
-      for (const edge of edges) {
-        dependencies.push({
-          from: file.path,
-          to: edge.to,
-          type: 'imports',
-          symbol: importName
-        });
-      }
+    for (const dependency of symbolGraph.imports?.[file.path] || []) {
+      dependencies.push({
+        from: file.path,
+        to: dependency.file || dependency.package || dependency.specifier,
+        type: dependency.external ? 'external' : 'imports',
+        resolved: Boolean(dependency.file),
+        symbol: dependency.names.join(', ')
+      });
     }
   }
   
@@ -211,25 +226,32 @@ function buildDependencyGraph(relevantFiles, symbolGraph) {
 
 /**
  * Build call graph for relevant symbols
+ * Uses the resolved calls/calledBy edges from the symbol graph, so each
+ * entry lists who actually calls the symbol and what it calls.
  */
 function buildCallGraph(relevantSymbols, symbolGraph) {
   const callGraph = [];
-  
-  // Find function calls and references
+  const seen = new Set();
+
   for (const symbol of relevantSymbols) {
-    if (symbol.symbolType === 'function' || symbol.symbolType === 'method') {
-      const references = findReferences(symbolGraph, symbol.symbolName);
-      
-      for (const ref of references.slice(0, 5)) { // Limit to 5 references
-        callGraph.push({
-          caller: ref.from,
-          callee: ref.to,
-          symbolName: symbol.symbolName
-        });
-      }
-    }
+    // A code chunk stands for the function it is part of
+    const symbolId = symbol.symbolType === 'chunk' ? symbol.symbolId : symbol.id;
+    if (!symbolId || seen.has(symbolId)) continue;
+    seen.add(symbolId);
+
+    const callers = getCallers(symbolGraph, symbolId);
+    const callees = getCallees(symbolGraph, symbolId);
+    if (callers.length === 0 && callees.length === 0) continue;
+
+    callGraph.push({
+      symbol: symbolId,
+      symbolName: symbol.symbolName,
+      file: symbol.file,
+      callers: callers.slice(0, 5).map(call => ({ caller: call.caller, line: call.line, kind: call.kind })), // Limit to 5 callers
+      callees: callees.slice(0, 10).map(call => ({ callee: call.callee, name: call.name, line: call.line, kind: call.kind }))
+    });
   }
-  
+
   return callGraph;
 }
 
@@ -307,7 +329,7 @@ export async function queryPattern(index, symbolGraph, repoPath, queryType) {
 export async function findAllUsages(index, symbolGraph, symbolName) {
   log(`Finding all usages of: ${symbolName}`, 'code');
 
-  // Combine exact name match with semantic search
+  // Combine exact name match with hybrid search
   const exactMatches = findSymbolsByName(symbolGraph, symbolName);
   const semanticMatches = await findSimilarSymbols(index, symbolName, 10);
   
@@ -375,74 +397,123 @@ export async function getFocusedContext(index, symbolGraph, repoPath, targetPath
  * @returns {string} Formatted context string
  */
 export function formatContextForAI(context) {
-  const sections = [];
-
-  // Summary
-  sections.push('=== CODE CONTEXT SUMMARY ===');
-  sections.push(`Total Files: ${context.summary.totalFiles}`);
-  sections.push(`Total Symbols: ${context.summary.totalSymbols}`);
-  sections.push(`Languages: ${context.summary.languages.join(', ')}`);
-  sections.push(`Symbol Types: ${JSON.stringify(context.summary.symbolTypes, null, 2)}`);
-  sections.push('');
-
-  // Top relevant files
-  sections.push('=== TOP RELEVANT FILES ===');
-  for (const fileInfo of context.summary.topFiles) {
-    sections.push(`- ${fileInfo.path} (${fileInfo.language}, ${fileInfo.symbolCount} relevant symbols)`);
-  }
-  sections.push('');
+  const sections = [formatSummary(context.summary)];
 
   // File details
   sections.push('=== FILE DETAILS ===');
   for (const file of context.relevantFiles) {
-    sections.push(`\n--- File: ${file.path} (${file.language}) ---`);
-    
-    // Imports
-    if (file.imports.length > 0) {
-      sections.push(`Imports: ${file.imports.join(', ')}`);
-    }
-    
-    // Exports
-    if (file.exports.length > 0) {
-      sections.push(`Exports: ${file.exports.join(', ')}`);
-    }
+    sections.push(formatFileHeader(file));
     
     // Relevant symbols
-    sections.push('\nRelevant Symbols:');
-    for (const symbol of file.relevantSymbols.slice(0, 10)) {
-      sections.push(`  - ${symbol.name} (${symbol.type}) at line ${symbol.line}`);
-      if (symbol.documentation) {
-        sections.push(`    Doc: ${symbol.documentation}`);
-      }
-      if (symbol.signature) {
-        sections.push(`    Signature: ${symbol.signature}`);
-      }
-      sections.push(`    Relevance: ${(symbol.similarity * 100).toFixed(1)}%`);
+    for (const symbol of file.relevantSymbols.slice(0, MAX_SYMBOLS_PER_FILE)) {
+      sections.push(formatSymbol(symbol));
     }
     
     // Code snippets
     if (file.snippet && file.snippet.length > 0) {
-      sections.push('\nCode Snippets:');
-      for (const snippet of file.snippet.slice(0, 3)) {
-        sections.push(`\n  Symbol: ${snippet.symbolName} (line ${snippet.line})`);
-        sections.push('  ```');
-        sections.push(snippet.code);
-        sections.push('  ```');
+      sections.push(SNIPPETS_HEADER);
+      for (const snippet of file.snippet.slice(0, MAX_SNIPPETS_PER_FILE)) {
+        sections.push(formatSnippet(snippet));
       }
     }
   }
 
   // Dependencies
   if (context.dependencies.length > 0) {
-    sections.push('\n=== DEPENDENCIES ===');
-    for (const dep of context.dependencies.slice(0, 20)) {
-      sections.push(`${dep.from} -> ${dep.to} (${dep.symbol})`);
+    sections.push(DEPENDENCIES_HEADER);
+    for (const dep of context.dependencies.slice(0, MAX_DEPENDENCIES)) {
+      sections.push(formatDependency(dep));
+    }
+  }
+
+  // Call graph
+  if (context.callGraph.length > 0) {
+    sections.push(CALL_GRAPH_HEADER);
+    for (const entry of context.callGraph) {
+      sections.push(formatCallGraphEntry(entry));
     }
   }
 
   return sections.join('\n');
 }
 
+// What formatContextForAI shows at most, and its section headers
+const MAX_SYMBOLS_PER_FILE = 10;
+const MAX_SNIPPETS_PER_FILE = 3;
+const MAX_DEPENDENCIES = 20;
+const SNIPPETS_HEADER = '\nCode Snippets:';
+const DEPENDENCIES_HEADER = '\n=== DEPENDENCIES ===';
+const CALL_GRAPH_HEADER = '\n=== CALL GRAPH ===';
+
+function formatSummary(summary) {
+  const lines = [];
+
+  lines.push('=== CODE CONTEXT SUMMARY ===');
+  lines.push(`Total Files: ${summary.totalFiles}`);
+  lines.push(`Total Symbols: ${summary.totalSymbols}`);
+  lines.push(`Languages: ${summary.languages.join(', ')}`);
+  lines.push(`Symbol Types: ${JSON.stringify(summary.symbolTypes, null, 2)}`);
+  lines.push('');
+
+  // Top relevant files
+  lines.push('=== TOP RELEVANT FILES ===');
+  for (const fileInfo of summary.topFiles) {
+    lines.push(`- ${fileInfo.path} (${fileInfo.language}, ${fileInfo.symbolCount} relevant symbols)`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+function formatFileHeader(file) {
+  const lines = [`\n--- File: ${file.path} (${file.language}) ---`];
+  if (file.imports.length > 0) {
+    lines.push(`Imports: ${file.imports.join(', ')}`);
+  }
+  if (file.exports.length > 0) {
+    lines.push(`Exports: ${file.exports.join(', ')}`);
+  }
+  lines.push('\nRelevant Symbols:');
+  return lines.join('\n');
+}
+
+function formatSymbol(symbol) {
+  const location = symbol.type === 'chunk' ? `lines ${symbol.line}-${symbol.endLine}` : `line ${symbol.line}`;
+  const lines = [`  - ${symbol.name} (${symbol.type}) at ${location}`];
+  if (symbol.documentation) {
+    lines.push(`    Doc: ${symbol.documentation}`);
+  }
+  if (symbol.signature) {
+    lines.push(`    Signature: ${symbol.signature}`);
+  }
+  lines.push(`    Relevance: ${(symbol.similarity * 100).toFixed(1)}%`);
+  return lines.join('\n');
+}
+
+function formatSnippet(snippet) {
+  return [
+    `\n  Symbol: ${snippet.symbolName} (lines ${snippet.line}-${snippet.endLine})`,
+    '  ```',
+    snippet.code,
+    '  ```'
+  ].join('\n');
+}
+
+function formatDependency(dep) {
+  return `${dep.from} -> ${dep.to}${dep.type === 'external' ? ' [external]' : ''} (${dep.symbol})`;
+}
+
+function formatCallGraphEntry(entry) {
+  const lines = [`${entry.symbol}`];
+  if (entry.callers.length > 0) {
+    lines.push(`  Called by: ${entry.callers.map(call => `${call.caller} (line ${call.line})`).join(', ')}`);
+  }
+  if (entry.callees.length > 0) {
+    lines.push(`  Calls: ${entry.callees.map(call => call.callee || call.name).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
 /**
  * Get intelligent suggestions for code improvements
  * @param {Object} index - Embedding index
@@ -464,40 +535,221 @@ export async function getImprovementSuggestions(index, symbolGraph, repoPath) {
 }
 
 /**
- * Create a compact context for token efficiency
- * Useful when you need to minimize tokens sent to AI
+ * Create a compact context that fits a token budget
+ * Tokens are counted with the tokenizer of the LLM model. When the whole
+ * context does not fit, whole symbols (each with its code snippet) are packed
+ * greedily, best relevance × call-graph centrality first, followed by the call
+ * graph of the packed symbols and the dependencies of the packed files while
+ * they fit. The input context is not modified.
+ * @param {Object} context - Retrieved context
+ * @param {number} maxTokens - Token budget for formatContextForAI(result)
+ * @param {Object} options - Packing options
+ * @param {Object} options.symbolGraph - Symbol graph for centrality (without it, the context's call graph is used)
+ * @param {string} options.model - LLM model id, selects the tokenizer (see tokenCounter.js)
+ * @returns {Promise<Object>} Compact context, with a `packing` report:
+ *   {budget, used, tokenizer, requestedTokenizer, exact, fits, dropped: [{id, name, file, tokens, reason}],
+ *   droppedCallGraph, droppedDependencies}. With `exact: false` (approximate or fallback tokenizer)
+ *   `used` is an estimate and the model may count more tokens.
  */
-export function createCompactContext(context, maxTokens = 10000) {
-  const estimated = estimateTokens(formatContextForAI(context));
-  
-  if (estimated <= maxTokens) {
-    return context;
+export async function createCompactContext(context, maxTokens = 10000, options = {}) {
+  const { symbolGraph = null, model } = options;
+  const tokenizer = await getTokenCounter(model);
+  const countTokens = text => tokenizer.count(text);
+
+  const fullTokens = countTokens(formatContextForAI(context));
+  if (fullTokens <= maxTokens) {
+    return {
+      ...context,
+      packing: createPackingReport(maxTokens, fullTokens, tokenizer, [], 0, 0)
+    };
   }
 
-  // Reduce context size
-  const compactContext = {
-    ...context,
-    relevantFiles: context.relevantFiles.slice(0, 5), // Reduce files
-    relevantSymbols: context.relevantSymbols.slice(0, 20), // Reduce symbols
-    callGraph: context.callGraph.slice(0, 10),
-    dependencies: context.dependencies.slice(0, 10)
-  };
+  // Candidates: every relevant symbol with its snippet, in retrieval order
+  const units = context.relevantFiles.flatMap(file => {
+    const snippets = new Map((file.snippet || []).map(snippet => [snippet.id, snippet]));
+    return file.relevantSymbols.map(symbol => {
+      const snippet = snippets.get(symbol.id) || null;
+      return {
+        file,
+        symbol,
+        snippet,
+        score: Math.max(symbol.similarity || 0, 0) * getCentrality(symbol, symbolGraph, context.callGraph),
+        symbolTokens: countTokens(formatSymbol(symbol)),
+        snippetTokens: snippet ? countTokens(formatSnippet(snippet)) : 0
+      };
+    });
+  });
+  units.forEach((unit, order) => { unit.order = order; });
+
+  // Greedy fill; the summary and section headers are paid for up front
+  const packed = new Map(); // file path -> { symbols, snippets } of packed units
+  const included = [];
+  const dropped = [];
+  let used = countTokens(formatSummary(context.summary)) + countTokens('=== FILE DETAILS ===');
+
+  for (const unit of [...units].sort((a, b) => b.score - a.score)) {
+    const fileUnits = packed.get(unit.file.path);
+    if (fileUnits && fileUnits.symbols.length >= MAX_SYMBOLS_PER_FILE) {
+      dropped.push(describeDroppedUnit(unit, 'file-limit'));
+      continue;
+    }
+
+    // Files show a limited number of snippets; later symbols go in without theirs
+    const snippetCount = fileUnits ? fileUnits.snippets.length : 0;
+    unit.withSnippet = Boolean(unit.snippet) && snippetCount < MAX_SNIPPETS_PER_FILE;
 
-  // Remove full content, keep only snippets
-  for (const file of compactContext.relevantFiles) {
-    file.fullContent = null;
-    if (file.snippet) {
-      file.snippet = file.snippet.slice(0, 2); // Keep only top 2 snippets
+    let cost = unit.symbolTokens + (unit.withSnippet ? unit.snippetTokens : 0);
+    if (!fileUnits) cost += countTokens(formatFileHeader(unit.file));
+    if (unit.withSnippet && snippetCount === 0) cost += countTokens(SNIPPETS_HEADER);
+
+    if (used + cost > maxTokens) {
+      dropped.push(describeDroppedUnit(unit, 'budget'));
+      continue;
+    }
+
+    used += cost;
+    included.push(unit);
+    if (!packed.has(unit.file.path)) packed.set(unit.file.path, { symbols: [], snippets: [] });
+    packed.get(unit.file.path).symbols.push(unit);
+    if (unit.withSnippet) packed.get(unit.file.path).snippets.push(unit);
+  }
+
+  // Call graph of the packed symbols, then dependencies of the packed files
+  const packedSymbolIds = new Set(included.map(unit => getGraphSymbolId(unit.symbol)));
+  const callGraph = [];
+  const callGraphCandidates = context.callGraph.filter(entry => packedSymbolIds.has(entry.symbol));
+  for (const entry of callGraphCandidates) {
+    const cost = countTokens(formatCallGraphEntry(entry)) + (callGraph.length === 0 ? countTokens(CALL_GRAPH_HEADER) : 0);
+    if (used + cost <= maxTokens) {
+      used += cost;
+      callGraph.push(entry);
     }
   }
 
+  const dependencies = [];
+  const dependencyCandidates = context.dependencies.filter(dep => packed.has(dep.from));
+  for (const dep of dependencyCandidates.slice(0, MAX_DEPENDENCIES)) {
+    const cost = countTokens(formatDependency(dep)) + (dependencies.length === 0 ? countTokens(DEPENDENCIES_HEADER) : 0);
+    if (used + cost <= maxTokens) {
+      used += cost;
+      dependencies.push(dep);
+    }
+  }
+
+  // The estimate adds up separately counted parts; check the real text and
+  // drop dependencies, call graph entries, then the lowest-scoring symbols until it fits
+  let compactContext = buildPackedContext(context, included, callGraph, dependencies);
+  used = countTokens(formatContextForAI(compactContext));
+  while (used > maxTokens && (dependencies.length > 0 || callGraph.length > 0 || included.length > 0)) {
+    if (dependencies.length > 0) {
+      dependencies.pop();
+    } else if (callGraph.length > 0) {
+      callGraph.pop();
+    } else {
+      const unit = included.reduce((lowest, candidate) => (candidate.score < lowest.score ? candidate : lowest));
+      included.splice(included.indexOf(unit), 1);
+      dropped.push(describeDroppedUnit(unit, 'budget'));
+    }
+    compactContext = buildPackedContext(context, included, callGraph, dependencies);
+    used = countTokens(formatContextForAI(compactContext));
+  }
+
+  compactContext.packing = createPackingReport(
+    maxTokens,
+    used,
+    tokenizer,
+    dropped,
+    callGraphCandidates.length - compactContext.callGraph.length,
+    context.dependencies.length - compactContext.dependencies.length
+  );
+
+  log(`Context packed into ${used}/${maxTokens} tokens (${tokenizer.name}${tokenizer.exact ? '' : ', approximate'}): ${included.length} of ${units.length} symbols, ${dropped.length} dropped`, used <= maxTokens ? 'info' : 'warning');
+
   return compactContext;
 }
 
 /**
- * Estimate token count (rough approximation)
+ * Symbol graph id behind a search result; a code chunk stands for the function it is part of
  */
-function estimateTokens(text) {
-  // Rough estimate: 1 token ≈ 4 characters
-  return Math.ceil(text.length / 4);
+function getGraphSymbolId(symbol) {
+  return symbol.type === 'chunk' ? symbol.symbolId : symbol.id;
+}
+
+/**
+ * How connected a symbol is: 1 for no call edges, growing logarithmically with callers + callees
+ */
+function getCentrality(symbol, symbolGraph, callGraph) {
+  const symbolId = getGraphSymbolId(symbol);
+  if (!symbolId) return 1;
+
+  let edges;
+  if (symbolGraph) {
+    edges = getCallers(symbolGraph, symbolId).length + getCallees(symbolGraph, symbolId).length;
+  } else {
+    const entry = callGraph.find(candidate => candidate.symbol === symbolId);
+    edges = entry ? entry.callers.length + entry.callees.length : 0;
+  }
+
+  return 1 + Math.log1p(edges);
+}
+
+/**
+ * Context with only the packed symbols, in their original order; new objects throughout
+ */
+function buildPackedContext(context, units, callGraph, dependencies) {
+  const ordered = [...units].sort((a, b) => a.order - b.order);
+  const files = new Map();
+
+  for (const unit of ordered) {
+    if (!files.has(unit.file.path)) {
+      files.set(unit.file.path, {
+        ...unit.file,
+        relevantSymbols: [],
+        snippet: [],
+        fullContent: null
+      });
+    }
+    const file = files.get(unit.file.path);
+    file.relevantSymbols.push(unit.symbol);
+    if (unit.withSnippet) file.snippet.push(unit.snippet);
+  }
+
+  const symbolIds = new Set(ordered.map(unit => unit.symbol.id));
+  const graphSymbolIds = new Set(ordered.map(unit => getGraphSymbolId(unit.symbol)));
+
+  const packedContext = {
+    ...context,
+    relevantFiles: Array.from(files.values()),
+    relevantSymbols: context.relevantSymbols.filter(symbol => symbolIds.has(symbol.id)),
+    callGraph: callGraph.filter(entry => graphSymbolIds.has(entry.symbol)),
+    dependencies: dependencies.filter(dep => files.has(dep.from))
+  };
+  packedContext.summary = generateContextSummary(packedContext);
+
+  return packedContext;
+}
+
+function describeDroppedUnit(unit, reason) {
+  return {
+    id: unit.symbol.id,
+    name: unit.symbol.name,
+    file: unit.file.path,
+    // What the unit would have cost as considered; the snippet only counts when it would have been shown
+    tokens: unit.symbolTokens + (unit.withSnippet ? unit.snippetTokens : 0),
+    reason // 'budget' or 'file-limit' (more than MAX_SYMBOLS_PER_FILE packed from its file)
+  };
+}
+
+function createPackingReport(budget, used, tokenizer, dropped, droppedCallGraph, droppedDependencies) {
+  return {
+    budget,
+    used,
+    tokenizer: tokenizer.name,
+    requestedTokenizer: tokenizer.requested,
+    exact: tokenizer.exact,
+    fits: used <= budget,
+    dropped,
+    droppedCallGraph,
+    droppedDependencies
+  };
 }
@@ -0,0 +1,389 @@
+/**
+ * 👻 GhostCoder - Edit Block Applier
+ *
+ * Parses the edits returned by the model (SEARCH/REPLACE blocks or unified
+ * diff hunks) and applies them to the current file content one by one.
+ * Each edit is located with progressively looser matching:
+ *
+ *   1. exact line match
+ *   2. whitespace-insensitive line match (replacement is re-indented)
+ *   3. fuzzy line match (average line similarity >= FUZZY_THRESHOLD,
+ *      only for blocks of at least FUZZY_MIN_LINES lines)
+ *
+ * Edits that cannot be located unambiguously are rejected with a reason
+ * instead of being guessed, so a bad edit never overwrites the file.
+ *
+ * Line endings are normalized for matching only: untouched lines keep their
+ * own ending and new lines get the file's dominant one, so editing a CRLF
+ * file does not rewrite every line of it.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+const FUZZY_THRESHOLD = 0.9;
+const FUZZY_MIN_LINES = 3; // shorter blocks are too easy to match in the wrong place
+
+const SEARCH_MARKER = /^<{5,}\s*SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,}\s*$/;
+const REPLACE_MARKER = /^>{5,}\s*REPLACE\s*$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+
+/**
+ * Parse model output into edits
+ * @param {string} response - Raw model response
+ * @returns {{format: string|null, edits: Array<{search: string, replace: string, hintLine: number|null}>}}
+ */
+export function parseEdits(response) {
+  const text = response.replace(/\r\n/g, '\n');
+
+  if (text.split('\n').some(line => SEARCH_MARKER.test(line))) {
+    return { format: 'search-replace', edits: dropNoOpEdits(parseSearchReplaceBlocks(text)) };
+  }
+
+  if (text.split('\n').some(line => HUNK_HEADER.test(line))) {
+    return { format: 'unified-diff', edits: dropNoOpEdits(parseUnifiedDiff(text)) };
+  }
+
+  return { format: null, edits: [] };
+}
+
+/**
+ * Edits that would not change anything are not edits
+ */
+function dropNoOpEdits(edits) {
+  return edits.filter(edit => edit.error || edit.search !== edit.replace);
+}
+
+/**
+ * Apply edits to file content, hunk by hunk
+ * @param {string} content - Current file content
+ * @param {Array<{search: string, replace: string, hintLine: number|null, error?: string}>} edits - Edits to apply;
+ *        edits with an `error` (malformed hunks) are rejected with it
+ * @returns {{content: string, applied: Array<Object>, rejected: Array<Object>}}
+ */
+export function applyEdits(content, edits) {
+  const hasTrailingNewline = content.endsWith('\n');
+  const lineEnding = detectLineEnding(content);
+  let lines = splitLines(content);
+  let endings = getLineEndings(content, lineEnding);
+  const applied = [];
+  const rejected = [];
+
+  edits.forEach((edit, index) => {
+    if (edit.error) {
+      rejected.push(createRejection(index, edit, edit.error));
+      return;
+    }
+
+    const searchLines = splitLines(edit.search);
+    const replaceLines = splitLines(edit.replace);
+
+    if (searchLines.length === 0 || searchLines.every(line => line.trim() === '')) {
+      rejected.push(createRejection(index, edit, 'Empty SEARCH block'));
+      return;
+    }
+
+    const match = locate(lines, searchLines, edit.hintLine);
+    if (match.error) {
+      rejected.push(createRejection(index, edit, match.error));
+      return;
+    }
+
+    const replacement = match.strategy === 'exact'
+      ? replaceLines
+      : reindent(replaceLines, searchLines[0], lines[match.start]);
+
+    lines = [
+      ...lines.slice(0, match.start),
+      ...replacement,
+      ...lines.slice(match.start + searchLines.length)
+    ];
+    endings = [
+      ...endings.slice(0, match.start),
+      ...replacement.map(() => lineEnding),
+      ...endings.slice(match.start + searchLines.length)
+    ];
+
+    applied.push({ index, line: match.start + 1, strategy: match.strategy });
+  });
+
+  const updated = lines
+    .map((line, i) => (i < lines.length - 1 || hasTrailingNewline ? line + endings[i] : line))
+    .join('');
+
+  return { content: updated, applied, rejected };
+}
+
+/**
+ * Parse <<<<<<< SEARCH / ======= / >>>>>>> REPLACE blocks
+ */
+function parseSearchReplaceBlocks(text) {
+  const edits = [];
+  const lines = text.split('\n');
+  let state = null;
+  let search = [];
+  let replace = [];
+
+  for (const line of lines) {
+    if (SEARCH_MARKER.test(line)) {
+      state = 'search';
+      search = [];
+      replace = [];
+    } else if (state === 'search' && DIVIDER_MARKER.test(line)) {
+      state = 'replace';
+    } else if (state === 'replace' && REPLACE_MARKER.test(line)) {
+      edits.push({ search: search.join('\n'), replace: replace.join('\n'), hintLine: null });
+      state = null;
+    } else if (state === 'search') {
+      search.push(line);
+    } else if (state === 'replace') {
+      replace.push(line);
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Parse unified diff hunks into search/replace edits
+ * Context and removed lines form the search text; context and added lines
+ * form the replacement. The original start line is kept as a location hint.
+ * A hunk ends when the line counts of its header are used up, so body lines
+ * starting with `---` or `+++` are not mistaken for file headers. A hunk
+ * whose lines don't add up to its header (e.g. a truncated one) is returned
+ * with an `error` instead of being applied partially.
+ */
+function parseUnifiedDiff(text) {
+  const edits = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+
+    const edit = {
+      search: current.search.join('\n'),
+      replace: current.replace.join('\n'),
+      hintLine: current.hintLine
+    };
+    if (current.error) {
+      edit.error = current.error;
+    } else if (current.oldRemaining !== 0 || current.newRemaining !== 0) {
+      edit.error = `Malformed hunk: ${current.header} declares ${current.oldCount} old and ${current.newCount} new line(s), ` +
+        `but has ${current.oldCount - current.oldRemaining} and ${current.newCount - current.newRemaining}`;
+    }
+    if (edit.error || current.search.length > 0 || current.replace.length > 0) {
+      edits.push(edit);
+    }
+    current = null;
+  };
+
+  for (const line of text.split('\n')) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      flush();
+      const oldCount = header[2] === undefined ? 1 : parseInt(header[2], 10);
+      const newCount = header[3] === undefined ? 1 : parseInt(header[3], 10);
+      current = {
+        header: header[0],
+        search: [],
+        replace: [],
+        hintLine: parseInt(header[1], 10),
+        oldCount,
+        newCount,
+        oldRemaining: oldCount,
+        newRemaining: newCount,
+        error: null
+      };
+      continue;
+    }
+
+    if (!current) continue;
+
+    const inBody = current.oldRemaining > 0 || current.newRemaining > 0;
+    if (!inBody) {
+      // Lines the header did not announce: file headers, prose or the next hunk end it
+      if (/^[-+ ]/.test(line) && !line.startsWith('---') && !line.startsWith('+++')) {
+        current.error = `Malformed hunk: ${current.header} has more lines than its header declares`;
+      }
+      if (!line.startsWith('\\')) flush();
+      continue;
+    }
+
+    if (line.startsWith('-')) {
+      current.search.push(line.substring(1));
+      current.oldRemaining--;
+    } else if (line.startsWith('+')) {
+      current.replace.push(line.substring(1));
+      current.newRemaining--;
+    } else if (line.startsWith(' ') || line === '') {
+      // Blank context lines are often emitted without the leading space
+      current.search.push(line.substring(1));
+      current.replace.push(line.substring(1));
+      current.oldRemaining--;
+      current.newRemaining--;
+    } else if (!line.startsWith('\\')) {
+      flush();
+    }
+
+    if (current && (current.oldRemaining < 0 || current.newRemaining < 0)) {
+      current.error = `Malformed hunk: ${current.header} has more lines than its header declares`;
+    }
+  }
+  flush();
+
+  return edits;
+}
+
+/**
+ * Find where the search lines occur in the file
+ * @returns {{start: number, strategy: string}|{error: string}}
+ */
+function locate(lines, searchLines, hintLine) {
+  const strategies = [
+    ['exact', (a, b) => (a === b ? 1 : 0), 1],
+    ['whitespace', (a, b) => (a.trim() === b.trim() ? 1 : 0), 1],
+    ['fuzzy', lineSimilarity, FUZZY_THRESHOLD]
+  ];
+
+  for (const [strategy, compare, threshold] of strategies) {
+    if (strategy === 'fuzzy' && searchLines.length < FUZZY_MIN_LINES) {
+      continue;
+    }
+
+    const candidates = findCandidates(lines, searchLines, compare, threshold);
+
+    if (candidates.length === 1) {
+      return { start: candidates[0].start, strategy };
+    }
+
+    if (candidates.length > 1) {
+      const best = pickCandidate(candidates, hintLine);
+      if (best) {
+        return { start: best.start, strategy };
+      }
+      return { error: `Ambiguous edit: SEARCH block matches ${candidates.length} locations` };
+    }
+  }
+
+  return { error: 'SEARCH block does not match the current file content' };
+}
+
+/**
+ * Score every window of the file against the search lines
+ */
+function findCandidates(lines, searchLines, compare, threshold) {
+  const candidates = [];
+  const allowedLoss = (1 - threshold) * searchLines.length;
+
+  for (let start = 0; start + searchLines.length <= lines.length; start++) {
+    let loss = 0;
+    for (let i = 0; i < searchLines.length && loss <= allowedLoss; i++) {
+      loss += 1 - compare(lines[start + i], searchLines[i]);
+    }
+
+    if (loss <= allowedLoss + 1e-9) {
+      candidates.push({ start, score: 1 - loss / searchLines.length });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Choose between several matching locations
+ * Prefers the location closest to the diff's line hint, otherwise a
+ * strictly best-scoring match.
+ */
+function pickCandidate(candidates, hintLine) {
+  if (hintLine) {
+    return [...candidates].sort((a, b) =>
+      Math.abs(a.start + 1 - hintLine) - Math.abs(b.start + 1 - hintLine)
+    )[0];
+  }
+
+  const sorted = [...candidates].sort((a, b) => b.score - a.score);
+  return sorted[0].score > sorted[1].score ? sorted[0] : null;
+}
+
+/**
+ * Similarity of two lines ignoring surrounding whitespace (0..1)
+ */
+function lineSimilarity(a, b) {
+  const s1 = a.trim();
+  const s2 = b.trim();
+
+  if (s1 === s2) return 1;
+
+  const maxLen = Math.max(s1.length, s2.length);
+  if (Math.abs(s1.length - s2.length) / maxLen > 1 - FUZZY_THRESHOLD) return 0;
+
+  // Levenshtein distance with a single row
+  let previous = Array.from({ length: s2.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s1.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= s2.length; j++) {
+      const cost = s1[i - 1] === s2[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[s2.length] / maxLen;
+}
+
+/**
+ * Shift the replacement's indentation to match the file
+ */
+function reindent(replaceLines, searchFirstLine, fileFirstLine) {
+  const searchIndent = searchFirstLine.match(/^\s*/)[0];
+  const fileIndent = fileFirstLine.match(/^\s*/)[0];
+
+  if (searchIndent === fileIndent) {
+    return replaceLines;
+  }
+
+  return replaceLines.map(line => {
+    if (line.trim() === '') return line;
+    if (line.startsWith(searchIndent)) {
+      return fileIndent + line.substring(searchIndent.length);
+    }
+    return line;
+  });
+}
+
+/**
+ * The line ending most lines of the content use
+ */
+function detectLineEnding(content) {
+  const crlf = (content.match(/\r\n/g) || []).length;
+  const lf = (content.match(/\n/g) || []).length - crlf;
+  return crlf > lf ? '\r\n' : '\n';
+}
+
+/**
+ * Ending of each line of the content, as split by splitLines
+ * A last line without a newline gets `fallback`.
+ */
+function getLineEndings(content, fallback) {
+  const endings = Array.from(content.matchAll(/\r?\n/g), match => match[0]);
+  if (content !== '' && !content.endsWith('\n')) {
+    endings.push(fallback);
+  }
+  return endings;
+}
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function createRejection(index, edit, reason) {
+  const preview = edit.search.split('\n').slice(0, 3).join('\n');
+  return {
+    index,
+    reason,
+    search: preview.length > 200 ? `${preview.substring(0, 200)}...` : preview
+  };
+}
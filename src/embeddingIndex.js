@@ -8,41 +8,136 @@
  * Author: Ayushman Lakshkar
  */
 
-import { pipeline, env } from '@xenova/transformers';
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
-import { log } from './utils.js';
+import { Worker } from 'worker_threads';
+import { log, emitProgress, isProgressStep, ProgressStage } from './utils.js';
+import { buildAnnIndex, searchAnnIndex, serializeAnnIndex, deserializeAnnIndex } from './annIndex.js';
+import { buildLexicalIndex, searchLexicalIndex, serializeLexicalIndex, deserializeLexicalIndex } from './lexicalIndex.js';
+import { createCodeChunks } from './codeChunker.js';
 
-// Disable remote models in offline mode (optional)
-// env.allowRemoteModels = false;
+// Embedding models that can be selected by name with EMBEDDING_MODEL (any
+// other value is used as a Hugging Face model id)
+const EMBEDDING_MODELS = {
+  minilm: { id: 'Xenova/all-MiniLM-L6-v2', dimensions: 384 },
+  'bge-small': { id: 'Xenova/bge-small-en-v1.5', dimensions: 384 },
+  'jina-code': { id: 'jinaai/jina-embeddings-v2-base-code', dimensions: 768 }
+};
+const DEFAULT_EMBEDDING_MODEL = 'minilm';
 
-// Cache directory for models
-const MODELS_CACHE_DIR = path.join(process.cwd(), 'data', 'models');
 const INDEX_DIR = path.join(process.cwd(), 'data', 'indexes');
 
+// The model reads at most 256 tokens, so longer bodies add nothing
+const EMBED_BODY_MAX_CHARS = 1500;
+
+// Source indexed per symbol by the lexical index (whole classes can be huge)
+const LEXICAL_BODY_MAX_CHARS = 20000;
+
+// Texts per pipeline call when EMBED_BATCH_SIZE is not set
+const DEFAULT_BATCH_SIZE = 32;
+
+// On-disk index format (see saveIndex)
+const INDEX_FORMAT_VERSION = 2;
+const VECTOR_FILE_MAGIC = 'GCVX';
+const VECTOR_FILE_HEADER_BYTES = 16;
+const VECTOR_READ_CHUNK_BYTES = 8 * 1024 * 1024;
+
+// Below this many embeddings a full scan is fast enough and always exact
+const DEFAULT_ANN_MIN_EMBEDDINGS = 2000;
+
+// Reciprocal-rank fusion: each ranking contributes 1 / (RRF_K + rank)
+const RRF_K = 60;
+const HYBRID_MIN_CANDIDATES = 50;
+
 // Singleton for embedding pipeline
 let embeddingPipeline = null;
 
+/**
+ * The configured embedding model
+ * EMBEDDING_MODEL is a preset name (minilm, bge-small, jina-code) or a model
+ * id; EMBEDDING_QUANTIZED=false loads the full-precision weights.
+ * @returns {{name: string, id: string, dimensions: number|null, quantized: boolean, directory: string}}
+ */
+export function getEmbeddingModel() {
+  const name = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+  const preset = EMBEDDING_MODELS[name];
+  
+  return {
+    name,
+    id: preset?.id || name,
+    dimensions: preset?.dimensions || null, // Unknown until the first embedding for other models
+    quantized: process.env.EMBEDDING_QUANTIZED !== 'false',
+    directory: path.join(getModelsDir(), preset?.id || name)
+  };
+}
+
+/**
+ * Directory models are loaded from (and downloads are cached in), as
+ * <MODELS_DIR>/<model id>/. Read on each call, so a MODELS_DIR set by
+ * dotenv after this module is imported still applies.
+ * @returns {string} Absolute path
+ */
+export function getModelsDir() {
+  return path.resolve(process.env.MODELS_DIR || path.join(process.cwd(), 'data', 'models'));
+}
+
+/**
+ * Whether models may be downloaded; EMBEDDING_OFFLINE=true only loads from MODELS_DIR
+ */
+function isOfflineMode() {
+  return process.env.EMBEDDING_OFFLINE === 'true';
+}
+
+/**
+ * Point transformers.js at MODELS_DIR and apply offline mode, for anything
+ * loaded from the Hugging Face hub (embedding models, tokenizers)
+ * transformers.js is imported here rather than at module load, so the
+ * index and search code can be used without loading the runtime.
+ * @returns {Promise<{transformers: Object, modelsDir: string, offline: boolean}>} The transformers.js module and options to load with
+ */
+export async function configureModelLoading() {
+  const transformers = await import('@xenova/transformers');
+  const modelsDir = getModelsDir();
+  const offline = isOfflineMode();
+  transformers.env.localModelPath = modelsDir;
+  transformers.env.allowRemoteModels = !offline;
+  return { transformers, modelsDir, offline };
+}
+
 /**
  * Initialize the embedding pipeline
- * Using a lightweight model suitable for code embeddings
+ * Loads the configured model from MODELS_DIR, downloading it there first
+ * unless offline mode is on.
  */
 async function getEmbeddingPipeline() {
   if (embeddingPipeline) {
     return embeddingPipeline;
   }
 
-  log('Initializing embedding model (first time may take a while)...', 'ghost');
+  const model = getEmbeddingModel();
+  const { transformers, modelsDir, offline } = await configureModelLoading();
+  log(`Initializing embedding model ${model.id}${offline ? ' (offline)' : ' (first time may take a while)'}...`, 'ghost');
   
   try {
-    // Use a lightweight model optimized for code/text similarity
-    // Options: 'Xenova/all-MiniLM-L6-v2' (fast, small), 'Xenova/bge-small-en-v1.5' (better quality)
-    embeddingPipeline = await pipeline(
+    if (offline) {
+      try {
+        await fs.access(path.join(model.directory, 'config.json'));
+      } catch {
+        throw new Error(
+          `offline mode is on but ${model.id} is not in ${modelsDir}. ` +
+          `Copy the model bundle to ${model.directory}, or run \`npm run models:download\` with network access`
+        );
+      }
+    }
+    
+    embeddingPipeline = await transformers.pipeline(
       'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2',
+      model.id,
       { 
-        cache_dir: MODELS_CACHE_DIR,
-        quantized: true // Use quantized model for better performance
+        cache_dir: modelsDir,
+        local_files_only: offline,
+        quantized: model.quantized // The quantized model is much faster, at a small cost in quality
       }
     );
     
@@ -73,13 +168,60 @@ export async function generateEmbedding(text) {
   }
 }
 
+/**
+ * Generate embeddings for several texts in one pipeline call
+ * Texts are padded to the longest one, so batches of similar length are cheapest.
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One embedding vector per text
+ */
+export async function generateEmbeddings(texts) {
+  try {
+    const pipeline = await getEmbeddingPipeline();
+    const output = await pipeline(texts, { pooling: 'mean', normalize: true });
+    
+    // Split the [texts, dimensions] tensor into one vector per text
+    const [count, dimensions] = output.dims;
+    return Array.from({ length: count }, (_, i) => Array.from(output.data.subarray(i * dimensions, (i + 1) * dimensions)));
+  } catch (error) {
+    log(`Failed to generate embeddings: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
 /**
  * Build embedding index for a symbol graph
  * @param {Object} symbolGraph - Symbol graph from symbolGraph.js
  * @param {string} repoId - Repository identifier
+ * @param {Object} options - Build options
+ * @param {Function} options.onProgress - Progress listener (see emitProgress)
+ * @param {Array<{path: string, content: string}>} options.codeFiles - File contents, needed to embed symbol bodies
+ * @param {boolean} options.includeBody - Append each symbol's source to its text (default false, or true when
+ *                                        EMBED_SYMBOL_BODY=true)
+ * @param {boolean} options.chunks - Also embed the code itself, as chunks with line ranges (see codeChunker.js;
+ *                                   default true unless EMBED_CODE_CHUNKS=false)
+ * @param {Object} options.previousIndex - Earlier index of the same repository; entries whose content hash
+ *                                         and text are unchanged are reused instead of embedded again
+ * @param {string} options.commit - Commit SHA the symbol graph was built from
+ * @param {number} options.batchSize - Texts per pipeline call (default EMBED_BATCH_SIZE or 32)
+ * @param {number} options.workers - Worker threads to spread batches over, 0 embeds in this thread
+ *                                   (default EMBED_WORKERS or 0)
+ * @param {boolean} options.persist - Save the index to disk (default true)
  * @returns {Promise<Object>} Embedding index
  */
-export async function buildEmbeddingIndex(symbolGraph, repoId) {
+export async function buildEmbeddingIndex(symbolGraph, repoId, options = {}) {
+  const {
+    onProgress = null,
+    codeFiles = [],
+    includeBody = process.env.EMBED_SYMBOL_BODY === 'true',
+    chunks = process.env.EMBED_CODE_CHUNKS !== 'false',
+    previousIndex = null,
+    commit = null,
+    batchSize = parseInt(process.env.EMBED_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE,
+    workers = parseInt(process.env.EMBED_WORKERS, 10) || 0,
+    persist = true
+  } = options;
+  const fileBuffers = new Map(codeFiles.map(file => [file.path, Buffer.from(file.content)]));
+  const model = getEmbeddingModel();
   log('Building embedding index...', 'code');
   
   const index = {
@@ -87,77 +229,273 @@ export async function buildEmbeddingIndex(symbolGraph, repoId) {
     embeddings: [],
     metadata: {
       totalEmbeddings: 0,
+      reusedEmbeddings: 0,
       buildTime: Date.now(),
-      model: 'Xenova/all-MiniLM-L6-v2'
+      commit,
+      model: model.id,
+      quantized: model.quantized,
+      dimensions: model.dimensions
     }
   };
 
-  const pipeline = await getEmbeddingPipeline();
-  
-  // Create embeddings for each symbol
-  let count = 0;
+  // Symbol entries first, then one entry per file
+  const entries = [];
   for (const [symbolId, symbol] of Object.entries(symbolGraph.symbols)) {
-    try {
-      // Create a rich text representation for embedding
-      const textToEmbed = createSymbolText(symbol);
-      
-      log(`Embedding symbol ${count + 1}/${Object.keys(symbolGraph.symbols).length}: ${symbol.name}`, 'info');
-      
-      const embedding = await generateEmbedding(textToEmbed);
-      
-      index.embeddings.push({
-        id: symbolId,
-        symbolName: symbol.name,
-        symbolType: symbol.type,
-        file: symbol.file,
-        line: symbol.line,
-        embedding: embedding,
-        text: textToEmbed,
-        documentation: symbol.documentation || null,
-        signature: symbol.signature || null
-      });
-      
-      count++;
-    } catch (error) {
-      log(`Failed to embed symbol ${symbol.name}: ${error.message}`, 'warning');
-    }
+    // Create a rich text representation for embedding
+    const textToEmbed = createSymbolText(symbol, includeBody ? getSymbolBody(symbol, fileBuffers) : null);
+
+    entries.push({
+      id: symbolId,
+      symbolName: symbol.name,
+      symbolType: symbol.type,
+      file: symbol.file,
+      line: symbol.line,
+      endLine: symbol.endLine,
+      hash: symbol.hash,
+      embedding: null,
+      text: textToEmbed,
+      documentation: symbol.documentation || null,
+      signature: symbol.signature || null
+    });
   }
 
-  // Also create file-level embeddings
   for (const [filePath, fileInfo] of Object.entries(symbolGraph.files)) {
-    try {
-      const fileText = createFileText(fileInfo, symbolGraph);
-      const embedding = await generateEmbedding(fileText);
-      
-      index.embeddings.push({
-        id: `file::${filePath}`,
-        symbolName: path.basename(filePath),
-        symbolType: 'file',
-        file: filePath,
-        line: 0,
-        embedding: embedding,
-        text: fileText,
-        language: fileInfo.language,
-        symbolCount: fileInfo.symbolCount
+    entries.push({
+      id: `file::${filePath}`,
+      symbolName: path.basename(filePath),
+      symbolType: 'file',
+      file: filePath,
+      line: 0,
+      embedding: null,
+      text: createFileText(fileInfo, symbolGraph),
+      language: fileInfo.language,
+      symbolCount: fileInfo.symbolCount
+    });
+  }
+
+  // Then the code, chunk by chunk
+  if (chunks) {
+    for (const chunk of createCodeChunks(symbolGraph, codeFiles)) {
+      entries.push({
+        id: chunk.id,
+        symbolName: chunk.symbolName,
+        symbolType: 'chunk',
+        chunkKind: chunk.kind,
+        symbolId: chunk.symbolId,
+        file: chunk.file,
+        line: chunk.startLine,
+        endLine: chunk.endLine,
+        embedding: null,
+        text: `${chunk.context}\n${chunk.code}`,
+        code: chunk.code
       });
-    } catch (error) {
-      log(`Failed to embed file ${filePath}: ${error.message}`, 'warning');
     }
   }
 
+  // Unchanged entries keep their vectors
+  const reusable = getReusableEmbeddings(previousIndex, model);
+  const pending = [];
+  for (const entry of entries) {
+    entry.embedding = reusable.get(getReuseKey(entry.text, entry.hash)) || null;
+    if (entry.embedding) {
+      index.metadata.reusedEmbeddings++;
+    } else {
+      pending.push(entry);
+    }
+  }
+
+  if (pending.length > 0) {
+    log(`Embedding ${pending.length} item(s) in batches of ${batchSize}${workers > 0 ? ` on ${workers} worker(s)` : ''}...`, 'info');
+    await embedEntries(pending, { batchSize, workers, onProgress });
+  }
+
+  index.embeddings = entries.filter(entry => entry.embedding);
   index.metadata.totalEmbeddings = index.embeddings.length;
-  log(`Embedding index built: ${index.embeddings.length} embeddings`, 'success');
+  index.metadata.dimensions = index.embeddings[0]?.embedding.length ?? model.dimensions;
+  index.ann = createAnnIndex(index);
+  index.lexical = createLexicalIndex(index, symbolGraph, fileBuffers);
+  log(`Embedding index built: ${index.embeddings.length} embeddings (${index.metadata.reusedEmbeddings} reused)`, 'success');
   
   // Save index to disk
-  await saveIndex(index, repoId);
+  if (persist) {
+    await saveIndex(index, repoId);
+  }
   
   return index;
 }
 
+/**
+ * Fill in `embedding` for each entry, one pipeline call per batch
+ * A failing batch is retried one entry at a time so a single bad text only loses itself.
+ */
+async function embedEntries(entries, { batchSize, workers, onProgress }) {
+  const batches = [];
+  for (let i = 0; i < entries.length; i += batchSize) {
+    batches.push(entries.slice(i, i + batchSize));
+  }
+
+  const pool = workers > 0 ? createWorkerPool(workers) : null;
+  const embed = texts => (pool ? pool.embed(texts) : generateEmbeddings(texts));
+  let done = 0;
+  let finishedBatches = 0;
+
+  const runBatch = async batch => {
+    try {
+      const vectors = await embed(batch.map(entry => entry.text));
+      batch.forEach((entry, i) => { entry.embedding = vectors[i]; });
+    } catch (error) {
+      log(`Batch embedding failed (${error.message}), retrying ${batch.length} item(s) one by one`, 'warning');
+      for (const entry of batch) {
+        try {
+          [entry.embedding] = await embed([entry.text]);
+        } catch (itemError) {
+          log(`Failed to embed ${entry.id}: ${itemError.message}`, 'warning');
+        }
+      }
+    }
+
+    done += batch.length;
+    finishedBatches++;
+    emitProgress(onProgress, ProgressStage.EMBEDDING, `Embedded ${done}/${entries.length}`, {
+      current: done,
+      total: entries.length
+    });
+    if (isProgressStep(finishedBatches, batches.length, 10)) {
+      log(`Embedded ${done}/${entries.length}`, 'info');
+    }
+  };
+
+  try {
+    if (pool) {
+      // The pool queues batches until a worker is free
+      await Promise.all(batches.map(runBatch));
+    } else {
+      for (const batch of batches) {
+        await runBatch(batch);
+      }
+    }
+  } finally {
+    await pool?.close();
+  }
+}
+
+/**
+ * Spread embedding batches over worker threads, each with its own model instance
+ * @param {number} size - Number of workers
+ * @returns {{embed: Function, close: Function}} embed(texts) → vectors; close() stops the workers
+ */
+function createWorkerPool(size) {
+  const idle = [];
+  const queue = [];
+  let alive = size;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      worker.job = queue.shift();
+      worker.postMessage({ texts: worker.job.texts });
+    }
+  };
+
+  const workers = Array.from({ length: size }, () => {
+    const worker = new Worker(new URL('./embeddingWorker.js', import.meta.url));
+
+    worker.on('message', ({ vectors, error }) => {
+      const { job } = worker;
+      worker.job = null;
+      idle.push(worker);
+      if (error) job.reject(new Error(error));
+      else job.resolve(vectors);
+      dispatch();
+    });
+
+    worker.on('error', error => {
+      log(`Embedding worker crashed: ${error.message}`, 'warning');
+      worker.job?.reject(error);
+      worker.job = null;
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      // Without workers left, nothing would ever pick up the queue
+      if (--alive === 0) {
+        queue.splice(0).forEach(job => job.reject(error));
+      }
+    });
+
+    idle.push(worker);
+    return worker;
+  });
+
+  return {
+    embed(texts) {
+      return new Promise((resolve, reject) => {
+        if (alive === 0) {
+          reject(new Error('No embedding workers left'));
+          return;
+        }
+        queue.push({ texts, resolve, reject });
+        dispatch();
+      });
+    },
+    close() {
+      return Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+/**
+ * Drop the entries of deleted files from an earlier index before it is reused
+ * @param {Object|null} index - Index from loadIndex
+ * @param {Set<string>} files - Deleted file paths
+ * @returns {Object|null} The index without entries of those files
+ */
+export function evictIndexFiles(index, files) {
+  if (!index || files.size === 0) {
+    return index;
+  }
+
+  return { ...index, embeddings: index.embeddings.filter(entry => !files.has(entry.file)) };
+}
+
+/**
+ * Embeddings of an earlier index, keyed by what was embedded
+ * Vectors from a different model (or precision) are not comparable and are never reused.
+ */
+function getReusableEmbeddings(previousIndex, model) {
+  const reusable = new Map();
+  if (!previousIndex || getModelMismatch(previousIndex) || (previousIndex.metadata.quantized ?? true) !== model.quantized) {
+    return reusable;
+  }
+
+  for (const entry of previousIndex.embeddings) {
+    reusable.set(getReuseKey(entry.text, entry.hash), entry.embedding);
+  }
+  return reusable;
+}
+
+/**
+ * The embedding only depends on the text; the symbol's content hash is part
+ * of the key so a changed body is never matched by an unchanged summary
+ */
+function getReuseKey(text, hash) {
+  return `${hash || ''}\u0000${text}`;
+}
+
+/**
+ * Source of a symbol, cut by its byte range
+ */
+function getSymbolBody(symbol, fileBuffers, maxChars = EMBED_BODY_MAX_CHARS) {
+  const buffer = fileBuffers.get(symbol?.file);
+  if (!buffer || !symbol.range) {
+    return null;
+  }
+
+  const body = buffer.subarray(symbol.range.startByte, symbol.range.endByte).toString('utf-8');
+  return body.length > maxChars ? body.substring(0, maxChars) : body;
+}
+
 /**
  * Create rich text representation of a symbol for embedding
  */
-function createSymbolText(symbol) {
+function createSymbolText(symbol, body = null) {
   const parts = [];
   
   // Add symbol type and name
@@ -189,6 +527,11 @@ function createSymbolText(symbol) {
   if (symbol.className) {
     parts.push(`method of class ${symbol.className}`);
   }
+
+  // Source code last, so truncation by the model drops it first
+  if (body) {
+    parts.push(body);
+  }
   
   return parts.join(' ');
 }
@@ -272,20 +615,7 @@ export async function semanticSearch(index, query, topK = 10) {
   try {
     // Generate embedding for query
     const queryEmbedding = await generateEmbedding(query);
-    
-    // Calculate similarities
-    const results = index.embeddings.map(item => {
-      const similarity = cosineSimilarity(queryEmbedding, item.embedding);
-      return {
-        ...item,
-        similarity,
-        embedding: undefined // Remove embedding from result to save space
-      };
-    });
-    
-    // Sort by similarity and return top K
-    results.sort((a, b) => b.similarity - a.similarity);
-    const topResults = results.slice(0, topK);
+    const topResults = searchByVector(index, queryEmbedding, topK);
     
     log(`Found ${topResults.length} relevant results (top similarity: ${topResults[0]?.similarity.toFixed(3)})`, 'success');
     
@@ -296,20 +626,224 @@ export async function semanticSearch(index, query, topK = 10) {
   }
 }
 
+/**
+ * Find the entries closest to a query vector
+ * Uses the index's HNSW graph when it has one (see createAnnIndex), otherwise
+ * scans every embedding. Only the returned entries are copied.
+ * @param {Object} index - Embedding index
+ * @param {Array<number>|Float32Array} queryEmbedding - Normalized query vector
+ * @param {number} topK - Number of results to return
+ * @param {Object} options - Search options
+ * @param {boolean} options.exact - Always scan every embedding
+ * @param {number} options.efSearch - HNSW candidate list size (default ANN_EF_SEARCH or 64)
+ * @returns {Array} Top K entries with their `similarity`, best first
+ */
+export function searchByVector(index, queryEmbedding, topK = 10, options = {}) {
+  return findNearest(index, queryEmbedding, topK, options)
+    .map(({ id, similarity }) => toSearchResult(index, id, { similarity }));
+}
+
+/**
+ * Hybrid search: vector similarity and BM25 (see lexicalIndex.js) rankings
+ * fused with reciprocal-rank fusion, so both entries that mean the same thing
+ * and entries that contain the exact identifiers or strings of the query rank
+ * high. Falls back to vector search alone for indexes without a lexical index.
+ * @param {Object} index - Embedding index
+ * @param {string} query - Search query
+ * @param {number} topK - Number of results to return
+ * @param {Object} options - Search options
+ * @param {string} options.lexicalQuery - Text for the lexical side, when it should differ from `query`
+ *                                        (e.g. just the identifier)
+ * @returns {Promise<Array>} Top K results with `similarity` (cosine), `score` (fused) and
+ *                           `retrievedBy` ('semantic' and/or 'lexical')
+ */
+export async function hybridSearch(index, query, topK = 10, options = {}) {
+  const { lexicalQuery = query } = options;
+  log(`Performing hybrid search for: "${query}"`, 'code');
+  
+  try {
+    const queryEmbedding = await generateEmbedding(query);
+    const candidates = Math.max(topK * 2, HYBRID_MIN_CANDIDATES);
+    
+    const rankings = {
+      semantic: findNearest(index, queryEmbedding, candidates),
+      lexical: index.lexical ? searchLexicalIndex(index.lexical, lexicalQuery, candidates) : []
+    };
+    
+    const fused = new Map();
+    for (const [source, ranking] of Object.entries(rankings)) {
+      ranking.forEach(({ id }, rank) => {
+        const match = fused.get(id) || { id, score: 0, retrievedBy: [] };
+        match.score += 1 / (RRF_K + rank + 1);
+        match.retrievedBy.push(source);
+        fused.set(id, match);
+      });
+    }
+    
+    const similarities = new Map(rankings.semantic.map(({ id, similarity }) => [id, similarity]));
+    const topResults = Array.from(fused.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ id, score, retrievedBy }) => toSearchResult(index, id, {
+        similarity: similarities.get(id) ?? cosineSimilarity(queryEmbedding, index.embeddings[id].embedding),
+        score,
+        retrievedBy
+      }));
+    
+    const lexicalHits = topResults.filter(result => result.retrievedBy.includes('lexical')).length;
+    log(`Found ${topResults.length} relevant results (${lexicalHits} with lexical matches)`, 'success');
+    
+    return topResults;
+  } catch (error) {
+    log(`Hybrid search failed: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Positions of the entries closest to a query vector
+ * @returns {Array<{id: number, similarity: number}>} Best first
+ */
+function findNearest(index, queryEmbedding, topK, options = {}) {
+  const { exact = false, efSearch = parseInt(process.env.ANN_EF_SEARCH, 10) || undefined } = options;
+  
+  const dimensions = index.embeddings[0]?.embedding.length;
+  if (dimensions && queryEmbedding.length !== dimensions) {
+    throw new Error(`the query has ${queryEmbedding.length} dimensions but the index has ${dimensions} ` +
+      `(built with ${index.metadata?.model || 'another model'}); rebuild the index with the configured model`);
+  }
+  
+  if (index.ann && !exact) {
+    const getVector = id => index.embeddings[id].embedding;
+    return searchAnnIndex(index.ann, getVector, queryEmbedding, topK, efSearch)
+      .map(({ id }) => ({ id, similarity: cosineSimilarity(queryEmbedding, getVector(id)) }));
+  }
+  
+  return selectTopK(index.embeddings, item => cosineSimilarity(queryEmbedding, item.embedding), topK);
+}
+
+/**
+ * Copy of an entry for search results
+ */
+function toSearchResult(index, id, fields) {
+  return {
+    ...index.embeddings[id],
+    ...fields,
+    embedding: undefined // Remove embedding from result to save space
+  };
+}
+
+/**
+ * Score every item, keeping only the best `topK` in a small sorted list
+ * @returns {Array<{id: number, similarity: number}>} Best first
+ */
+function selectTopK(items, score, topK) {
+  const best = [];
+  if (topK <= 0) {
+    return best;
+  }
+  
+  for (let id = 0; id < items.length; id++) {
+    const similarity = score(items[id]);
+    if (best.length === topK && similarity <= best[best.length - 1].similarity) continue;
+    
+    let position = best.length;
+    while (position > 0 && best[position - 1].similarity < similarity) position--;
+    best.splice(position, 0, { id, similarity });
+    if (best.length > topK) best.pop();
+  }
+  
+  return best;
+}
+
+/**
+ * Build the HNSW graph for an index large enough to need one
+ * @returns {Object|null} ANN index, or null when exact search is used
+ */
+function createAnnIndex(index) {
+  const minEmbeddings = parseInt(process.env.ANN_MIN_EMBEDDINGS, 10) || DEFAULT_ANN_MIN_EMBEDDINGS;
+  if (index.embeddings.length < minEmbeddings) {
+    return null;
+  }
+  
+  const start = Date.now();
+  const ann = buildAnnIndex(index.embeddings.length, id => index.embeddings[id].embedding);
+  log(`ANN index built over ${index.embeddings.length} embeddings in ${((Date.now() - start) / 1000).toFixed(1)}s`, 'info');
+  return ann;
+}
+
+/**
+ * Build the BM25 index over every entry's name, embedded text and source
+ * Without a symbol graph (an index loaded without its lexical index) only
+ * what the entries themselves record is indexed.
+ */
+function createLexicalIndex(index, symbolGraph = null, fileBuffers = new Map()) {
+  return buildLexicalIndex(index.embeddings.map(entry => ({
+    name: entry.symbolName,
+    text: entry.text,
+    body: getSymbolBody(symbolGraph?.symbols[entry.id], fileBuffers, LEXICAL_BODY_MAX_CHARS)
+  })));
+}
+
 /**
  * Save embedding index to disk
+ * Two files: `<repo>.meta.json` (index metadata and entries without their
+ * vectors) and `<repo>.vectors.bin` (VECTOR_FILE_HEADER_BYTES of header, then
+ * every vector as little-endian float32, in entry order). Large indexes also
+ * get `<repo>.ann.bin`, their serialized HNSW graph. The BM25 index is
+ * `<repo>.bm25.json`.
  */
 async function saveIndex(index, repoId) {
   try {
     await fs.mkdir(INDEX_DIR, { recursive: true });
     
-    const indexPath = path.join(INDEX_DIR, `${sanitizeRepoId(repoId)}.json`);
+    const paths = getIndexPaths(repoId);
+    const dimensions = index.embeddings[0]?.embedding.length || 0;
+    const vectors = new Float32Array(index.embeddings.length * dimensions);
+    
+    const entries = index.embeddings.map((entry, i) => {
+      if (entry.embedding.length !== dimensions) {
+        throw new Error(`${entry.id} has ${entry.embedding.length} dimensions, expected ${dimensions}`);
+      }
+      vectors.set(entry.embedding, i * dimensions);
+      return { ...entry, embedding: undefined };
+    });
+    
+    const header = Buffer.alloc(VECTOR_FILE_HEADER_BYTES);
+    header.write(VECTOR_FILE_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(INDEX_FORMAT_VERSION, 4);
+    header.writeUInt32LE(entries.length, 8);
+    header.writeUInt32LE(dimensions, 12);
+    
+    const meta = {
+      formatVersion: INDEX_FORMAT_VERSION,
+      repoId: index.repoId,
+      count: entries.length,
+      dimensions,
+      metadata: index.metadata,
+      entries
+    };
+    
+    // Write all files under temporary names first so a crash never leaves a mismatched set
+    await fs.writeFile(`${paths.vectors}.tmp`, Buffer.concat([header, toLittleEndian(Buffer.from(vectors.buffer))]));
+    if (index.ann) {
+      await fs.writeFile(`${paths.ann}.tmp`, serializeAnnIndex(index.ann));
+    }
+    await fs.writeFile(`${paths.lexical}.tmp`, JSON.stringify(serializeLexicalIndex(index.lexical)), 'utf-8');
+    await fs.writeFile(`${paths.meta}.tmp`, JSON.stringify(meta), 'utf-8');
+    await fs.rename(`${paths.vectors}.tmp`, paths.vectors);
+    if (index.ann) {
+      await fs.rename(`${paths.ann}.tmp`, paths.ann);
+    } else {
+      await fs.rm(paths.ann, { force: true });
+    }
+    await fs.rename(`${paths.lexical}.tmp`, paths.lexical);
+    await fs.rename(`${paths.meta}.tmp`, paths.meta);
     
-    // Convert to JSON-serializable format
-    const serialized = JSON.stringify(index, null, 2);
+    // The JSON index of older versions is superseded
+    await fs.rm(paths.legacy, { force: true });
     
-    await fs.writeFile(indexPath, serialized, 'utf-8');
-    log(`Index saved to: ${indexPath}`, 'success');
+    log(`Index saved to: ${paths.meta} (+ ${path.basename(paths.vectors)})`, 'success');
   } catch (error) {
     log(`Failed to save index: ${error.message}`, 'error');
     throw error;
@@ -318,14 +852,58 @@ async function saveIndex(index, repoId) {
 
 /**
  * Load embedding index from disk
+ * Vectors are streamed into a single Float32Array and each entry's
+ * `embedding` is a view into it. Indexes saved as one JSON file by older
+ * versions are still read. An index built with another embedding model (or
+ * of another dimension) can't be searched and is treated as missing, so the
+ * caller rebuilds it.
  */
 export async function loadIndex(repoId) {
+  const paths = getIndexPaths(repoId);
+  
   try {
-    const indexPath = path.join(INDEX_DIR, `${sanitizeRepoId(repoId)}.json`);
-    const content = await fs.readFile(indexPath, 'utf-8');
-    const index = JSON.parse(content);
+    const meta = JSON.parse(await fs.readFile(paths.meta, 'utf-8'));
+    if (meta.formatVersion > INDEX_FORMAT_VERSION) {
+      throw new Error(`index format ${meta.formatVersion} is newer than supported (${INDEX_FORMAT_VERSION})`);
+    }
+    
+    const mismatch = getModelMismatch({ metadata: { dimensions: meta.dimensions, ...meta.metadata } });
+    if (mismatch) {
+      log(`Ignoring the index of ${repoId}: ${mismatch}. It will be rebuilt`, 'warning');
+      return null;
+    }
+    
+    const vectors = await readVectorFile(paths.vectors, meta);
+    const index = {
+      repoId: meta.repoId,
+      embeddings: meta.entries.map((entry, i) => ({
+        ...entry,
+        embedding: vectors.subarray(i * meta.dimensions, (i + 1) * meta.dimensions)
+      })),
+      metadata: meta.metadata
+    };
+    index.ann = await loadAnnIndex(paths.ann, index);
+    index.lexical = await loadLexicalIndex(paths.lexical, index);
     
-    log(`Index loaded from: ${indexPath}`, 'success');
+    log(`Index loaded from: ${paths.meta}`, 'success');
+    return index;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log(`Failed to load index: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  try {
+    const index = JSON.parse(await fs.readFile(paths.legacy, 'utf-8'));
+    const mismatch = getModelMismatch(index);
+    if (mismatch) {
+      log(`Ignoring the index of ${repoId}: ${mismatch}. It will be rebuilt`, 'warning');
+      return null;
+    }
+    index.ann = createAnnIndex(index);
+    index.lexical = createLexicalIndex(index);
+    log(`Index loaded from: ${paths.legacy} (JSON format, rewritten in the binary format on next save)`, 'success');
     return index;
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -337,17 +915,122 @@ export async function loadIndex(repoId) {
   }
 }
 
+/**
+ * Why an index can't be searched with the configured model
+ * @returns {string|null} Reason, or null if the index matches the model
+ */
+function getModelMismatch(index) {
+  const model = getEmbeddingModel();
+  const builtWith = index.metadata?.model;
+  const dimensions = index.metadata?.dimensions ?? index.embeddings?.[0]?.embedding.length;
+  
+  if (builtWith !== model.id) {
+    return `it was built with ${builtWith || 'an unknown model'}, the configured model is ${model.id}`;
+  }
+  if (model.dimensions && dimensions && dimensions !== model.dimensions) {
+    return `it has ${dimensions}-dimensional vectors, ${model.id} produces ${model.dimensions}`;
+  }
+  return null;
+}
+
+/**
+ * Read the saved HNSW graph of an index
+ * A missing or unusable graph is rebuilt in memory (or skipped for small indexes).
+ */
+async function loadAnnIndex(annPath, index) {
+  try {
+    const ann = deserializeAnnIndex(await fs.readFile(annPath));
+    if (ann.count === index.embeddings.length) {
+      return ann;
+    }
+    log(`${path.basename(annPath)} does not match the index (${ann.count} nodes), rebuilding it`, 'warning');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log(`Ignoring unreadable ANN index: ${error.message}`, 'warning');
+    }
+  }
+  return createAnnIndex(index);
+}
+
+/**
+ * Read the saved BM25 index of an index
+ * A missing or unusable one is rebuilt from the entries, without source code.
+ */
+async function loadLexicalIndex(lexicalPath, index) {
+  try {
+    const lexical = deserializeLexicalIndex(JSON.parse(await fs.readFile(lexicalPath, 'utf-8')));
+    if (lexical.count === index.embeddings.length) {
+      return lexical;
+    }
+    log(`${path.basename(lexicalPath)} does not match the index (${lexical.count} documents), rebuilding it`, 'warning');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log(`Ignoring unreadable lexical index: ${error.message}`, 'warning');
+    }
+  }
+  return createLexicalIndex(index);
+}
+
+/**
+ * Read a vector file into one Float32Array, chunk by chunk, without
+ * holding a second copy of the data
+ */
+async function readVectorFile(vectorsPath, meta) {
+  const handle = await fs.open(vectorsPath, 'r');
+  
+  try {
+    const header = Buffer.alloc(VECTOR_FILE_HEADER_BYTES);
+    await handle.read(header, 0, VECTOR_FILE_HEADER_BYTES, 0);
+    
+    if (header.toString('ascii', 0, 4) !== VECTOR_FILE_MAGIC) {
+      throw new Error(`${path.basename(vectorsPath)} is not a vector file`);
+    }
+    const version = header.readUInt32LE(4);
+    const count = header.readUInt32LE(8);
+    const dimensions = header.readUInt32LE(12);
+    if (version !== meta.formatVersion || count !== meta.count || dimensions !== meta.dimensions) {
+      throw new Error(`${path.basename(vectorsPath)} does not match its metadata (version ${version}, ${count}x${dimensions})`);
+    }
+    
+    const vectors = new Float32Array(count * dimensions);
+    const bytes = Buffer.from(vectors.buffer);
+    let offset = 0;
+    while (offset < bytes.length) {
+      const { bytesRead } = await handle.read(bytes, offset, Math.min(VECTOR_READ_CHUNK_BYTES, bytes.length - offset), VECTOR_FILE_HEADER_BYTES + offset);
+      if (bytesRead === 0) {
+        throw new Error(`${path.basename(vectorsPath)} is truncated`);
+      }
+      offset += bytesRead;
+    }
+    
+    toLittleEndian(bytes);
+    return vectors;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * The vector file is little-endian; swap bytes in place on big-endian hosts
+ */
+function toLittleEndian(bytes) {
+  return os.endianness() === 'LE' ? bytes : bytes.swap32();
+}
+
 /**
  * Check if index exists for a repository
  */
 export async function indexExists(repoId) {
-  try {
-    const indexPath = path.join(INDEX_DIR, `${sanitizeRepoId(repoId)}.json`);
-    await fs.access(indexPath);
-    return true;
-  } catch {
-    return false;
+  const paths = getIndexPaths(repoId);
+  for (const indexPath of [paths.meta, paths.legacy]) {
+    try {
+      await fs.access(indexPath);
+      return true;
+    } catch {
+      // Try the next format
+    }
   }
+  return false;
 }
 
 /**
@@ -355,25 +1038,42 @@ export async function indexExists(repoId) {
  */
 export async function deleteIndex(repoId) {
   try {
-    const indexPath = path.join(INDEX_DIR, `${sanitizeRepoId(repoId)}.json`);
+    const paths = getIndexPaths(repoId);
+    let deleted = false;
     
-    // Check if file exists before trying to delete
-    try {
-      await fs.access(indexPath);
-      await fs.unlink(indexPath);
-      log(`Index deleted: ${indexPath}`, 'success');
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        log(`Index file does not exist (already deleted or never created): ${indexPath}`, 'info');
-      } else {
-        throw error;
+    for (const indexPath of [paths.meta, paths.vectors, paths.ann, paths.lexical, paths.legacy]) {
+      try {
+        await fs.unlink(indexPath);
+        deleted = true;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
       }
     }
+    
+    if (deleted) {
+      log(`Index deleted: ${paths.meta}`, 'success');
+    } else {
+      log(`Index files do not exist (already deleted or never created): ${paths.meta}`, 'info');
+    }
   } catch (error) {
     log(`Failed to delete index: ${error.message}`, 'warning');
   }
 }
 
+/**
+ * Files of a repository's index
+ */
+function getIndexPaths(repoId) {
+  const base = path.join(INDEX_DIR, sanitizeRepoId(repoId));
+  return {
+    meta: `${base}.meta.json`,
+    vectors: `${base}.vectors.bin`,
+    ann: `${base}.ann.bin`,
+    lexical: `${base}.bm25.json`,
+    legacy: `${base}.json`
+  };
+}
+
 /**
  * Sanitize repository ID for use in filename
  */
@@ -395,6 +1095,9 @@ export async function getIndexStats(repoId) {
     totalEmbeddings: index.metadata.totalEmbeddings,
     buildTime: new Date(index.metadata.buildTime).toISOString(),
     model: index.metadata.model,
+    dimensions: index.metadata.dimensions,
+    search: index.ann ? 'hnsw' : 'exact',
+    lexicalTerms: index.lexical.postings.size,
     symbolTypes: {},
     languages: {}
   };
@@ -429,7 +1132,7 @@ export async function rebuildIndex(symbolGraph, repoId) {
  */
 export async function findSimilarSymbols(index, symbolName, topK = 5) {
   const query = `function or class named ${symbolName}`;
-  return await semanticSearch(index, query, topK);
+  return await hybridSearch(index, query, topK, { lexicalQuery: symbolName });
 }
 
 /**
@@ -0,0 +1,20 @@
+/**
+ * 👻 GhostCoder - Embedding Worker
+ *
+ * Worker thread used by buildEmbeddingIndex when EMBED_WORKERS > 0. Loads
+ * its own copy of the embedding model and embeds the batches it is sent:
+ * { texts } → { vectors } or { error }.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { parentPort } from 'worker_threads';
+import { generateEmbeddings } from './embeddingIndex.js';
+
+parentPort.on('message', async ({ texts }) => {
+  try {
+    parentPort.postMessage({ vectors: await generateEmbeddings(texts) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
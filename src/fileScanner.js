@@ -0,0 +1,306 @@
+/**
+ * 👻 GhostCoder - File Scanner
+ *
+ * The single place that decides which files in a repository are source code
+ * worth analyzing. A file is skipped when it is:
+ *
+ * - in a skipped directory (node_modules, build output, hidden dirs, ...)
+ * - ignored by a .gitignore (nested files included) or .git/info/exclude
+ * - marked `linguist-generated` or `linguist-vendored` in .gitattributes
+ * - generated code with a "DO NOT EDIT" / "@generated" header
+ *   (protobuf stubs, codegen output)
+ * - minified
+ * - binary (contains a NUL byte in its first 8000 bytes, like git's check)
+ * - larger than `maxSize`
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import ignore from 'ignore';
+
+/**
+ * Extensions treated as code by default
+ */
+export const CODE_EXTENSIONS = [
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.java', '.go', '.rs',
+  '.rb', '.php', '.c', '.h', '.cpp', '.cs'
+];
+
+/**
+ * Directory names that are never scanned (hidden directories are skipped too)
+ */
+export const DEFAULT_IGNORE_DIRS = ['node_modules', 'dist', 'build', 'coverage', 'temp_repos', '__pycache__'];
+
+/**
+ * Why a file was left out of the scan
+ */
+export const SkipReason = {
+  IGNORED: 'ignored',
+  GENERATED: 'generated',
+  VENDORED: 'vendored',
+  MINIFIED: 'minified',
+  BINARY: 'binary',
+  TOO_LARGE: 'too_large'
+};
+
+const DEFAULT_MAX_SIZE = 100000;
+const BINARY_SNIFF_BYTES = 8000;
+const GENERATED_HEADER_LINES = 5;
+const GENERATED_HEADER = /@generated|DO NOT EDIT|Code generated by|auto-?generated/i;
+const MINIFIED_NAME = /\.min\.[a-z]+$/i;
+const MINIFIED_MIN_LENGTH = 2000;
+const MINIFIED_AVG_LINE_LENGTH = 250;
+
+/**
+ * Scan a directory for code files
+ * @param {string} rootPath - Directory to scan
+ * @param {Object} options - Scan options
+ * @param {string} options.repoRoot - Repository root, so .gitignore/.gitattributes above rootPath apply (defaults to rootPath)
+ * @param {number} options.maxSize - Maximum file size in bytes (default 100KB)
+ * @param {Array<string>} options.extensions - Extensions to collect (default CODE_EXTENSIONS)
+ * @param {Array<string>} options.ignoreDirs - Extra directory names to skip
+ * @param {Function} options.filter - (relativePath) => boolean, applied before reading the file
+ * @returns {Promise<{files: Array<{path: string, content: string, size: number}>, skipped: Object}>}
+ *          Files (paths relative to rootPath) and skip counts per SkipReason
+ */
+export async function scanCodeFiles(rootPath, options = {}) {
+  const root = path.resolve(rootPath);
+  const repoRoot = path.resolve(options.repoRoot || rootPath);
+  const maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  const extensions = options.extensions || CODE_EXTENSIONS;
+  const ignoreDirs = [...DEFAULT_IGNORE_DIRS, ...(options.ignoreDirs || [])];
+  const filter = options.filter || (() => true);
+
+  const files = [];
+  const skipped = Object.fromEntries(Object.values(SkipReason).map(reason => [reason, 0]));
+
+  async function scanDirectory(dir, rules) {
+    const local = await loadDirectoryRules(dir, dir === repoRoot);
+    const scopeRules = local ? [...rules, local] : rules;
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (entry.name.startsWith('.') || ignoreDirs.includes(entry.name)) continue;
+        if (isIgnored(scopeRules, fullPath, true)) {
+          skipped[SkipReason.IGNORED]++;
+          continue;
+        }
+        await scanDirectory(fullPath, scopeRules);
+        continue;
+      }
+
+      if (!entry.isFile() || !extensions.includes(path.extname(entry.name).toLowerCase())) continue;
+
+      const relativePath = path.relative(root, fullPath);
+      if (!filter(relativePath)) continue;
+
+      const reason = await classifyFile(fullPath, scopeRules, maxSize);
+      if (typeof reason === 'string') {
+        skipped[reason]++;
+      } else if (reason) {
+        files.push({ path: relativePath, content: reason.content, size: reason.size });
+      }
+    }
+  }
+
+  const ancestorRules = await loadAncestorRules(repoRoot, root);
+  await scanDirectory(root, ancestorRules);
+
+  return { files, skipped };
+}
+
+/**
+ * Decide whether a file is kept
+ * @returns {Promise<string|{content: string, size: number}|null>} SkipReason, file data, or null if unreadable
+ */
+async function classifyFile(fullPath, rules, maxSize) {
+  if (isIgnored(rules, fullPath, false)) {
+    return SkipReason.IGNORED;
+  }
+
+  const attributes = getLinguistAttributes(rules, fullPath);
+  if (attributes.generated) return SkipReason.GENERATED;
+  if (attributes.vendored) return SkipReason.VENDORED;
+
+  if (MINIFIED_NAME.test(path.basename(fullPath))) {
+    return SkipReason.MINIFIED;
+  }
+
+  let buffer;
+  try {
+    const stats = await fs.stat(fullPath);
+    if (stats.size > maxSize) return SkipReason.TOO_LARGE;
+    buffer = await fs.readFile(fullPath);
+  } catch (error) {
+    // Skip files that can't be read
+    return null;
+  }
+
+  if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    return SkipReason.BINARY;
+  }
+
+  const content = buffer.toString('utf-8');
+
+  if (hasGeneratedHeader(content)) return SkipReason.GENERATED;
+  if (isMinified(content)) return SkipReason.MINIFIED;
+
+  return { content, size: buffer.length };
+}
+
+/**
+ * Load .gitignore / .gitattributes rules for the directories between the
+ * repository root and the scan root (exclusive)
+ */
+async function loadAncestorRules(repoRoot, root) {
+  const rules = [];
+  const relative = path.relative(repoRoot, root);
+
+  if (!relative || relative.startsWith('..')) {
+    return rules;
+  }
+
+  let dir = repoRoot;
+  const segments = relative.split(path.sep);
+  for (const segment of segments) {
+    const local = await loadDirectoryRules(dir, dir === repoRoot);
+    if (local) rules.push(local);
+    dir = path.join(dir, segment);
+  }
+
+  return rules;
+}
+
+/**
+ * Read the ignore and attribute rules declared in one directory
+ * @returns {Promise<Object|null>} { dir, ignorer, attributes } or null if there are none
+ */
+async function loadDirectoryRules(dir, isRepoRoot) {
+  const ignorePatterns = [];
+
+  const gitignore = await readOptional(path.join(dir, '.gitignore'));
+  if (gitignore) ignorePatterns.push(gitignore);
+
+  if (isRepoRoot) {
+    const exclude = await readOptional(path.join(dir, '.git', 'info', 'exclude'));
+    if (exclude) ignorePatterns.push(exclude);
+  }
+
+  const gitattributes = await readOptional(path.join(dir, '.gitattributes'));
+  const attributes = gitattributes ? parseGitAttributes(gitattributes) : [];
+
+  if (ignorePatterns.length === 0 && attributes.length === 0) {
+    return null;
+  }
+
+  return {
+    dir,
+    ignorer: ignorePatterns.length > 0 ? ignore().add(ignorePatterns.join('\n')) : null,
+    attributes
+  };
+}
+
+/**
+ * Parse the linguist attributes out of a .gitattributes file
+ * @returns {Array<{matcher: Object, generated: boolean|undefined, vendored: boolean|undefined}>}
+ */
+function parseGitAttributes(content) {
+  const rules = [];
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const [pattern, ...attrs] = line.split(/\s+/);
+    const rule = { matcher: ignore().add(pattern), generated: undefined, vendored: undefined };
+
+    for (const attr of attrs) {
+      const match = attr.match(/^([-!]?)linguist-(generated|vendored)(?:=(\w+))?$/);
+      if (!match) continue;
+
+      // "-attr" unsets and "!attr" resets to unspecified; both mean not generated/vendored
+      const [, prefix, name, value] = match;
+      rule[name] = prefix === '' && value !== 'false';
+    }
+
+    if (rule.generated !== undefined || rule.vendored !== undefined) {
+      rules.push(rule);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Apply gitignore rules; deeper .gitignore files take precedence
+ */
+function isIgnored(rules, fullPath, isDirectory) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const { dir, ignorer } = rules[i];
+    if (!ignorer) continue;
+
+    const relativePath = toPosix(path.relative(dir, fullPath)) + (isDirectory ? '/' : '');
+    const result = ignorer.test(relativePath);
+
+    if (result.ignored) return true;
+    if (result.unignored) return false;
+  }
+
+  return false;
+}
+
+/**
+ * Resolve linguist attributes; later (and deeper) lines override earlier ones
+ */
+function getLinguistAttributes(rules, fullPath) {
+  const resolved = { generated: false, vendored: false };
+
+  for (const { dir, attributes } of rules) {
+    const relativePath = toPosix(path.relative(dir, fullPath));
+
+    for (const rule of attributes) {
+      if (!rule.matcher.ignores(relativePath)) continue;
+      if (rule.generated !== undefined) resolved.generated = rule.generated;
+      if (rule.vendored !== undefined) resolved.vendored = rule.vendored;
+    }
+  }
+
+  return resolved;
+}
+
+function hasGeneratedHeader(content) {
+  const header = content.split('\n', GENERATED_HEADER_LINES).join('\n');
+  return GENERATED_HEADER.test(header);
+}
+
+function isMinified(content) {
+  if (content.length < MINIFIED_MIN_LENGTH) {
+    return false;
+  }
+
+  const lineCount = content.split('\n').length;
+  return content.length / lineCount > MINIFIED_AVG_LINE_LENGTH;
+}
+
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
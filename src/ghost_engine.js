@@ -3,7 +3,8 @@
  * 👻 GhostCoder Backend - Main Workflow Engine
  * Author: Ayushman Lakshkar
  * 
- * Usage: node ghost_engine.js <github-repo-url>
+ * Usage: node ghost_engine.js <github-repo-url> [--dry-run]
+ *        node ghost_engine.js --local <path-to-working-copy>
  */
 
 import dotenv from 'dotenv';
@@ -16,14 +17,33 @@ import {
   deleteDirectory, 
   validateEnvVars,
   formatChangeSummary,
-  ensureDirectory
+  ensureDirectory,
+  emitProgress,
+  ProgressStage
 } from './utils.js';
 import { analyzeCodeWithAI, generateImprovedCode } from './openrouter_api.js';
-import { cloneRepository, createBranch, applyChanges, commitChanges, pushBranch } from './repo_manager.js';
-import { createPullRequest, getRepoInfo, addLabelsToPR, commentOnPR } from './github_api.js';
+import { getLLMProvider, validateProviderConfig } from './llmProvider.js';
+import { createRequestStats, trackRequestStats } from './llmRequest.js';
+import { 
+  cloneRepository, 
+  openLocalRepository,
+  createBranch, 
+  applyChanges, 
+  commitChanges, 
+  pushBranch, 
+  getHeadCommit,
+  hasUncommittedChanges,
+  checkoutBranch,
+  restoreLocalCheckout
+} from './repo_manager.js';
+import { createPullRequest, getRepoInfo, addLabelsToPR, commentOnPR, requestReviewers } from './github_api.js';
 import { buildSymbolGraph } from './symbolGraph.js';
-import { buildEmbeddingIndex, loadIndex, indexExists, deleteIndex } from './embeddingIndex.js';
+import { buildEmbeddingIndex, loadIndex, evictIndexFiles } from './embeddingIndex.js';
+import { loadGraphCache, saveGraphCache, getChangesSinceCache, evictCachedFiles } from './graphCache.js';
 import { retrieveContext, formatContextForAI, createCompactContext } from './contextRetriever.js';
+import { writePatchBundle } from './patchBundle.js';
+import { verifyChanges, VerificationStatus } from './verifier.js';
+import { loadRepoConfig, isPathIncluded, isProtectedPath } from './repoConfig.js';
 
 // Load environment variables
 dotenv.config();
@@ -33,36 +53,91 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Main GhostCoder workflow
- * @param {string} repoUrl - GitHub repository URL
+ * @param {string|null} repoUrl - GitHub repository URL (ignored when options.localPath is set)
  * @param {Object} options - Configuration options
  * @param {string} options.baseBranch - Base branch to analyze (defaults to repo's default branch)
  * @param {string} options.analyzePath - Specific path/folder to analyze (defaults to root)
+ * @param {boolean} options.dryRun - Write a patch bundle instead of pushing and opening a PR
+ * @param {string} options.outputDir - Directory for the dry-run patch bundle (defaults to DRY_RUN_DIR)
+ * @param {string} options.localPath - Analyze a local git working copy instead of cloning from GitHub
+ * @param {boolean} options.allowFailingChecks - Open the PR even if verification fails
+ * @param {AbortSignal} options.signal - Aborts the run at the next pipeline stage (used by the job queue)
+ * @param {Function} options.onProgress - Receives structured progress events ({ stage, message, current?, total? })
  * @returns {Promise<Object>} Summary of the ghostcoder run
  */
 async function runGhostCoder(repoUrl, options = {}) {
+  // Count LLM requests, retries and JSON re-asks made during this run
+  const requestStats = createRequestStats();
+  const summary = await trackRequestStats(requestStats, () => runPipeline(repoUrl, options));
+  
+  if (requestStats.retries > 0 || requestStats.jsonRetries > 0) {
+    log(`LLM requests: ${requestStats.requests}, retries: ${requestStats.retries}, JSON re-asks: ${requestStats.jsonRetries}`, 'info');
+  }
+  
+  return { ...summary, llm_requests: requestStats };
+}
+
+/**
+ * GhostCoder pipeline (see runGhostCoder for options)
+ */
+async function runPipeline(repoUrl, options = {}) {
   let tempRepoPath = null;
-  const { baseBranch = null, analyzePath = '' } = options;
+  const { baseBranch = null, analyzePath = '', dryRun = false, outputDir = null, localPath = null, allowFailingChecks = false, signal = null, onProgress = null } = options;
+  const isLocal = Boolean(localPath);
+  
+  // Local mode: the checkout to restore when the run ends, and the files the run wrote
+  let localCheckout = null;
+  const touchedFiles = new Set();
   
   try {
-    // Validate environment variables
-    validateEnvVars(['OPENROUTER_API_KEY', 'GITHUB_TOKEN']);
+    if (isLocal && baseBranch) {
+      throw new Error('A base branch cannot be used with a local repository, check it out in the working copy instead');
+    }
     
-    log('🚀 GhostCoder Engine Starting...', 'ghost');
-    log(`Target Repository: ${repoUrl}`, 'info');
+    // Validate environment variables (dry runs and local runs never write to GitHub)
+    validateProviderConfig();
+    if (!dryRun && !isLocal) {
+      validateEnvVars(['GITHUB_TOKEN']);
+    }
     
-    // Step 1: Parse GitHub URL
-    const { owner, repo } = parseGitHubUrl(repoUrl);
-    log(`Repository: ${owner}/${repo}`, 'info');
+    log('🚀 GhostCoder Engine Starting...', 'ghost');
+    log(`Target Repository: ${isLocal ? localPath : repoUrl}`, 'info');
+    if (dryRun) {
+      log('Dry run: changes will be written to a patch bundle, no PR will be created', 'info');
+    }
     
-    // Step 2: Get repository information
-    const repoInfo = await getRepoInfo(owner, repo);
-    log(`Repository Info: ${repoInfo.description || 'No description'}`, 'info');
-    log(`Primary Language: ${repoInfo.language || 'Unknown'}`, 'info');
-    log(`Default Branch: ${repoInfo.defaultBranch}`, 'info');
+    let owner, repo, targetBaseBranch, repoPath;
     
-    // Determine the base branch to use
-    const targetBaseBranch = baseBranch || repoInfo.defaultBranch;
-    log(`Target Base Branch: ${targetBaseBranch}`, 'info');
+    if (isLocal) {
+      // Steps 1-3 (local): Use the working copy in place, no GitHub calls
+      const localRepo = await openLocalRepository(localPath);
+      
+      if (await hasUncommittedChanges(localRepo.path)) {
+        throw new Error(`Local repository has uncommitted changes, commit or stash them first: ${localRepo.path}`);
+      }
+      
+      owner = 'local';
+      repo = localRepo.name;
+      targetBaseBranch = localRepo.branch;
+      repoPath = localRepo.path;
+      localCheckout = localRepo;
+      log(`Repository: ${owner}/${repo}`, 'info');
+      log(`Target Base Branch: ${targetBaseBranch}`, 'info');
+    } else {
+      // Step 1: Parse GitHub URL
+      ({ owner, repo } = parseGitHubUrl(repoUrl));
+      log(`Repository: ${owner}/${repo}`, 'info');
+      
+      // Step 2: Get repository information
+      const repoInfo = await getRepoInfo(owner, repo);
+      log(`Repository Info: ${repoInfo.description || 'No description'}`, 'info');
+      log(`Primary Language: ${repoInfo.language || 'Unknown'}`, 'info');
+      log(`Default Branch: ${repoInfo.defaultBranch}`, 'info');
+      
+      // Determine the base branch to use
+      targetBaseBranch = baseBranch || repoInfo.defaultBranch;
+      log(`Target Base Branch: ${targetBaseBranch}`, 'info');
+    }
     
     // Determine the analysis path
     const targetAnalyzePath = analyzePath || '';
@@ -73,16 +148,38 @@ async function runGhostCoder(repoUrl, options = {}) {
     }
     
     // Step 3: Clone repository
-    const tempDir = process.env.TEMP_DIR || path.join(__dirname, '..', 'temp_repos');
-    await ensureDirectory(tempDir);
-    tempRepoPath = path.join(tempDir, `${repo}-${Date.now()}`);
+    if (!isLocal) {
+      emitProgress(onProgress, ProgressStage.CLONE, `Cloning ${owner}/${repo}`);
+      const tempDir = process.env.TEMP_DIR || path.join(__dirname, '..', 'temp_repos');
+      await ensureDirectory(tempDir);
+      tempRepoPath = path.join(tempDir, `${repo}-${Date.now()}`);
+      
+      await cloneRepository(repoUrl, tempRepoPath, targetBaseBranch);
+      repoPath = tempRepoPath;
+      emitProgress(onProgress, ProgressStage.CLONE, 'Repository cloned');
+    }
+    
+    // Step 3a: Load .ghostcoder.yml from the repository
+    let repoConfig = await loadRepoConfig(repoPath);
+    
+    if (repoConfig.baseBranch && !baseBranch && repoConfig.baseBranch !== targetBaseBranch) {
+      if (isLocal) {
+        log(`Ignoring base_branch "${repoConfig.baseBranch}" in local mode, using ${targetBaseBranch}`, 'warning');
+      } else {
+        targetBaseBranch = repoConfig.baseBranch;
+        log(`Target Base Branch (from ${repoConfig.source}): ${targetBaseBranch}`, 'info');
+        await checkoutBranch(repoPath, targetBaseBranch);
+        repoConfig = await loadRepoConfig(repoPath);
+      }
+    }
     
-    await cloneRepository(repoUrl, tempRepoPath, targetBaseBranch);
+    const baseCommit = await getHeadCommit(repoPath);
+    signal?.throwIfAborted();
     
     // Step 4: Validate and prepare scan path
     const scanPath = targetAnalyzePath 
-      ? path.join(tempRepoPath, targetAnalyzePath) 
-      : tempRepoPath;
+      ? path.join(repoPath, targetAnalyzePath) 
+      : repoPath;
     
     // Validate that the specified path exists
     if (targetAnalyzePath) {
@@ -91,13 +188,13 @@ async function runGhostCoder(repoUrl, options = {}) {
         const stats = await fs.stat(scanPath);
         if (!stats.isDirectory()) {
           log(`Specified path is not a directory: ${targetAnalyzePath}`, 'error');
-          await deleteDirectory(tempRepoPath);
+          if (tempRepoPath) await deleteDirectory(tempRepoPath);
           throw new Error(`Path "${targetAnalyzePath}" is not a directory`);
         }
       } catch (error) {
         if (error.code === 'ENOENT') {
           log(`Specified path does not exist: ${targetAnalyzePath}`, 'error');
-          await deleteDirectory(tempRepoPath);
+          if (tempRepoPath) await deleteDirectory(tempRepoPath);
           throw new Error(`Path "${targetAnalyzePath}" does not exist in the repository`);
         }
         throw error;
@@ -106,7 +203,15 @@ async function runGhostCoder(repoUrl, options = {}) {
     
     // Step 5: Scan and collect code files
     log('Scanning repository for code files...', 'code');
-    const codeFiles = await getCodeFiles(scanPath);
+    const scanOptions = {
+      extensions: repoConfig.extensions,
+      ignoreDirs: repoConfig.ignoreDirs
+    };
+    const codeFiles = await getCodeFiles(scanPath, 100000, {
+      ...scanOptions,
+      repoRoot: repoPath,
+      filter: relativePath => isPathIncluded(repoConfig, path.join(targetAnalyzePath, relativePath))
+    });
     
     if (codeFiles.length === 0) {
       log('No code files found to analyze', 'warning');
@@ -124,9 +229,28 @@ async function runGhostCoder(repoUrl, options = {}) {
     const repoId = `${owner}/${repo}`;
     log('Building symbol graph and semantic index...', 'ghost');
     
-    const symbolGraph = await buildSymbolGraph(codeFiles, tempRepoPath);
+    emitProgress(onProgress, ProgressStage.SYMBOL_GRAPH, `Building symbol graph for ${codeFiles.length} files`);
+    const graphCache = await loadGraphCache(repoId);
+    const { changed: changedFiles, deleted: deletedFiles } = await getChangesSinceCache(graphCache, repoPath, scanPath, baseCommit);
+    const symbolGraph = await buildSymbolGraph(codeFiles, repoPath, {
+      onProgress,
+      rootPath: scanPath,
+      previousAnalyses: evictCachedFiles(graphCache, deletedFiles)?.fileAnalyses,
+      changedFiles,
+      scanOptions: {
+        ...scanOptions,
+        filter: relativePath => isPathIncluded(repoConfig, relativePath)
+      }
+    });
+    await saveGraphCache(repoId, baseCommit, symbolGraph);
+    symbolGraph.syntaxFixes = symbolGraph.syntaxFixes.filter(fix => {
+      if (!isProtectedPath(repoConfig, fix.filePath)) return true;
+      log(`Not fixing syntax in protected path: ${fix.filePath}`, 'warning');
+      return false;
+    });
     log(`Symbol graph built with ${Object.keys(symbolGraph.symbols).length} symbols`, 'success');
     log(`Syntax fixes found: ${symbolGraph.syntaxFixes ? symbolGraph.syntaxFixes.length : 0}`, 'info');
+    signal?.throwIfAborted();
     
     // Step 6a: Write syntax-fixed files to disk and commit if any
     let syntaxFixesBranch = null;
@@ -134,66 +258,123 @@ async function runGhostCoder(repoUrl, options = {}) {
       log(`Writing ${symbolGraph.syntaxFixes.length} syntax-fixed file(s) to disk...`, 'code');
       const fs = await import('fs/promises');
       
-      for (const fix of symbolGraph.syntaxFixes) {
-        const absolutePath = path.join(tempRepoPath, fix.filePath);
+      for (const [i, fix] of symbolGraph.syntaxFixes.entries()) {
+        const absolutePath = path.join(repoPath, fix.filePath);
+        touchedFiles.add(fix.filePath);
         await fs.writeFile(absolutePath, fix.fixedContent, 'utf-8');
         log(`✅ Fixed: ${fix.filePath}`, 'success');
+        emitProgress(onProgress, ProgressStage.SYNTAX_FIX, `Fixed syntax in ${fix.filePath}`, {
+          current: i + 1,
+          total: symbolGraph.syntaxFixes.length
+        });
       }
       
       // Create branch and commit syntax fixes immediately
       log('Creating branch for syntax fixes...', 'code');
-      syntaxFixesBranch = await createBranch(tempRepoPath);
+      syntaxFixesBranch = await createBranch(repoPath);
       
       log('Committing syntax fixes...', 'code');
       await commitChanges(
-        tempRepoPath, 
+        repoPath, 
         `🔧 Auto-fix syntax errors (${symbolGraph.syntaxFixes.length} file${symbolGraph.syntaxFixes.length > 1 ? 's' : ''})`
       );
       log('✅ Syntax fixes committed', 'success');
     }
     
-    // Check if index exists, otherwise build it
-    let embeddingIndex;
-    if (await indexExists(repoId)) {
-      log('Loading existing embedding index...', 'info');
-      embeddingIndex = await loadIndex(repoId);
-    } else {
-      log('Building embedding index (this may take a few minutes)...', 'ghost');
-      embeddingIndex = await buildEmbeddingIndex(symbolGraph, repoId);
-    }
+    // Update the embedding index, reusing the vectors of unchanged symbols
+    // An unreadable index is rebuilt from scratch
+    const previousIndex = evictIndexFiles(await loadIndex(repoId).catch(() => null), deletedFiles);
+    log(previousIndex ? 'Updating embedding index...' : 'Building embedding index (this may take a few minutes)...', 'ghost');
+    const embeddingIndex = await buildEmbeddingIndex(symbolGraph, repoId, {
+      onProgress,
+      codeFiles,
+      previousIndex,
+      commit: baseCommit
+    });
+    signal?.throwIfAborted();
     
     // Step 7: Retrieve relevant context using semantic search
     log('Retrieving relevant context for analysis...', 'code');
+    emitProgress(onProgress, ProgressStage.RETRIEVAL, 'Retrieving relevant context');
     const context = await retrieveContext(embeddingIndex, symbolGraph, scanPath, {
-      query: 'code quality issues, bugs, security vulnerabilities, performance problems, best practices violations',
-      maxFiles: 10,
+      query: repoConfig.focus.join(', '),
+      maxFiles: repoConfig.maxFiles,
       maxSymbols: 50,
       includeFullFiles: false
     });
     
-    // Create compact context to minimize tokens
-    const compactContext = createCompactContext(context, 30000);
+    // Pack the context into the token budget, counted with the LLM's tokenizer
+    const compactContext = await createCompactContext(context, repoConfig.tokenBudget, {
+      symbolGraph,
+      model: getLLMProvider().model
+    });
     const formattedContext = formatContextForAI(compactContext);
+    const { packing } = compactContext;
+    if (!packing.exact) {
+      const counted = packing.tokenizer === packing.requestedTokenizer ? packing.tokenizer : `${packing.tokenizer} instead of ${packing.requestedTokenizer}`;
+      log(`Context size is an estimate (${counted}); the model may count more than ${packing.used} tokens`, 'warning');
+    }
     
     log(`Context prepared: ${compactContext.relevantFiles.length} files, ${compactContext.relevantSymbols.length} symbols`, 'success');
+    emitProgress(onProgress, ProgressStage.RETRIEVAL, `Context prepared: ${compactContext.relevantFiles.length} files, ${compactContext.relevantSymbols.length} symbols`);
     
     // Step 8: Analyze code with AI using semantic context
-    const analysis = await analyzeCodeWithAI(formattedContext, repoId, symbolGraph);
+    emitProgress(onProgress, ProgressStage.ANALYSIS, 'Analyzing code with AI');
+    const analysis = await analyzeCodeWithAI(formattedContext, repoId, symbolGraph, {
+      focus: repoConfig.focus,
+      protectedPaths: repoConfig.protectedPaths
+    });
+    signal?.throwIfAborted();
     
     if (!analysis || !analysis.improvements || analysis.improvements.length === 0) {
       log('AI did not suggest any improvements', 'info');
       
       // If we have syntax fixes but no AI improvements, still create PR for syntax fixes
       if (syntaxFixesBranch && symbolGraph.syntaxFixes && symbolGraph.syntaxFixes.length > 0) {
+        if (dryRun) {
+          const artifacts = await writePatchBundle({
+            repoPath: repoPath,
+            baseCommit,
+            outputDir: resolveOutputDir(outputDir, repo),
+            analysis,
+            syntaxFixes: symbolGraph.syntaxFixes
+          });
+          
+          if (tempRepoPath) await deleteDirectory(tempRepoPath);
+          
+          return createDryRunSummary({
+            repoId,
+            branchName: syntaxFixesBranch,
+            message: `Dry run: syntax fixes for ${symbolGraph.syntaxFixes.length} file(s)`,
+            changesCount: 0,
+            filesModified: symbolGraph.syntaxFixes.map(fix => fix.filePath),
+            artifacts
+          });
+        }
+        
+        if (isLocal) {
+          return createLocalSummary({
+            repoId,
+            branchName: syntaxFixesBranch,
+            baseBranch: targetBaseBranch,
+            baseCommit,
+            message: `Committed syntax fixes for ${symbolGraph.syntaxFixes.length} file(s) to local branch`,
+            changesCount: 0,
+            filesModified: symbolGraph.syntaxFixes.map(fix => fix.filePath)
+          });
+        }
+        
         log('Creating PR for syntax fixes only...', 'ghost');
         
         // Push branch with syntax fixes
-        await pushBranch(tempRepoPath, syntaxFixesBranch, process.env.GITHUB_TOKEN);
+        emitProgress(onProgress, ProgressStage.PUSH, `Pushing branch ${syntaxFixesBranch}`);
+        await pushBranch(repoPath, syntaxFixesBranch, process.env.GITHUB_TOKEN);
         
         // Create PR for syntax fixes
         const prTitle = `🔧 Auto-fix syntax errors (${symbolGraph.syntaxFixes.length} file${symbolGraph.syntaxFixes.length > 1 ? 's' : ''})`;
         const prBody = createSyntaxFixPRBody(symbolGraph.syntaxFixes);
         
+        emitProgress(onProgress, ProgressStage.PR, 'Creating pull request');
         const pr = await createPullRequest({
           owner,
           repo,
@@ -203,18 +384,17 @@ async function runGhostCoder(repoUrl, options = {}) {
           body: prBody
         });
         
-        await addLabelsToPR(owner, repo, pr.number, ['ghostcoder', 'syntax-fix', 'automated']);
+        await addLabelsToPR(owner, repo, pr.number, [...new Set([...repoConfig.labels, 'syntax-fix'])]);
+        if (repoConfig.reviewers.length > 0) {
+          await requestReviewers(owner, repo, pr.number, repoConfig.reviewers);
+        }
         
         const comment = '👻 This PR was automatically generated by GhostCoder to fix syntax errors!\n\n' +
                        `Fixed ${symbolGraph.syntaxFixes.length} file(s) with syntax errors.\n\n` +
                        'These fixes were necessary to properly parse and analyze the code.';
         await commentOnPR(owner, repo, pr.number, comment);
         
-        await deleteDirectory(tempRepoPath);
-        
-        // Delete embedding index
-        log('Cleaning up embedding index...', 'info');
-        await deleteIndex(repoId);
+        if (tempRepoPath) await deleteDirectory(tempRepoPath);
         
         return {
           ghost_name: 'GhostCoder',
@@ -226,11 +406,7 @@ async function runGhostCoder(repoUrl, options = {}) {
         };
       }
       
-      await deleteDirectory(tempRepoPath);
-      
-      // Delete embedding index
-      log('Cleaning up embedding index...', 'info');
-      await deleteIndex(repoId);
+      if (tempRepoPath) await deleteDirectory(tempRepoPath);
       
       return {
         ghost_name: 'GhostCoder',
@@ -244,75 +420,212 @@ async function runGhostCoder(repoUrl, options = {}) {
     log(`AI Analysis: ${analysis.summary}`, 'ghost');
     log(`Found ${analysis.improvements.length} improvement(s)`, 'info');
     
+    // Apply .ghostcoder.yml limits: protected paths and max changes per PR
+    const rejectedEdits = [];
+    analysis.improvements = analysis.improvements.filter(improvement => {
+      if (!isProtectedPath(repoConfig, improvement.file)) return true;
+      log(`Skipping improvement to protected path: ${improvement.file}`, 'warning');
+      rejectedEdits.push({
+        file: improvement.file,
+        improvement: improvement.description,
+        reason: `Protected path (${repoConfig.source})`
+      });
+      return false;
+    });
+    
+    if (repoConfig.maxChangesPerPR && analysis.improvements.length > repoConfig.maxChangesPerPR) {
+      log(`Limiting to ${repoConfig.maxChangesPerPR} improvement(s) (max_changes_per_pr)`, 'info');
+      analysis.improvements = analysis.improvements.slice(0, repoConfig.maxChangesPerPR);
+    }
+    emitProgress(onProgress, ProgressStage.ANALYSIS, `AI suggested ${analysis.improvements.length} improvement(s)`);
+    
     // Step 9: Create new branch (or use existing syntax fixes branch)
-    const branchName = syntaxFixesBranch || await createBranch(tempRepoPath);
+    const branchName = syntaxFixesBranch || await createBranch(repoPath);
     
     // Step 10: Apply improvements
-    const changes = [];
+    const generatedChanges = [];
     
-    for (const improvement of analysis.improvements) {
+    for (const [i, improvement] of analysis.improvements.entries()) {
+      signal?.throwIfAborted();
+      
       try {
         log(`Processing: ${improvement.description}`, 'code');
+        emitProgress(onProgress, ProgressStage.GENERATION, `Generating improvement ${i + 1}/${analysis.improvements.length}: ${improvement.file}`, {
+          current: i + 1,
+          total: analysis.improvements.length
+        });
         
-        const filePath = path.join(tempRepoPath, improvement.file);
-        let fileContent;
+        // Later improvements to the same file build on the earlier edits
+        const existingChange = generatedChanges.find(change => change.file === improvement.file);
+        let fileContent = existingChange?.content;
         
-        try {
-          const fs = await import('fs/promises');
-          fileContent = await fs.readFile(filePath, 'utf-8');
-        } catch (error) {
-          log(`File ${improvement.file} not found, skipping...`, 'warning');
-          continue;
+        if (fileContent === undefined) {
+          try {
+            const fs = await import('fs/promises');
+            fileContent = await fs.readFile(path.join(repoPath, improvement.file), 'utf-8');
+          } catch (error) {
+            log(`File ${improvement.file} not found, skipping...`, 'warning');
+            continue;
+          }
         }
         
-        // Generate improved code with semantic context
-        const improvedCode = await generateImprovedCode(
+        // Generate edits with semantic context and apply them hunk by hunk
+        const result = await generateImprovedCode(
           improvement.file,
           fileContent,
           `${improvement.description}\nReason: ${improvement.reason}\nSuggested changes: ${improvement.changes}`,
           symbolGraph
         );
         
-        changes.push({
+        rejectedEdits.push(...result.rejectedEdits.map(edit => ({
           file: improvement.file,
-          content: improvedCode,
-          description: improvement.description
-        });
+          improvement: improvement.description,
+          reason: edit.reason
+        })));
+        
+        if (result.appliedEdits.length === 0) {
+          log(`No edits applied for ${improvement.file}, skipping...`, 'warning');
+          continue;
+        }
+        
+        if (existingChange) {
+          existingChange.content = result.content;
+          existingChange.description += `; ${improvement.description}`;
+        } else {
+          generatedChanges.push({
+            file: improvement.file,
+            content: result.content,
+            description: improvement.description
+          });
+        }
       } catch (error) {
         log(`Failed to process improvement for ${improvement.file}: ${error.message}`, 'error');
       }
     }
     
-    if (changes.length === 0) {
+    if (generatedChanges.length === 0) {
       log('No changes could be applied', 'warning');
-      await deleteDirectory(tempRepoPath);
-      
-      // Delete embedding index
-      log('Cleaning up embedding index...', 'info');
-      await deleteIndex(repoId);
+      if (tempRepoPath) await deleteDirectory(tempRepoPath);
       
       return {
         ghost_name: 'GhostCoder',
         repo: `${owner}/${repo}`,
         status: 'no_changes',
-        message: 'No changes could be applied'
+        message: 'No changes could be applied',
+        rejected_edits: rejectedEdits
       };
     }
     
     // Step 11: Apply changes to files
-    const modifiedFiles = await applyChanges(tempRepoPath, changes);
+    generatedChanges.forEach(change => touchedFiles.add(change.file));
+    const appliedFiles = await applyChanges(repoPath, generatedChanges);
+    
+    // Step 11a: Verify the changes still parse and pass the project's checks
+    const verification = await verifyChanges(
+      repoPath,
+      generatedChanges.filter(change => appliedFiles.includes(change.file)),
+      { signal, onProgress }
+    );
+    const changes = verification.changes;
+    const modifiedFiles = changes.map(change => change.file);
+    
+    if (changes.length === 0) {
+      log('All changes failed verification', 'warning');
+      if (tempRepoPath) await deleteDirectory(tempRepoPath);
+      
+      return {
+        ghost_name: 'GhostCoder',
+        repo: `${owner}/${repo}`,
+        status: 'no_changes',
+        message: 'All changes failed verification',
+        rejected_edits: rejectedEdits,
+        verification: summarizeVerification(verification)
+      };
+    }
     
     // Step 12: Commit changes
     const commitMessage = `🤖 GhostCoder: ${analysis.summary || 'Code improvements'}`;
-    await commitChanges(tempRepoPath, commitMessage, modifiedFiles);
+    await commitChanges(repoPath, commitMessage, modifiedFiles);
+    signal?.throwIfAborted();
+    
+    // Dry run: stop before any GitHub write and hand back a patch bundle
+    if (dryRun) {
+      const artifacts = await writePatchBundle({
+        repoPath: repoPath,
+        baseCommit,
+        outputDir: resolveOutputDir(outputDir, repo),
+        analysis,
+        changes,
+        syntaxFixes: symbolGraph.syntaxFixes
+      });
+      
+      if (tempRepoPath) await deleteDirectory(tempRepoPath);
+      
+      const summary = createDryRunSummary({
+        repoId,
+        branchName,
+        message: analysis.summary || 'Code improvements generated',
+        changesCount: changes.length,
+        filesModified: modifiedFiles,
+        rejectedEdits,
+        verification: summarizeVerification(verification),
+        artifacts
+      });
+      
+      log('✨ GhostCoder dry run completed!', 'ghost');
+      log(`Patch bundle: ${artifacts.directory}`, 'info');
+      
+      return summary;
+    }
+    
+    // Local mode: leave the commit on the new local branch for the developer to review
+    // (the original branch is checked out again below)
+    if (isLocal) {
+      const summary = createLocalSummary({
+        repoId,
+        branchName,
+        baseBranch: targetBaseBranch,
+        baseCommit,
+        message: analysis.summary || 'Code improvements applied',
+        changesCount: changes.length,
+        filesModified: modifiedFiles,
+        rejectedEdits,
+        verification: summarizeVerification(verification)
+      });
+      
+      log('✨ GhostCoder completed successfully!', 'ghost');
+      log(`Changes committed to local branch: ${branchName}`, 'success');
+      
+      return summary;
+    }
+    
+    // A red verification blocks the PR unless explicitly overridden
+    if (verification.status === VerificationStatus.FAILED && !allowFailingChecks) {
+      log('Verification failed, not opening a pull request (override with --allow-failing-checks)', 'error');
+      if (tempRepoPath) await deleteDirectory(tempRepoPath);
+      
+      return {
+        ghost_name: 'GhostCoder',
+        repo: `${owner}/${repo}`,
+        branch: branchName,
+        message: 'Verification failed, pull request not created',
+        changes_count: changes.length,
+        files_modified: modifiedFiles,
+        rejected_edits: rejectedEdits,
+        verification: summarizeVerification(verification),
+        status: 'verification_failed'
+      };
+    }
     
     // Step 13: Push branch
-    await pushBranch(tempRepoPath, branchName, process.env.GITHUB_TOKEN);
+    emitProgress(onProgress, ProgressStage.PUSH, `Pushing branch ${branchName}`);
+    await pushBranch(repoPath, branchName, process.env.GITHUB_TOKEN);
     
     // Step 14: Create Pull Request
     const prTitle = `🤖 GhostCoder: ${analysis.summary || 'Code Improvements'}`;
-    const prBody = createPRBody(analysis, changes, symbolGraph.syntaxFixes);
+    const prBody = createPRBody(analysis, changes, symbolGraph.syntaxFixes, rejectedEdits, verification);
     
+    emitProgress(onProgress, ProgressStage.PR, 'Creating pull request');
     const pr = await createPullRequest({
       owner,
       repo,
@@ -323,7 +636,10 @@ async function runGhostCoder(repoUrl, options = {}) {
     });
     
     // Step 15: Add labels and comment
-    await addLabelsToPR(owner, repo, pr.number, ['ghostcoder', 'ai-generated', 'improvement']);
+    await addLabelsToPR(owner, repo, pr.number, repoConfig.labels);
+    if (repoConfig.reviewers.length > 0) {
+      await requestReviewers(owner, repo, pr.number, repoConfig.reviewers);
+    }
     
     const comment = '👻 This PR was automatically generated by GhostCoder using semantic code analysis!\n\n' +
                    'Analyzed using:\n' +
@@ -334,11 +650,7 @@ async function runGhostCoder(repoUrl, options = {}) {
     await commentOnPR(owner, repo, pr.number, comment);
     
     // Step 16: Cleanup
-    await deleteDirectory(tempRepoPath);
-    
-    // Step 16a: Delete embedding index to ensure fresh analysis next time
-    log('Cleaning up embedding index...', 'info');
-    await deleteIndex(repoId);
+    if (tempRepoPath) await deleteDirectory(tempRepoPath);
     
     // Step 17: Return summary
     const summary = {
@@ -350,6 +662,8 @@ async function runGhostCoder(repoUrl, options = {}) {
       message: analysis.summary || 'Code improvements applied',
       changes_count: changes.length,
       files_modified: modifiedFiles,
+      rejected_edits: rejectedEdits,
+      verification: summarizeVerification(verification),
       status: 'success'
     };
     
@@ -367,9 +681,86 @@ async function runGhostCoder(repoUrl, options = {}) {
     }
     
     throw error;
+  } finally {
+    // Local mode: never leave the developer on GhostCoder's branch or with its uncommitted edits
+    if (localCheckout) {
+      await restoreLocalCheckout(localCheckout.path, localCheckout.branch, [...touchedFiles])
+        .catch(() => log(`Check the state of ${localCheckout.path} with git status`, 'warning'));
+    }
   }
 }
 
+/**
+ * Resolve the directory a dry-run patch bundle is written to
+ * @param {string|null} outputDir - Explicit output directory, if any
+ * @param {string} repo - Repository name
+ * @returns {string} Absolute output directory
+ */
+function resolveOutputDir(outputDir, repo) {
+  if (outputDir) {
+    return path.resolve(outputDir);
+  }
+  
+  const baseDir = process.env.DRY_RUN_DIR || path.join(__dirname, '..', 'dry_runs');
+  return path.resolve(baseDir, `${repo}-${Date.now()}`);
+}
+
+/**
+ * Create the summary returned by a dry run
+ */
+function createDryRunSummary({ repoId, branchName, message, changesCount, filesModified, rejectedEdits = [], verification = null, artifacts }) {
+  return {
+    ghost_name: 'GhostCoder',
+    repo: repoId,
+    branch: branchName,
+    message,
+    changes_count: changesCount,
+    files_modified: filesModified,
+    rejected_edits: rejectedEdits,
+    verification,
+    artifacts,
+    status: 'dry_run'
+  };
+}
+
+/**
+ * Create the summary returned by a local-repository run
+ */
+function createLocalSummary({ repoId, branchName, baseBranch, baseCommit, message, changesCount, filesModified, rejectedEdits = [], verification = null }) {
+  return {
+    ghost_name: 'GhostCoder',
+    repo: repoId,
+    branch: branchName,
+    base_branch: baseBranch,
+    base_commit: baseCommit,
+    message,
+    changes_count: changesCount,
+    files_modified: filesModified,
+    rejected_edits: rejectedEdits,
+    verification,
+    status: 'local_branch'
+  };
+}
+
+/**
+ * Reduce a verification result to what is reported in run summaries
+ */
+function summarizeVerification(verification) {
+  const summarizeCommand = ({ name, command, status, durationMs }) => ({
+    name,
+    command,
+    status,
+    duration_ms: durationMs
+  });
+
+  return {
+    status: verification.status,
+    dropped_changes: verification.droppedChanges,
+    install: verification.install ? summarizeCommand(verification.install) : null,
+    commands: verification.commands.map(summarizeCommand)
+  };
+}
+
 /**
  * Create Pull Request body with detailed information
  * @param {Object} analysis - AI analysis results
@@ -413,7 +804,7 @@ function createSyntaxFixPRBody(syntaxFixes) {
 /**
  * Create PR body
  */
-function createPRBody(analysis, changes, syntaxFixes = []) {
+function createPRBody(analysis, changes, syntaxFixes = [], rejectedEdits = [], verification = null) {
   let body = '## 🤖 GhostCoder Analysis\n\n';
   body += `${analysis.summary}\n\n`;
   body += `**Priority:** ${analysis.priority || 'medium'}\n\n`;
@@ -441,6 +832,19 @@ function createPRBody(analysis, changes, syntaxFixes = []) {
     body += `   - ${change.description}\n\n`;
   });
   
+  if (rejectedEdits.length > 0) {
+    body += '## ⚠️ Skipped Edits\n\n';
+    body += 'These suggested edits could not be matched against the current code and were not applied:\n\n';
+    rejectedEdits.forEach(edit => {
+      body += `- **${edit.file}** (${edit.improvement}): ${edit.reason}\n`;
+    });
+    body += '\n';
+  }
+  
+  if (verification) {
+    body += createVerificationSection(verification);
+  }
+  
   body += '## 🔍 Review Checklist\n\n';
   body += '- [ ] Code changes are correct\n';
   body += '- [ ] No breaking changes introduced\n';
@@ -452,6 +856,52 @@ function createPRBody(analysis, changes, syntaxFixes = []) {
   return body;
 }
 
+/**
+ * Create the PR body section describing verification results
+ */
+function createVerificationSection(verification) {
+  const icons = { passed: '✅', failed: '❌', timed_out: '⏱️', preexisting_failure: '⚠️' };
+  
+  let body = `## 🧪 Verification: ${verification.status}\n\n`;
+  
+  if (verification.status === VerificationStatus.FAILED) {
+    body += '> **Verification failed.** This PR was opened with `--allow-failing-checks`.\n\n';
+  } else if (verification.status === VerificationStatus.INCONCLUSIVE) {
+    body += '> **Verification inconclusive.** Some checks fail without these changes too, so they could not vet them.\n\n';
+  }
+  
+  if (verification.install && verification.install.status !== 'passed') {
+    body += `> Installing dependencies (\`${verification.install.command}\`) ${verification.install.status.replace('_', ' ')}.\n\n`;
+  }
+  
+  if (verification.commands.length === 0) {
+    body += 'No test or lint commands were run; modified files were re-parsed only.\n\n';
+  } else {
+    body += '| Check | Command | Result |\n';
+    body += '|-------|---------|--------|\n';
+    verification.commands.forEach(result => {
+      const label = result.status === 'preexisting_failure' ? 'fails without these changes too' : result.status;
+      body += `| ${result.name} | \`${result.command}\` | ${icons[result.status] || ''} ${label} |\n`;
+    });
+    body += '\n';
+  }
+  
+  if (verification.droppedChanges.length > 0) {
+    body += 'Changes dropped because they broke verification:\n\n';
+    verification.droppedChanges.forEach(dropped => {
+      body += `- **${dropped.file}**: ${dropped.reason}\n`;
+    });
+    body += '\n';
+  }
+  
+  const failed = verification.commands.filter(result => result.status === 'failed' || result.status === 'timed_out');
+  failed.forEach(result => {
+    body += `<details><summary>${result.name} output</summary>\n\n\`\`\`\n${result.output.slice(-1500)}\n\`\`\`\n</details>\n\n`;
+  });
+  
+  return body;
+}
+
 /**
  * CLI entry point
  */
@@ -459,29 +909,54 @@ async function main() {
   const args = process.argv.slice(2);
   
   if (args.length === 0) {
-    console.log('Usage: node ghost_engine.js <github-repo-url> [--branch <branch-name>] [--path <folder-path>]');
+    console.log('Usage: node ghost_engine.js <github-repo-url> [--branch <branch-name>] [--path <folder-path>] [--dry-run [--output <dir>]] [--allow-failing-checks]');
+    console.log('       node ghost_engine.js --local <repo-path> [--path <folder-path>] [--dry-run [--output <dir>]]');
     console.log('\nExamples:');
     console.log('  node ghost_engine.js https://github.com/octocat/hello-world');
     console.log('  node ghost_engine.js https://github.com/octocat/hello-world --branch develop');
     console.log('  node ghost_engine.js https://github.com/octocat/hello-world --path src/components');
     console.log('  node ghost_engine.js https://github.com/octocat/hello-world --branch develop --path src');
+    console.log('  node ghost_engine.js https://github.com/octocat/hello-world --dry-run --output ./review');
+    console.log('  node ghost_engine.js --local ./my-repo');
     process.exit(1);
   }
   
-  const repoUrl = args[0];
+  let repoUrl = null;
   const options = {};
   
   // Parse command line arguments
-  for (let i = 1; i < args.length; i++) {
-    if (args[i] === '--branch' && args[i + 1]) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--local' && args[i + 1]) {
+      options.localPath = args[i + 1];
+      i++;
+    } else if (args[i] === '--branch' && args[i + 1]) {
       options.baseBranch = args[i + 1];
       i++;
     } else if (args[i] === '--path' && args[i + 1]) {
       options.analyzePath = args[i + 1];
       i++;
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--allow-failing-checks') {
+      options.allowFailingChecks = true;
+    } else if (args[i] === '--output' && args[i + 1]) {
+      options.outputDir = args[i + 1];
+      i++;
+    } else if (!args[i].startsWith('--') && !repoUrl) {
+      repoUrl = args[i];
     }
   }
   
+  if (!repoUrl && !options.localPath) {
+    console.error('\n❌ Error: a GitHub repository URL or --local <repo-path> is required');
+    process.exit(1);
+  }
+  
+  if (options.localPath && options.baseBranch) {
+    console.error('\n❌ Error: --branch cannot be used with --local, check the branch out in the working copy instead');
+    process.exit(1);
+  }
+  
   try {
     const result = await runGhostCoder(repoUrl, options);
     console.log('\n📊 Summary:');
@@ -101,6 +101,35 @@ export async function addLabelsToPR(owner, repo, prNumber, labels) {
   }
 }
 
+/**
+ * Request reviews on a Pull Request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - PR number
+ * @param {Array<string>} reviewers - User logins, or "org/team-slug" for teams
+ */
+export async function requestReviewers(owner, repo, prNumber, reviewers) {
+  try {
+    const token = process.env.GITHUB_TOKEN;
+    const octokit = new Octokit({ auth: token });
+    
+    const teamReviewers = reviewers.filter(reviewer => reviewer.includes('/')).map(team => team.split('/')[1]);
+    const userReviewers = reviewers.filter(reviewer => !reviewer.includes('/'));
+    
+    await octokit.pulls.requestReviewers({
+      owner,
+      repo,
+      pull_number: prNumber,
+      reviewers: userReviewers,
+      team_reviewers: teamReviewers
+    });
+    
+    log(`Requested reviews on PR #${prNumber}: ${reviewers.join(', ')}`, 'success');
+  } catch (error) {
+    log(`Failed to request reviewers: ${error.message}`, 'warning');
+  }
+}
+
 /**
  * Add a comment to a Pull Request
  * @param {string} owner - Repository owner
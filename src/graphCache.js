@@ -0,0 +1,119 @@
+/**
+ * 👻 GhostCoder - Symbol Graph Cache
+ *
+ * Persists the per-file parser output of a symbol graph build together with
+ * the commit it was built from, next to the embedding index. The next run
+ * diffs the repository against that commit and only parses files that were
+ * changed; everything else is reused (see buildSymbolGraph's
+ * `previousAnalyses` option).
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from './utils.js';
+import { getFileChangesSince } from './repo_manager.js';
+
+const INDEX_DIR = path.join(process.cwd(), 'data', 'indexes');
+
+// Bump when the extractors change what they produce, so old caches are ignored
+const GRAPH_CACHE_VERSION = 2;
+
+/**
+ * Save the reusable part of a symbol graph
+ * @param {string} repoId - Repository identifier
+ * @param {string} commit - Commit SHA the graph was built from
+ * @param {Object} symbolGraph - Graph returned by buildSymbolGraph
+ */
+export async function saveGraphCache(repoId, commit, symbolGraph) {
+  try {
+    await fs.mkdir(INDEX_DIR, { recursive: true });
+
+    const cache = {
+      version: GRAPH_CACHE_VERSION,
+      commit,
+      savedAt: Date.now(),
+      fileAnalyses: symbolGraph.fileAnalyses
+    };
+
+    await fs.writeFile(getCachePath(repoId), JSON.stringify(cache), 'utf-8');
+    log(`Symbol graph cache saved for ${commit.substring(0, 7)}`, 'success');
+  } catch (error) {
+    // A missing cache only costs a full parse next time
+    log(`Failed to save symbol graph cache: ${error.message}`, 'warning');
+  }
+}
+
+/**
+ * Load a saved symbol graph cache
+ * @param {string} repoId - Repository identifier
+ * @returns {Promise<{commit: string, fileAnalyses: Object}|null>} Cache, or null if there is none (or it is outdated)
+ */
+export async function loadGraphCache(repoId) {
+  let cache;
+  try {
+    cache = JSON.parse(await fs.readFile(getCachePath(repoId), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log(`Ignoring unreadable symbol graph cache: ${error.message}`, 'warning');
+    }
+    return null;
+  }
+
+  if (cache.version !== GRAPH_CACHE_VERSION) {
+    log('Symbol graph cache was written by another version, rebuilding', 'info');
+    return null;
+  }
+
+  log(`Loaded symbol graph cache from ${cache.commit.substring(0, 7)} (${Object.keys(cache.fileAnalyses).length} files)`, 'info');
+  return cache;
+}
+
+/**
+ * Files changed and deleted since the commit a cache was built from
+ * @param {Object|null} graphCache - Cache from loadGraphCache
+ * @param {string} repoPath - Repository root
+ * @param {string} scanPath - Directory the graph's file paths are relative to
+ * @param {string} headCommit - Commit being analyzed
+ * @returns {Promise<{changed: Set<string>, deleted: Set<string>}>} Paths relative to scanPath
+ *   (content hashes catch the changes git does not report)
+ */
+export async function getChangesSinceCache(graphCache, repoPath, scanPath, headCommit) {
+  if (!graphCache || graphCache.commit === headCommit) {
+    return { changed: new Set(), deleted: new Set() };
+  }
+
+  const changes = await getFileChangesSince(repoPath, graphCache.commit);
+  if (!changes) {
+    return { changed: new Set(), deleted: new Set() };
+  }
+
+  const toScanPath = file => path.relative(scanPath, path.join(repoPath, file));
+  log(`${changes.changed.length} file(s) changed and ${changes.deleted.length} deleted since ${graphCache.commit.substring(0, 7)}`, 'info');
+  return {
+    changed: new Set(changes.changed.map(toScanPath)),
+    deleted: new Set(changes.deleted.map(toScanPath))
+  };
+}
+
+/**
+ * Drop the analyses of deleted files from a cache, so they are never reused
+ * @param {Object|null} graphCache - Cache from loadGraphCache
+ * @param {Set<string>} files - Deleted paths relative to scanPath
+ * @returns {Object|null} The cache without those files
+ */
+export function evictCachedFiles(graphCache, files) {
+  if (!graphCache || files.size === 0) {
+    return graphCache;
+  }
+
+  const fileAnalyses = Object.fromEntries(
+    Object.entries(graphCache.fileAnalyses).filter(([file]) => !files.has(file))
+  );
+  return { ...graphCache, fileAnalyses };
+}
+
+function getCachePath(repoId) {
+  return path.join(INDEX_DIR, `${repoId.replace(/[^a-zA-Z0-9-_]/g, '_')}.graph.json`);
+}
@@ -0,0 +1,372 @@
+/**
+ * 👻 GhostCoder - Analysis Job Queue
+ *
+ * Runs GhostCoder analyses in the background so HTTP requests can return
+ * immediately with a job id. Jobs on the same repository share its clone,
+ * caches and index files, so they run one at a time. Job records are
+ * persisted to a local JSON file (atomic writes, same approach as
+ * memoryManager.js) so they survive a server restart; finished jobs are
+ * dropped after a while so the file stays small. Progress events from each
+ * run are kept in memory and broadcast to subscribers (used by the SSE
+ * endpoint).
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { log } from './utils.js';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+
+const DEFAULT_CONCURRENCY = 1;
+const MAX_PROGRESS_HISTORY = 500;
+
+// Finished jobs kept: at most this many, for at most this long
+const DEFAULT_HISTORY_LIMIT = 200;
+const DEFAULT_RETENTION_HOURS = 24 * 7;
+
+/**
+ * Job lifecycle states
+ */
+export const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED];
+
+// Queue state
+const jobs = new Map();        // jobId -> job record
+const pending = [];            // queued job ids, oldest first
+const controllers = new Map(); // jobId -> AbortController for running jobs
+const progressHistory = new Map(); // jobId -> progress events of the current process
+const events = new EventEmitter();
+const activeKeys = new Set();  // keys of the running jobs
+let processor = null;
+let getJobKey = request => request.repoUrl;
+let concurrency = DEFAULT_CONCURRENCY;
+let historyLimit = DEFAULT_HISTORY_LIMIT;
+let retentionMs = DEFAULT_RETENTION_HOURS * 60 * 60 * 1000;
+let running = 0;
+let writeChain = Promise.resolve();
+let queuedWrite = null;
+
+/**
+ * Initialize the queue and restore persisted jobs
+ * Jobs that were still running when the server stopped are marked failed;
+ * queued jobs are picked up again.
+ * @param {Function} jobProcessor - async (request, { signal, jobId, onProgress }) => result
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @param {Function} options.getJobKey - request => key; jobs with the same key never run at once
+ *                                       (default: the request's repoUrl)
+ * @param {number} options.historyLimit - Finished jobs to keep (default 200)
+ * @param {number} options.retentionHours - Hours to keep a finished job (default 168)
+ * @returns {Promise<void>}
+ */
+export async function initJobQueue(jobProcessor, options = {}) {
+  processor = jobProcessor;
+  concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+  getJobKey = options.getJobKey || getJobKey;
+  historyLimit = Math.max(0, parseInt(options.historyLimit, 10) || DEFAULT_HISTORY_LIMIT);
+  retentionMs = (parseFloat(options.retentionHours) || DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000;
+
+  const stored = await readJobsFile();
+  for (const job of stored) {
+    if (job.status === JobStatus.RUNNING) {
+      job.status = JobStatus.FAILED;
+      job.error = 'Interrupted by server restart';
+      job.finishedAt = new Date().toISOString();
+    }
+    job.key ??= getJobKey(job.request);
+    jobs.set(job.id, job);
+  }
+
+  const queued = stored
+    .filter(job => job.status === JobStatus.QUEUED)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  pending.push(...queued.map(job => job.id));
+
+  pruneFinishedJobs();
+  await persist();
+  log(`Job queue ready (concurrency: ${concurrency}, restored ${stored.length} job(s), ${pending.length} queued)`, 'info');
+
+  drain();
+}
+
+/**
+ * Add a job to the queue
+ * @param {Object} request - Job request (e.g. { repoUrl, options })
+ * @returns {Promise<Object>} Created job record
+ */
+export async function enqueueJob(request) {
+  const job = {
+    id: randomUUID(),
+    status: JobStatus.QUEUED,
+    request,
+    key: getJobKey(request),
+    result: null,
+    error: null,
+    progress: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job.id);
+  await persist();
+
+  log(`Job ${job.id} queued (${pending.length} waiting, ${running} running)`, 'info');
+  emitStatus(job);
+  drain();
+
+  return job;
+}
+
+/**
+ * Get a job by id
+ * @param {string} jobId - Job id
+ * @returns {Object|null} Job record
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Only return jobs in this state
+ * @returns {Array<Object>} Job records
+ */
+export function listJobs({ status = null } = {}) {
+  return Array.from(jobs.values())
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Cancel a job
+ * Queued jobs are removed from the queue; running jobs are signalled to
+ * stop at the next pipeline stage.
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} Updated job record, or null if not found
+ */
+export async function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  if (isJobFinished(job)) {
+    return job;
+  }
+
+  if (job.status === JobStatus.QUEUED) {
+    const position = pending.indexOf(jobId);
+    if (position !== -1) pending.splice(position, 1);
+  } else {
+    controllers.get(jobId)?.abort();
+  }
+
+  job.status = JobStatus.CANCELLED;
+  job.finishedAt = new Date().toISOString();
+  pruneFinishedJobs();
+  await persist();
+
+  log(`Job ${jobId} cancelled`, 'warning');
+  emitStatus(job);
+  return job;
+}
+
+/**
+ * Check whether a job has reached a final state
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return FINISHED_STATES.includes(job.status);
+}
+
+/**
+ * Get the progress events recorded for a job
+ * Only events emitted since the server started are available.
+ * @param {string} jobId - Job id
+ * @returns {Array<Object>} Progress events, oldest first
+ */
+export function getJobProgress(jobId) {
+  return progressHistory.get(jobId) || [];
+}
+
+/**
+ * Subscribe to progress and status events of a job
+ * The listener receives { type: 'progress', data: event } or { type: 'status', data: job }.
+ * @param {string} jobId - Job id
+ * @param {Function} listener - Event listener
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  const channel = `job:${jobId}`;
+  events.on(channel, listener);
+  return () => events.off(channel, listener);
+}
+
+/**
+ * Record a progress event for a running job and broadcast it
+ */
+function recordProgress(job, event) {
+  if (!progressHistory.has(job.id)) {
+    progressHistory.set(job.id, []);
+  }
+
+  const history = progressHistory.get(job.id);
+  history.push(event);
+  if (history.length > MAX_PROGRESS_HISTORY) {
+    history.shift();
+  }
+
+  job.progress = event;
+  events.emit(`job:${job.id}`, { type: 'progress', data: event });
+}
+
+/**
+ * Broadcast a job status change
+ */
+function emitStatus(job) {
+  events.emit(`job:${job.id}`, { type: 'status', data: job });
+}
+
+/**
+ * Start queued jobs until the concurrency limit is reached
+ * A job whose key is already running stays queued, without holding up the
+ * jobs behind it.
+ */
+function drain() {
+  let position = 0;
+  while (processor && running < concurrency && position < pending.length) {
+    const job = jobs.get(pending[position]);
+    if (!job || job.status !== JobStatus.QUEUED) {
+      pending.splice(position, 1);
+    } else if (activeKeys.has(job.key)) {
+      position++;
+    } else {
+      pending.splice(position, 1);
+      runJob(job);
+    }
+  }
+}
+
+/**
+ * Run a single job and record its outcome
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+  activeKeys.add(job.key);
+  running++;
+
+  job.status = JobStatus.RUNNING;
+  job.startedAt = new Date().toISOString();
+  await persist();
+
+  log(`Job ${job.id} started`, 'ghost');
+  emitStatus(job);
+
+  try {
+    const result = await processor(job.request, {
+      signal: controller.signal,
+      jobId: job.id,
+      onProgress: event => recordProgress(job, event)
+    });
+
+    if (job.status !== JobStatus.CANCELLED) {
+      job.status = JobStatus.COMPLETED;
+      job.result = result;
+      log(`Job ${job.id} completed`, 'success');
+    }
+  } catch (error) {
+    if (job.status !== JobStatus.CANCELLED) {
+      job.status = JobStatus.FAILED;
+      job.error = error.message;
+      log(`Job ${job.id} failed: ${error.message}`, 'error');
+    }
+  } finally {
+    if (!job.finishedAt) {
+      job.finishedAt = new Date().toISOString();
+    }
+    controllers.delete(job.id);
+    activeKeys.delete(job.key);
+    running--;
+    pruneFinishedJobs();
+    await persist();
+    emitStatus(job);
+    drain();
+  }
+}
+
+/**
+ * Drop finished jobs beyond the history limit or older than the retention period
+ */
+function pruneFinishedJobs() {
+  const cutoff = new Date(Date.now() - retentionMs).toISOString();
+  const finished = Array.from(jobs.values())
+    .filter(isJobFinished)
+    .sort((a, b) => (b.finishedAt || '').localeCompare(a.finishedAt || ''));
+
+  let removed = 0;
+  finished.forEach((job, i) => {
+    if (i >= historyLimit || (job.finishedAt || '') < cutoff) {
+      jobs.delete(job.id);
+      progressHistory.delete(job.id);
+      removed++;
+    }
+  });
+
+  if (removed > 0) {
+    log(`Removed ${removed} finished job(s) from the job history`, 'info');
+  }
+}
+
+async function readJobsFile() {
+  try {
+    const raw = await fs.readFile(JOBS_FILE, 'utf-8');
+    const parsed = JSON.parse(raw || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    // If file does not exist or is invalid, start empty
+    return [];
+  }
+}
+
+/**
+ * Persist all job records (writes are serialized to avoid interleaving)
+ * Updates made while a write is waiting are saved by that write, so a burst
+ * of updates rewrites the file once instead of once per update.
+ */
+function persist() {
+  if (queuedWrite) {
+    return queuedWrite;
+  }
+
+  queuedWrite = writeChain
+    .then(async () => {
+      queuedWrite = null;
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      // Atomic write: write to temp file then rename
+      const tmp = `${JOBS_FILE}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(Array.from(jobs.values()), null, 2), 'utf-8');
+      await fs.rename(tmp, JOBS_FILE);
+    })
+    .catch(error => {
+      log(`Failed to persist jobs: ${error.message}`, 'warning');
+    });
+  writeChain = queuedWrite;
+  return writeChain;
+}
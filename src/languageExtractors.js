@@ -0,0 +1,679 @@
+/**
+ * 👻 GhostCoder - Language Extractors
+ *
+ * Symbol extraction for Go, Java and Rust using their tree-sitter grammars.
+ * Each extractor maps the language's declarations onto the same SymbolType
+ * model the JavaScript and Python extractors produce:
+ *
+ *   Go:   funcs, methods with receivers (`Server.Start`), structs, interfaces,
+ *         type declarations, package-level const/var, imports
+ *   Java: package, classes/enums/records, interfaces, methods and
+ *         constructors (`UserService.find`), nested types, imports
+ *   Rust: fns, impl methods (`Point.new`), traits, structs/enums, type
+ *         aliases, const/static items, `use` trees
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { parseWithTreeSitter, getTreeSitterRange } from './treeSitter.js';
+import { SymbolType } from './symbolGraph.js';
+import { log } from './utils.js';
+
+/**
+ * Grammar and extractor per file extension
+ */
+const EXTRACTORS = {
+  '.go': { grammar: 'go', extract: extractGoSymbols },
+  '.java': { grammar: 'java', extract: extractJavaSymbols },
+  '.rs': { grammar: 'rust', extract: extractRustSymbols }
+};
+
+/**
+ * Check whether an extension has a dedicated extractor
+ * @param {string} ext - File extension (lowercase, with dot)
+ * @returns {boolean}
+ */
+export function hasLanguageExtractor(ext) {
+  return ext in EXTRACTORS;
+}
+
+/**
+ * Extract symbols from a Go, Java or Rust file
+ * @param {string} ext - File extension (lowercase, with dot)
+ * @param {string} content - Source code
+ * @param {string} filePath - File path (for logging)
+ * @returns {Promise<{symbols: Array<Object>, packageName: string|null}|null>}
+ *          Symbols and the declared package, or null if the grammar cannot be loaded
+ */
+export async function extractLanguageSymbols(ext, content, filePath) {
+  const { grammar, extract } = EXTRACTORS[ext];
+  const tree = await parseWithTreeSitter(grammar, content);
+  if (!tree) {
+    return null;
+  }
+
+  try {
+    // tree-sitter recovers from errors, so whatever parses is still extracted
+    if (tree.rootNode.hasError) {
+      log(`Syntax errors in ${filePath}, extracting the parseable parts`, 'warning');
+    }
+    return extract(tree.rootNode);
+  } finally {
+    tree.delete();
+  }
+}
+
+// ============================================================================
+// Go
+// ============================================================================
+
+function extractGoSymbols(root) {
+  const symbols = [];
+  let packageName = null;
+
+  for (const node of root.namedChildren) {
+    switch (node.type) {
+      case 'package_clause':
+        packageName = node.namedChildren[0]?.text || null;
+        break;
+
+      case 'import_declaration':
+        for (const spec of node.descendantsOfType('import_spec')) {
+          const importPath = getGoStringValue(spec.childForFieldName('path'));
+          const alias = spec.childForFieldName('name')?.text;
+          // Blank (`_`) and dot imports do not bind a usable name
+          const name = alias && alias !== '_' && alias !== '.' ? alias : importPath.split('/').pop();
+          symbols.push({
+            name: alias === '_' || alias === '.' ? importPath : name,
+            imported: '*',
+            type: SymbolType.IMPORT,
+            from: importPath,
+            line: spec.startPosition.row + 1,
+            range: getTreeSitterRange(spec)
+          });
+        }
+        break;
+
+      case 'function_declaration': {
+        const name = node.childForFieldName('name').text;
+        symbols.push({
+          name,
+          type: SymbolType.FUNCTION,
+          ...getGoFunctionInfo(node),
+          ...getDeclarationInfo(node),
+          exported: isGoExported(name)
+        });
+        break;
+      }
+
+      case 'method_declaration': {
+        const receiver = node.childForFieldName('receiver').namedChildren[0];
+        const receiverType = receiver?.childForFieldName('type')?.text || '';
+        const className = receiverType.replace(/^\*/, '').replace(/\[.*\]$/, '');
+        const methodName = node.childForFieldName('name').text;
+        symbols.push({
+          name: `${className}.${methodName}`,
+          type: SymbolType.METHOD,
+          className,
+          kind: 'method',
+          receiver: receiver?.childForFieldName('name')?.text || null,
+          pointerReceiver: receiverType.startsWith('*'),
+          ...getGoFunctionInfo(node),
+          ...getDeclarationInfo(node),
+          exported: isGoExported(methodName)
+        });
+        break;
+      }
+
+      case 'type_declaration':
+        for (const spec of node.namedChildren) {
+          if (spec.type === 'type_spec' || spec.type === 'type_alias') {
+            symbols.push(getGoTypeSymbol(spec, node));
+          }
+        }
+        break;
+
+      case 'const_declaration':
+      case 'var_declaration':
+        for (const spec of node.namedChildren) {
+          for (const nameNode of spec.childrenForFieldName('name').filter(child => child.isNamed)) {
+            symbols.push({
+              name: nameNode.text,
+              type: SymbolType.VARIABLE,
+              kind: node.type === 'const_declaration' ? 'const' : 'var',
+              typeHint: spec.childForFieldName('type')?.text || null,
+              line: spec.startPosition.row + 1,
+              range: getTreeSitterRange(spec),
+              exported: isGoExported(nameNode.text)
+            });
+          }
+        }
+        break;
+    }
+  }
+
+  // Methods can be declared anywhere in the package, after their type
+  attachMethods(symbols);
+
+  return { symbols, packageName };
+}
+
+function getGoTypeSymbol(spec, declaration) {
+  const name = spec.childForFieldName('name').text;
+  const typeNode = spec.childForFieldName('type');
+  // A single-spec declaration owns the preceding doc comment
+  const outer = declaration.namedChildren.length === 1 ? declaration : spec;
+  const base = { name, ...getDeclarationInfo(outer), exported: isGoExported(name) };
+  const typeKeyword = { struct_type: 'struct', interface_type: 'interface' }[typeNode?.type];
+  base.signature = `type ${name}${spec.type === 'type_alias' ? ' =' : ''} ${typeKeyword || typeNode?.text || ''}`.trim();
+
+  if (spec.type === 'type_spec' && typeNode?.type === 'struct_type') {
+    return {
+      ...base,
+      type: SymbolType.CLASS,
+      kind: 'struct',
+      fields: typeNode.descendantsOfType('field_identifier').map(field => field.text),
+      methods: []
+    };
+  }
+
+  if (spec.type === 'type_spec' && typeNode?.type === 'interface_type') {
+    return {
+      ...base,
+      type: SymbolType.INTERFACE,
+      methods: typeNode.namedChildren
+        .filter(child => child.type === 'method_spec' || child.type === 'method_elem')
+        .map(child => child.childForFieldName('name').text)
+    };
+  }
+
+  return { ...base, type: SymbolType.TYPE, kind: spec.type === 'type_alias' ? 'alias' : 'definition', typeHint: typeNode?.text || null };
+}
+
+function getGoFunctionInfo(node) {
+  const params = [];
+  for (const param of node.childForFieldName('parameters').namedChildren) {
+    const names = param.childrenForFieldName('name').filter(name => name.isNamed).map(name => name.text);
+    const prefix = param.type === 'variadic_parameter_declaration' ? '...' : '';
+    params.push(...(names.length > 0 ? names.map(name => prefix + name) : ['_']));
+  }
+
+  return {
+    params,
+    returnType: node.childForFieldName('result')?.text || null
+  };
+}
+
+function getGoStringValue(node) {
+  return node ? node.text.replace(/^["`]|["`]$/g, '') : '';
+}
+
+function isGoExported(name) {
+  return /^[A-Z]/.test(name);
+}
+
+// ============================================================================
+// Java
+// ============================================================================
+
+const JAVA_TYPE_DECLARATIONS = {
+  class_declaration: 'class',
+  enum_declaration: 'enum',
+  record_declaration: 'record',
+  interface_declaration: 'interface',
+  annotation_type_declaration: 'annotation'
+};
+
+function extractJavaSymbols(root) {
+  const symbols = [];
+  let packageName = null;
+
+  const visitType = (node, parent) => {
+    const name = parent ? `${parent}.${node.childForFieldName('name').text}` : node.childForFieldName('name').text;
+    const kind = JAVA_TYPE_DECLARATIONS[node.type];
+    const { modifiers, annotations } = getJavaModifiers(node);
+    const body = node.childForFieldName('body');
+    const superclass = node.childForFieldName('superclass')?.namedChildren[0]?.text;
+    const interfaces = node.childForFieldName('interfaces');
+    const superInterfaces = node.namedChildren.find(child => child.type === 'extends_interfaces');
+
+    const typeSymbol = {
+      name,
+      type: kind === 'interface' || kind === 'annotation' ? SymbolType.INTERFACE : SymbolType.CLASS,
+      kind,
+      modifiers,
+      decorators: annotations,
+      implements: getJavaTypeList(interfaces),
+      ...getDeclarationInfo(node),
+      parent,
+      exported: modifiers.includes('public'),
+      methods: []
+    };
+    // `interface A extends B, C` names supertypes, the first is recorded like a superclass
+    const extendsType = superclass || getJavaTypeList(superInterfaces)[0];
+    if (extendsType) {
+      typeSymbol.extends = extendsType;
+    }
+    symbols.push(typeSymbol);
+
+    for (const member of body?.namedChildren || []) {
+      if (member.type === 'method_declaration' || member.type === 'constructor_declaration') {
+        const methodName = member.childForFieldName('name').text;
+        const method = getJavaMethodSymbol(member, name, methodName);
+        typeSymbol.methods.push(methodName);
+        symbols.push(method);
+      } else if (JAVA_TYPE_DECLARATIONS[member.type]) {
+        visitType(member, name);
+      } else if (member.type === 'enum_body_declarations') {
+        // Enum methods live after the constants
+        for (const enumMember of member.namedChildren) {
+          if (enumMember.type === 'method_declaration' || enumMember.type === 'constructor_declaration') {
+            const methodName = enumMember.childForFieldName('name').text;
+            typeSymbol.methods.push(methodName);
+            symbols.push(getJavaMethodSymbol(enumMember, name, methodName));
+          } else if (JAVA_TYPE_DECLARATIONS[enumMember.type]) {
+            visitType(enumMember, name);
+          }
+        }
+      }
+    }
+  };
+
+  for (const node of root.namedChildren) {
+    if (node.type === 'package_declaration') {
+      packageName = node.namedChildren.find(child => child.type !== 'annotation' && child.type !== 'marker_annotation')?.text || null;
+    } else if (node.type === 'import_declaration') {
+      symbols.push(getJavaImportSymbol(node));
+    } else if (JAVA_TYPE_DECLARATIONS[node.type]) {
+      visitType(node, null);
+    }
+  }
+
+  return { symbols, packageName };
+}
+
+function getJavaTypeList(node) {
+  return node?.descendantsOfType('type_list')[0]?.namedChildren.map(type => type.text) || [];
+}
+
+function getJavaImportSymbol(node) {
+  const qualified = node.namedChildren.find(child => child.type === 'scoped_identifier' || child.type === 'identifier').text;
+  const isStatic = node.children.some(child => child.type === 'static');
+  const wildcard = node.namedChildren.some(child => child.type === 'asterisk');
+  const lastDot = qualified.lastIndexOf('.');
+
+  let name, from, imported;
+  if (wildcard) {
+    // import com.example.util.*; / import static java.lang.Math.*;
+    name = `${qualified}.*`;
+    from = qualified;
+    imported = '*';
+  } else if (isStatic) {
+    // import static java.lang.Math.max; binds a member of a class
+    name = qualified.slice(lastDot + 1);
+    from = qualified.slice(0, lastDot);
+    imported = name;
+  } else {
+    name = qualified.slice(lastDot + 1);
+    from = qualified;
+    imported = name;
+  }
+
+  return {
+    name,
+    imported,
+    type: SymbolType.IMPORT,
+    from,
+    static: isStatic,
+    line: node.startPosition.row + 1,
+    range: getTreeSitterRange(node)
+  };
+}
+
+function getJavaMethodSymbol(node, className, methodName) {
+  const { modifiers, annotations } = getJavaModifiers(node);
+  const isConstructor = node.type === 'constructor_declaration';
+  const params = node.childForFieldName('parameters').namedChildren
+    .filter(param => param.type === 'formal_parameter' || param.type === 'spread_parameter')
+    .map(param => param.type === 'spread_parameter'
+      ? `...${param.descendantsOfType('variable_declarator')[0]?.childForFieldName('name')?.text || ''}`
+      : param.childForFieldName('name').text);
+  const typeHints = {};
+  for (const param of node.childForFieldName('parameters').namedChildren) {
+    if (param.type === 'formal_parameter') {
+      typeHints[param.childForFieldName('name').text] = param.childForFieldName('type').text;
+    }
+  }
+
+  return {
+    name: `${className}.${methodName}`,
+    type: SymbolType.METHOD,
+    className,
+    kind: isConstructor ? 'constructor' : 'method',
+    static: modifiers.includes('static'),
+    modifiers,
+    decorators: annotations,
+    params,
+    typeHints,
+    returnType: isConstructor ? null : node.childForFieldName('type')?.text || null,
+    ...getDeclarationInfo(node),
+    parent: className,
+    exported: modifiers.includes('public')
+  };
+}
+
+/**
+ * Keywords (`public`, `static`, ...) and annotations of a declaration
+ */
+function getJavaModifiers(node) {
+  const modifiersNode = node.namedChildren.find(child => child.type === 'modifiers');
+  const modifiers = [];
+  const annotations = [];
+
+  for (const child of modifiersNode?.children || []) {
+    if (child.type === 'annotation' || child.type === 'marker_annotation') {
+      annotations.push(child.text.replace(/^@\s*/, ''));
+    } else if (!child.isNamed) {
+      modifiers.push(child.type);
+    }
+  }
+
+  return { modifiers, annotations };
+}
+
+// ============================================================================
+// Rust
+// ============================================================================
+
+function extractRustSymbols(root) {
+  const symbols = [];
+
+  const visitItems = (container, scope) => {
+    let attributes = [];
+
+    for (const node of container.namedChildren) {
+      if (node.type === 'attribute_item') {
+        attributes.push(node);
+        continue;
+      }
+      if (node.type === 'line_comment' || node.type === 'block_comment') {
+        continue;
+      }
+
+      // Outer attributes (`#[derive(...)]`) belong to the next item
+      const outer = attributes[0] || node;
+      const decorators = attributes.map(attribute => attribute.namedChildren[0]?.text || attribute.text);
+      attributes = [];
+
+      visitItem(node, outer, decorators, scope);
+    }
+  };
+
+  const visitItem = (node, outer, decorators, scope) => {
+    const qualify = name => (scope.module ? `${scope.module}.${name}` : name);
+    const exported = node.namedChildren.some(child => child.type === 'visibility_modifier');
+
+    switch (node.type) {
+      case 'use_declaration':
+        for (const use of flattenRustUseTree(node.childForFieldName('argument'), '')) {
+          symbols.push({
+            ...use,
+            type: SymbolType.IMPORT,
+            line: node.startPosition.row + 1,
+            range: getTreeSitterRange(node),
+            exported
+          });
+        }
+        return;
+
+      case 'function_item': {
+        const fnName = node.childForFieldName('name').text;
+        const parameters = node.childForFieldName('parameters');
+        const hasSelf = parameters.namedChildren.some(param => param.type === 'self_parameter');
+        const info = {
+          params: getRustParams(parameters),
+          returnType: node.childForFieldName('return_type')?.text || null,
+          async: /\basync\b/.test(node.namedChildren.find(child => child.type === 'function_modifiers')?.text || ''),
+          decorators,
+          ...getDeclarationInfo(node, outer),
+          exported
+        };
+
+        if (scope.className) {
+          symbols.push({
+            name: qualify(`${scope.className}.${fnName}`),
+            type: SymbolType.METHOD,
+            className: qualify(scope.className),
+            kind: hasSelf ? 'method' : 'associated',
+            static: !hasSelf,
+            ...(scope.trait ? { trait: scope.trait } : {}),
+            ...info
+          });
+        } else {
+          symbols.push({ name: qualify(fnName), type: SymbolType.FUNCTION, ...info });
+        }
+        return;
+      }
+
+      case 'struct_item':
+      case 'enum_item':
+      case 'union_item':
+        symbols.push({
+          name: qualify(node.childForFieldName('name').text),
+          type: SymbolType.CLASS,
+          kind: node.type.replace('_item', ''),
+          decorators,
+          ...getDeclarationInfo(node, outer),
+          exported,
+          methods: []
+        });
+        return;
+
+      case 'trait_item': {
+        const traitName = node.childForFieldName('name').text;
+        const body = node.childForFieldName('body');
+        symbols.push({
+          name: qualify(traitName),
+          type: SymbolType.INTERFACE,
+          kind: 'trait',
+          decorators,
+          ...getDeclarationInfo(node, outer),
+          exported,
+          methods: body.namedChildren
+            .filter(child => child.type === 'function_item' || child.type === 'function_signature_item')
+            .map(child => child.childForFieldName('name').text)
+        });
+        // Default method bodies are real code
+        visitItems(body, { ...scope, className: traitName, trait: null });
+        return;
+      }
+
+      case 'impl_item': {
+        const typeName = node.childForFieldName('type').text.replace(/<.*>$/, '');
+        const trait = node.childForFieldName('trait')?.text || null;
+        const body = node.childForFieldName('body');
+        if (body) {
+          visitItems(body, { ...scope, className: typeName, trait });
+        }
+        return;
+      }
+
+      case 'mod_item': {
+        const body = node.childForFieldName('body');
+        if (body) {
+          visitItems(body, { module: qualify(node.childForFieldName('name').text), className: null, trait: null });
+        }
+        return;
+      }
+
+      case 'type_item':
+        symbols.push({
+          name: qualify(node.childForFieldName('name').text),
+          type: SymbolType.TYPE,
+          kind: 'alias',
+          typeHint: node.childForFieldName('type')?.text || null,
+          ...getDeclarationInfo(node, outer),
+          exported
+        });
+        return;
+
+      case 'const_item':
+      case 'static_item':
+        symbols.push({
+          name: qualify(node.childForFieldName('name').text),
+          type: SymbolType.VARIABLE,
+          kind: node.type === 'const_item' ? 'const' : 'static',
+          typeHint: node.childForFieldName('type')?.text || null,
+          line: outer.startPosition.row + 1,
+          range: getTreeSitterRange(outer),
+          exported
+        });
+        return;
+    }
+  };
+
+  visitItems(root, { module: null, className: null, trait: null });
+
+  // Methods are declared in impl blocks, separately from their type
+  attachMethods(symbols);
+
+  return { symbols, packageName: null };
+}
+
+/**
+ * Flatten a `use` tree into one import per bound name
+ * `use a::{b, c::d as e, f::*}` → b from a, e (d) from a::c, a::f::*
+ * @returns {Array<{name: string, imported: string, from: string}>}
+ */
+function flattenRustUseTree(node, prefix) {
+  const join = (base, segment) => (base ? `${base}::${segment}` : segment);
+
+  switch (node?.type) {
+    case 'scoped_use_list': {
+      const path = node.childForFieldName('path');
+      const base = path ? join(prefix, path.text) : prefix;
+      return node.childForFieldName('list').namedChildren.flatMap(child => flattenRustUseTree(child, base));
+    }
+
+    case 'use_list':
+      return node.namedChildren.flatMap(child => flattenRustUseTree(child, prefix));
+
+    case 'use_as_clause': {
+      const full = join(prefix, node.childForFieldName('path').text);
+      const split = full.lastIndexOf('::');
+      return [{
+        name: node.childForFieldName('alias').text,
+        imported: split === -1 ? '*' : full.slice(split + 2),
+        from: split === -1 ? full : full.slice(0, split)
+      }];
+    }
+
+    case 'use_wildcard': {
+      const base = join(prefix, node.namedChildren[0]?.text || '');
+      return [{ name: `${base}::*`, imported: '*', from: base }];
+    }
+
+    case 'self':
+      // `use a::{self}` binds the module itself
+      return [{ name: prefix.split('::').pop(), imported: '*', from: prefix }];
+
+    case undefined:
+      return [];
+
+    default: {
+      const full = join(prefix, node.text);
+      const split = full.lastIndexOf('::');
+      if (split === -1) {
+        // `use serde;` binds a crate
+        return [{ name: full, imported: '*', from: full }];
+      }
+      return [{ name: full.slice(split + 2), imported: full.slice(split + 2), from: full.slice(0, split) }];
+    }
+  }
+}
+
+function getRustParams(parameters) {
+  return parameters.namedChildren
+    .filter(param => param.type === 'parameter' || param.type === 'self_parameter' || param.type === 'variadic_parameter')
+    .map(param => (param.type === 'parameter' ? param.childForFieldName('pattern').text : param.text));
+}
+
+// ============================================================================
+// Shared helpers
+// ============================================================================
+
+/**
+ * Line, range, doc comment and signature of a declaration
+ * @param {Object} node - Declaration node
+ * @param {Object} outer - Node whose range covers the declaration and its attributes (defaults to node)
+ */
+function getDeclarationInfo(node, outer = node) {
+  const start = outer.startPosition.row < node.startPosition.row ? outer : node;
+  return {
+    line: start.startPosition.row + 1,
+    endLine: node.endPosition.row + 1,
+    range: {
+      ...getTreeSitterRange(node),
+      startLine: start.startPosition.row + 1,
+      startColumn: start.startPosition.column
+    },
+    documentation: getDocComment(start),
+    signature: getSignature(node)
+  };
+}
+
+/**
+ * Text of a declaration up to its body, on one line
+ */
+function getSignature(node) {
+  const body = node.childForFieldName('body');
+  const text = body ? node.text.slice(0, body.startIndex - node.startIndex) : node.text;
+  return text.replace(/\s+/g, ' ').replace(/[\s{;]+$/, '').trim();
+}
+
+/**
+ * Comments directly above a declaration (`//`, `///`, `/** *\/`)
+ */
+function getDocComment(node) {
+  const lines = [];
+  let expectedRow = node.startPosition.row;
+  let sibling = node.previousNamedSibling;
+
+  while (sibling && (sibling.type === 'comment' || sibling.type === 'line_comment' || sibling.type === 'block_comment') &&
+    sibling.endPosition.row >= expectedRow - 1) {
+    lines.unshift(sibling.text);
+    expectedRow = sibling.startPosition.row;
+    sibling = sibling.previousNamedSibling;
+  }
+
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const text = lines
+    .join('\n')
+    .replace(/^\s*\/\*+|\*+\/\s*$/g, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(\/\/+!?|\*)\s?/, ''))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return text || null;
+}
+
+/**
+ * Fill each type's `methods` list from method symbols declared elsewhere in the file
+ */
+function attachMethods(symbols) {
+  const types = new Map(symbols.filter(s => s.type === SymbolType.CLASS).map(s => [s.name, s]));
+
+  for (const symbol of symbols) {
+    if (symbol.type !== SymbolType.METHOD) continue;
+    const owner = types.get(symbol.className);
+    const methodName = symbol.name.slice(symbol.className.length + 1);
+    if (owner && !owner.methods.includes(methodName)) {
+      owner.methods.push(methodName);
+    }
+  }
+}
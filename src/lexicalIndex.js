@@ -0,0 +1,149 @@
+/**
+ * 👻 GhostCoder - Lexical Index
+ *
+ * BM25 inverted index over the same entries as the embedding index: symbol
+ * names, their documentation and signature, and their source code. It finds
+ * exact identifiers, error messages and config keys that the embedding model
+ * blurs together. Identifiers are split on camelCase and snake_case, and the
+ * whole identifier is kept as a term too, so `getUserById` matches both
+ * "user id" and `getUserById` itself (the latter much more strongly).
+ *
+ * Documents are identified by their position in the index's embeddings array.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+// Standard BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// A term in the symbol name counts as this many occurrences
+const NAME_WEIGHT = 3;
+
+const LEXICAL_FORMAT_VERSION = 1;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {Array<string>} Terms, e.g. "parseHTTPResponse(raw_body)" ->
+ *                          parse, http, response, parsehttpresponse, raw, body, raw_body
+ */
+export function tokenize(text) {
+  const terms = [];
+
+  for (const word of text.match(/[A-Za-z0-9_$]+/g) || []) {
+    const parts = word
+      .split(/[_$]+/)
+      .flatMap(part => part.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g) || []);
+
+    for (const part of parts) {
+      if (part.length > 1) terms.push(part.toLowerCase());
+    }
+    if (parts.length > 1) {
+      terms.push(word.toLowerCase());
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Build a BM25 index
+ * @param {Array<{name: string, text: string, body: string}>} documents - One per index entry; all fields optional
+ * @returns {Object} Lexical index
+ */
+export function buildLexicalIndex(documents) {
+  const postings = new Map();
+  const lengths = new Array(documents.length);
+  let totalLength = 0;
+
+  documents.forEach((document, id) => {
+    const frequencies = new Map();
+    const add = (text, weight) => {
+      for (const term of tokenize(text || '')) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+      }
+    };
+
+    add(document.name, NAME_WEIGHT);
+    add(document.text, 1);
+    add(document.body, 1);
+
+    let length = 0;
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(id, frequency);
+      length += frequency;
+    }
+
+    lengths[id] = length;
+    totalLength += length;
+  });
+
+  return {
+    count: documents.length,
+    avgLength: documents.length > 0 ? totalLength / documents.length : 0,
+    lengths,
+    postings
+  };
+}
+
+/**
+ * Rank documents for a query
+ * @param {Object} lexical - Lexical index from buildLexicalIndex
+ * @param {string} query - Free text, identifiers, error messages...
+ * @param {number} topK - Number of results
+ * @returns {Array<{id: number, score: number}>} Best first
+ */
+export function searchLexicalIndex(lexical, query, topK = 10) {
+  const scores = new Map();
+
+  for (const term of new Set(tokenize(query))) {
+    const posting = lexical.postings.get(term);
+    if (!posting) continue;
+
+    const documentFrequency = posting.length / 2;
+    const idf = Math.log(1 + (lexical.count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+    for (let i = 0; i < posting.length; i += 2) {
+      const id = posting[i];
+      const frequency = posting[i + 1];
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * lexical.lengths[id] / (lexical.avgLength || 1));
+      scores.set(id, (scores.get(id) || 0) + idf * frequency * (BM25_K1 + 1) / (frequency + norm));
+    }
+  }
+
+  return Array.from(scores, ([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Plain object form of a lexical index, for JSON
+ */
+export function serializeLexicalIndex(lexical) {
+  return {
+    version: LEXICAL_FORMAT_VERSION,
+    count: lexical.count,
+    avgLength: lexical.avgLength,
+    lengths: lexical.lengths,
+    postings: Object.fromEntries(lexical.postings)
+  };
+}
+
+/**
+ * Read a lexical index written by serializeLexicalIndex
+ * @throws {Error} If the data is from an unsupported version
+ */
+export function deserializeLexicalIndex(data) {
+  if (data.version !== LEXICAL_FORMAT_VERSION) {
+    throw new Error(`unsupported lexical index version ${data.version}`);
+  }
+
+  return {
+    count: data.count,
+    avgLength: data.avgLength,
+    lengths: data.lengths,
+    postings: new Map(Object.entries(data.postings))
+  };
+}
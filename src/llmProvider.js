@@ -0,0 +1,311 @@
+/**
+ * 👻 GhostCoder - LLM Provider Layer
+ *
+ * Chat-completion providers behind a single `chat()` interface so the AI
+ * calls in openrouter_api.js do not depend on a specific vendor:
+ *
+ * - `openrouter`        → OpenRouter (default)
+ * - `openai-compatible` → any OpenAI-style /chat/completions endpoint
+ *                         (vLLM, llama.cpp server, Ollama, ...)
+ * - `replay`            → deterministic responses from a recordings file (tests)
+ * - `record`            → forwards to an upstream provider and saves the
+ *                         responses to the recordings file
+ *
+ * The provider is chosen with LLM_PROVIDER (see .env.example). HTTP
+ * providers send requests through llmRequest.js (retries, timeouts and a
+ * circuit breaker).
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { log } from './utils.js';
+import { requestWithRetry } from './llmRequest.js';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_OPENROUTER_MODEL = 'anthropic/claude-3.5-sonnet';
+const DEFAULT_RECORDINGS_FILE = path.join(process.cwd(), 'data', 'llm_recordings.json');
+
+/**
+ * Supported provider names
+ */
+export const ProviderType = {
+  OPENROUTER: 'openrouter',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  REPLAY: 'replay',
+  RECORD: 'record'
+};
+
+// Singleton for the configured provider
+let activeProvider = null;
+
+/**
+ * Get the provider selected by environment configuration
+ * @returns {Object} Provider with { name, model, chat() }
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+    log(`Using LLM provider: ${activeProvider.name} (model: ${activeProvider.model})`, 'info');
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. a replay provider in tests)
+ * @param {Object|null} provider - Provider to use, or null to re-read the environment
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Check that the selected provider has the configuration it needs
+ * @throws {Error} If required settings are missing
+ */
+export function validateProviderConfig() {
+  const type = process.env.LLM_PROVIDER || ProviderType.OPENROUTER;
+  const upstream = type === ProviderType.RECORD
+    ? process.env.LLM_RECORD_UPSTREAM || ProviderType.OPENROUTER
+    : type;
+
+  if (!Object.values(ProviderType).includes(type)) {
+    throw new Error(`Unknown LLM_PROVIDER "${type}". Expected one of: ${Object.values(ProviderType).join(', ')}`);
+  }
+
+  if (upstream === ProviderType.OPENROUTER && !process.env.OPENROUTER_API_KEY) {
+    throw new Error(
+      'Missing required environment variables: OPENROUTER_API_KEY\n' +
+      'Please check your .env file and ensure all required variables are set.'
+    );
+  }
+
+  if (upstream === ProviderType.OPENAI_COMPATIBLE && (!process.env.LLM_BASE_URL || !process.env.LLM_MODEL)) {
+    throw new Error(
+      'The openai-compatible provider requires LLM_BASE_URL and LLM_MODEL\n' +
+      'Please check your .env file and ensure all required variables are set.'
+    );
+  }
+}
+
+/**
+ * Create a provider from environment variables
+ */
+function createProviderFromEnv() {
+  const type = process.env.LLM_PROVIDER || ProviderType.OPENROUTER;
+
+  switch (type) {
+    case ProviderType.OPENROUTER:
+      return createOpenRouterProvider();
+    case ProviderType.OPENAI_COMPATIBLE:
+      return createOpenAICompatibleProvider();
+    case ProviderType.REPLAY:
+      return createReplayProvider();
+    case ProviderType.RECORD: {
+      const upstream = process.env.LLM_RECORD_UPSTREAM === ProviderType.OPENAI_COMPATIBLE
+        ? createOpenAICompatibleProvider()
+        : createOpenRouterProvider();
+      return createRecordingProvider(upstream);
+    }
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${type}". Expected one of: ${Object.values(ProviderType).join(', ')}`);
+  }
+}
+
+/**
+ * OpenRouter provider
+ * @param {Object} options - Provider options (default to environment variables)
+ * @param {string} options.apiKey - OpenRouter API key
+ * @param {string} options.model - Model id
+ * @returns {Object} Provider
+ */
+export function createOpenRouterProvider({
+  apiKey = process.env.OPENROUTER_API_KEY,
+  model = process.env.LLM_MODEL || process.env.OPENROUTER_MODEL || DEFAULT_OPENROUTER_MODEL
+} = {}) {
+  return createChatCompletionsProvider({
+    name: ProviderType.OPENROUTER,
+    baseUrl: OPENROUTER_BASE_URL,
+    apiKey,
+    model,
+    headers: {
+      'HTTP-Referer': 'https://github.com/ghostcoder',
+      'X-Title': 'GhostCoder Backend'
+    }
+  });
+}
+
+/**
+ * Provider for any OpenAI-compatible /chat/completions endpoint
+ * @param {Object} options - Provider options (default to environment variables)
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} options.apiKey - Optional API key
+ * @param {string} options.model - Model id served by the endpoint
+ * @returns {Object} Provider
+ */
+export function createOpenAICompatibleProvider({
+  baseUrl = process.env.LLM_BASE_URL,
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL
+} = {}) {
+  return createChatCompletionsProvider({
+    name: ProviderType.OPENAI_COMPATIBLE,
+    baseUrl,
+    apiKey,
+    model
+  });
+}
+
+/**
+ * Shared implementation for OpenAI-style chat completion APIs
+ */
+function createChatCompletionsProvider({ name, baseUrl, apiKey, model, headers = {} }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    model,
+
+    /**
+     * Send a chat completion request
+     * @param {Object} request - Chat request
+     * @param {Array<{role: string, content: string}>} request.messages - Conversation
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @returns {Promise<{content: string, raw: Object}>} Response text and raw payload
+     */
+    async chat({ messages, temperature, maxTokens }) {
+      const payload = {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      };
+
+      return requestWithRetry(url, async ({ timeoutMs }) => {
+        const response = await axios.post(url, payload, {
+          timeout: timeoutMs,
+          headers: {
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+            'Content-Type': 'application/json',
+            ...headers
+          }
+        });
+
+        log(`API Response status: ${response.status}`, 'success');
+
+        // A truncated or malformed body arrives as a string (or without choices)
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          const error = new Error(`${name} returned no message content`);
+          error.retryable = true;
+          throw error;
+        }
+
+        return { content, raw: response.data };
+      });
+    }
+  };
+}
+
+/**
+ * Deterministic provider that answers from a recordings file
+ * Requests are matched by a hash of their messages, temperature and max tokens.
+ * @param {Object} options - Provider options
+ * @param {string} options.recordingsPath - Recordings JSON file
+ * @returns {Object} Provider
+ */
+export function createReplayProvider({
+  recordingsPath = process.env.LLM_RECORDINGS_PATH || DEFAULT_RECORDINGS_FILE
+} = {}) {
+  let recordings = null;
+
+  return {
+    name: ProviderType.REPLAY,
+    model: 'replay',
+
+    async chat(request) {
+      if (!recordings) {
+        recordings = await readRecordings(recordingsPath);
+      }
+
+      const key = hashRequest(request);
+      const recording = recordings[key];
+
+      if (!recording) {
+        throw new Error(`No recorded LLM response for request ${key} in ${recordingsPath}`);
+      }
+
+      return { content: recording.response, raw: null };
+    }
+  };
+}
+
+/**
+ * Provider that forwards to an upstream provider and records every response
+ * @param {Object} upstream - Provider to forward requests to
+ * @param {Object} options - Provider options
+ * @param {string} options.recordingsPath - Recordings JSON file
+ * @returns {Object} Provider
+ */
+export function createRecordingProvider(upstream, {
+  recordingsPath = process.env.LLM_RECORDINGS_PATH || DEFAULT_RECORDINGS_FILE
+} = {}) {
+  return {
+    name: `${ProviderType.RECORD}:${upstream.name}`,
+    model: upstream.model,
+
+    async chat(request) {
+      const result = await upstream.chat(request);
+
+      const recordings = await readRecordings(recordingsPath);
+      const key = hashRequest(request);
+      recordings[key] = {
+        model: upstream.model,
+        messages: request.messages,
+        temperature: request.temperature,
+        maxTokens: request.maxTokens,
+        response: result.content
+      };
+      await writeRecordings(recordingsPath, recordings);
+
+      log(`Recorded LLM response ${key}`, 'info');
+      return result;
+    }
+  };
+}
+
+/**
+ * Stable key for a chat request (model is excluded so recordings can be
+ * replayed regardless of which model produced them)
+ */
+function hashRequest({ messages, temperature, maxTokens }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ messages, temperature, maxTokens }))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+async function readRecordings(recordingsPath) {
+  try {
+    const raw = await fs.readFile(recordingsPath, 'utf-8');
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+}
+
+async function writeRecordings(recordingsPath, recordings) {
+  await fs.mkdir(path.dirname(recordingsPath), { recursive: true });
+  // Atomic write: write to temp file then rename
+  const tmp = `${recordingsPath}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(recordings, null, 2), 'utf-8');
+  await fs.rename(tmp, recordingsPath);
+}
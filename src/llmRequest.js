@@ -0,0 +1,242 @@
+/**
+ * 👻 GhostCoder - LLM Request Layer
+ *
+ * Shared resilience for LLM calls: exponential backoff with jitter,
+ * Retry-After handling, per-request timeouts and a circuit breaker per
+ * provider endpoint. Retry counts are collected per GhostCoder run so they
+ * can be reported in the run summary.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { log, sleep } from './utils.js';
+
+const RETRYABLE_STATUS = [408, 409, 425, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_BAD_RESPONSE'];
+
+const statsStorage = new AsyncLocalStorage();
+const breakers = new Map(); // endpoint -> circuit breaker
+
+/**
+ * Read retry settings from the environment
+ * @returns {Object} Retry configuration
+ */
+export function getRetryConfig() {
+  return {
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES, 10) || 4,
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_MS, 10) || 30000,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000,
+    breakerThreshold: parseInt(process.env.LLM_BREAKER_THRESHOLD, 10) || 5,
+    breakerCooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS, 10) || 60000
+  };
+}
+
+/**
+ * Create an empty request statistics record
+ * @returns {Object} Request statistics
+ */
+export function createRequestStats() {
+  return {
+    requests: 0,
+    retries: 0,
+    jsonRetries: 0,
+    failures: 0,
+    circuitBreakerRejections: 0
+  };
+}
+
+/**
+ * Run a function while collecting request statistics for every LLM call it makes
+ * @param {Object} stats - Statistics record from createRequestStats()
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+export function trackRequestStats(stats, fn) {
+  return statsStorage.run(stats, fn);
+}
+
+/**
+ * Increment a counter on the statistics of the current run (if any)
+ * @param {string} counter - Counter name
+ */
+export function recordRequestStat(counter) {
+  const stats = statsStorage.getStore();
+  if (stats) {
+    stats[counter] = (stats[counter] || 0) + 1;
+  }
+}
+
+/**
+ * Send a request with retries, backoff and a circuit breaker
+ * @param {string} endpoint - Endpoint identifier used for the circuit breaker
+ * @param {Function} sendRequest - async ({ timeoutMs }) => result
+ * @param {Object} overrides - Optional overrides of getRetryConfig()
+ * @returns {Promise<*>} Result of sendRequest
+ */
+export async function requestWithRetry(endpoint, sendRequest, overrides = {}) {
+  const config = { ...getRetryConfig(), ...overrides };
+  const breaker = getCircuitBreaker(endpoint, config);
+
+  for (let attempt = 0; ; attempt++) {
+    if (!(await breaker.acquire())) {
+      recordRequestStat('circuitBreakerRejections');
+      throw new Error(`Circuit breaker open for ${endpoint}: too many consecutive failures, retry later`);
+    }
+
+    recordRequestStat('requests');
+
+    try {
+      const result = await sendRequest({ timeoutMs: config.timeoutMs });
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      if (retryable) {
+        breaker.recordFailure();
+      } else {
+        breaker.release();
+      }
+
+      if (!retryable || attempt >= config.maxRetries) {
+        recordRequestStat('failures');
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, config);
+      recordRequestStat('retries');
+      log(`LLM request failed (${describeError(error)}), retry ${attempt + 1}/${config.maxRetries} in ${Math.round(delay)}ms`, 'warning');
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Check whether an error is transient and worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error.retryable) {
+    return true;
+  }
+
+  const status = error.response?.status;
+  if (status) {
+    return RETRYABLE_STATUS.includes(status);
+  }
+
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Honors Retry-After, otherwise exponential backoff with full jitter.
+ */
+function getRetryDelay(error, attempt, config) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, config.maxDelayMs);
+  }
+
+  const exponential = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  return Math.random() * exponential;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|undefined} header - Header value
+ * @returns {number|null} Delay in milliseconds
+ */
+export function parseRetryAfter(header) {
+  if (!header) {
+    return null;
+  }
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Get (or create) the circuit breaker for an endpoint
+ * The breaker opens after `breakerThreshold` consecutive failures and lets a
+ * single trial request through once `breakerCooldownMs` has passed. Requests
+ * made while the trial is in flight wait for it: they go through if it
+ * succeeds and are rejected if it fails (which opens the breaker again).
+ */
+function getCircuitBreaker(endpoint, config) {
+  if (!breakers.has(endpoint)) {
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trial = null; // { settled, settle } while the trial request is in flight
+
+    const endTrial = () => {
+      trial?.settle();
+      trial = null;
+    };
+
+    breakers.set(endpoint, {
+      /**
+       * Wait for a permit to send a request
+       * @returns {Promise<boolean>} false while the breaker is open
+       */
+      async acquire() {
+        while (trial) {
+          await trial.settled;
+        }
+        if (openedAt === null) return true;
+        if (Date.now() - openedAt < config.breakerCooldownMs) return false;
+
+        // Half-open: this request is the trial
+        let settle;
+        trial = { settled: new Promise(resolve => { settle = resolve; }), settle };
+        return true;
+      },
+      recordSuccess() {
+        consecutiveFailures = 0;
+        openedAt = null;
+        endTrial();
+      },
+      // A request that failed for its own reasons (e.g. a 400) says nothing about the endpoint
+      release() {
+        endTrial();
+      },
+      recordFailure() {
+        consecutiveFailures++;
+        if (consecutiveFailures >= config.breakerThreshold) {
+          if (openedAt === null) {
+            log(`Circuit breaker opened for ${endpoint} after ${consecutiveFailures} consecutive failures`, 'error');
+          }
+          openedAt = Date.now();
+        }
+        endTrial();
+      }
+    });
+  }
+
+  return breakers.get(endpoint);
+}
+
+/**
+ * Reset all circuit breakers
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
+
+function describeError(error) {
+  if (error.response?.status) {
+    return `status ${error.response.status}`;
+  }
+  return error.code || error.message;
+}
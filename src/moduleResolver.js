@@ -0,0 +1,615 @@
+/**
+ * 👻 GhostCoder - Module Resolver
+ *
+ * Maps import specifiers to files in the repository so import edges point
+ * at real file ids. Handles, in order:
+ *
+ *   - relative specifiers (`./utils.js`, `../lib`), extensionless imports,
+ *     directory `index` files and TypeScript's `.js` → `.ts` mapping
+ *   - `tsconfig.json` / `jsconfig.json` `paths` aliases and `baseUrl`
+ *   - packages that live in the repository (workspaces), via their
+ *     package.json `exports` or `main`
+ *   - Python dotted modules (`pkg.mod`, `.sibling`)
+ *   - Go import paths under a `go.mod` module path (to a file of the package)
+ *   - Java qualified names (`com.example.Foo` → `.../com/example/Foo.java`)
+ *   - Rust `crate::`, `self::`, `super::` and workspace crate paths, through
+ *     `mod.rs` / `name.rs` module files
+ *
+ * Anything else (bare specifiers such as `react`, `node:fs`, `fmt`,
+ * `java.util.List`, `serde`) is reported as an external package.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fsSync from 'fs';
+import path from 'path';
+import { log } from './utils.js';
+
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts', '.d.ts', '.json'];
+const TS_SOURCE_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+const EXPORT_CONDITIONS = ['import', 'module', 'require', 'node', 'default'];
+const TS_CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const RUST_CRATE_ROOTS = ['lib.rs', 'main.rs'];
+
+/**
+ * Create a resolver for one repository
+ * @param {string} repoPath - Repository root (where tsconfig.json / package.json live)
+ * @param {Object} options - Resolver options
+ * @param {string} options.rootPath - Directory file paths are relative to (defaults to repoPath)
+ * @param {Array<string>} options.files - Known file paths (relative to rootPath), used to find workspace packages
+ * @returns {{resolve: Function}} resolve(fromFile, specifier) → {file, external, package}
+ */
+export function createModuleResolver(repoPath, options = {}) {
+  const repoRoot = path.resolve(repoPath);
+  const rootPath = path.resolve(options.rootPath || repoPath);
+  const existsCache = new Map();
+
+  const isFile = absolutePath => {
+    if (!existsCache.has(absolutePath)) {
+      let result = false;
+      try {
+        result = fsSync.statSync(absolutePath).isFile();
+      } catch (error) {
+        // Missing
+      }
+      existsCache.set(absolutePath, result);
+    }
+    return existsCache.get(absolutePath);
+  };
+
+  const files = options.files || [];
+  const tsConfig = loadTsConfig(repoRoot);
+  const packages = findWorkspacePackages(repoRoot, rootPath, files);
+  const goModules = findGoModules(repoRoot, rootPath, files);
+  const rustCrates = findRustCrates(repoRoot, rootPath, files);
+
+  // Go packages and Java sources are looked up among the scanned files
+  const goPackageFiles = new Map();
+  const javaFiles = new Map();
+  for (const file of [...files].sort()) {
+    const absolutePath = path.join(rootPath, file);
+    if (file.endsWith('.go') && !file.endsWith('_test.go')) {
+      const dir = path.dirname(absolutePath);
+      if (!goPackageFiles.has(dir)) goPackageFiles.set(dir, absolutePath);
+    } else if (file.endsWith('.java')) {
+      // Index every path suffix, source roots (src/main/java, ...) are unknown
+      const parts = toPosix(file).split('/');
+      for (let i = 0; i < parts.length; i++) {
+        const suffix = parts.slice(i).join('/');
+        const dirSuffix = parts.slice(i, -1).join('/');
+        if (!javaFiles.has(suffix)) javaFiles.set(suffix, absolutePath);
+        if (dirSuffix && !javaFiles.has(`${dirSuffix}/`)) javaFiles.set(`${dirSuffix}/`, absolutePath);
+      }
+    }
+  }
+
+  if (tsConfig?.paths || tsConfig?.baseUrl) {
+    log(`Module resolution: using ${Object.keys(tsConfig.paths || {}).length} path alias(es) from ${tsConfig.source}`, 'info');
+  }
+
+  const toResult = absolutePath => ({
+    file: absolutePath ? toPosix(path.relative(rootPath, absolutePath)) : null,
+    external: false,
+    package: null
+  });
+
+  /**
+   * Try a path as a file, with extensions, then as a directory
+   */
+  const resolveFileOrDirectory = absolutePath => {
+    const asFile = resolveAsFile(absolutePath, isFile);
+    if (asFile) return asFile;
+
+    const manifest = readJson(path.join(absolutePath, 'package.json'));
+    if (manifest) {
+      const entry = resolvePackageEntry(absolutePath, manifest, '.', isFile, resolveAsFile);
+      if (entry) return entry;
+    }
+
+    return resolveAsFile(path.join(absolutePath, 'index'), isFile);
+  };
+
+  const resolveJavaScript = (fromFile, specifier) => {
+    if (specifier.startsWith('.') || specifier.startsWith('/')) {
+      const base = specifier.startsWith('/')
+        ? path.join(repoRoot, specifier)
+        : path.resolve(path.dirname(path.join(rootPath, fromFile)), specifier);
+      return toResult(resolveFileOrDirectory(base));
+    }
+
+    if (specifier.startsWith('node:')) {
+      return { file: null, external: true, package: specifier };
+    }
+
+    // tsconfig paths aliases
+    for (const target of matchPathAliases(tsConfig, specifier)) {
+      const resolved = resolveFileOrDirectory(target);
+      if (resolved) return toResult(resolved);
+    }
+
+    // Non-relative imports from baseUrl
+    if (tsConfig?.baseUrl) {
+      const resolved = resolveFileOrDirectory(path.join(tsConfig.baseUrl, specifier));
+      if (resolved) return toResult(resolved);
+    }
+
+    // Packages that live in this repository
+    const { name, subpath } = splitPackageSpecifier(specifier);
+    const workspacePackage = packages.get(name);
+    if (workspacePackage) {
+      const resolved = resolvePackageEntry(workspacePackage.dir, workspacePackage.manifest, subpath, isFile, resolveAsFile) ||
+        (subpath !== '.' ? resolveFileOrDirectory(path.join(workspacePackage.dir, subpath)) : null);
+      if (resolved) return toResult(resolved);
+    }
+
+    return { file: null, external: true, package: name };
+  };
+
+  const resolvePython = (fromFile, moduleName) => {
+    const match = moduleName.match(/^(\.*)(.*)$/);
+    const [, dots, dotted] = match;
+    const parts = dotted ? dotted.split('.') : [];
+
+    let baseDirs;
+    if (dots.length > 0) {
+      let dir = path.dirname(path.join(rootPath, fromFile));
+      for (let i = 1; i < dots.length; i++) dir = path.dirname(dir);
+      baseDirs = [dir];
+    } else {
+      // Absolute imports resolve from the repository root or the scan root (src layouts)
+      baseDirs = [...new Set([rootPath, repoRoot, path.join(repoRoot, 'src')])];
+    }
+
+    for (const dir of baseDirs) {
+      const base = path.join(dir, ...parts);
+      for (const candidate of [`${base}.py`, path.join(base, '__init__.py')]) {
+        if (isFile(candidate)) return toResult(candidate);
+      }
+    }
+
+    if (dots.length > 0) {
+      return toResult(null);
+    }
+    return { file: null, external: true, package: parts[0] };
+  };
+
+  const resolveGo = importPath => {
+    const module = goModules.find(({ name }) => importPath === name || importPath.startsWith(`${name}/`));
+    if (module) {
+      const dir = path.join(module.dir, importPath.slice(module.name.length));
+      return toResult(goPackageFiles.get(dir) || null);
+    }
+    return { file: null, external: true, package: importPath };
+  };
+
+  const resolveJava = qualifiedName => {
+    const parts = qualifiedName.split('.');
+
+    // Drop trailing segments for nested classes and static members (`Outer.Inner`, `Math.max`)
+    for (let end = parts.length; end > 0; end--) {
+      const file = javaFiles.get(`${parts.slice(0, end).join('/')}.java`);
+      if (file) return toResult(file);
+    }
+
+    // A package (wildcard import)
+    const packageFile = javaFiles.get(`${parts.join('/')}/`);
+    if (packageFile) return toResult(packageFile);
+
+    const packageParts = parts.slice(0, Math.max(1, parts.findIndex(part => /^[A-Z]/.test(part))));
+    return { file: null, external: true, package: packageParts.join('.') };
+  };
+
+  const findRustModuleFile = moduleDir => {
+    const candidates = [`${moduleDir}.rs`, path.join(moduleDir, 'mod.rs'), ...RUST_CRATE_ROOTS.map(root => path.join(moduleDir, root))];
+    return candidates.find(candidate => isFile(candidate)) || null;
+  };
+
+  const resolveRust = (fromFile, specifier) => {
+    const segments = specifier.split('::');
+    const fromPath = path.join(rootPath, fromFile);
+    let moduleDir;
+
+    if (segments[0] === 'crate') {
+      const crate = rustCrates
+        .filter(({ dir }) => fromPath.startsWith(dir + path.sep))
+        .sort((a, b) => b.dir.length - a.dir.length)[0];
+      if (!crate) return toResult(null);
+      moduleDir = path.join(crate.dir, 'src');
+      segments.shift();
+    } else if (segments[0] === 'self' || segments[0] === 'super') {
+      // A module's children live in a directory named after it, except for mod.rs / crate roots
+      const fileName = path.basename(fromPath);
+      moduleDir = ['mod.rs', ...RUST_CRATE_ROOTS].includes(fileName)
+        ? path.dirname(fromPath)
+        : path.join(path.dirname(fromPath), path.basename(fromPath, '.rs'));
+      if (segments[0] === 'self') segments.shift();
+      while (segments[0] === 'super') {
+        moduleDir = path.dirname(moduleDir);
+        segments.shift();
+      }
+    } else {
+      const crate = rustCrates.find(({ name }) => name === segments[0]);
+      if (!crate) return { file: null, external: true, package: segments[0] };
+      moduleDir = path.join(crate.dir, 'src');
+      segments.shift();
+    }
+
+    // Walk down the module tree; the remaining segments name items in the last file found
+    let file = findRustModuleFile(moduleDir);
+    for (const segment of segments) {
+      const child = findRustModuleFile(path.join(moduleDir, segment));
+      if (!child) break;
+      file = child;
+      moduleDir = path.join(moduleDir, segment);
+    }
+
+    return toResult(file);
+  };
+
+  return {
+    resolve(fromFile, specifier) {
+      if (!specifier) {
+        return toResult(null);
+      }
+
+      switch (path.extname(fromFile)) {
+        case '.py':
+          return resolvePython(fromFile, specifier);
+        case '.go':
+          return resolveGo(specifier);
+        case '.java':
+          return resolveJava(specifier);
+        case '.rs':
+          return resolveRust(fromFile, specifier);
+        default:
+          return resolveJavaScript(fromFile, specifier);
+      }
+    }
+  };
+}
+
+/**
+ * Resolve a path that may be missing its extension
+ * @returns {string|null} Absolute path of the existing file
+ */
+function resolveAsFile(absolutePath, isFile) {
+  if (isFile(absolutePath)) {
+    // `./foo.js` in TypeScript sources usually means foo.ts
+    const ext = path.extname(absolutePath);
+    if (!TS_SOURCE_EXTENSIONS[ext]) return absolutePath;
+  }
+
+  const ext = path.extname(absolutePath);
+  const withoutExt = absolutePath.slice(0, absolutePath.length - ext.length);
+  for (const sourceExt of TS_SOURCE_EXTENSIONS[ext] || []) {
+    if (isFile(withoutExt + sourceExt)) return withoutExt + sourceExt;
+  }
+
+  if (isFile(absolutePath)) return absolutePath;
+
+  for (const candidateExt of RESOLVE_EXTENSIONS) {
+    if (isFile(absolutePath + candidateExt)) return absolutePath + candidateExt;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an entry point of a package directory through `exports`, then `main`
+ * @param {string} subpath - '.' or './sub/path'
+ */
+function resolvePackageEntry(packageDir, manifest, subpath, isFile, resolveFile) {
+  if (manifest.exports !== undefined) {
+    const target = resolveExportsTarget(manifest.exports, subpath);
+    if (target) {
+      return resolveFile(path.join(packageDir, target), isFile);
+    }
+  }
+
+  if (subpath === '.') {
+    for (const field of ['main', 'module']) {
+      if (typeof manifest[field] === 'string') {
+        const entry = path.join(packageDir, manifest[field]);
+        const resolved = resolveFile(entry, isFile) || resolveFile(path.join(entry, 'index'), isFile);
+        if (resolved) return resolved;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Look up a subpath in a package.json `exports` field
+ * @returns {string|null} Relative target path
+ */
+function resolveExportsTarget(exportsField, subpath) {
+  const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'));
+
+  if (!isSubpathMap) {
+    return subpath === '.' ? pickCondition(exportsField) : null;
+  }
+
+  if (exportsField[subpath] !== undefined) {
+    return pickCondition(exportsField[subpath]);
+  }
+
+  // Subpath patterns: "./features/*": "./src/features/*.js"
+  for (const [key, value] of Object.entries(exportsField)) {
+    const star = key.indexOf('*');
+    if (star === -1) continue;
+
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+      const target = pickCondition(value);
+      const replacement = subpath.slice(prefix.length, subpath.length - suffix.length);
+      return target ? target.replace('*', replacement) : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick a target out of conditional exports
+ */
+function pickCondition(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const picked = pickCondition(item);
+      if (picked) return picked;
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    for (const [condition, target] of Object.entries(value)) {
+      if (!EXPORT_CONDITIONS.includes(condition)) continue;
+      const picked = pickCondition(target);
+      if (picked) return picked;
+    }
+  }
+  return null;
+}
+
+/**
+ * Expand tsconfig `paths` entries matching a specifier
+ * The most specific (longest prefix) pattern wins, as in tsc.
+ * @returns {Array<string>} Absolute candidate paths
+ */
+function matchPathAliases(tsConfig, specifier) {
+  if (!tsConfig?.paths) return [];
+
+  let best = null;
+  for (const [pattern, targets] of Object.entries(tsConfig.paths)) {
+    const star = pattern.indexOf('*');
+    let captured;
+
+    if (star === -1) {
+      if (pattern !== specifier) continue;
+      captured = '';
+    } else {
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix) || specifier.length < prefix.length + suffix.length) continue;
+      captured = specifier.slice(prefix.length, specifier.length - suffix.length);
+    }
+
+    const specificity = star === -1 ? Infinity : star;
+    if (!best || specificity > best.specificity) {
+      best = { targets, captured, specificity };
+    }
+  }
+
+  if (!best || !Array.isArray(best.targets)) return [];
+
+  return best.targets
+    .filter(target => typeof target === 'string')
+    .map(target => path.join(tsConfig.pathsBase, target.replace('*', best.captured)));
+}
+
+/**
+ * Load compiler options from tsconfig.json / jsconfig.json, following `extends`
+ * @returns {Object|null} { source, baseUrl, paths, pathsBase } with absolute directories
+ */
+function loadTsConfig(repoRoot) {
+  for (const fileName of TS_CONFIG_FILES) {
+    const configPath = path.join(repoRoot, fileName);
+    const options = readCompilerOptions(configPath, new Set());
+    if (options) {
+      return { source: fileName, ...options };
+    }
+  }
+  return null;
+}
+
+function readCompilerOptions(configPath, visited) {
+  if (visited.has(configPath)) return null;
+  visited.add(configPath);
+
+  const config = readJson(configPath, { allowComments: true });
+  if (!config) return null;
+
+  const configDir = path.dirname(configPath);
+  let inherited = {};
+
+  // Only relative `extends` can be followed without node_modules
+  if (typeof config.extends === 'string' && config.extends.startsWith('.')) {
+    const parentPath = path.resolve(configDir, config.extends);
+    inherited = readCompilerOptions(parentPath.endsWith('.json') ? parentPath : `${parentPath}.json`, visited) || {};
+  }
+
+  const compilerOptions = config.compilerOptions || {};
+  const baseUrl = compilerOptions.baseUrl ? path.resolve(configDir, compilerOptions.baseUrl) : inherited.baseUrl;
+  const paths = compilerOptions.paths || inherited.paths;
+
+  return {
+    baseUrl: baseUrl || null,
+    paths: paths || null,
+    // paths are relative to baseUrl, or to the config that declares them
+    pathsBase: baseUrl || (compilerOptions.paths ? configDir : inherited.pathsBase) || configDir
+  };
+}
+
+/**
+ * Find named packages inside the repository
+ * Looks at every package.json between the directories of known files and the repository root.
+ * @returns {Map<string, {dir: string, manifest: Object}>}
+ */
+function findWorkspacePackages(repoRoot, rootPath, files) {
+  const packages = new Map();
+  const visited = new Set();
+
+  for (const file of files) {
+    let dir = path.dirname(path.join(rootPath, file));
+
+    while (!visited.has(dir) && (dir === repoRoot || dir.startsWith(repoRoot + path.sep))) {
+      visited.add(dir);
+
+      const manifest = readJson(path.join(dir, 'package.json'));
+      if (manifest?.name && !packages.has(manifest.name)) {
+        packages.set(manifest.name, { dir, manifest });
+      }
+
+      if (dir === repoRoot) break;
+      dir = path.dirname(dir);
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Find directories containing a manifest file, between the directories of
+ * known files and the repository root
+ * @returns {Array<{dir: string, content: string}>}
+ */
+function findManifests(repoRoot, rootPath, files, manifestName) {
+  const manifests = [];
+  const visited = new Set();
+
+  for (const file of files) {
+    let dir = path.dirname(path.join(rootPath, file));
+
+    while (!visited.has(dir) && (dir === repoRoot || dir.startsWith(repoRoot + path.sep))) {
+      visited.add(dir);
+
+      try {
+        manifests.push({ dir, content: fsSync.readFileSync(path.join(dir, manifestName), 'utf-8') });
+      } catch (error) {
+        // No manifest here
+      }
+
+      if (dir === repoRoot) break;
+      dir = path.dirname(dir);
+    }
+  }
+
+  return manifests;
+}
+
+/**
+ * Go modules declared by go.mod files, longest module path first
+ * @returns {Array<{name: string, dir: string}>}
+ */
+function findGoModules(repoRoot, rootPath, files) {
+  const goFiles = files.filter(file => file.endsWith('.go'));
+
+  return findManifests(repoRoot, rootPath, goFiles, 'go.mod')
+    .map(({ dir, content }) => ({ name: content.match(/^\s*module\s+"?([^\s"]+)"?/m)?.[1], dir }))
+    .filter(module => module.name)
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+/**
+ * Rust crates declared by Cargo.toml files; crate names use `_` in paths
+ * @returns {Array<{name: string, dir: string}>}
+ */
+function findRustCrates(repoRoot, rootPath, files) {
+  const rustFiles = files.filter(file => file.endsWith('.rs'));
+
+  return findManifests(repoRoot, rootPath, rustFiles, 'Cargo.toml').map(({ dir, content }) => {
+    let section = null;
+    let name = null;
+    for (const line of content.split('\n')) {
+      const header = line.match(/^\s*\[([^\]]+)\]/);
+      if (header) {
+        section = header[1].trim();
+      } else if (section === 'package') {
+        name = line.match(/^\s*name\s*=\s*"([^"]+)"/)?.[1] || name;
+      }
+    }
+    return { name: name ? name.replace(/-/g, '_') : null, dir };
+  });
+}
+
+/**
+ * Split `@scope/pkg/sub/path` into the package name and './sub/path'
+ */
+function splitPackageSpecifier(specifier) {
+  const parts = specifier.split('/');
+  const nameParts = specifier.startsWith('@') ? parts.slice(0, 2) : parts.slice(0, 1);
+  const rest = parts.slice(nameParts.length);
+
+  return {
+    name: nameParts.join('/'),
+    subpath: rest.length > 0 ? `./${rest.join('/')}` : '.'
+  };
+}
+
+function readJson(filePath, { allowComments = false } = {}) {
+  let raw;
+  try {
+    raw = fsSync.readFileSync(filePath, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(allowComments ? stripJsonComments(raw) : raw);
+  } catch (error) {
+    log(`Ignoring unparseable ${path.basename(filePath)}: ${error.message}`, 'warning');
+    return null;
+  }
+}
+
+/**
+ * Remove comments and trailing commas (tsconfig files allow both)
+ */
+function stripJsonComments(text) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += text[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      i += 2;
+      while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  return output.replace(/,(\s*[}\]])/g, '$1');
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
@@ -1,41 +1,44 @@
 /**
- * 👻 GhostCoder Backend - OpenRouter API Integration
+ * 👻 GhostCoder Backend - AI Analysis Integration
  * Author: Ayushman Lakshkar
+ * 
+ * Requests go through the provider selected in llmProvider.js
+ * (OpenRouter by default).
  */
 
-import axios from 'axios';
 import { diffLines } from 'diff';
 import { log } from './utils.js';
+import { getLLMProvider } from './llmProvider.js';
+import { recordRequestStat } from './llmRequest.js';
+import { parseEdits, applyEdits } from './editApplier.js';
 
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+// How often to re-ask the model when its analysis is not valid JSON
+const MAX_JSON_RETRIES = 2;
 
 /**
  * Analyze code and get improvement suggestions from AI
  * @param {string} semanticContext - Formatted semantic context from contextRetriever
  * @param {string} repoInfo - Repository information
  * @param {Object} symbolGraph - Symbol graph for reference
+ * @param {Object} options - Analysis options (from .ghostcoder.yml)
+ * @param {Array<string>} options.focus - Focus areas for the review
+ * @param {Array<string>} options.protectedPaths - Globs of files that must not be changed
  * @returns {Promise<Object>} AI analysis with suggested improvements
  */
-export async function analyzeCodeWithAI(semanticContext, repoInfo, symbolGraph) {
+export async function analyzeCodeWithAI(semanticContext, repoInfo, symbolGraph, options = {}) {
   try {
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    const model = process.env.OPENROUTER_MODEL || 'anthropic/claude-3.5-sonnet';
-    
-    if (!apiKey) {
-      throw new Error('OPENROUTER_API_KEY is not set');
-    }
+    const provider = getLLMProvider();
     
     log('Sending semantic context to AI for analysis...', 'ghost');
-    log(`Using model: ${model}`, 'info');
+    log(`Using model: ${provider.model}`, 'info');
 
     // Create analysis prompt using semantic context
-    const prompt = createSemanticAnalysisPrompt(semanticContext, repoInfo);
+    const prompt = createSemanticAnalysisPrompt(semanticContext, repoInfo, options);
     
     log(`Prompt length: ${prompt.length} characters`, 'info');
-    log('Making API request to OpenRouter...', 'info');
+    log(`Making API request to ${provider.name}...`, 'info');
     
     const requestPayload = {
-      model,
       messages: [
         {
           role: 'system',
@@ -49,32 +52,39 @@ export async function analyzeCodeWithAI(semanticContext, repoInfo, symbolGraph)
         }
       ],
       temperature: 0.6,
-      max_tokens: 1000
+      maxTokens: 1000
     };
     
     log(`Request payload: ${JSON.stringify(requestPayload, null, 2).substring(0, 500)}...`, 'info');
     
-    const response = await axios.post(
-      `${OPENROUTER_BASE_URL}/chat/completions`,
-      requestPayload,
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://github.com/ghostcoder',
-          'X-Title': 'GhostCoder Backend'
-        }
-      }
-    );
+    let { content: aiResponse } = await provider.chat(requestPayload);
     
-    log(`API Response status: ${response.status}`, 'success');
-    log(`Response data: ${JSON.stringify(response.data).substring(0, 300)}...`, 'info');
-    
-    const aiResponse = response.data.choices[0].message.content;
     log('Received AI analysis', 'success');
     log(`AI Response: ${aiResponse.substring(0, 500)}...`, 'info');
     
-    const suggestions = parseAIResponse(aiResponse);
+    // Re-ask the model when the response is not valid JSON
+    let parsed = tryParseAIResponse(aiResponse);
+    for (let attempt = 1; !parsed && attempt <= MAX_JSON_RETRIES; attempt++) {
+      log(`AI response was not valid JSON, asking again (${attempt}/${MAX_JSON_RETRIES})...`, 'warning');
+      recordRequestStat('jsonRetries');
+      
+      ({ content: aiResponse } = await provider.chat({
+        ...requestPayload,
+        messages: [
+          ...requestPayload.messages,
+          { role: 'assistant', content: aiResponse },
+          {
+            role: 'user',
+            content:
+              'Your previous response was not valid JSON. ' +
+              'Respond again with ONLY the JSON object in the requested format, with no markdown or commentary.'
+          }
+        ]
+      }));
+      parsed = tryParseAIResponse(aiResponse);
+    }
+    
+    const suggestions = parsed || parseAIResponse(aiResponse);
     log(`Parsed suggestions: ${JSON.stringify(suggestions, null, 2)}`, 'info');
 
     // ✅ Don't change if AI found no improvements
@@ -134,9 +144,17 @@ function prepareCodeSummary(codeFiles) {
  * Create semantic analysis prompt for AI
  * @param {string} semanticContext - Formatted semantic context from contextRetriever
  * @param {string} repoInfo - Repository information
+ * @param {Object} options - Focus areas and protected paths
  * @returns {string} Formatted prompt
  */
-function createSemanticAnalysisPrompt(semanticContext, repoInfo) {
+function createSemanticAnalysisPrompt(semanticContext, repoInfo, { focus = [], protectedPaths = [] } = {}) {
+  const focusInstruction = focus.length > 0
+    ? `\n- Focus on: ${focus.join(', ')}`
+    : '';
+  const protectedInstruction = protectedPaths.length > 0
+    ? `\n- Never suggest changes to files matching: ${protectedPaths.join(', ')}`
+    : '';
+
   return `
 Analyze the following repository using semantic code understanding: ${repoInfo}
 
@@ -155,7 +173,7 @@ Instructions:
 - Consider the semantic relationships between symbols
 - If the code is already clean and efficient, respond that no changes are needed
 - Avoid over-editing or reformatting code unnecessarily
-- Pay attention to the relevance scores - focus on high-relevance items
+- Pay attention to the relevance scores - focus on high-relevance items${focusInstruction}${protectedInstruction}
 
 Return JSON in this format:
 {
@@ -174,6 +192,24 @@ Return JSON in this format:
 `.trim();
 }
 
+/**
+ * Try to extract a JSON object from an AI response
+ * @param {string} aiResponse - Raw AI response
+ * @returns {Object|null} Parsed object, or null if the response is not valid JSON
+ */
+function tryParseAIResponse(aiResponse) {
+  const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Parse AI response and extract suggestions
  * @param {string} aiResponse - Raw AI response
@@ -243,16 +279,20 @@ function detectMeaningfulChange(oldCode, newCode) {
 
 /**
  * Ask AI to generate code for a specific improvement
+ * The model answers with SEARCH/REPLACE edit blocks (unified diff hunks are
+ * accepted too) which are validated against the current content and applied
+ * one by one. The file is never replaced with the raw model output, so a
+ * truncated response can only lose edits, not code.
  * @param {string} filePath - Path to the file
  * @param {string} currentContent - Current file content
  * @param {string} improvementDescription - Description of improvement
  * @param {Object} symbolGraph - Symbol graph for context (optional)
- * @returns {Promise<string>} Generated code
+ * @returns {Promise<{content: string, appliedEdits: Array<Object>, rejectedEdits: Array<Object>}>}
+ *          Updated content (unchanged if nothing applied) and the edit outcomes
  */
 export async function generateImprovedCode(filePath, currentContent, improvementDescription, symbolGraph = null) {
   try {
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    const model = process.env.OPENROUTER_MODEL || 'anthropic/claude-3.5-sonnet';
+    const provider = getLLMProvider();
     
     log(`Generating improved code for ${filePath}...`, 'code');
     
@@ -270,50 +310,65 @@ ${improvementDescription}
 Constraints:
 - Make the smallest meaningful changes necessary.
 - Keep style, structure, and formatting consistent.
-- If no actual improvement is possible, return the original code unchanged.
+- If no actual improvement is possible, return NO_CHANGES.
+
+Return ONLY edit blocks in this exact format (no explanations):
 
-Return ONLY the complete improved code (no markdown or explanations).
+<<<<<<< SEARCH
+exact lines copied from the current content
+=======
+replacement lines
+>>>>>>> REPLACE
+
+Rules for edit blocks:
+- SEARCH must match the current content exactly, including indentation.
+- Include just enough surrounding lines to make each SEARCH unique.
+- Use one block per separate change, in file order.
 `.trim();
     
-    const response = await axios.post(
-      `${OPENROUTER_BASE_URL}/chat/completions`,
-      {
-        model,
-        messages: [
-          {
-            role: 'system',
-            content:
-              'You are a code refactoring assistant. Only modify code when necessary. ' +
-              'Return the improved version without markdown or explanations.'
-          },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.4,
-        max_tokens: 1000
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    let improvedCode = response.data.choices[0].message.content;
+    const response = await provider.chat({
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You are a code refactoring assistant. Only modify code when necessary. ' +
+            'Reply with SEARCH/REPLACE edit blocks only, never the whole file.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.4,
+      maxTokens: 2000
+    });
+
+    const unchanged = { content: currentContent, appliedEdits: [], rejectedEdits: [] };
+
+    if (response.content.trim() === 'NO_CHANGES') {
+      log(`No changes proposed for ${filePath}.`, 'info');
+      return unchanged;
+    }
 
-    // Strip markdown code blocks if present
-    improvedCode = improvedCode
-      .replace(/^```[\w]*\n?/gm, '')
-      .replace(/\n?```$/gm, '')
-      .trim();
+    const { format, edits } = parseEdits(response.content);
+    if (edits.length === 0) {
+      log(`No valid edit blocks in response for ${filePath}.`, 'warning');
+      return {
+        ...unchanged,
+        rejectedEdits: [{ index: 0, reason: 'Response contained no SEARCH/REPLACE blocks or diff hunks', search: '' }]
+      };
+    }
+
+    const { content, applied, rejected } = applyEdits(currentContent, edits);
+    log(`Applied ${applied.length}/${edits.length} ${format} edit(s) to ${filePath}`, rejected.length > 0 ? 'warning' : 'info');
+    for (const edit of rejected) {
+      log(`  Rejected edit #${edit.index + 1}: ${edit.reason}`, 'warning');
+    }
 
     // ✅ Skip identical or small diffs
-    if (!detectMeaningfulChange(currentContent, improvedCode)) {
+    if (!detectMeaningfulChange(currentContent, content)) {
       log(`Skipped trivial changes for ${filePath}.`, 'info');
-      return currentContent;
+      return { ...unchanged, rejectedEdits: rejected };
     }
 
-    return improvedCode;
+    return { content, appliedEdits: applied, rejectedEdits: rejected };
   } catch (error) {
     log(`Failed to generate improved code: ${error.message}`, 'error');
     throw error;
@@ -0,0 +1,95 @@
+/**
+ * 👻 GhostCoder - Patch Bundle Writer
+ *
+ * Writes the result of a dry run to disk so changes can be reviewed
+ * locally before GhostCoder is allowed to push to a repository.
+ *
+ * Bundle layout:
+ *   <outputDir>/
+ *   ├── patches/        → `git format-patch` series (apply with `git am`)
+ *   ├── diffs/          → one unified diff per modified file
+ *   └── analysis.json   → AI analysis, applied changes and syntax fixes
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { log, ensureDirectory } from './utils.js';
+import { formatPatches, getFileDiff, getChangedFiles } from './repo_manager.js';
+
+/**
+ * Write a patch bundle for every commit made on top of a base commit
+ * @param {Object} params - Bundle parameters
+ * @param {string} params.repoPath - Path to the repository with committed changes
+ * @param {string} params.baseCommit - Commit the changes were made on top of
+ * @param {string} params.outputDir - Directory to write the bundle into
+ * @param {Object} params.analysis - AI analysis results (may be null)
+ * @param {Array} params.changes - Applied changes
+ * @param {Array} params.syntaxFixes - Syntax fixes applied
+ * @returns {Promise<Object>} Paths of the written artifacts
+ */
+export async function writePatchBundle({
+  repoPath,
+  baseCommit,
+  outputDir,
+  analysis = null,
+  changes = [],
+  syntaxFixes = []
+}) {
+  try {
+    log(`Writing dry-run patch bundle to ${outputDir}...`, 'code');
+    await ensureDirectory(outputDir);
+
+    // Patch series
+    const patches = await formatPatches(repoPath, baseCommit, path.join(outputDir, 'patches'));
+
+    // Per-file unified diffs
+    const diffsDir = path.join(outputDir, 'diffs');
+    await ensureDirectory(diffsDir);
+
+    const diffs = [];
+    for (const file of await getChangedFiles(repoPath, baseCommit)) {
+      const diff = await getFileDiff(repoPath, baseCommit, file);
+      const diffPath = path.join(diffsDir, `${toDiffFileName(file)}.diff`);
+      await fs.writeFile(diffPath, diff, 'utf-8');
+      diffs.push({ file, path: diffPath });
+    }
+
+    // Analysis JSON
+    const analysisPath = path.join(outputDir, 'analysis.json');
+    const report = {
+      baseCommit,
+      generatedAt: new Date().toISOString(),
+      analysis,
+      changes: changes.map(change => ({
+        file: change.file,
+        description: change.description
+      })),
+      syntaxFixes: syntaxFixes.map(fix => ({
+        filePath: fix.filePath,
+        fixes: fix.fixes
+      }))
+    };
+    await fs.writeFile(analysisPath, JSON.stringify(report, null, 2), 'utf-8');
+
+    log(`Patch bundle written: ${patches.length} patch(es), ${diffs.length} diff(s)`, 'success');
+
+    return {
+      directory: outputDir,
+      patches,
+      diffs,
+      analysis: analysisPath
+    };
+  } catch (error) {
+    log(`Failed to write patch bundle: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Flatten a repository-relative path into a single file name
+ */
+function toDiffFileName(filePath) {
+  return filePath.split(/[\\/]/).join('__');
+}
@@ -0,0 +1,221 @@
+/**
+ * 👻 GhostCoder - Repository Configuration
+ *
+ * Loads `.ghostcoder.yml` from the root of the analyzed repository so each
+ * repository owner can tune the bot. Every key is optional; missing keys
+ * fall back to DEFAULT_CONFIG. The file is validated against CONFIG_SCHEMA
+ * and all problems are reported together.
+ *
+ * Example:
+ *
+ *   include: ["src/**"]
+ *   exclude: ["vendor/**", "*.min.js"]
+ *   focus: ["security vulnerabilities", "performance problems"]
+ *   max_changes_per_pr: 3
+ *   labels: ["ghostcoder", "bot"]
+ *   reviewers: ["octocat", "my-org/backend-team"]
+ *   base_branch: develop
+ *   protected_paths: ["migrations/**", "*.lock"]
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import picomatch from 'picomatch';
+import YAML from 'yaml';
+import { log } from './utils.js';
+import { CODE_EXTENSIONS } from './fileScanner.js';
+
+export const CONFIG_FILE_NAMES = ['.ghostcoder.yml', '.ghostcoder.yaml'];
+
+/**
+ * Defaults used when a key is missing (or there is no config file)
+ */
+export const DEFAULT_CONFIG = {
+  include: [],
+  exclude: [],
+  extensions: CODE_EXTENSIONS,
+  ignoreDirs: [],
+  focus: ['code quality issues', 'bugs', 'security vulnerabilities', 'performance problems', 'best practices violations'],
+  maxFiles: 10,
+  tokenBudget: 30000,
+  maxChangesPerPR: null,
+  labels: ['ghostcoder', 'ai-generated', 'improvement'],
+  reviewers: [],
+  baseBranch: null,
+  protectedPaths: []
+};
+
+/**
+ * Accepted keys (snake_case in YAML) and their types
+ */
+const CONFIG_SCHEMA = {
+  include: { key: 'include', type: 'globs' },
+  exclude: { key: 'exclude', type: 'globs' },
+  extensions: { key: 'extensions', type: 'extensions' },
+  ignore_dirs: { key: 'ignoreDirs', type: 'strings' },
+  focus: { key: 'focus', type: 'strings' },
+  max_files: { key: 'maxFiles', type: 'positiveInteger' },
+  token_budget: { key: 'tokenBudget', type: 'positiveInteger' },
+  max_changes_per_pr: { key: 'maxChangesPerPR', type: 'positiveInteger' },
+  labels: { key: 'labels', type: 'strings' },
+  reviewers: { key: 'reviewers', type: 'strings' },
+  base_branch: { key: 'baseBranch', type: 'string' },
+  protected_paths: { key: 'protectedPaths', type: 'globs' }
+};
+
+/**
+ * Load and validate the repository configuration
+ * @param {string} repoPath - Repository root
+ * @returns {Promise<Object>} Resolved configuration (defaults merged in) with `source` set to the file used, or null
+ * @throws {Error} If the file cannot be parsed or does not match the schema
+ */
+export async function loadRepoConfig(repoPath) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const filePath = path.join(repoPath, fileName);
+
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    const config = parseRepoConfig(raw, fileName);
+    log(`Loaded repository configuration from ${fileName}`, 'info');
+    return config;
+  }
+
+  return { ...DEFAULT_CONFIG, source: null };
+}
+
+/**
+ * Parse and validate configuration file content
+ * @param {string} raw - YAML content
+ * @param {string} fileName - File name used in error messages
+ * @returns {Object} Resolved configuration
+ * @throws {Error} Listing every problem found
+ */
+export function parseRepoConfig(raw, fileName = CONFIG_FILE_NAMES[0]) {
+  const document = YAML.parseDocument(raw);
+  if (document.errors.length > 0) {
+    const details = document.errors.map(error => `  - ${error.message.split('\n')[0]}`).join('\n');
+    throw new Error(`Invalid ${fileName}: YAML syntax error\n${details}`);
+  }
+
+  const data = document.toJS() ?? {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid ${fileName}: expected a mapping of settings at the top level`);
+  }
+
+  const errors = [];
+  const config = { ...DEFAULT_CONFIG, source: fileName };
+
+  for (const [name, value] of Object.entries(data)) {
+    const rule = CONFIG_SCHEMA[name];
+    if (!rule) {
+      errors.push(`unknown key "${name}" (allowed: ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      continue;
+    }
+
+    const error = validateValue(value, rule.type);
+    if (error) {
+      errors.push(`${name} ${error}`);
+    } else if (value !== null) {
+      config[rule.key] = rule.type === 'extensions' ? value.map(normalizeExtension) : value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${fileName}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Check a repository-relative path against the include/exclude globs
+ * @param {Object} config - Resolved configuration
+ * @param {string} relativePath - Path relative to the repository root
+ * @returns {boolean}
+ */
+export function isPathIncluded(config, relativePath) {
+  const normalized = toPosix(relativePath);
+
+  if (config.include.length > 0 && !matchesAny(config.include, normalized)) {
+    return false;
+  }
+
+  return !matchesAny(config.exclude, normalized);
+}
+
+/**
+ * Check whether a repository-relative path must never be modified
+ * @param {Object} config - Resolved configuration
+ * @param {string} relativePath - Path relative to the repository root
+ * @returns {boolean}
+ */
+export function isProtectedPath(config, relativePath) {
+  return matchesAny(config.protectedPaths, toPosix(relativePath));
+}
+
+/**
+ * Match a path against globs; patterns without a slash (e.g. "*.lock")
+ * match the file name at any depth
+ */
+function matchesAny(patterns, posixPath) {
+  if (patterns.length === 0) {
+    return false;
+  }
+
+  const pathPatterns = patterns.filter(pattern => pattern.includes('/'));
+  const namePatterns = patterns.filter(pattern => !pattern.includes('/'));
+
+  return (pathPatterns.length > 0 && picomatch(pathPatterns, { dot: true })(posixPath)) ||
+    (namePatterns.length > 0 && picomatch(namePatterns, { dot: true })(path.posix.basename(posixPath)));
+}
+
+/**
+ * Validate a single value, returning an error message or null
+ */
+function validateValue(value, type) {
+  // An explicit null keeps the default
+  if (value === null) {
+    return null;
+  }
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string';
+
+    case 'positiveInteger':
+      return Number.isInteger(value) && value > 0 ? null : `must be a positive integer (got ${JSON.stringify(value)})`;
+
+    case 'strings':
+    case 'extensions':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        return 'must be a list of non-empty strings';
+      }
+      return null;
+
+    case 'globs':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        return 'must be a list of glob patterns';
+      }
+      return null;
+
+    default:
+      return `has unsupported type ${type}`;
+  }
+}
+
+function normalizeExtension(extension) {
+  const lower = extension.trim().toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
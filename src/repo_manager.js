@@ -4,6 +4,7 @@
  */
 
 import simpleGit from 'simple-git';
+import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs/promises';
 import { log, ensureDirectory, generateBranchName } from './utils.js';
@@ -38,6 +39,73 @@ export async function cloneRepository(repoUrl, targetDir, branch = null) {
   }
 }
 
+/**
+ * Open an existing local git working copy
+ * @param {string} localPath - Path inside a local git repository
+ * @returns {Promise<{path: string, branch: string, name: string}>} Repository root, checked out branch
+ *          and a name that identifies the checkout (see getLocalRepoName)
+ */
+export async function openLocalRepository(localPath) {
+  try {
+    const absolutePath = path.resolve(localPath);
+    
+    const stats = await fs.stat(absolutePath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Local repository path does not exist: ${localPath}`);
+    }
+    
+    const git = simpleGit(absolutePath);
+    if (!(await git.checkIsRepo())) {
+      throw new Error(`Not a git repository: ${localPath}`);
+    }
+    
+    const root = (await git.revparse(['--show-toplevel'])).trim();
+    const { current } = await simpleGit(root).branchLocal();
+    
+    log(`Using local repository: ${root} (branch: ${current})`, 'success');
+    return { path: root, branch: current, name: getLocalRepoName(root) };
+  } catch (error) {
+    log(`Failed to open local repository: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Name for a local checkout, unique per absolute path
+ * Two checkouts with the same folder name must not share graph caches and indexes.
+ * @param {string} root - Absolute repository root
+ * @returns {string} e.g. "my-app-3f2a9c1e"
+ */
+export function getLocalRepoName(root) {
+  const hash = crypto.createHash('sha256').update(path.resolve(root)).digest('hex').substring(0, 8);
+  return `${path.basename(root)}-${hash}`;
+}
+
+/**
+ * Put a local checkout back the way a run found it
+ * Uncommitted changes to the given files are discarded and the original
+ * branch is checked out again; commits made on other branches are kept.
+ * @param {string} repoPath - Path to repository
+ * @param {string} branch - Branch that was checked out before the run
+ * @param {Array<string>} files - Repository-relative files the run wrote
+ * @returns {Promise<void>}
+ */
+export async function restoreLocalCheckout(repoPath, branch, files) {
+  try {
+    if (files.length > 0) {
+      await revertFiles(repoPath, files);
+    }
+
+    const { current } = await simpleGit(repoPath).branchLocal();
+    if (current !== branch) {
+      await checkoutBranch(repoPath, branch);
+    }
+  } catch (error) {
+    log(`Failed to restore local checkout: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
 /**
  * Configure git user for commits
  * @param {string} repoPath - Path to repository
@@ -74,6 +142,23 @@ export async function createBranch(repoPath, branchName = null) {
   }
 }
 
+/**
+ * Check out an existing branch (local or from origin)
+ * @param {string} repoPath - Path to repository
+ * @param {string} branchName - Branch to check out
+ * @returns {Promise<void>}
+ */
+export async function checkoutBranch(repoPath, branchName) {
+  try {
+    const git = simpleGit(repoPath);
+    await git.checkout(branchName);
+    log(`Checked out branch: ${branchName}`, 'success');
+  } catch (error) {
+    log(`Failed to check out branch ${branchName}: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
 /**
  * Apply code changes to files
  * @param {string} repoPath - Path to repository
@@ -110,6 +195,48 @@ export async function applyChanges(repoPath, changes) {
   }
 }
 
+/**
+ * Restore files to their state at HEAD, discarding working tree changes
+ * Files that do not exist at HEAD are deleted.
+ * @param {string} repoPath - Path to repository
+ * @param {Array<string>} files - Repository-relative file paths
+ * @returns {Promise<void>}
+ */
+export async function revertFiles(repoPath, files) {
+  try {
+    const git = simpleGit(repoPath);
+    
+    for (const file of files) {
+      const tracked = await git.raw(['ls-files', '--', file]);
+      
+      if (tracked.trim()) {
+        await git.checkout(['HEAD', '--', file]);
+      } else {
+        await fs.rm(path.join(repoPath, file), { force: true });
+      }
+    }
+  } catch (error) {
+    log(`Failed to revert files: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Read a file as it is at HEAD
+ * @param {string} repoPath - Path to repository
+ * @param {string} file - Repository-relative file path
+ * @returns {Promise<string|null>} File content, or null if the file does not exist at HEAD
+ */
+export async function readFileAtHead(repoPath, file) {
+  const git = simpleGit(repoPath);
+
+  try {
+    return await git.show([`HEAD:${file.split(path.sep).join('/')}`]);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Commit changes to the repository
  * @param {string} repoPath - Path to repository
@@ -212,3 +339,111 @@ export async function hasUncommittedChanges(repoPath) {
     return false;
   }
 }
+
+/**
+ * Get the commit SHA that HEAD currently points to
+ * @param {string} repoPath - Path to repository
+ * @returns {Promise<string>} Commit SHA
+ */
+export async function getHeadCommit(repoPath) {
+  try {
+    const git = simpleGit(repoPath);
+    const sha = await git.revparse(['HEAD']);
+    return sha.trim();
+  } catch (error) {
+    log(`Failed to resolve HEAD: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Write a `git format-patch` series for all commits after a base commit
+ * @param {string} repoPath - Path to repository
+ * @param {string} baseCommit - Commit to diff against (exclusive)
+ * @param {string} outputDir - Directory to write .patch files into
+ * @returns {Promise<Array<string>>} Absolute paths of the written patch files
+ */
+export async function formatPatches(repoPath, baseCommit, outputDir) {
+  try {
+    const git = simpleGit(repoPath);
+    
+    await ensureDirectory(outputDir);
+    const output = await git.raw(['format-patch', `${baseCommit}..HEAD`, '-o', outputDir]);
+    
+    const patches = output.split('\n').map(line => line.trim()).filter(Boolean);
+    log(`Wrote ${patches.length} patch file(s) to ${outputDir}`, 'success');
+    
+    return patches;
+  } catch (error) {
+    log(`Failed to format patches: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Get the unified diff of a single file between a base commit and HEAD
+ * @param {string} repoPath - Path to repository
+ * @param {string} baseCommit - Commit to diff against
+ * @param {string} filePath - Repository-relative file path
+ * @returns {Promise<string>} Unified diff (empty if the file is unchanged)
+ */
+export async function getFileDiff(repoPath, baseCommit, filePath) {
+  try {
+    const git = simpleGit(repoPath);
+    return await git.diff([baseCommit, 'HEAD', '--', filePath]);
+  } catch (error) {
+    log(`Failed to diff ${filePath}: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * List files changed between a base commit and HEAD
+ * @param {string} repoPath - Path to repository
+ * @param {string} baseCommit - Commit to diff against
+ * @returns {Promise<Array<string>>} Repository-relative file paths
+ */
+export async function getChangedFiles(repoPath, baseCommit) {
+  try {
+    const git = simpleGit(repoPath);
+    const output = await git.diff(['--name-only', baseCommit, 'HEAD']);
+    return output.split('\n').map(line => line.trim()).filter(Boolean);
+  } catch (error) {
+    log(`Failed to list changed files: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * List files added, modified and deleted since a commit, with renames split
+ * into a deletion and an addition
+ * @param {string} repoPath - Path to repository
+ * @param {string} sinceCommit - Commit to diff against
+ * @returns {Promise<{changed: Array<string>, deleted: Array<string>}|null>}
+ *          Repository-relative paths, or null if the commit is not in this clone
+ */
+export async function getFileChangesSince(repoPath, sinceCommit) {
+  try {
+    const git = simpleGit(repoPath);
+    const output = await git.raw(['diff', '--name-status', '-M', sinceCommit, 'HEAD']);
+    const changed = [];
+    const deleted = [];
+
+    for (const line of output.split('\n').filter(Boolean)) {
+      const [status, ...paths] = line.split('\t');
+      if (status.startsWith('R')) {
+        deleted.push(paths[0]);
+        changed.push(paths[1]);
+      } else if (status === 'D') {
+        deleted.push(paths[0]);
+      } else {
+        changed.push(paths[paths.length - 1]);
+      }
+    }
+
+    return { changed, deleted };
+  } catch (error) {
+    log(`Cannot diff against ${sinceCommit.substring(0, 7)}, comparing file contents instead: ${error.message.split('\n')[0]}`, 'warning');
+    return null;
+  }
+}
@@ -11,11 +11,49 @@
 import * as parser from '@babel/parser';
 import * as acorn from 'acorn';
 import * as walk from 'acorn-walk';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
-import { log } from './utils.js';
+import { log, emitProgress, isProgressStep, ProgressStage, getCodeFiles } from './utils.js';
 import { smartFix } from './syntaxFixer.js';
 import { semanticFix } from './semanticFixer.js';
+import { createModuleResolver } from './moduleResolver.js';
+import { parseWithTreeSitter, getTreeSitterRange, findSyntaxError } from './treeSitter.js';
+import { hasLanguageExtractor, extractLanguageSymbols } from './languageExtractors.js';
+
+// Plain .js files may be ES modules or CommonJS scripts; Babel decides
+// from the presence of import/export. Scripts may `return` at the top level.
+const JS_PARSER_OPTIONS = {
+  sourceType: 'unambiguous',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  plugins: ['jsx', 'dynamicImport', 'classProperties', 'decorators-legacy']
+};
+
+const JS_SOURCE_TYPES = { '.mjs': 'module', '.cjs': 'script' };
+
+// JSX only in .tsx: in .ts files `<number>value` is a type assertion
+const TS_PARSER_OPTIONS = {
+  sourceType: 'module',
+  plugins: ['typescript', 'decorators-legacy', 'classProperties']
+};
+
+const TSX_PARSER_OPTIONS = {
+  ...TS_PARSER_OPTIONS,
+  plugins: [...TS_PARSER_OPTIONS.plugins, 'jsx']
+};
+
+// Grammars used by checkSyntax for languages parsed with tree-sitter
+const TREE_SITTER_SYNTAX_GRAMMARS = {
+  '.py': 'python',
+  '.go': 'go',
+  '.java': 'java',
+  '.rs': 'rust'
+};
+
+// Caller name for calls made outside any function or method
+const MODULE_SCOPE = '<module>';
+const AST_SKIP_KEYS = new Set(['loc', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
 
 /**
  * Symbol types that we track
@@ -35,25 +73,54 @@ export const SymbolType = {
  * Build a symbol graph for a repository
  * @param {Array<{path: string, content: string}>} codeFiles - Array of code files
  * @param {string} repoPath - Root path of the repository
- * @returns {Promise<Object>} Symbol graph with nodes and edges, plus syntax fixes
+ * @param {Object} options - Build options
+ * @param {Function} options.onProgress - Progress listener (see emitProgress)
+ * @param {string} options.rootPath - Directory the file paths are relative to (defaults to repoPath)
+ * @param {Object} options.previousAnalyses - `fileAnalyses` of an earlier build; files whose content hash
+ *                                            matches are not parsed again
+ * @param {Set<string>} options.changedFiles - Files known to have changed (always parsed again)
+ * @param {Object} options.scanOptions - scanCodeFiles options (extensions, ignoreDirs, filter) for the
+ *                                       repository-wide scan used as import context; `filter` receives
+ *                                       paths relative to repoPath
+ * @returns {Promise<Object>} Symbol graph with nodes and edges, plus syntax fixes and per-file analyses
  */
-export async function buildSymbolGraph(codeFiles, repoPath) {
+export async function buildSymbolGraph(codeFiles, repoPath, options = {}) {
+  const { onProgress = null, rootPath = repoPath, previousAnalyses = null, changedFiles = new Set(), scanOptions = {} } = options;
   log('Building symbol graph...', 'code');
   
   const graph = {
     symbols: new Map(), // symbolId -> symbol metadata
     files: new Map(),   // filePath -> file metadata
     edges: [],          // relationships between symbols
-    imports: new Map(), // import relationships
-    calls: new Map(),   // function call relationships
+    imports: new Map(), // filePath -> resolved module dependencies
+    calls: new Map(),   // caller symbol id -> calls it makes
+    calledBy: new Map(), // callee symbol id -> callers
+    pendingCalls: new Map(), // filePath -> unresolved calls (internal)
+    resolver: null,     // module resolver (internal)
     syntaxFixes: [],    // files with syntax fixes that should be committed
+    analyses: new Map(), // filePath -> parser output, reusable by the next build
     metadata: {
       totalSymbols: 0,
       totalFiles: codeFiles.length,
+      parsedFiles: 0,
+      reusedFiles: 0,
       buildTime: Date.now()
     }
   };
 
+  // Unchanged files reuse the previous parse; hashes are taken before any fix rewrites the content
+  const contentHashes = new Map(codeFiles.map(file => [file.path, hashContent(file.content)]));
+  const reused = new Map();
+  for (const file of codeFiles) {
+    const previous = previousAnalyses?.[file.path];
+    if (previous && !changedFiles.has(file.path) && previous.contentHash === contentHashes.get(file.path)) {
+      reused.set(file.path, previous);
+    }
+  }
+  if (reused.size > 0) {
+    log(`♻️ Reusing ${reused.size}/${codeFiles.length} unchanged file(s) from the previous build`, 'info');
+  }
+
   // Phase 1: Run semantic analysis to detect typos in export/import names
   log('🔍 Phase 1: Running semantic analysis...', 'ghost');
   const semanticFixResults = new Map();
@@ -61,8 +128,8 @@ export async function buildSymbolGraph(codeFiles, repoPath) {
   // Scan entire repository for import context (not just analyzed files)
   let allRepoFiles = codeFiles;
   try {
-    // Try to get all files in the repo for better context
-    const allFiles = await getAllCodeFiles(repoPath);
+    // Try to get all files in the repo for better context, excluding what the analysis excludes
+    const allFiles = await getCodeFiles(repoPath, 100000, { ...scanOptions, repoRoot: repoPath });
     if (allFiles.length > codeFiles.length) {
       log(`📚 Loaded ${allFiles.length} files from repository for semantic context`, 'info');
       allRepoFiles = allFiles;
@@ -72,6 +139,7 @@ export async function buildSymbolGraph(codeFiles, repoPath) {
   }
   
   for (const file of codeFiles) {
+    if (reused.has(file.path)) continue;
     try {
       const result = await semanticFix(file.content, file.path, allRepoFiles);
       if (result.fixed) {
@@ -90,80 +158,154 @@ export async function buildSymbolGraph(codeFiles, repoPath) {
 
   // Phase 2: Analyze files and extract symbols (with syntactic fixes if needed)
   log('📊 Phase 2: Extracting symbols...', 'ghost');
-  for (const file of codeFiles) {
+  graph.resolver = createModuleResolver(repoPath, { rootPath, files: codeFiles.map(file => file.path) });
+
+  for (let i = 0; i < codeFiles.length; i++) {
+    const file = codeFiles[i];
     try {
-      await analyzeFile(file, graph, repoPath, semanticFixResults.get(file.path));
+      let analysis = reused.get(file.path);
+      if (analysis) {
+        graph.metadata.reusedFiles++;
+        if (analysis.fixedContent) file.content = analysis.fixedContent;
+      } else {
+        analysis = await analyzeFile(file, semanticFixResults.get(file.path));
+        analysis.contentHash = contentHashes.get(file.path);
+        graph.metadata.parsedFiles++;
+      }
+      addFileToGraph(file, analysis, graph);
     } catch (error) {
       log(`Failed to analyze ${file.path}: ${error.message}`, 'warning');
     }
+    
+    if (isProgressStep(i + 1, codeFiles.length)) {
+      emitProgress(onProgress, ProgressStage.SYMBOL_GRAPH, `Parsing file ${i + 1}/${codeFiles.length}`, {
+        current: i + 1,
+        total: codeFiles.length
+      });
+    }
   }
 
+  // Phase 3: Resolve call expressions to symbols
+  resolveCallGraph(graph);
+
   graph.metadata.totalSymbols = graph.symbols.size;
-  log(`Symbol graph built: ${graph.symbols.size} symbols, ${graph.edges.length} relationships`, 'success');
+  log(`Symbol graph built: ${graph.symbols.size} symbols, ${graph.edges.length} relationships (${graph.metadata.parsedFiles} file(s) parsed, ${graph.metadata.reusedFiles} reused)`, 'success');
   
   return serializeGraph(graph);
 }
 
 /**
- * Analyze a single file and extract symbols
+ * Parse a single file and extract its symbols
+ * The result only depends on the file's content, so it can be reused by
+ * later builds while the content hash stays the same.
  * @param {Object} file - File object with path and content
- * @param {Object} graph - Symbol graph to populate
- * @param {string} repoPath - Repository root path
  * @param {Object} semanticFixResult - Previously applied semantic fixes
- * @returns {Promise<Object>} Result with symbols and any syntax fixes
+ * @returns {Promise<Object>} Analysis: symbols, raw calls, package, syntax fix and semantically fixed content
  */
-async function analyzeFile(file, graph, repoPath, semanticFixResult = null) {
+async function analyzeFile(file, semanticFixResult = null) {
   const ext = path.extname(file.path).toLowerCase();
   
   // Determine parser based on file extension
   let symbols = [];
+  let calls = [];
+  let packageName = null;
   let syntaxFixApplied = semanticFixResult; // Start with semantic fixes if any
   
-  if (['.js', '.jsx', '.mjs'].includes(ext)) {
+  if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
     const result = await parseJavaScript(file.content, file.path);
     symbols = result.symbols;
+    calls = result.calls || [];
     syntaxFixApplied = result.fixApplied;
   } else if (['.ts', '.tsx'].includes(ext)) {
     const result = await parseTypeScript(file.content, file.path);
     symbols = result.symbols;
+    calls = result.calls || [];
     syntaxFixApplied = result.fixApplied;
   } else if (['.py'].includes(ext)) {
     const result = await parsePython(file.content, file.path);
     symbols = result.symbols;
     syntaxFixApplied = result.fixApplied;
+  } else if (hasLanguageExtractor(ext)) {
+    // Go, Java and Rust; regex extraction if the grammar cannot be loaded
+    const result = await extractLanguageSymbols(ext, file.content, file.path);
+    symbols = result ? result.symbols : await extractGenericSymbols(file.content, file.path);
+    packageName = result?.packageName || null;
   } else {
     // Generic extraction for other languages
     symbols = await extractGenericSymbols(file.content, file.path);
   }
   
   // Track syntax fixes if any were applied
+  let syntaxFix = null;
   if (syntaxFixApplied && syntaxFixApplied.shouldCommit) {
-    log(`📝 Tracking syntax fix for ${file.path} to be committed`, 'info');
-    graph.syntaxFixes.push({
+    syntaxFix = {
       filePath: file.path,
       originalContent: file.content,
       fixedContent: syntaxFixApplied.content,
       fixes: syntaxFixApplied.fixes
-    });
+    };
   } else if (syntaxFixApplied && !syntaxFixApplied.shouldCommit) {
     log(`⚠️ Syntax fix applied to ${file.path} but shouldCommit=false`, 'warning');
   }
 
+  addRangesAndHashes(symbols, file.content);
+
+  return {
+    symbols,
+    calls,
+    packageName,
+    syntaxFix,
+    fixedContent: semanticFixResult?.fixed ? file.content : null
+  };
+}
+
+/**
+ * Add an analyzed file to the graph: resolve its imports, merge its
+ * symbols and build its edges
+ * @param {Object} file - File object with path and content
+ * @param {Object} analysis - Result of analyzeFile (fresh or reused)
+ * @param {Object} graph - Symbol graph to populate
+ */
+function addFileToGraph(file, analysis, graph) {
+  const ext = path.extname(file.path).toLowerCase();
+  const { symbols, calls, packageName, syntaxFix } = analysis;
+
+  if (syntaxFix) {
+    log(`📝 Tracking syntax fix for ${file.path} to be committed`, 'info');
+    graph.syntaxFixes.push(syntaxFix);
+  }
+
+  resolveImports(symbols, file.path, graph);
+
   // Add file metadata
   graph.files.set(file.path, {
     path: file.path,
     language: detectLanguage(ext),
-    symbolCount: symbols.length,
+    package: packageName,
+    symbolCount: symbols.filter(s => !s.sideEffect).length,
     size: file.content.length,
     imports: symbols.filter(s => s.type === SymbolType.IMPORT),
     exports: symbols.filter(s => s.type === SymbolType.EXPORT)
   });
 
-  // Add symbols to graph
+  // Add symbols to graph; an export of a declared function/class marks
+  // that symbol as exported instead of replacing it
   for (const symbol of symbols) {
+    // Module imports bind no name; they are file-level edges only
+    if (symbol.sideEffect) continue;
+
     const symbolId = `${file.path}::${symbol.name}`;
+    const existing = graph.symbols.get(symbolId);
+
+    if (existing && symbol.type === SymbolType.EXPORT) {
+      existing.exported = true;
+      if (symbol.default) existing.default = true;
+      continue;
+    }
+
     graph.symbols.set(symbolId, {
       ...symbol,
+      ...(existing?.type === SymbolType.EXPORT ? { exported: true, default: existing.default } : {}),
       id: symbolId,
       file: file.path
     });
@@ -171,6 +313,10 @@ async function analyzeFile(file, graph, repoPath, semanticFixResult = null) {
 
   // Build edges (relationships)
   buildEdges(symbols, file.path, graph);
+
+  // Calls are resolved once every file is in the graph
+  graph.pendingCalls.set(file.path, calls);
+  graph.analyses.set(file.path, analysis);
 }
 
 /**
@@ -180,12 +326,12 @@ async function analyzeFile(file, graph, repoPath, semanticFixResult = null) {
 async function parseJavaScript(content, filePath) {
   const symbols = [];
   let fixApplied = null;
+  let calls = [];
   
   try {
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: ['jsx', 'dynamicImport', 'classProperties', 'decorators-legacy']
-    });
+    const ast = parser.parse(content, getJavaScriptParserOptions(filePath));
+    const scoped = extractScopedSymbols(ast, content);
+    calls = scoped.calls;
 
     // Extract imports
     for (const node of ast.program.body) {
@@ -193,64 +339,26 @@ async function parseJavaScript(content, filePath) {
         for (const specifier of node.specifiers) {
           symbols.push({
             name: specifier.local.name,
+            imported: getImportedName(specifier),
             type: SymbolType.IMPORT,
             from: node.source.value,
             line: node.loc.start.line,
+            range: getNodeRange(node),
             documentation: extractDocstring(content, node.loc.start.line)
           });
         }
       }
 
-      // Extract function declarations
-      if (node.type === 'FunctionDeclaration' && node.id) {
-        symbols.push({
-          name: node.id.name,
-          type: SymbolType.FUNCTION,
-          params: node.params.map(p => getParamName(p)),
-          line: node.loc.start.line,
-          async: node.async,
-          documentation: extractDocstring(content, node.loc.start.line),
-          signature: generateSignature(node)
-        });
-      }
-
-      // Extract class declarations
-      if (node.type === 'ClassDeclaration' && node.id) {
-        const className = node.id.name;
-        symbols.push({
-          name: className,
-          type: SymbolType.CLASS,
-          line: node.loc.start.line,
-          documentation: extractDocstring(content, node.loc.start.line),
-          methods: []
-        });
-
-        // Extract methods
-        for (const member of node.body.body) {
-          if (member.type === 'MethodDefinition' && member.key) {
-            symbols.push({
-              name: `${className}.${member.key.name || member.key.value}`,
-              type: SymbolType.METHOD,
-              className: className,
-              params: member.value.params.map(p => getParamName(p)),
-              line: member.loc.start.line,
-              async: member.value.async,
-              static: member.static,
-              documentation: extractDocstring(content, member.loc.start.line)
-            });
-          }
-        }
-      }
-
       // Extract variable/const declarations
       if (node.type === 'VariableDeclaration') {
         for (const decl of node.declarations) {
-          if (decl.id && decl.id.name) {
+          if (decl.id && decl.id.name && !isFunctionNode(decl.init) && decl.init?.type !== 'ClassExpression') {
             symbols.push({
               name: decl.id.name,
               type: SymbolType.VARIABLE,
               kind: node.kind, // var, let, const
               line: node.loc.start.line,
+              range: getNodeRange(decl),
               exported: false
             });
           }
@@ -266,6 +374,7 @@ async function parseJavaScript(content, filePath) {
               name: name,
               type: SymbolType.EXPORT,
               line: node.loc.start.line,
+              range: getNodeRange(node),
               exported: true
             });
           }
@@ -278,10 +387,14 @@ async function parseJavaScript(content, filePath) {
           name: name,
           type: SymbolType.EXPORT,
           line: node.loc.start.line,
+          range: getNodeRange(node),
           default: true
         });
       }
     }
+
+    // Functions, classes and methods at any depth; require(), import() and module.exports
+    symbols.push(...scoped.symbols, ...extractCommonJSSymbols(ast));
   } catch (error) {
     log(`Failed to parse JavaScript in ${filePath}: ${error.message}`, 'warning');
     
@@ -291,10 +404,7 @@ async function parseJavaScript(content, filePath) {
     if (fixResult.fixed) {
       try {
         log(`Retrying parse with fixed content...`, 'info');
-        const ast = parser.parse(fixResult.content, {
-          sourceType: 'module',
-          plugins: ['jsx', 'dynamicImport', 'classProperties', 'decorators-legacy']
-        });
+        const ast = parser.parse(fixResult.content, getJavaScriptParserOptions(filePath));
         
         // Re-extract symbols from fixed AST
         // (Same extraction logic as above)
@@ -303,32 +413,22 @@ async function parseJavaScript(content, filePath) {
             for (const specifier of node.specifiers) {
               symbols.push({
                 name: specifier.local.name,
+                imported: getImportedName(specifier),
                 type: SymbolType.IMPORT,
                 from: node.source.value,
-                line: node.loc.start.line
+                line: node.loc.start.line,
+                range: getNodeRange(node)
               });
             }
           }
-          if (node.type === 'FunctionDeclaration' && node.id) {
-            symbols.push({
-              name: node.id.name,
-              type: SymbolType.FUNCTION,
-              params: node.params.map(p => getParamName(p)),
-              line: node.loc.start.line
-            });
-          }
-          if (node.type === 'ClassDeclaration' && node.id) {
-            symbols.push({
-              name: node.id.name,
-              type: SymbolType.CLASS,
-              line: node.loc.start.line
-            });
-          }
         }
         
+        const scoped = extractScopedSymbols(ast, fixResult.content);
+        symbols.push(...scoped.symbols, ...extractCommonJSSymbols(ast));
+
         log(`✅ Successfully parsed after syntax fixes!`, 'success');
         fixApplied = fixResult;
-        return { symbols, fixApplied };
+        return { symbols, fixApplied, calls: scoped.calls };
       } catch (retryError) {
         log(`Still failed after fixes: ${retryError.message}`, 'warning');
       }
@@ -339,7 +439,7 @@ async function parseJavaScript(content, filePath) {
     return { symbols: genericSymbols, fixApplied: null };
   }
 
-  return { symbols, fixApplied };
+  return { symbols, fixApplied, calls };
 }
 
 /**
@@ -349,12 +449,12 @@ async function parseJavaScript(content, filePath) {
 async function parseTypeScript(content, filePath) {
   const symbols = [];
   let fixApplied = null;
+  let calls = [];
   
   try {
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: ['typescript', 'jsx', 'decorators-legacy', 'classProperties']
-    });
+    const ast = parser.parse(content, getTypeScriptParserOptions(filePath));
+    const scoped = extractScopedSymbols(ast, content);
+    calls = scoped.calls;
 
     // Extract all symbols from TypeScript AST
     for (const node of ast.program.body) {
@@ -363,9 +463,11 @@ async function parseTypeScript(content, filePath) {
         for (const specifier of node.specifiers) {
           symbols.push({
             name: specifier.local.name,
+            imported: getImportedName(specifier),
             type: SymbolType.IMPORT,
             from: node.source.value,
             line: node.loc.start.line,
+            range: getNodeRange(node),
             documentation: extractDocstring(content, node.loc.start.line)
           });
         }
@@ -377,6 +479,7 @@ async function parseTypeScript(content, filePath) {
           name: node.id.name,
           type: SymbolType.INTERFACE,
           line: node.loc.start.line,
+          range: getNodeRange(node),
           documentation: extractDocstring(content, node.loc.start.line)
         });
       }
@@ -387,60 +490,21 @@ async function parseTypeScript(content, filePath) {
           name: node.id.name,
           type: SymbolType.TYPE,
           line: node.loc.start.line,
+          range: getNodeRange(node),
           documentation: extractDocstring(content, node.loc.start.line)
         });
       }
 
-      // Handle function declarations
-      if (node.type === 'FunctionDeclaration' && node.id) {
-        symbols.push({
-          name: node.id.name,
-          type: SymbolType.FUNCTION,
-          params: node.params.map(p => getParamName(p)),
-          line: node.loc.start.line,
-          async: node.async,
-          documentation: extractDocstring(content, node.loc.start.line),
-          signature: generateSignature(node)
-        });
-      }
-
-      // Handle class declarations
-      if (node.type === 'ClassDeclaration' && node.id) {
-        const className = node.id.name;
-        symbols.push({
-          name: className,
-          type: SymbolType.CLASS,
-          line: node.loc.start.line,
-          documentation: extractDocstring(content, node.loc.start.line),
-          methods: []
-        });
-
-        // Extract methods
-        for (const member of node.body.body) {
-          if (member.type === 'MethodDefinition' && member.key) {
-            symbols.push({
-              name: `${className}.${member.key.name || member.key.value}`,
-              type: SymbolType.METHOD,
-              className: className,
-              params: member.value.params.map(p => getParamName(p)),
-              line: member.loc.start.line,
-              async: member.value.async,
-              static: member.static,
-              documentation: extractDocstring(content, member.loc.start.line)
-            });
-          }
-        }
-      }
-
       // Handle variable/const declarations
       if (node.type === 'VariableDeclaration') {
         for (const decl of node.declarations) {
-          if (decl.id && decl.id.name) {
+          if (decl.id && decl.id.name && !isFunctionNode(decl.init) && decl.init?.type !== 'ClassExpression') {
             symbols.push({
               name: decl.id.name,
               type: SymbolType.VARIABLE,
               kind: node.kind,
               line: node.loc.start.line,
+              range: getNodeRange(decl),
               exported: false
             });
           }
@@ -456,6 +520,7 @@ async function parseTypeScript(content, filePath) {
               name: name,
               type: SymbolType.EXPORT,
               line: node.loc.start.line,
+              range: getNodeRange(node),
               exported: true
             });
           }
@@ -468,11 +533,14 @@ async function parseTypeScript(content, filePath) {
           name: name,
           type: SymbolType.EXPORT,
           line: node.loc.start.line,
+          range: getNodeRange(node),
           default: true
         });
       }
     }
 
+    // Functions, classes and methods at any depth; import x = require(), require(), import() and module.exports
+    symbols.push(...scoped.symbols, ...extractCommonJSSymbols(ast));
   } catch (error) {
     log(`Failed to parse TypeScript in ${filePath}: ${error.message}`, 'warning');
     
@@ -482,10 +550,7 @@ async function parseTypeScript(content, filePath) {
     if (fixResult.fixed) {
       try {
         log(`Retrying TypeScript parse with fixed content...`, 'info');
-        const ast = parser.parse(fixResult.content, {
-          sourceType: 'module',
-          plugins: ['typescript', 'jsx', 'decorators-legacy', 'classProperties']
-        });
+        const ast = parser.parse(fixResult.content, getTypeScriptParserOptions(filePath));
         
         // Re-extract symbols from fixed AST
         for (const node of ast.program.body) {
@@ -493,46 +558,38 @@ async function parseTypeScript(content, filePath) {
             for (const specifier of node.specifiers) {
               symbols.push({
                 name: specifier.local.name,
+                imported: getImportedName(specifier),
                 type: SymbolType.IMPORT,
                 from: node.source.value,
-                line: node.loc.start.line
+                line: node.loc.start.line,
+                range: getNodeRange(node)
               });
             }
           }
-          if (node.type === 'FunctionDeclaration' && node.id) {
-            symbols.push({
-              name: node.id.name,
-              type: SymbolType.FUNCTION,
-              params: node.params.map(p => getParamName(p)),
-              line: node.loc.start.line
-            });
-          }
-          if (node.type === 'ClassDeclaration' && node.id) {
-            symbols.push({
-              name: node.id.name,
-              type: SymbolType.CLASS,
-              line: node.loc.start.line
-            });
-          }
           if (node.type === 'TSInterfaceDeclaration' && node.id) {
             symbols.push({
               name: node.id.name,
               type: SymbolType.INTERFACE,
-              line: node.loc.start.line
+              line: node.loc.start.line,
+              range: getNodeRange(node)
             });
           }
           if (node.type === 'TSTypeAliasDeclaration' && node.id) {
             symbols.push({
               name: node.id.name,
               type: SymbolType.TYPE,
-              line: node.loc.start.line
+              line: node.loc.start.line,
+              range: getNodeRange(node)
             });
           }
         }
-        
+
+        const scoped = extractScopedSymbols(ast, fixResult.content);
+        symbols.push(...scoped.symbols, ...extractCommonJSSymbols(ast));
+
         log(`✅ Successfully parsed TypeScript after syntax fixes!`, 'success');
         fixApplied = fixResult;
-        return { symbols, fixApplied };
+        return { symbols, fixApplied, calls: scoped.calls };
       } catch (retryError) {
         log(`Still failed after fixes: ${retryError.message}`, 'warning');
       }
@@ -542,14 +599,287 @@ async function parseTypeScript(content, filePath) {
     return { symbols: genericSymbols, fixApplied: null };
   }
 
-  return { symbols, fixApplied };
+  return { symbols, fixApplied, calls };
 }
 
 /**
- * Parse Python files using regex (simplified)
+ * Parse Python files with the tree-sitter Python grammar
+ * Falls back to regex extraction if the grammar cannot be loaded.
  * @returns {Promise<Object>} Object with symbols array and fixApplied info
  */
 async function parsePython(content, filePath) {
+  const tree = await parseWithTreeSitter('python', content);
+  if (!tree) {
+    return parsePythonWithRegex(content, filePath);
+  }
+
+  try {
+    // tree-sitter recovers from errors, so whatever parses is still extracted
+    if (tree.rootNode.hasError) {
+      log(`Python syntax errors in ${filePath}, extracting the parseable parts`, 'warning');
+    }
+    return { symbols: extractPythonSymbols(tree.rootNode, content), fixApplied: null };
+  } finally {
+    tree.delete();
+  }
+}
+
+/**
+ * Walk a Python syntax tree and collect symbols
+ * Functions and classes are named by their enclosing scope like the JS
+ * extractor (`Class.method`, `outer.inner`); names listed in `__all__`
+ * become exports.
+ * @param {Object} root - tree-sitter `module` node
+ * @param {string} content - Source code
+ * @returns {Array<Object>} Symbols
+ */
+function extractPythonSymbols(root, content) {
+  const symbols = [];
+  const exportNames = [];
+  const qualify = (parent, name) => (parent ? `${parent}.${name}` : name);
+
+  const addImport = (name, from, imported, node) => {
+    symbols.push({
+      name,
+      imported,
+      type: SymbolType.IMPORT,
+      from,
+      line: node.startPosition.row + 1,
+      range: getTreeSitterRange(node)
+    });
+  };
+
+  const addFunction = (definition, outer, decorators, scope) => {
+    const shortName = definition.childForFieldName('name').text;
+    const name = qualify(scope.parent, shortName);
+    const parameters = getPythonParameters(definition.childForFieldName('parameters'));
+    const returnType = definition.childForFieldName('return_type')?.text || null;
+    const isAsync = definition.children.some(child => child.type === 'async');
+    const typeHints = Object.fromEntries(parameters.filter(p => p.type).map(p => [p.name, p.type]));
+    const methodKind = decorators.find(decorator => ['staticmethod', 'classmethod', 'property'].includes(decorator));
+
+    symbols.push({
+      name,
+      type: scope.className ? SymbolType.METHOD : SymbolType.FUNCTION,
+      params: parameters.map(p => p.name),
+      typeHints,
+      returnType,
+      decorators,
+      line: outer.startPosition.row + 1,
+      endLine: outer.endPosition.row + 1,
+      range: getTreeSitterRange(outer),
+      async: isAsync,
+      parent: scope.parent,
+      documentation: getPythonDocstring(definition),
+      signature: `${isAsync ? 'async ' : ''}def ${shortName}${collapseWhitespace(definition.childForFieldName('parameters').text)}${returnType ? ` -> ${returnType}` : ''}`,
+      ...(scope.className ? { className: scope.className, kind: methodKind || 'method', static: methodKind === 'staticmethod' } : {})
+    });
+
+    visitChildren(definition.childForFieldName('body'), { parent: name, className: null });
+  };
+
+  const addClass = (definition, outer, decorators, scope) => {
+    const name = qualify(scope.parent, definition.childForFieldName('name').text);
+    const superclasses = definition.childForFieldName('superclasses');
+    const bases = superclasses
+      ? superclasses.namedChildren.filter(child => ['identifier', 'attribute'].includes(child.type)).map(child => child.text)
+      : [];
+    const body = definition.childForFieldName('body');
+
+    const classSymbol = {
+      name,
+      type: SymbolType.CLASS,
+      bases,
+      decorators,
+      line: outer.startPosition.row + 1,
+      endLine: outer.endPosition.row + 1,
+      range: getTreeSitterRange(outer),
+      parent: scope.parent,
+      documentation: getPythonDocstring(definition),
+      methods: body.namedChildren
+        .map(child => (child.type === 'decorated_definition' ? child.childForFieldName('definition') : child))
+        .filter(child => child?.type === 'function_definition')
+        .map(child => child.childForFieldName('name').text)
+    };
+    if (bases.length > 0) {
+      classSymbol.extends = bases[0];
+    }
+    symbols.push(classSymbol);
+
+    visitChildren(body, { parent: name, className: name });
+  };
+
+  const visit = (node, scope) => {
+    switch (node.type) {
+      case 'import_statement':
+        // import a.b / import a.b as c
+        for (const child of node.childrenForFieldName('name')) {
+          if (child.type === 'aliased_import') {
+            const module = child.childForFieldName('name').text;
+            addImport(child.childForFieldName('alias').text, module, '*', node);
+          } else {
+            addImport(child.text, child.text, '*', node);
+          }
+        }
+        return;
+
+      case 'import_from_statement': {
+        // from .pkg import a as b / from x import *
+        const module = node.childForFieldName('module_name').text;
+        for (const child of node.childrenForFieldName('name')) {
+          if (child.type === 'aliased_import') {
+            addImport(child.childForFieldName('alias').text, module, child.childForFieldName('name').text, node);
+          } else {
+            addImport(child.text, module, child.text, node);
+          }
+        }
+        if (node.namedChildren.some(child => child.type === 'wildcard_import')) {
+          addImport(`${module}.*`, module, '*', node);
+        }
+        return;
+      }
+
+      case 'decorated_definition': {
+        const decorators = node.namedChildren
+          .filter(child => child.type === 'decorator')
+          .map(child => child.text.replace(/^@\s*/, ''));
+        const definition = node.childForFieldName('definition');
+        if (definition.type === 'function_definition') addFunction(definition, node, decorators, scope);
+        else if (definition.type === 'class_definition') addClass(definition, node, decorators, scope);
+        return;
+      }
+
+      case 'function_definition':
+        addFunction(node, node, [], scope);
+        return;
+
+      case 'class_definition':
+        addClass(node, node, [], scope);
+        return;
+
+      case 'assignment':
+      case 'augmented_assignment': {
+        if (scope.parent) break;
+        const left = node.childForFieldName('left');
+        const right = node.childForFieldName('right');
+
+        if (left?.type === 'identifier' && left.text === '__all__') {
+          if (right && ['list', 'tuple'].includes(right.type)) {
+            for (const item of right.namedChildren) {
+              const name = getPythonStringValue(item);
+              if (name) exportNames.push({ name, node: item });
+            }
+          }
+          return;
+        }
+
+        if (left?.type === 'identifier' && node.type === 'assignment') {
+          symbols.push({
+            name: left.text,
+            type: SymbolType.VARIABLE,
+            kind: 'assignment',
+            typeHint: node.childForFieldName('type')?.text || null,
+            line: node.startPosition.row + 1,
+            range: getTreeSitterRange(node),
+            exported: false
+          });
+        }
+        break;
+      }
+    }
+
+    visitChildren(node, scope);
+  };
+
+  const visitChildren = (node, scope) => {
+    for (const child of node?.namedChildren || []) visit(child, scope);
+  };
+
+  visitChildren(root, { parent: null, className: null });
+
+  for (const { name, node } of exportNames) {
+    symbols.push({
+      name,
+      type: SymbolType.EXPORT,
+      line: node.startPosition.row + 1,
+      range: getTreeSitterRange(node),
+      exported: true
+    });
+  }
+
+  return symbols;
+}
+
+/**
+ * Parameters of a Python function
+ * @returns {Array<{name: string, type: string|null, default: string|null}>}
+ */
+function getPythonParameters(parametersNode) {
+  const parameters = [];
+
+  for (const param of parametersNode?.namedChildren || []) {
+    switch (param.type) {
+      case 'identifier':
+        parameters.push({ name: param.text, type: null, default: null });
+        break;
+      case 'typed_parameter': {
+        // `x: int`, `*args: int`, `**kw: str`
+        const target = param.namedChildren.find(child => child.type !== 'type');
+        parameters.push({ name: getSplatName(target), type: param.childForFieldName('type')?.text || null, default: null });
+        break;
+      }
+      case 'default_parameter':
+      case 'typed_default_parameter':
+        parameters.push({
+          name: param.childForFieldName('name').text,
+          type: param.childForFieldName('type')?.text || null,
+          default: param.childForFieldName('value')?.text || null
+        });
+        break;
+      case 'list_splat_pattern':
+      case 'dictionary_splat_pattern':
+        parameters.push({ name: getSplatName(param), type: null, default: null });
+        break;
+    }
+  }
+
+  return parameters;
+}
+
+function getSplatName(node) {
+  if (node.type === 'list_splat_pattern') return `*${node.namedChildren[0]?.text || ''}`;
+  if (node.type === 'dictionary_splat_pattern') return `**${node.namedChildren[0]?.text || ''}`;
+  return node.text;
+}
+
+/**
+ * Docstring of a function or class: a string as the first statement of its body
+ */
+function getPythonDocstring(definition) {
+  const first = definition.childForFieldName('body')?.namedChildren[0];
+  if (first?.type !== 'expression_statement' || first.namedChildren[0]?.type !== 'string') {
+    return null;
+  }
+  return collapseWhitespace(getPythonStringValue(first.namedChildren[0]) || '') || null;
+}
+
+function getPythonStringValue(node) {
+  if (node.type !== 'string') return null;
+  return node.namedChildren
+    .filter(child => child.type === 'string_content')
+    .map(child => child.text)
+    .join('');
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse Python files using regex (fallback when the grammar cannot be loaded)
+ * @returns {Promise<Object>} Object with symbols array and fixApplied info
+ */
+async function parsePythonWithRegex(content, filePath) {
   const symbols = [];
   let fixApplied = null;
   const lines = content.split('\n');
@@ -580,6 +910,7 @@ async function parsePython(content, filePath) {
         type: SymbolType.FUNCTION,
         params: funcMatch[2].split(',').map(p => p.trim().split('=')[0].trim()).filter(Boolean),
         line: lineNum,
+        endLine: findIndentedBlockEnd(lines, i),
         documentation: extractPythonDocstring(lines, i)
       });
     }
@@ -591,6 +922,7 @@ async function parsePython(content, filePath) {
         name: classMatch[1],
         type: SymbolType.CLASS,
         line: lineNum,
+        endLine: findIndentedBlockEnd(lines, i),
         documentation: extractPythonDocstring(lines, i)
       });
     }
@@ -626,6 +958,7 @@ async function extractGenericSymbols(content, filePath) {
           name: match[1],
           type: SymbolType.FUNCTION,
           line: lineNum,
+          endLine: findBraceBlockEnd(lines, i),
           documentation: null
         });
         break;
@@ -646,6 +979,7 @@ async function extractGenericSymbols(content, filePath) {
           name: match[1],
           type: SymbolType.CLASS,
           line: lineNum,
+          endLine: findBraceBlockEnd(lines, i),
           documentation: null
         });
         break;
@@ -678,6 +1012,114 @@ function extractDocstring(content, line) {
   return docstring.trim() || null;
 }
 
+/**
+ * Source range of a Babel node (1-based lines, 0-based columns)
+ */
+function getNodeRange(node) {
+  return {
+    startLine: node.loc.start.line,
+    startColumn: node.loc.start.column,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column
+  };
+}
+
+/**
+ * Complete every symbol's range with byte offsets and hash its source
+ * Symbols from line-based extractors (no AST) span whole lines from `line` to `endLine`.
+ * @param {Array<Object>} symbols - Symbols of one file (modified in place)
+ * @param {string} content - File content
+ */
+function addRangesAndHashes(symbols, content) {
+  const lines = content.split('\n');
+  const lineByteStarts = [];
+  let offset = 0;
+  for (const line of lines) {
+    lineByteStarts.push(offset);
+    offset += Buffer.byteLength(line) + 1;
+  }
+
+  const buffer = Buffer.from(content);
+  const toByte = (line, column) => {
+    const index = Math.min(Math.max(line, 1), lines.length) - 1;
+    return lineByteStarts[index] + Buffer.byteLength(lines[index].substring(0, column));
+  };
+
+  for (const symbol of symbols) {
+    if (!symbol.range) {
+      const endLine = Math.min(symbol.endLine || symbol.line, lines.length);
+      symbol.range = {
+        startLine: symbol.line,
+        startColumn: 0,
+        endLine,
+        endColumn: lines[endLine - 1]?.length || 0
+      };
+    }
+
+    const { range } = symbol;
+    range.startByte = toByte(range.startLine, range.startColumn);
+    range.endByte = toByte(range.endLine, range.endColumn);
+
+    symbol.endLine = range.endLine;
+    symbol.hash = hashContent(buffer.subarray(range.startByte, range.endByte));
+  }
+}
+
+/**
+ * Short content hash (16 hex chars of SHA-256)
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+}
+
+/**
+ * Last line of an indented (Python) block starting at `startIndex`
+ * @returns {number} 1-based line number
+ */
+function findIndentedBlockEnd(lines, startIndex) {
+  const indent = lines[startIndex].match(/^\s*/)[0].length;
+  let end = startIndex;
+
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim() === '' || line.trim().startsWith('#')) continue;
+    if (line.match(/^\s*/)[0].length <= indent) break;
+    end = i;
+  }
+
+  return end + 1;
+}
+
+/**
+ * Last line of a brace-delimited block starting at `startIndex`
+ * Falls back to the start line when no block opens on the first two lines.
+ * @returns {number} 1-based line number
+ */
+function findBraceBlockEnd(lines, startIndex) {
+  let depth = 0;
+  let opened = false;
+
+  for (let i = startIndex; i < lines.length; i++) {
+    // Ignore braces inside simple string literals
+    const code = lines[i].replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""');
+    for (const char of code) {
+      if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+
+    if (opened && depth <= 0) return i + 1;
+    if (!opened && i >= startIndex + 1) break;
+  }
+
+  return startIndex + 1;
+}
+
 /**
  * Extract Python docstring
  */
@@ -719,16 +1161,642 @@ function getParamName(param) {
 
 /**
  * Generate function signature
+ * @param {Object} node - Function, arrow function or method node
+ * @param {string} name - Symbol name (defaults to the function's own name)
+ * @param {Object} info - Method info (kind, static)
+ */
+function generateSignature(node, name = node.id?.name, info = {}) {
+  const params = node.params.map(p => getParamName(p)).join(', ');
+  const async = node.async ? 'async ' : '';
+  const generator = node.generator ? '*' : '';
+
+  if (info.kind && info.kind !== 'property') {
+    const prefix = `${info.static ? 'static ' : ''}${['get', 'set'].includes(info.kind) ? `${info.kind} ` : ''}`;
+    return `${prefix}${async}${generator}${name}(${params})`;
+  }
+
+  if (node.type === 'ArrowFunctionExpression') {
+    return `${name} = ${async}(${params}) =>`;
+  }
+
+  return `${async}function${generator} ${name}(${params})`;
+}
+
+/**
+ * Parser options for a JavaScript file (.mjs is always a module, .cjs a script)
+ */
+function getJavaScriptParserOptions(filePath) {
+  const sourceType = JS_SOURCE_TYPES[path.extname(filePath).toLowerCase()];
+  return sourceType ? { ...JS_PARSER_OPTIONS, sourceType } : JS_PARSER_OPTIONS;
+}
+
+/**
+ * Parser options for a TypeScript file (JSX only in .tsx)
+ */
+function getTypeScriptParserOptions(filePath) {
+  return path.extname(filePath).toLowerCase() === '.tsx' ? TSX_PARSER_OPTIONS : TS_PARSER_OPTIONS;
+}
+
+/**
+ * Extract CommonJS imports/exports and dynamic imports
+ *
+ * Imports:  const x = require('m')            → x (default)
+ *           const { a, b: c } = require('m')   → a, c
+ *           const a = require('m').a           → a
+ *           const m = await import('m')        → m (namespace)
+ *           import x = require('m')            → x (TypeScript)
+ *           require('m') / import('m')         → module import, not bound to a name (sideEffect)
+ * Exports:  module.exports = { a, b }          → a, b
+ *           module.exports = x                 → x (default)
+ *           module.exports.a = / exports.a =   → a
+ *           Object.defineProperty(exports, 'a', ...)
+ */
+function extractCommonJSSymbols(ast) {
+  const symbols = [];
+  const bound = new Set();
+
+  const addImport = (name, imported, from, node, dynamic, sideEffect = false) => {
+    symbols.push({
+      name,
+      imported,
+      type: SymbolType.IMPORT,
+      from,
+      line: node.loc.start.line,
+      range: getNodeRange(node),
+      commonjs: !dynamic,
+      dynamic,
+      ...(sideEffect ? { sideEffect: true } : {})
+    });
+  };
+
+  const addExport = (name, node, isDefault = false) => {
+    symbols.push({
+      name,
+      type: SymbolType.EXPORT,
+      line: node.loc.start.line,
+      range: getNodeRange(node),
+      exported: true,
+      commonjs: true,
+      ...(isDefault ? { default: true } : {})
+    });
+  };
+
+  forEachNode(ast.program, node => {
+    // Bound imports
+    if (node.type === 'VariableDeclarator' && node.init) {
+      const source = getModuleSource(node.init);
+      if (!source) return;
+      bound.add(source.call);
+
+      if (node.id.type === 'Identifier') {
+        const imported = source.member || (source.dynamic ? '*' : 'default');
+        addImport(node.id.name, imported, source.from, node, source.dynamic);
+      } else if (node.id.type === 'ObjectPattern' && !source.member) {
+        for (const property of node.id.properties) {
+          if (property.type !== 'ObjectProperty' || property.value.type !== 'Identifier') continue;
+          addImport(property.value.name, getKeyName(property.key) || property.value.name, source.from, property, source.dynamic);
+        }
+      }
+      return;
+    }
+
+    if (node.type === 'TSImportEqualsDeclaration' && node.moduleReference.type === 'TSExternalModuleReference') {
+      addImport(node.id.name, 'default', node.moduleReference.expression.value, node, false);
+      return;
+    }
+
+    // Unbound require('m') / import('m')
+    if ((node.type === 'CallExpression' || node.type === 'ImportExpression') && !bound.has(node)) {
+      const source = getModuleSource(node);
+      if (source) {
+        addImport(source.from, '*', source.from, node, source.dynamic, true);
+        return;
+      }
+    }
+
+    if (node.type === 'AssignmentExpression' && node.operator === '=') {
+      const target = getExportTarget(node.left);
+      if (!target) return;
+
+      if (target.name) {
+        addExport(target.name, node);
+      } else if (node.right.type === 'ObjectExpression') {
+        for (const property of node.right.properties) {
+          const name = property.type !== 'SpreadElement' ? getKeyName(property.key) : null;
+          if (name) addExport(name, property);
+        }
+      } else {
+        const name = node.right.type === 'Identifier' ? node.right.name : node.right.id?.name;
+        addExport(name || 'default', node, true);
+      }
+      return;
+    }
+
+    // Object.defineProperty(exports, 'a', { ... }) as emitted by transpilers
+    if (node.type === 'CallExpression' && isMemberNamed(node.callee, 'Object', 'defineProperty')) {
+      const [target, key] = node.arguments;
+      const isExportsObject = target?.type === 'Identifier' && target.name === 'exports';
+      if (isExportsObject && key?.type === 'StringLiteral' && key.value !== '__esModule') {
+        addExport(key.value, node);
+      }
+    }
+  });
+
+  return symbols;
+}
+
+/**
+ * Recognize require('m'), require('m').a and (await) import('m')
+ * @returns {{from: string, member: string|null, dynamic: boolean, call: Object}|null}
+ */
+function getModuleSource(node) {
+  let expression = node.type === 'AwaitExpression' ? node.argument : node;
+  let member = null;
+
+  if (expression.type === 'MemberExpression' && !expression.computed) {
+    member = getKeyName(expression.property);
+    expression = expression.object;
+  }
+
+  const isRequire = expression.type === 'CallExpression' &&
+    expression.callee.type === 'Identifier' && expression.callee.name === 'require';
+  const isImport = (expression.type === 'CallExpression' && expression.callee.type === 'Import') ||
+    expression.type === 'ImportExpression';
+  if (!isRequire && !isImport) return null;
+
+  const argument = expression.type === 'ImportExpression' ? expression.source : expression.arguments[0];
+  const from = getStaticString(argument);
+  if (from === null) return null;
+
+  return { from, member, dynamic: isImport, call: expression };
+}
+
+/**
+ * Recognize module.exports, module.exports.a and exports.a assignment targets
+ * @returns {{name: string|null}|null} name is null for module.exports itself
+ */
+function getExportTarget(left) {
+  if (left.type !== 'MemberExpression' || left.computed) return null;
+
+  if (isMemberNamed(left, 'module', 'exports')) {
+    return { name: null };
+  }
+
+  const name = getKeyName(left.property);
+  const object = left.object;
+  const isExportsObject = (object.type === 'Identifier' && object.name === 'exports') ||
+    isMemberNamed(object, 'module', 'exports');
+
+  return isExportsObject && name ? { name } : null;
+}
+
+function isMemberNamed(node, objectName, propertyName) {
+  return node?.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === objectName &&
+    getKeyName(node.property) === propertyName;
+}
+
+function getStaticString(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * Visit every node of a Babel AST, parents before children
+ */
+function forEachNode(node, callback) {
+  if (!node || typeof node.type !== 'string') return;
+
+  callback(node);
+
+  for (const key of Object.keys(node)) {
+    if (AST_SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) forEachNode(item, callback);
+    } else if (child && typeof child.type === 'string') {
+      forEachNode(child, callback);
+    }
+  }
+}
+
+/**
+ * Get the name a specifier imports from its module
+ * @returns {string} Exported name, 'default' or '*' for namespace imports
+ */
+function getImportedName(specifier) {
+  if (specifier.type === 'ImportDefaultSpecifier') return 'default';
+  if (specifier.type === 'ImportNamespaceSpecifier') return '*';
+  return specifier.imported?.name || specifier.imported?.value || specifier.local.name;
+}
+
+/**
+ * Walk a Babel AST and collect named functions, classes, methods and call sites
+ *
+ * Symbols are named by their enclosing scope, the way they are referenced:
+ * `handler`, `Class.method`, `api.get` (object literal methods),
+ * `outer.inner` (nested functions), `default` (anonymous default exports).
+ * Each call is attributed to the innermost named symbol it appears in;
+ * calls outside any symbol belong to MODULE_SCOPE.
+ * @param {Object} ast - Babel AST
+ * @param {string} content - Source, for documentation comments
+ * @returns {{symbols: Array<Object>, calls: Array<{caller: string, owner: string|null, name: string, object: string|null, kind: string, line: number}>}}
+ */
+function extractScopedSymbols(ast, content) {
+  const symbols = [];
+  const calls = [];
+
+  const qualify = (parent, name) => (parent ? `${parent}.${name}` : name);
+
+  const record = (ctx, target, kind, line) => {
+    if (target) {
+      calls.push({ caller: ctx.parent || MODULE_SCOPE, owner: ctx.owner, name: target.name, object: target.object, kind, line });
+    }
+  };
+
+  const addFunction = (name, fn, ctx, extra = {}) => {
+    // `node` is the declaring node (method, declarator, export) the range covers
+    const { node = fn, ...info } = extra;
+    const memberOf = info.className || info.objectName;
+
+    symbols.push({
+      name,
+      type: memberOf ? SymbolType.METHOD : SymbolType.FUNCTION,
+      params: fn.params.map(p => getParamName(p)),
+      line: node.loc.start.line,
+      endLine: node.loc.end.line,
+      range: getNodeRange(node),
+      async: fn.async,
+      generator: fn.generator,
+      arrow: fn.type === 'ArrowFunctionExpression',
+      parent: memberOf || ctx.parent,
+      documentation: extractDocstring(content, node.loc.start.line),
+      signature: generateSignature(fn, name.substring(name.lastIndexOf('.') + 1), info),
+      ...info
+    });
+
+    // `this` is the class/object for members, unchanged in arrow functions
+    const owner = memberOf || (fn.type === 'ArrowFunctionExpression' ? ctx.owner : null);
+    const inner = { parent: name, owner };
+    for (const param of fn.params) visit(param, inner);
+    visit(fn.body, inner);
+  };
+
+  const addClass = (name, cls, ctx, node = cls) => {
+    const classSymbol = {
+      name,
+      type: SymbolType.CLASS,
+      line: node.loc.start.line,
+      endLine: node.loc.end.line,
+      range: getNodeRange(node),
+      parent: ctx.parent,
+      documentation: extractDocstring(content, node.loc.start.line),
+      methods: []
+    };
+    if (cls.superClass?.type === 'Identifier') {
+      classSymbol.extends = cls.superClass.name;
+    }
+    symbols.push(classSymbol);
+
+    if (cls.superClass) visit(cls.superClass, ctx);
+
+    for (const member of cls.body.body) {
+      const key = getKeyName(member.key);
+      const isMethod = ['ClassMethod', 'ClassPrivateMethod'].includes(member.type);
+      const isFunctionProperty = ['ClassProperty', 'ClassPrivateProperty'].includes(member.type) && isFunctionNode(member.value);
+
+      if (key && (isMethod || isFunctionProperty)) {
+        classSymbol.methods.push(key);
+        addFunction(`${name}.${key}`, isMethod ? member : member.value, ctx, {
+          className: name,
+          kind: isMethod ? member.kind : 'property',
+          static: member.static || false,
+          node: member
+        });
+      } else {
+        // Property initializers and static blocks run with the class as `this`
+        visit(member, { parent: name, owner: name });
+      }
+    }
+  };
+
+  const addObject = (name, object, ctx) => {
+    for (const property of object.properties) {
+      const key = property.type !== 'SpreadElement' ? getKeyName(property.key) : null;
+      const qualified = key ? (name ? `${name}.${key}` : key) : null;
+
+      if (qualified && property.type === 'ObjectMethod') {
+        addFunction(qualified, property, ctx, objectMemberInfo(name, property.kind, property));
+      } else if (qualified && property.type === 'ObjectProperty' && isFunctionNode(property.value)) {
+        addFunction(qualified, property.value, ctx, objectMemberInfo(name, 'property', property));
+      } else if (qualified && property.type === 'ObjectProperty' && property.value.type === 'ObjectExpression') {
+        addObject(qualified, property.value, ctx);
+      } else {
+        visit(property, ctx);
+      }
+    }
+  };
+
+  // Object literal members behave like methods (`this` is the object)
+  const objectMemberInfo = (objectName, kind, node) =>
+    (objectName ? { objectName, kind, node } : { node });
+
+  // Bind a value to a name: functions, classes and object literals become symbols
+  const bindValue = (name, value, ctx, node) => {
+    if (isFunctionNode(value)) {
+      addFunction(name, value, ctx, { node });
+      return true;
+    }
+    if (value?.type === 'ClassExpression') {
+      addClass(value.id ? qualify(ctx.parent, value.id.name) : name, value, ctx, node);
+      return true;
+    }
+    if (value?.type === 'ObjectExpression') {
+      addObject(name, value, ctx);
+      return true;
+    }
+    return false;
+  };
+
+  const visit = (node, ctx) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        if (node.id) {
+          addFunction(qualify(ctx.parent, node.id.name), node, ctx);
+          return;
+        }
+        break;
+
+      case 'ClassDeclaration':
+        if (node.id) {
+          addClass(qualify(ctx.parent, node.id.name), node, ctx);
+          return;
+        }
+        break;
+
+      case 'VariableDeclarator':
+        if (node.id.type === 'Identifier' && bindValue(qualify(ctx.parent, node.id.name), node.init, ctx, node)) {
+          return;
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        const anonymous = ['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) && !declaration.id;
+        if (anonymous && declaration.type === 'FunctionDeclaration') {
+          addFunction('default', declaration, ctx, { node });
+          return;
+        }
+        if (anonymous) {
+          addClass('default', declaration, ctx, node);
+          return;
+        }
+        if (bindValue('default', declaration, ctx, node)) {
+          return;
+        }
+        break;
+      }
+
+      case 'AssignmentExpression': {
+        // exports.run = function () {} / module.exports = { ... }
+        const target = !ctx.parent && node.operator === '=' ? getExportTarget(node.left) : null;
+        if (target) {
+          visit(node.left, ctx);
+          if (target.name && bindValue(target.name, node.right, ctx, node)) return;
+          if (!target.name && node.right.type === 'ObjectExpression') {
+            addObject(null, node.right, ctx);
+            return;
+          }
+          if (!target.name) {
+            const name = node.right.id?.name || 'default';
+            if (bindValue(name, node.right, ctx, node)) return;
+          }
+          visit(node.right, ctx);
+          return;
+        }
+        break;
+      }
+
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+      case 'NewExpression': {
+        const kind = node.type === 'NewExpression' ? 'new' : 'call';
+        record(ctx, describeCallee(node.callee), kind, node.loc?.start.line);
+
+        // Functions passed by reference, e.g. arr.map(transform) or on('x', this.handle)
+        for (const arg of node.arguments || []) {
+          if (arg.type === 'Identifier' || arg.type === 'MemberExpression') {
+            record(ctx, describeCallee(arg), 'callback', arg.loc?.start.line);
+          }
+        }
+        break;
+      }
+
+      case 'FunctionExpression':
+        // Anonymous callbacks stay in the enclosing symbol, but get their own `this`
+        ctx = { ...ctx, owner: null };
+        break;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (AST_SKIP_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const item of child) visit(item, ctx);
+      } else if (child && typeof child.type === 'string') {
+        visit(child, ctx);
+      }
+    }
+  };
+
+  visit(ast.program, { parent: null, owner: null });
+  return { symbols, calls };
+}
+
+/**
+ * Describe the target of a call: `foo()`, `obj.foo()`, `this.foo()`
+ * @returns {{name: string, object: string|null}|null}
  */
-function generateSignature(node) {
-  if (node.type === 'FunctionDeclaration') {
-    const params = node.params.map(p => getParamName(p)).join(', ');
-    const async = node.async ? 'async ' : '';
-    return `${async}function ${node.id.name}(${params})`;
+function describeCallee(callee) {
+  if (!callee) return null;
+
+  if (callee.type === 'Identifier') {
+    return { name: callee.name, object: null };
+  }
+
+  if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+    const name = callee.computed
+      ? (callee.property.type === 'StringLiteral' ? callee.property.value : null)
+      : getKeyName(callee.property);
+    if (!name) return null;
+
+    let object = null;
+    if (callee.object.type === 'Identifier') object = callee.object.name;
+    else if (callee.object.type === 'ThisExpression') object = 'this';
+    else if (callee.object.type === 'Super') object = 'super';
+
+    return { name, object };
   }
+
+  return null;
+}
+
+function getKeyName(key) {
+  if (!key) return null;
+  if (key.type === 'Identifier') return key.name;
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (key.type === 'StringLiteral') return key.value;
   return null;
 }
 
+function isFunctionNode(node) {
+  return Boolean(node) && ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type);
+}
+
+/**
+ * Resolve recorded calls to symbol ids and build calls/calledBy edges
+ * Unresolved calls (external libraries, dynamic receivers) are kept in
+ * `calls` with a null callee; unresolved callbacks are dropped since most
+ * identifiers passed as arguments are plain values.
+ */
+function resolveCallGraph(graph) {
+  let resolvedCount = 0;
+
+  for (const [filePath, calls] of graph.pendingCalls) {
+    const imports = graph.files.get(filePath)?.imports || [];
+    const importsByLocal = new Map(imports.filter(imp => !imp.sideEffect).map(imp => [imp.name, imp]));
+    const seen = new Set();
+
+    for (const call of calls) {
+      const callerId = `${filePath}::${call.caller}`;
+      const calleeId = resolveCallTarget(graph, filePath, call, importsByLocal);
+
+      if (!calleeId && call.kind === 'callback') continue;
+
+      const displayName = call.object ? `${call.object}.${call.name}` : call.name;
+      const key = `${callerId}->${calleeId || displayName}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (!graph.calls.has(callerId)) graph.calls.set(callerId, []);
+      graph.calls.get(callerId).push({ callee: calleeId, name: displayName, kind: call.kind, line: call.line });
+
+      if (calleeId) {
+        if (!graph.calledBy.has(calleeId)) graph.calledBy.set(calleeId, []);
+        graph.calledBy.get(calleeId).push({ caller: callerId, kind: call.kind, line: call.line });
+        graph.edges.push({ from: callerId, to: calleeId, type: 'calls', line: call.line });
+        resolvedCount++;
+      }
+    }
+  }
+
+  graph.pendingCalls.clear();
+  log(`Call graph: ${resolvedCount} resolved call edge(s)`, 'info');
+}
+
+/**
+ * Find the symbol id a call refers to
+ * @returns {string|null}
+ */
+function resolveCallTarget(graph, filePath, call, importsByLocal) {
+  const local = id => (graph.symbols.has(`${filePath}::${id}`) ? `${filePath}::${id}` : null);
+
+  // foo() / new Foo() / callback references; nested functions shadow imports
+  if (!call.object) {
+    const scopes = call.caller === MODULE_SCOPE ? [] : call.caller.split('.');
+    for (let depth = scopes.length; depth > 0; depth--) {
+      const nested = local(`${scopes.slice(0, depth).join('.')}.${call.name}`);
+      if (nested) return nested;
+    }
+
+    if (call.name === call.caller) return local(call.name);
+    const imported = importsByLocal.get(call.name);
+    if (imported) return resolveImportedSymbol(graph, filePath, imported, null);
+    return local(call.name);
+  }
+
+  // this.method() inside Class.method or an object literal method
+  if (call.object === 'this') {
+    return call.owner ? local(`${call.owner}.${call.name}`) : null;
+  }
+
+  // ns.foo() on `import * as ns`, or Foo.staticMethod()
+  const imported = importsByLocal.get(call.object);
+  if (imported) return resolveImportedSymbol(graph, filePath, imported, call.name);
+  return local(`${call.object}.${call.name}`);
+}
+
+/**
+ * Resolve an imported binding (optionally a member of it) to a symbol id
+ */
+function resolveImportedSymbol(graph, filePath, importSymbol, member) {
+  const targetFile = importSymbol.resolvedFile;
+  if (!targetFile || !graph.files.has(targetFile)) return null;
+
+  let name = importSymbol.imported || importSymbol.name;
+  if (name === '*') {
+    if (!member) return null;
+    name = member;
+    member = null;
+  } else if (name === 'default') {
+    const defaultExport = (graph.files.get(targetFile)?.exports || []).find(exp => exp.default);
+    if (!defaultExport && member && importSymbol.commonjs) {
+      // require() of a module.exports = { ... } object
+      name = member;
+      member = null;
+    } else if (!defaultExport || defaultExport.name === 'default') {
+      return null;
+    } else {
+      name = defaultExport.name;
+    }
+  }
+
+  const id = `${targetFile}::${member ? `${name}.${member}` : name}`;
+  return graph.symbols.has(id) ? id : null;
+}
+
+/**
+ * Resolve every import of a file to a repository file or an external package
+ * Annotates the import symbols (resolvedFile, external, package) and records
+ * the file-level dependencies in graph.imports.
+ */
+function resolveImports(symbols, filePath, graph) {
+  const dependencies = new Map();
+
+  for (const imp of symbols.filter(s => s.type === SymbolType.IMPORT)) {
+    // Python `import os.path` has no `from`; the module is the name itself
+    let specifier = imp.from ?? imp.name;
+    let resolution = graph.resolver.resolve(filePath, specifier);
+
+    // Python `from pkg import mod` and Rust `use crate::mod` may name a submodule rather than a symbol
+    const separator = { '.py': '.', '.rs': '::' }[path.extname(filePath)];
+    if (separator && imp.from && imp.imported && imp.imported !== '*') {
+      const submodule = `${imp.from}${imp.from.endsWith(separator) ? '' : separator}${imp.imported}`;
+      const submoduleResolution = graph.resolver.resolve(filePath, submodule);
+      if (submoduleResolution.file && submoduleResolution.file !== resolution.file) {
+        specifier = submodule;
+        resolution = submoduleResolution;
+      }
+    }
+
+    imp.resolvedFile = resolution.file;
+    imp.external = resolution.external;
+    imp.package = resolution.package;
+
+    if (!dependencies.has(specifier)) {
+      dependencies.set(specifier, { specifier, ...resolution, names: [] });
+    }
+    if (!imp.sideEffect) {
+      dependencies.get(specifier).names.push(imp.name);
+    }
+  }
+
+  graph.imports.set(filePath, [...dependencies.values()]);
+}
+
 /**
  * Build edges (relationships) between symbols
  */
@@ -739,11 +1807,26 @@ function buildEdges(symbols, filePath, graph) {
   const classes = symbols.filter(s => s.type === SymbolType.CLASS);
 
   for (const imp of imports) {
-    graph.edges.push({
-      from: `${filePath}::${imp.name}`,
-      to: `${imp.from}::${imp.name}`,
-      type: 'imports'
-    });
+    // require('m') / import('m') without a binding import the module from the file itself
+    const edge = { from: imp.sideEffect ? filePath : `${filePath}::${imp.name}`, type: 'imports' };
+
+    if (imp.resolvedFile && imp.sideEffect) {
+      edge.to = imp.resolvedFile;
+      edge.toFile = imp.resolvedFile;
+    } else if (imp.resolvedFile) {
+      const importedName = imp.imported && !['default', '*'].includes(imp.imported) ? imp.imported : imp.name;
+      edge.to = `${imp.resolvedFile}::${importedName}`;
+      edge.toFile = imp.resolvedFile;
+    } else if (imp.external) {
+      edge.to = imp.package;
+      edge.external = true;
+    } else {
+      // Relative import that points at a missing file
+      edge.to = imp.from ?? imp.name;
+      edge.unresolved = true;
+    }
+
+    graph.edges.push(edge);
   }
 
   // Build inheritance relationships (could be expanded)
@@ -766,12 +1849,15 @@ function detectLanguage(ext) {
     '.js': 'javascript',
     '.jsx': 'javascript',
     '.mjs': 'javascript',
+    '.cjs': 'javascript',
     '.ts': 'typescript',
     '.tsx': 'typescript',
     '.py': 'python',
     '.java': 'java',
     '.cpp': 'cpp',
     '.c': 'c',
+    '.h': 'c',
+    '.cs': 'csharp',
     '.go': 'go',
     '.rs': 'rust',
     '.rb': 'ruby',
@@ -781,6 +1867,50 @@ function detectLanguage(ext) {
   return languageMap[ext] || 'unknown';
 }
 
+/**
+ * Check that a file still parses with the same parser used to build the graph
+ * Languages without a real parser here are reported as not checked.
+ * @param {string} content - File content
+ * @param {string} filePath - File path (used to pick the parser)
+ * @returns {Promise<{checked: boolean, valid: boolean, error: string|null}>}
+ */
+export async function checkSyntax(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  let options = null;
+
+  if (TREE_SITTER_SYNTAX_GRAMMARS[ext]) {
+    const tree = await parseWithTreeSitter(TREE_SITTER_SYNTAX_GRAMMARS[ext], content);
+    if (!tree) {
+      return { checked: false, valid: true, error: null };
+    }
+    try {
+      const error = findSyntaxError(tree);
+      return error
+        ? { checked: true, valid: false, error: `${error.missing ? 'Missing token' : 'Syntax error'} at line ${error.line}:${error.column}` }
+        : { checked: true, valid: true, error: null };
+    } finally {
+      tree.delete();
+    }
+  }
+
+  if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
+    options = getJavaScriptParserOptions(filePath);
+  } else if (['.ts', '.tsx'].includes(ext)) {
+    options = getTypeScriptParserOptions(filePath);
+  }
+
+  if (!options) {
+    return { checked: false, valid: true, error: null };
+  }
+
+  try {
+    parser.parse(content, options);
+    return { checked: true, valid: true, error: null };
+  } catch (error) {
+    return { checked: true, valid: false, error: error.message };
+  }
+}
+
 /**
  * Serialize graph to JSON-compatible format
  */
@@ -791,7 +1921,9 @@ function serializeGraph(graph) {
     edges: graph.edges,
     imports: Object.fromEntries(graph.imports),
     calls: Object.fromEntries(graph.calls),
+    calledBy: Object.fromEntries(graph.calledBy),
     syntaxFixes: graph.syntaxFixes,  // Include syntax fixes
+    fileAnalyses: Object.fromEntries(graph.analyses),
     metadata: graph.metadata
   };
 }
@@ -827,6 +1959,54 @@ export function findReferences(graph, symbolName) {
   return references;
 }
 
+/**
+ * Get the resolved callers of a symbol
+ * @param {Object} graph - Serialized symbol graph
+ * @param {string} symbolId - Symbol id (`file::name`)
+ * @returns {Array<{caller: string, kind: string, line: number}>}
+ */
+export function getCallers(graph, symbolId) {
+  return graph.calledBy?.[symbolId] || [];
+}
+
+/**
+ * Get the calls a symbol makes (callee is null when it could not be resolved)
+ * @param {Object} graph - Serialized symbol graph
+ * @param {string} symbolId - Symbol id (`file::name`)
+ * @returns {Array<{callee: string|null, name: string, kind: string, line: number}>}
+ */
+export function getCallees(graph, symbolId) {
+  return graph.calls?.[symbolId] || [];
+}
+
+/**
+ * Compare two symbol graphs by symbol content hash
+ * @param {Object} previous - Serialized symbol graph from an earlier run
+ * @param {Object} current - Serialized symbol graph
+ * @returns {{added: Array<string>, removed: Array<string>, changed: Array<string>, unchanged: Array<string>}} Symbol ids
+ */
+export function diffSymbolGraphs(previous, current) {
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+  const previousSymbols = previous?.symbols || {};
+
+  for (const [id, symbol] of Object.entries(current.symbols)) {
+    const before = previousSymbols[id];
+    if (!before) {
+      diff.added.push(id);
+    } else if (!before.hash || before.hash !== symbol.hash) {
+      diff.changed.push(id);
+    } else {
+      diff.unchanged.push(id);
+    }
+  }
+
+  for (const id of Object.keys(previousSymbols)) {
+    if (!current.symbols[id]) diff.removed.push(id);
+  }
+
+  return diff;
+}
+
 /**
  * Get symbol hierarchy (e.g., class methods, nested functions)
  */
@@ -834,6 +2014,7 @@ export function getSymbolHierarchy(graph, filePath) {
   const hierarchy = {
     classes: [],
     functions: [],
+    methods: [],
     imports: [],
     exports: []
   };
@@ -846,55 +2027,18 @@ export function getSymbolHierarchy(graph, filePath) {
         hierarchy.functions.push(symbol);
       } else if (symbol.type === SymbolType.IMPORT) {
         hierarchy.imports.push(symbol);
+      } else if (symbol.type === SymbolType.METHOD) {
+        hierarchy.methods.push(symbol);
       } else if (symbol.type === SymbolType.EXPORT) {
         hierarchy.exports.push(symbol);
       }
-    }
-  }
-  
-  return hierarchy;
-}
 
-/**
- * Get all code files in a repository (for semantic analysis context)
- * @param {string} repoPath - Repository root path
- * @returns {Promise<Array<{path: string, content: string}>>}
- */
-async function getAllCodeFiles(repoPath) {
-  const codeExtensions = ['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.go', '.rs', '.cpp', '.c', '.h'];
-  const files = [];
-  
-  async function scanDirectory(dir) {
-    try {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        
-        // Skip common directories
-        if (entry.isDirectory()) {
-          const skipDirs = ['node_modules', '.git', 'dist', 'build', '.next', 'coverage', '__pycache__'];
-          if (!skipDirs.includes(entry.name)) {
-            await scanDirectory(fullPath);
-          }
-        } else if (entry.isFile()) {
-          const ext = path.extname(entry.name);
-          if (codeExtensions.includes(ext)) {
-            try {
-              const content = await fs.readFile(fullPath, 'utf-8');
-              const relativePath = path.relative(repoPath, fullPath);
-              files.push({ path: relativePath, content });
-            } catch (error) {
-              // Skip files that can't be read
-            }
-          }
-        }
+      // Exported functions/classes are kept under their own type
+      if (symbol.exported && symbol.type !== SymbolType.EXPORT) {
+        hierarchy.exports.push(symbol);
       }
-    } catch (error) {
-      // Skip directories that can't be read
     }
   }
   
-  await scanDirectory(repoPath);
-  return files;
+  return hierarchy;
 }
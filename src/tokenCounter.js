@@ -0,0 +1,92 @@
+/**
+ * 👻 GhostCoder - Token Counter
+ *
+ * Counts tokens the way the configured LLM does, so context packing can
+ * fill a hard token budget instead of guessing from character counts.
+ * OpenAI encodings ship with gpt-tokenizer; other tokenizers (e.g. the
+ * Claude one) are loaded from the Hugging Face hub into MODELS_DIR, like
+ * the embedding model. If a tokenizer cannot be loaded, cl100k_base is used.
+ * Counts are exact only for the OpenAI encodings: the public Claude tokenizer
+ * is the legacy Claude 2 vocabulary, so counts for current Claude models (and
+ * any fallback count) are estimates, reported with `exact: false`.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { log } from './utils.js';
+import { configureModelLoading } from './embeddingIndex.js';
+
+const FALLBACK_TOKENIZER = 'cl100k_base';
+
+// LLM model ids -> tokenizer, first match wins; CONTEXT_TOKENIZER overrides
+const MODEL_TOKENIZERS = [
+  { pattern: /claude|anthropic/i, tokenizer: 'Xenova/claude-tokenizer' },
+  { pattern: /gpt-4o|gpt-4\.[15]|gpt-5|gpt-oss|(^|\/)o[134](-|$)/i, tokenizer: 'o200k_base' },
+  { pattern: /gpt-4|gpt-3\.5/i, tokenizer: 'cl100k_base' }
+];
+
+// Tokenizers that only approximate the models they are mapped to
+const APPROXIMATE_TOKENIZERS = new Set(['Xenova/claude-tokenizer']);
+
+// Tokenizer name -> Promise of its counter
+const tokenCounters = new Map();
+
+/**
+ * Tokenizer to count with for an LLM model
+ * @param {string} model - LLM model id, e.g. "anthropic/claude-3.5-sonnet"
+ * @returns {string} A gpt-tokenizer encoding (e.g. "o200k_base") or a Hugging Face tokenizer id
+ */
+export function getTokenizerName(model) {
+  if (process.env.CONTEXT_TOKENIZER) {
+    return process.env.CONTEXT_TOKENIZER;
+  }
+
+  const match = MODEL_TOKENIZERS.find(({ pattern }) => pattern.test(model || ''));
+  return match ? match.tokenizer : FALLBACK_TOKENIZER;
+}
+
+/**
+ * Get a token counter for an LLM model (loaded once per tokenizer)
+ * @param {string} model - LLM model id
+ * @returns {Promise<{name: string, requested: string, exact: boolean, count: Function}>} The tokenizer
+ *   used, the one the model asked for (they differ after a fallback), whether counts match the model's
+ *   own tokenizer, and `count(text)` -> number of tokens
+ */
+export function getTokenCounter(model) {
+  const name = getTokenizerName(model);
+  if (!tokenCounters.has(name)) {
+    tokenCounters.set(name, loadTokenCounter(name));
+  }
+  return tokenCounters.get(name);
+}
+
+async function loadTokenCounter(name) {
+  try {
+    // Encodings bundled with gpt-tokenizer have plain names, hub tokenizers are "owner/name"
+    if (!name.includes('/')) {
+      const { countTokens } = await import(`gpt-tokenizer/encoding/${name}`);
+      // Special-token markers in source code are counted as text, not rejected
+      const options = { disallowedSpecial: new Set() };
+      return { name, requested: name, exact: true, count: text => countTokens(text, options) };
+    }
+
+    const { transformers, modelsDir, offline } = await configureModelLoading();
+    const tokenizer = await transformers.AutoTokenizer.from_pretrained(name, {
+      cache_dir: modelsDir,
+      local_files_only: offline
+    });
+    return {
+      name,
+      requested: name,
+      exact: !APPROXIMATE_TOKENIZERS.has(name),
+      count: text => tokenizer.encode(text, null, { add_special_tokens: false }).length
+    };
+  } catch (error) {
+    if (name === FALLBACK_TOKENIZER) {
+      throw error;
+    }
+    log(`Could not load tokenizer ${name} (${error.message}), counting tokens with ${FALLBACK_TOKENIZER}`, 'warning');
+    const fallback = await loadTokenCounter(FALLBACK_TOKENIZER);
+    return { ...fallback, requested: name, exact: false };
+  }
+}
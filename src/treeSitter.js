@@ -0,0 +1,98 @@
+/**
+ * 👻 GhostCoder - Tree-sitter Parsers
+ *
+ * Loads tree-sitter grammars compiled to WebAssembly (bundled with the
+ * `tree-sitter-wasms` package) so languages other than JavaScript and
+ * TypeScript can be parsed into a real syntax tree without native builds.
+ * Grammars are loaded lazily, once per process.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { createRequire } from 'module';
+import { Parser, Language } from 'web-tree-sitter';
+import { log } from './utils.js';
+
+const require = createRequire(import.meta.url);
+
+// Singletons: runtime initialization and one parser per language
+let initPromise = null;
+const parsers = new Map();
+
+/**
+ * Get a parser for a language
+ * @param {string} language - Grammar name as published in tree-sitter-wasms (e.g. 'python')
+ * @returns {Promise<Object|null>} Parser, or null if the grammar cannot be loaded
+ */
+export async function getTreeSitterParser(language) {
+  if (!parsers.has(language)) {
+    parsers.set(language, loadParser(language));
+  }
+  return parsers.get(language);
+}
+
+/**
+ * Parse source code into a tree-sitter tree
+ * The caller must call `tree.delete()` when done, trees live in WebAssembly memory.
+ * @param {string} language - Grammar name
+ * @param {string} content - Source code
+ * @returns {Promise<Object|null>} Tree, or null if the grammar is unavailable
+ */
+export async function parseWithTreeSitter(language, content) {
+  const parser = await getTreeSitterParser(language);
+  return parser ? parser.parse(content) : null;
+}
+
+/**
+ * Source range of a tree-sitter node (1-based lines, 0-based columns)
+ */
+export function getTreeSitterRange(node) {
+  return {
+    startLine: node.startPosition.row + 1,
+    startColumn: node.startPosition.column,
+    endLine: node.endPosition.row + 1,
+    endColumn: node.endPosition.column
+  };
+}
+
+/**
+ * Find the first syntax error in a tree
+ * @returns {{line: number, column: number, missing: boolean}|null}
+ */
+export function findSyntaxError(tree) {
+  if (!tree.rootNode.hasError) {
+    return null;
+  }
+
+  const stack = [tree.rootNode];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.isError || node.isMissing) {
+      return { line: node.startPosition.row + 1, column: node.startPosition.column, missing: node.isMissing };
+    }
+    // Depth-first, in source order
+    for (let i = node.childCount - 1; i >= 0; i--) {
+      const child = node.child(i);
+      if (child.hasError || child.isMissing) stack.push(child);
+    }
+  }
+
+  return { line: 1, column: 0, missing: false };
+}
+
+async function loadParser(language) {
+  try {
+    if (!initPromise) {
+      initPromise = Parser.init();
+    }
+    await initPromise;
+
+    const grammar = await Language.load(require.resolve(`tree-sitter-wasms/out/tree-sitter-${language}.wasm`));
+    const parser = new Parser();
+    parser.setLanguage(grammar);
+    return parser;
+  } catch (error) {
+    log(`Could not load tree-sitter grammar for ${language}: ${error.message}`, 'warning');
+    return null;
+  }
+}
@@ -5,6 +5,7 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { scanCodeFiles } from './fileScanner.js';
 
 /**
  * Log messages with emoji indicators
@@ -23,7 +24,63 @@ export function log(message, type = 'info') {
   };
   
   const emoji = emojis[type] || '📝';
-  console.log(`${emoji} ${message}`);
+  // Under node --test stdout carries the test results, which Node 20 fails to parse with emoji in them
+  const write = process.env.NODE_TEST_CONTEXT ? console.error : console.log;
+  write(`${emoji} ${message}`);
+}
+
+/**
+ * Pipeline stages reported through progress events
+ */
+export const ProgressStage = {
+  CLONE: 'clone',
+  SYMBOL_GRAPH: 'symbol_graph',
+  SYNTAX_FIX: 'syntax_fix',
+  EMBEDDING: 'embedding',
+  RETRIEVAL: 'retrieval',
+  ANALYSIS: 'analysis',
+  GENERATION: 'generation',
+  VERIFY: 'verify',
+  PUSH: 'push',
+  PR: 'pr'
+};
+
+/**
+ * Emit a structured progress event to an optional listener
+ * Listener errors are swallowed so progress reporting can never break a run.
+ * @param {Function|null} onProgress - Progress listener
+ * @param {string} stage - Pipeline stage (see ProgressStage)
+ * @param {string} message - Human-readable message
+ * @param {Object} counts - Optional { current, total } counters
+ */
+export function emitProgress(onProgress, stage, message, counts = {}) {
+  if (typeof onProgress !== 'function') {
+    return;
+  }
+  
+  try {
+    onProgress({
+      stage,
+      message,
+      ...counts,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    log(`Progress listener failed: ${error.message}`, 'warning');
+  }
+}
+
+/**
+ * Check whether an item counter should be reported as progress
+ * Limits per-item loops to roughly `steps` events, always including the last item.
+ * @param {number} current - 1-based index of the item just processed
+ * @param {number} total - Total number of items
+ * @param {number} steps - Approximate number of events to emit
+ * @returns {boolean}
+ */
+export function isProgressStep(current, total, steps = 100) {
+  const interval = Math.max(1, Math.floor(total / steps));
+  return current === total || current % interval === 0;
 }
 
 /**
@@ -106,53 +163,34 @@ export async function readFileSafe(filePath) {
 
 /**
  * Get all code files from a directory (recursively)
+ * Honors .gitignore, .gitattributes linguist flags and skips generated,
+ * minified and binary files (see fileScanner.js).
  * @param {string} dirPath - Directory to scan
  * @param {number} maxSize - Maximum file size in bytes (default 100KB)
+ * @param {Object} options - Scan options (see .ghostcoder.yml)
+ * @param {string} options.repoRoot - Repository root when dirPath is a subfolder
+ * @param {Array<string>} options.extensions - Code file extensions to collect
+ * @param {Array<string>} options.ignoreDirs - Extra directory names to skip
+ * @param {Function} options.filter - (relativePath) => boolean, e.g. include/exclude globs
  * @returns {Promise<Array<{path: string, content: string, size: number}>>}
  */
-export async function getCodeFiles(dirPath, maxSize = 100000) {
-  const codeFiles = [];
-  const ignoreDirs = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', 'temp_repos'];
-  const codeExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.go', '.rs', '.rb', '.php', '.c', '.cpp', '.cs'];
-  
-  async function scanDirectory(currentPath) {
-    try {
-      const entries = await fs.readdir(currentPath, { withFileTypes: true });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(currentPath, entry.name);
-        
-        if (entry.isDirectory()) {
-          if (!ignoreDirs.includes(entry.name) && !entry.name.startsWith('.')) {
-            await scanDirectory(fullPath);
-          }
-        } else if (entry.isFile()) {
-          const ext = path.extname(entry.name);
-          if (codeExtensions.includes(ext)) {
-            try {
-              const stats = await fs.stat(fullPath);
-              if (stats.size <= maxSize) {
-                const content = await fs.readFile(fullPath, 'utf-8');
-                const relativePath = path.relative(dirPath, fullPath);
-                codeFiles.push({
-                  path: relativePath,
-                  content,
-                  size: stats.size
-                });
-              }
-            } catch (error) {
-              // Skip files that can't be read
-            }
-          }
-        }
-      }
-    } catch (error) {
-      log(`Error scanning directory ${currentPath}: ${error.message}`, 'warning');
+export async function getCodeFiles(dirPath, maxSize = 100000, options = {}) {
+  try {
+    const { files, skipped } = await scanCodeFiles(dirPath, { ...options, maxSize });
+    
+    const skippedSummary = Object.entries(skipped)
+      .filter(([, count]) => count > 0)
+      .map(([reason, count]) => `${count} ${reason}`)
+      .join(', ');
+    if (skippedSummary) {
+      log(`Skipped files: ${skippedSummary}`, 'info');
     }
+    
+    return files;
+  } catch (error) {
+    log(`Error scanning directory ${dirPath}: ${error.message}`, 'warning');
+    return [];
   }
-  
-  await scanDirectory(dirPath);
-  return codeFiles;
 }
 
 /**
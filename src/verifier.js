@@ -0,0 +1,414 @@
+/**
+ * 👻 GhostCoder - Change Verification
+ *
+ * Checks AI-generated changes before they are committed:
+ *
+ *   1. Every modified file is re-parsed with the parsers from symbolGraph.js.
+ *      Files that no longer parse, but did at HEAD, are reverted.
+ *   2. The project's own lint/typecheck/test commands are detected
+ *      (package.json scripts, pytest, go test, cargo test) and run in the
+ *      working copy with a timeout, after installing Node dependencies if
+ *      node_modules is missing.
+ *   3. A command that fails is re-run without the changes. If it fails there
+ *      too the failure is pre-existing: it cannot tell whether the changes
+ *      are good, and the result is inconclusive. Otherwise each change is
+ *      tried on its own and the ones that break the command are reverted.
+ *
+ * Commands run with secrets (tokens, API keys) removed from the environment.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { log, emitProgress, ProgressStage } from './utils.js';
+import { checkSyntax } from './symbolGraph.js';
+import { applyChanges, revertFiles, readFileAtHead } from './repo_manager.js';
+
+const DEFAULT_TIMEOUT_MS = 600000;
+const OUTPUT_TAIL_CHARS = 4000;
+const SECRET_ENV_PATTERN = /TOKEN|KEY|SECRET|PASSWORD|CREDENTIAL/i;
+const PACKAGE_SCRIPTS = ['lint', 'typecheck', 'type-check', 'test'];
+
+/**
+ * Overall verification outcomes
+ */
+export const VerificationStatus = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  INCONCLUSIVE: 'inconclusive', // Some checks fail without the changes too
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Outcomes of a single command
+ */
+export const CommandStatus = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+  PREEXISTING_FAILURE: 'preexisting_failure'
+};
+
+/**
+ * Verify changes that have been written to the working copy (not yet committed)
+ * Changes that break parsing or the project's checks are reverted in place.
+ * @param {string} repoPath - Path to repository
+ * @param {Array<{file: string, content: string}>} changes - Applied changes
+ * @param {Object} options - Verification options
+ * @param {AbortSignal} options.signal - Aborts running commands
+ * @param {Function} options.onProgress - Progress listener (see emitProgress)
+ * @returns {Promise<Object>} { status, changes (kept), droppedChanges, syntax, install, commands }
+ */
+export async function verifyChanges(repoPath, changes, options = {}) {
+  const { signal = null, onProgress = null } = options;
+
+  try {
+    log('Verifying generated changes...', 'search');
+
+    // Step 1: Syntax check every modified file
+    emitProgress(onProgress, ProgressStage.VERIFY, `Re-parsing ${changes.length} modified file(s)`);
+
+    const syntax = [];
+    const droppedChanges = [];
+    let kept = [];
+
+    for (const change of changes) {
+      const result = await checkSyntax(change.content, change.file);
+
+      // A file that did not parse before the change cannot be held against it
+      if (!result.valid) {
+        const original = await readFileAtHead(repoPath, change.file);
+        result.preexisting = original !== null && !(await checkSyntax(original, change.file)).valid;
+      }
+      syntax.push({ file: change.file, ...result });
+
+      if (result.valid) {
+        kept.push(change);
+      } else if (result.preexisting) {
+        log(`${change.file} does not parse, but did not before the change either: ${result.error}`, 'warning');
+        kept.push(change);
+      } else {
+        log(`${change.file} no longer parses: ${result.error}`, 'warning');
+        droppedChanges.push({ file: change.file, reason: `Syntax error: ${result.error}` });
+      }
+    }
+
+    if (droppedChanges.length > 0) {
+      await revertFiles(repoPath, droppedChanges.map(dropped => dropped.file));
+    }
+
+    if (kept.length === 0) {
+      return { status: VerificationStatus.FAILED, changes: kept, droppedChanges, syntax, install: null, commands: [] };
+    }
+
+    // Step 2: Run the project's checks
+    if (process.env.VERIFY_RUN_COMMANDS === 'false') {
+      log('Skipping project checks (VERIFY_RUN_COMMANDS=false)', 'info');
+      return { status: VerificationStatus.SKIPPED, changes: kept, droppedChanges, syntax, install: null, commands: [] };
+    }
+
+    const detected = await detectVerificationCommands(repoPath);
+    if (detected.length === 0) {
+      log('No test or lint commands detected, skipping project checks', 'info');
+      return { status: VerificationStatus.SKIPPED, changes: kept, droppedChanges, syntax, install: null, commands: [] };
+    }
+
+    // A fresh clone has no dependencies; every check would fail with and without the changes
+    let install = null;
+    const installCommand = await detectInstallCommand(repoPath);
+    if (installCommand) {
+      signal?.throwIfAborted();
+      emitProgress(onProgress, ProgressStage.VERIFY, `Installing dependencies: ${installCommand}`);
+      install = { name: 'install', command: installCommand, ...await runCommand(repoPath, installCommand, signal) };
+      if (install.status !== CommandStatus.PASSED) {
+        log('Installing dependencies failed, checks may fail regardless of the changes', 'warning');
+      }
+    }
+
+    const commands = [];
+    for (const [i, command] of detected.entries()) {
+      signal?.throwIfAborted();
+      emitProgress(onProgress, ProgressStage.VERIFY, `Running ${command.name}: ${command.command}`, {
+        current: i + 1,
+        total: detected.length
+      });
+      commands.push({ ...command, ...await runCommand(repoPath, command.command, signal) });
+    }
+
+    let failing = commands.filter(result => result.status !== CommandStatus.PASSED);
+
+    // Step 3: Separate pre-existing failures from regressions
+    if (failing.length > 0) {
+      await revertFiles(repoPath, kept.map(change => change.file));
+
+      for (const result of failing) {
+        signal?.throwIfAborted();
+        emitProgress(onProgress, ProgressStage.VERIFY, `Re-running ${result.name} without changes`);
+        const baseline = await runCommand(repoPath, result.command, signal);
+
+        if (baseline.status !== CommandStatus.PASSED) {
+          log(`${result.name} also fails without the changes, ignoring`, 'warning');
+          result.status = CommandStatus.PREEXISTING_FAILURE;
+        }
+      }
+
+      failing = failing.filter(result => result.status !== CommandStatus.PREEXISTING_FAILURE);
+
+      // Step 4: Find the changes responsible for the regressions
+      if (failing.length > 0) {
+        const isolated = await isolateBreakingChanges(repoPath, kept, failing, { signal, onProgress });
+        kept = isolated.kept;
+        droppedChanges.push(...isolated.dropped);
+      }
+
+      await applyChanges(repoPath, kept);
+
+      // Step 5: Confirm the remaining changes pass together
+      for (const result of failing) {
+        signal?.throwIfAborted();
+        if (kept.length === 0) break;
+
+        emitProgress(onProgress, ProgressStage.VERIFY, `Re-running ${result.name} with remaining changes`);
+        Object.assign(result, await runCommand(repoPath, result.command, signal));
+      }
+    }
+
+    const status = getVerificationStatus(kept, commands);
+
+    log(`Verification ${status}: kept ${kept.length}, dropped ${droppedChanges.length} change(s)`,
+      status === VerificationStatus.PASSED ? 'success' : 'warning');
+
+    return { status, changes: kept, droppedChanges, syntax, install, commands };
+  } catch (error) {
+    log(`Verification failed to run: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Detect the test and lint commands a repository uses
+ * @param {string} repoPath - Path to repository
+ * @returns {Promise<Array<{name: string, command: string}>>} Commands in the order they should run
+ */
+export async function detectVerificationCommands(repoPath) {
+  const commands = [];
+
+  const packageJson = await readJson(path.join(repoPath, 'package.json'));
+  if (packageJson?.scripts) {
+    const runner = await detectPackageManager(repoPath);
+
+    for (const script of PACKAGE_SCRIPTS) {
+      const body = packageJson.scripts[script];
+      // Skip the placeholder `npm init` writes
+      if (!body || /no test specified/.test(body)) continue;
+      commands.push({ name: script, command: `${runner} run ${script}` });
+    }
+  }
+
+  if (await usesPytest(repoPath)) {
+    commands.push({ name: 'pytest', command: 'python -m pytest -q' });
+  }
+
+  if (await exists(path.join(repoPath, 'go.mod'))) {
+    commands.push({ name: 'go test', command: 'go test ./...' });
+  }
+
+  if (await exists(path.join(repoPath, 'Cargo.toml'))) {
+    commands.push({ name: 'cargo test', command: 'cargo test' });
+  }
+
+  return commands;
+}
+
+/**
+ * Overall status: checks that fail without the changes too say nothing
+ * about the changes, so they make the result inconclusive rather than passed
+ */
+function getVerificationStatus(kept, commands) {
+  const regressions = commands.filter(result =>
+    result.status !== CommandStatus.PASSED && result.status !== CommandStatus.PREEXISTING_FAILURE);
+
+  if (kept.length === 0 || regressions.length > 0) {
+    return VerificationStatus.FAILED;
+  }
+  if (commands.some(result => result.status === CommandStatus.PREEXISTING_FAILURE)) {
+    return VerificationStatus.INCONCLUSIVE;
+  }
+  return VerificationStatus.PASSED;
+}
+
+/**
+ * Command that installs the project's Node dependencies, when they are missing
+ * @returns {Promise<string|null>}
+ */
+async function detectInstallCommand(repoPath) {
+  if (!(await exists(path.join(repoPath, 'package.json'))) || await exists(path.join(repoPath, 'node_modules'))) {
+    return null;
+  }
+
+  const runner = await detectPackageManager(repoPath);
+  if (runner === 'npm') {
+    return await exists(path.join(repoPath, 'package-lock.json')) ? 'npm ci' : 'npm install';
+  }
+  return `${runner} install --frozen-lockfile`;
+}
+
+/**
+ * Try each change on its own against the failing commands
+ * The working copy is left without any of the changes applied.
+ */
+async function isolateBreakingChanges(repoPath, changes, failing, { signal, onProgress }) {
+  const kept = [];
+  const dropped = [];
+
+  for (const [i, change] of changes.entries()) {
+    signal?.throwIfAborted();
+    emitProgress(onProgress, ProgressStage.VERIFY, `Checking change to ${change.file}`, {
+      current: i + 1,
+      total: changes.length
+    });
+
+    await applyChanges(repoPath, [change]);
+
+    let breaking = null;
+    for (const result of failing) {
+      const outcome = await runCommand(repoPath, result.command, signal);
+      if (outcome.status !== CommandStatus.PASSED) {
+        breaking = result.name;
+        break;
+      }
+    }
+
+    await revertFiles(repoPath, [change.file]);
+
+    if (breaking) {
+      log(`Dropping change to ${change.file}: breaks ${breaking}`, 'warning');
+      dropped.push({ file: change.file, reason: `Breaks ${breaking}` });
+    } else {
+      kept.push(change);
+    }
+  }
+
+  return { kept, dropped };
+}
+
+/**
+ * Run a shell command in the repository with a timeout
+ * @returns {Promise<{status: string, exitCode: number|null, durationMs: number, output: string}>}
+ */
+function runCommand(repoPath, command, signal) {
+  const timeoutMs = parseInt(process.env.VERIFY_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    let timedOut = false;
+
+    // Own process group so the whole command tree can be stopped
+    const child = spawn(command, {
+      cwd: repoPath,
+      shell: true,
+      detached: true,
+      env: createCommandEnv()
+    });
+
+    const stop = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeoutMs);
+
+    const onAbort = () => stop();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const collect = chunk => {
+      output = (output + chunk.toString()).slice(-OUTPUT_TAIL_CHARS);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    child.on('error', error => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      let status = exitCode === 0 ? CommandStatus.PASSED : CommandStatus.FAILED;
+      if (timedOut) status = CommandStatus.TIMED_OUT;
+
+      log(`${command} → ${status} (${Date.now() - startedAt}ms)`, status === CommandStatus.PASSED ? 'success' : 'warning');
+      resolve({ status, exitCode, durationMs: Date.now() - startedAt, output });
+    });
+  });
+}
+
+/**
+ * Environment for project commands: current environment without secrets
+ */
+function createCommandEnv() {
+  const env = { CI: '1' };
+  for (const [key, value] of Object.entries(process.env)) {
+    if (!SECRET_ENV_PATTERN.test(key)) {
+      env[key] = value;
+    }
+  }
+  return env;
+}
+
+async function detectPackageManager(repoPath) {
+  if (await exists(path.join(repoPath, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (await exists(path.join(repoPath, 'yarn.lock'))) return 'yarn';
+  return 'npm';
+}
+
+async function usesPytest(repoPath) {
+  if (await exists(path.join(repoPath, 'pytest.ini')) || await exists(path.join(repoPath, 'conftest.py'))) {
+    return true;
+  }
+
+  for (const [file, marker] of [['pyproject.toml', '[tool.pytest'], ['setup.cfg', '[tool:pytest]'], ['tox.ini', '[pytest]']]) {
+    try {
+      const content = await fs.readFile(path.join(repoPath, file), 'utf-8');
+      if (content.includes(marker)) return true;
+    } catch (error) {
+      // File not present
+    }
+  }
+
+  return false;
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
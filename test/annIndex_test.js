@@ -0,0 +1,82 @@
+/**
+ * 👻 GhostCoder - ANN Index Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAnnIndex, searchAnnIndex, serializeAnnIndex, deserializeAnnIndex } from '../src/annIndex.js';
+
+/**
+ * Reproducible normalized random vectors
+ */
+function createVectors(count, dimensions, seed = 1) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+
+  return Array.from({ length: count }, () => {
+    const vector = Float32Array.from({ length: dimensions }, random);
+    const norm = Math.hypot(...vector);
+    return vector.map(value => value / norm);
+  });
+}
+
+function bruteForce(vectors, query, topK) {
+  return vectors
+    .map((vector, id) => ({ id, similarity: vector.reduce((sum, value, i) => sum + value * query[i], 0) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, topK)
+    .map(({ id }) => id);
+}
+
+describe('HNSW index', () => {
+  const vectors = createVectors(1000, 24);
+  const getVector = id => vectors[id];
+  const ann = buildAnnIndex(vectors.length, getVector);
+
+  it('finds nearly all of the exact nearest neighbours', () => {
+    const queries = createVectors(20, 24, 7);
+    let found = 0;
+
+    for (const query of queries) {
+      const exact = new Set(bruteForce(vectors, query, 10));
+      found += searchAnnIndex(ann, getVector, query, 10).filter(({ id }) => exact.has(id)).length;
+    }
+
+    assert.ok(found / (queries.length * 10) >= 0.9, `recall ${found / (queries.length * 10)}`);
+  });
+
+  it('returns results best first, with their similarity', () => {
+    const results = searchAnnIndex(ann, getVector, vectors[5], 5);
+
+    assert.equal(results.length, 5);
+    assert.equal(results[0].id, 5);
+    assert.ok(Math.abs(results[0].similarity - 1) < 1e-5);
+    for (let i = 1; i < results.length; i++) {
+      assert.ok(results[i - 1].similarity >= results[i].similarity);
+    }
+  });
+
+  it('builds the same graph for the same seed', () => {
+    assert.deepEqual(buildAnnIndex(200, getVector).neighbors, buildAnnIndex(200, getVector).neighbors);
+  });
+
+  it('survives serialization unchanged', () => {
+    const restored = deserializeAnnIndex(serializeAnnIndex(ann));
+
+    assert.deepEqual(restored, ann);
+    assert.deepEqual(searchAnnIndex(restored, getVector, vectors[3], 10), searchAnnIndex(ann, getVector, vectors[3], 10));
+  });
+
+  it('rejects data that is not an ANN index', () => {
+    assert.throws(() => deserializeAnnIndex(Buffer.from('GCVX0000000000000000000000')), /not an ANN index file/);
+  });
+
+  it('returns nothing for an empty index', () => {
+    assert.deepEqual(searchAnnIndex(buildAnnIndex(0, getVector), getVector, vectors[0], 5), []);
+  });
+});
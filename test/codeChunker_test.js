@@ -0,0 +1,95 @@
+/**
+ * 👻 GhostCoder - Code Chunker Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCodeChunks, ChunkKind } from '../src/codeChunker.js';
+import { buildSymbolGraph } from '../src/symbolGraph.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const dirs = [];
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+/**
+ * Chunk one file using the ranges of its symbol graph
+ */
+async function chunk(filePath, content) {
+  const repoPath = await createTempDir();
+  dirs.push(repoPath);
+  await writeFiles(repoPath, { [filePath]: content });
+  const codeFiles = [{ path: filePath, content }];
+  const graph = await buildSymbolGraph(codeFiles, repoPath);
+  return createCodeChunks(graph, codeFiles);
+}
+
+const describeChunk = ({ kind, startLine, endLine, symbolId }) => ({ kind, startLine, endLine, symbolId });
+
+describe('createCodeChunks', () => {
+  it('makes one chunk per outer function, with the comments above it and nested functions inside', async () => {
+    const chunks = await chunk('src/query.js', [
+      "import db from './db.js';",
+      '',
+      '// Builds the search query',
+      '// from user input',
+      'export function buildQuery(name) {',
+      '  function quote(value) {',
+      "    return `'${value}'`;",
+      '  }',
+      "  return db.raw('SELECT * FROM users WHERE name = ' + quote(name));",
+      '}',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual(chunks.map(describeChunk), [
+      { kind: ChunkKind.BODY, startLine: 3, endLine: 10, symbolId: 'src/query.js::buildQuery' }
+    ]);
+    assert.equal(chunks[0].id, 'chunk::src/query.js#L3-L10');
+    assert.match(chunks[0].code, /^\/\/ Builds the search query\n[\s\S]*SELECT \* FROM users[\s\S]*\}$/);
+    assert.match(chunks[0].context, /^function buildQuery: .*buildQuery\(name\) in src\/query\.js$/);
+  });
+
+  it('splits long functions into overlapping windows', async () => {
+    const body = Array.from({ length: 60 }, (_, i) => `  total += ${i};`);
+    const chunks = await chunk('src/sum.js', ['export function sum() {', '  let total = 0;', ...body, '  return total;', '}', ''].join('\n'));
+
+    assert.deepEqual(chunks.map(describeChunk), [
+      { kind: ChunkKind.WINDOW, startLine: 1, endLine: 40, symbolId: 'src/sum.js::sum' },
+      { kind: ChunkKind.WINDOW, startLine: 36, endLine: 64, symbolId: 'src/sum.js::sum' }
+    ]);
+  });
+
+  it('groups code outside functions by file and by enclosing class', async () => {
+    const chunks = await chunk('src/server.js', [
+      "const express = require('express');",
+      'const app = express();',
+      "app.use(express.json());",
+      "app.listen(3000);",
+      '',
+      'class Cache {',
+      '  store = new Map();',
+      '  hits = 0;',
+      '  misses = 0;',
+      '  get(key) {',
+      '    return this.store.get(key);',
+      '  }',
+      '}',
+      '',
+      'const done = true;',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual(chunks.map(describeChunk), [
+      { kind: ChunkKind.TOP_LEVEL, startLine: 1, endLine: 4, symbolId: null },
+      { kind: ChunkKind.TOP_LEVEL, startLine: 6, endLine: 9, symbolId: 'src/server.js::Cache' },
+      { kind: ChunkKind.BODY, startLine: 10, endLine: 12, symbolId: 'src/server.js::Cache.get' }
+    ]);
+    assert.equal(chunks[0].context, 'top-level code in src/server.js');
+    assert.equal(chunks[2].context, 'method Cache.get of class Cache: get(key) in src/server.js');
+  });
+});
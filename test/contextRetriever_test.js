@@ -0,0 +1,180 @@
+/**
+ * 👻 GhostCoder - Context Packing Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTokens } from 'gpt-tokenizer/encoding/cl100k_base';
+import { createCompactContext, formatContextForAI } from '../src/contextRetriever.js';
+import { getTokenizerName } from '../src/tokenCounter.js';
+
+const MODEL = 'openai/gpt-4-turbo';
+
+afterEach(() => {
+  delete process.env.CONTEXT_TOKENIZER;
+});
+
+/**
+ * A retrieved context of `fileCount` files with three symbols each; every
+ * symbol has a snippet of about `snippetLines` lines and a distinct relevance
+ */
+function createContext(fileCount = 4, snippetLines = 30) {
+  const relevantFiles = Array.from({ length: fileCount }, (_, f) => {
+    const path = `src/module${f}.js`;
+    const symbols = Array.from({ length: 3 }, (_, s) => ({
+      id: `${path}::handler${s}`,
+      name: `handler${s}`,
+      type: 'function',
+      line: s * 40 + 1,
+      signature: `function handler${s}(request, options)`,
+      similarity: 0.9 - (f * 3 + s) * 0.05
+    }));
+    return {
+      path,
+      language: 'javascript',
+      imports: ['./db.js'],
+      exports: symbols.map(symbol => symbol.name),
+      relevantSymbols: symbols,
+      snippet: symbols.map(symbol => ({
+        id: symbol.id,
+        symbolName: symbol.name,
+        line: symbol.line,
+        endLine: symbol.line + snippetLines - 1,
+        code: Array.from({ length: snippetLines }, (_, i) => `${symbol.line + i}: const value${i} = await options.load('${symbol.name}', ${i});`).join('\n')
+      }))
+    };
+  });
+
+  return {
+    summary: {
+      totalFiles: fileCount,
+      totalSymbols: fileCount * 3,
+      languages: ['javascript'],
+      symbolTypes: { function: fileCount * 3 },
+      topFiles: relevantFiles.map(file => ({ path: file.path, language: file.language, symbolCount: 3 }))
+    },
+    relevantFiles,
+    relevantSymbols: relevantFiles.flatMap(file => file.relevantSymbols.map(symbol => ({ ...symbol, file: file.path }))),
+    dependencies: relevantFiles.map(file => ({ from: file.path, to: 'src/db.js', type: 'internal', symbol: 'db' })),
+    callGraph: relevantFiles.map(file => ({
+      symbol: `${file.path}::handler0`,
+      callers: [{ caller: 'src/server.js::route', line: 12 }],
+      callees: [{ callee: `${file.path}::handler1`, name: 'handler1' }]
+    }))
+  };
+}
+
+describe('createCompactContext', () => {
+  it('returns a context that fits unchanged', async () => {
+    const context = createContext(1, 3);
+    const compact = await createCompactContext(context, 10000, { model: MODEL });
+
+    assert.equal(formatContextForAI(compact), formatContextForAI(context));
+    assert.deepEqual(
+      {
+        tokenizer: compact.packing.tokenizer,
+        requestedTokenizer: compact.packing.requestedTokenizer,
+        exact: compact.packing.exact,
+        fits: compact.packing.fits,
+        dropped: compact.packing.dropped
+      },
+      { tokenizer: 'cl100k_base', requestedTokenizer: 'cl100k_base', exact: true, fits: true, dropped: [] }
+    );
+  });
+
+  it('fits a hard budget, keeps the most relevant symbols and reports what was dropped', async () => {
+    const context = createContext();
+    const original = structuredClone(context);
+    const budget = 1500;
+    assert.ok(countTokens(formatContextForAI(context)) > budget * 2);
+
+    const compact = await createCompactContext(context, budget, { model: MODEL });
+    const used = countTokens(formatContextForAI(compact));
+
+    assert.ok(used <= budget, `${used} tokens used of ${budget}`);
+    assert.equal(compact.packing.used, used);
+    assert.equal(compact.packing.fits, true);
+    assert.deepEqual(context, original, 'the input context is not modified');
+
+    const kept = compact.relevantFiles.flatMap(file => file.relevantSymbols.map(symbol => symbol.id));
+    assert.ok(kept.includes('src/module0.js::handler0'));
+    assert.ok(compact.packing.dropped.length > 0);
+    assert.ok(compact.packing.dropped.every(entry => entry.reason === 'budget' && !kept.includes(entry.id)));
+    assert.equal(kept.length + compact.packing.dropped.length, 12);
+
+    const lowestKept = Math.min(...compact.relevantFiles.flatMap(file => file.relevantSymbols.map(symbol => symbol.similarity)));
+    const best = context.relevantFiles.flatMap(file => file.relevantSymbols).sort((a, b) => b.similarity - a.similarity);
+    assert.ok(best.slice(0, kept.length).every(symbol => symbol.similarity >= lowestKept), 'a greedy fill by relevance');
+  });
+
+  it('ranks connected symbols above isolated ones of similar relevance', async () => {
+    const context = createContext(1, 60);
+    const [first, , third] = context.relevantFiles[0].relevantSymbols;
+    const symbolGraph = {
+      symbols: {},
+      calls: {},
+      calledBy: {
+        [third.id]: Array.from({ length: 20 }, (_, i) => ({ caller: `src/caller${i}.js::run`, kind: 'call', line: 1 }))
+      }
+    };
+    // Room for one symbol with its snippet, not two
+    const budget = countTokens(formatContextForAI({ ...context, relevantFiles: [], dependencies: [], callGraph: [] })) + 1300;
+
+    const compact = await createCompactContext(context, budget, { model: MODEL, symbolGraph });
+    const kept = compact.relevantFiles.flatMap(file => file.relevantSymbols.map(symbol => symbol.id));
+
+    assert.deepEqual(kept, [third.id]);
+    assert.equal(compact.packing.dropped[0].id, first.id);
+  });
+
+  it('reports the cost of a dropped symbol without a snippet it would not have shown', async () => {
+    // Five symbols in one file; only the first three show their snippets
+    const context = createContext(1, 30);
+    const file = context.relevantFiles[0];
+    for (const s of [3, 4]) {
+      const symbol = { ...file.relevantSymbols[0], id: `${file.path}::handler${s}`, name: `handler${s}`, line: s * 40 + 1, similarity: 0.5 - s * 0.05 };
+      file.relevantSymbols.push(symbol);
+      file.snippet.push({ ...file.snippet[0], id: symbol.id, symbolName: symbol.name, line: symbol.line });
+      context.relevantSymbols.push({ ...symbol, file: file.path });
+    }
+    const firstThree = await createCompactContext({
+      ...context,
+      relevantFiles: [{ ...file, relevantSymbols: file.relevantSymbols.slice(0, 3), snippet: file.snippet.slice(0, 3) }],
+      relevantSymbols: context.relevantSymbols.slice(0, 3)
+    }, 100000, { model: MODEL });
+
+    const compact = await createCompactContext(context, firstThree.packing.used + 5, { model: MODEL });
+    const { dropped } = compact.packing;
+
+    assert.ok(dropped.length > 0);
+    for (const entry of dropped) {
+      assert.ok(['handler3', 'handler4'].includes(entry.name) && entry.reason === 'budget');
+      assert.ok(entry.tokens < 50, `${entry.tokens} tokens reported for a symbol line`);
+    }
+  });
+
+  it('flags counts made with a fallback tokenizer as estimates', async () => {
+    process.env.CONTEXT_TOKENIZER = 'p999k_base';
+    const compact = await createCompactContext(createContext(1, 3), 10000, { model: MODEL });
+
+    assert.deepEqual(
+      { tokenizer: compact.packing.tokenizer, requestedTokenizer: compact.packing.requestedTokenizer, exact: compact.packing.exact },
+      { tokenizer: 'cl100k_base', requestedTokenizer: 'p999k_base', exact: false }
+    );
+  });
+
+});
+
+describe('getTokenizerName', () => {
+  it('picks the tokenizer of the LLM model, or CONTEXT_TOKENIZER', () => {
+    assert.equal(getTokenizerName('openai/gpt-4o-mini'), 'o200k_base');
+    assert.equal(getTokenizerName('openai/gpt-3.5-turbo'), 'cl100k_base');
+    assert.equal(getTokenizerName('anthropic/claude-3.5-sonnet'), 'Xenova/claude-tokenizer');
+    assert.equal(getTokenizerName('meta-llama/llama-3-70b'), 'cl100k_base');
+
+    process.env.CONTEXT_TOKENIZER = 'o200k_base';
+    assert.equal(getTokenizerName('anthropic/claude-3.5-sonnet'), 'o200k_base');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * 👻 GhostCoder - Edit Applier Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEdits, applyEdits } from '../src/editApplier.js';
+
+const FILE = [
+  'function greet(name) {',
+  '  const message = `Hello, ${name}`;',
+  '  console.log(message);',
+  '  return message;',
+  '}',
+  ''
+].join('\n');
+
+describe('parseEdits', () => {
+  it('parses SEARCH/REPLACE blocks', () => {
+    const { format, edits } = parseEdits([
+      'Some explanation',
+      '<<<<<<< SEARCH',
+      '  console.log(message);',
+      '=======',
+      '  logger.info(message);',
+      '>>>>>>> REPLACE'
+    ].join('\n'));
+
+    assert.equal(format, 'search-replace');
+    assert.deepEqual(edits, [{ search: '  console.log(message);', replace: '  logger.info(message);', hintLine: null }]);
+  });
+
+  it('parses unified diff hunks with their line hint', () => {
+    const { format, edits } = parseEdits([
+      '--- a/greet.js',
+      '+++ b/greet.js',
+      '@@ -2,2 +2,2 @@',
+      '   const message = `Hello, ${name}`;',
+      '-  console.log(message);',
+      '+  logger.info(message);'
+    ].join('\n'));
+
+    assert.equal(format, 'unified-diff');
+    assert.equal(edits[0].hintLine, 2);
+    assert.equal(edits[0].search, '  const message = `Hello, ${name}`;\n  console.log(message);');
+    assert.equal(edits[0].replace, '  const message = `Hello, ${name}`;\n  logger.info(message);');
+  });
+
+  it('rejects a hunk whose lines do not add up to its header', () => {
+    const file = ['a', 'b', 'c', 'd', 'e', 'f', ''].join('\n');
+    const { edits } = parseEdits(['@@ -2,4 +2,4 @@', '-b', '-c', '-d', '-e', '+B'].join('\n'));
+    const result = applyEdits(file, edits);
+
+    assert.equal(result.content, file);
+    assert.equal(result.applied.length, 0);
+    assert.match(result.rejected[0].reason, /^Malformed hunk: @@ -2,4 \+2,4 @@ declares 4 old and 4 new line\(s\), but has 4 and 1$/);
+  });
+
+  it('keeps removed lines that start with --- inside a hunk', () => {
+    const { edits } = parseEdits(['@@ -1,3 +1,2 @@', ' a', '---x', ' b', '--- a/next.js'].join('\n'));
+
+    assert.deepEqual(edits, [{ search: 'a\n--x\nb', replace: 'a\nb', hintLine: 1 }]);
+  });
+
+  it('drops edits that change nothing', () => {
+    const { edits } = parseEdits([
+      '<<<<<<< SEARCH',
+      '  return message;',
+      '=======',
+      '  return message;',
+      '>>>>>>> REPLACE',
+      '<<<<<<< SEARCH',
+      '  console.log(message);',
+      '=======',
+      '  logger.info(message);',
+      '>>>>>>> REPLACE'
+    ].join('\n'));
+
+    assert.deepEqual(edits.map(edit => edit.replace), ['  logger.info(message);']);
+    assert.deepEqual(parseEdits(['@@ -1,2 +1,2 @@', ' a', ' b'].join('\n')).edits, []);
+  });
+
+  it('reports no format for plain text', () => {
+    assert.deepEqual(parseEdits('No changes needed.'), { format: null, edits: [] });
+  });
+});
+
+describe('applyEdits', () => {
+  it('applies an exact match', () => {
+    const result = applyEdits(FILE, [{ search: '  console.log(message);', replace: '  logger.info(message);', hintLine: null }]);
+
+    assert.equal(result.content, FILE.replace('console.log', 'logger.info'));
+    assert.deepEqual(result.applied, [{ index: 0, line: 3, strategy: 'exact' }]);
+    assert.deepEqual(result.rejected, []);
+  });
+
+  it('matches ignoring indentation and re-indents the replacement', () => {
+    const result = applyEdits(FILE, [{ search: 'console.log(message);\nreturn message;', replace: 'logger.info(message);\nreturn message;', hintLine: null }]);
+
+    assert.equal(result.applied[0].strategy, 'whitespace');
+    assert.ok(result.content.includes('\n  logger.info(message);\n  return message;\n'));
+  });
+
+  it('fuzzy-matches blocks of several lines with small differences', () => {
+    const search = [
+      '  const message = `Hello, ${name}!`;',
+      '  console.log(message);',
+      '  return message;'
+    ].join('\n');
+    const result = applyEdits(FILE, [{ search, replace: '  return `Hello, ${name}`;', hintLine: null }]);
+
+    assert.equal(result.applied[0].strategy, 'fuzzy');
+    assert.equal(result.content, 'function greet(name) {\n  return `Hello, ${name}`;\n}\n');
+  });
+
+  it('rejects a block that does not match', () => {
+    const result = applyEdits(FILE, [{ search: 'process.exit(1);', replace: '', hintLine: null }]);
+
+    assert.equal(result.content, FILE);
+    assert.equal(result.rejected[0].reason, 'SEARCH block does not match the current file content');
+  });
+
+  it('rejects an ambiguous block, unless a line hint picks the location', () => {
+    const content = 'a();\nb();\na();\n';
+    const edit = { search: 'a();', replace: 'c();', hintLine: null };
+
+    assert.match(applyEdits(content, [edit]).rejected[0].reason, /Ambiguous edit: SEARCH block matches 2 locations/);
+    assert.equal(applyEdits(content, [{ ...edit, hintLine: 3 }]).content, 'a();\nb();\nc();\n');
+  });
+
+  it('keeps CRLF line endings, so only the edited lines change', () => {
+    const crlf = FILE.replace(/\n/g, '\r\n');
+    const result = applyEdits(crlf, [{ search: '  console.log(message);', replace: '  logger.info(message);\n  logger.flush();', hintLine: null }]);
+
+    assert.equal(result.content, [
+      'function greet(name) {',
+      '  const message = `Hello, ${name}`;',
+      '  logger.info(message);',
+      '  logger.flush();',
+      '  return message;',
+      '}',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('keeps the ending of each untouched line in mixed files', () => {
+    const mixed = 'a\r\nb\nc\r\nd\r\n';
+    assert.equal(applyEdits(mixed, [{ search: 'c', replace: 'C', hintLine: null }]).content, 'a\r\nb\nC\r\nd\r\n');
+  });
+
+  it('keeps a missing trailing newline', () => {
+    const result = applyEdits('a\r\nb', [{ search: 'b', replace: 'B\nC', hintLine: null }]);
+    assert.equal(result.content, 'a\r\nB\r\nC');
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * 👻 GhostCoder - Embedding Index Tests
+ *
+ * Indexes are written under data/indexes/ of the working directory, so the
+ * tests run from a temporary directory and import the module after moving there.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createTempDir, removeDir } from './helpers.js';
+
+const MINILM = 'Xenova/all-MiniLM-L6-v2';
+const SOURCE = 'function add(a, b) {\n  return a + b;\n}\n';
+const ENV_KEYS = ['MODELS_DIR', 'EMBEDDING_MODEL', 'EMBEDDING_QUANTIZED', 'EMBEDDING_OFFLINE', 'EMBED_SYMBOL_BODY'];
+
+let workDir;
+let embeddingIndex;
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+before(async () => {
+  workDir = await createTempDir();
+  process.chdir(workDir);
+  for (const key of ENV_KEYS) delete process.env[key];
+  embeddingIndex = await import('../src/embeddingIndex.js');
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) delete process.env[key];
+});
+
+after(async () => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value !== undefined) process.env[key] = value;
+  }
+  await removeDir(workDir);
+});
+
+/**
+ * A one-symbol graph, and an earlier index holding a vector for each of its
+ * entries, so building needs no model
+ */
+function createFixture(dimensions = 384) {
+  const symbolGraph = {
+    symbols: {
+      'src/math.js::add': {
+        name: 'add', type: 'function', file: 'src/math.js', line: 1, endLine: 3, hash: 'h1',
+        range: { startByte: 0, endByte: SOURCE.length - 1 }
+      }
+    },
+    files: {
+      'src/math.js': { path: 'src/math.js', language: 'javascript', imports: [], exports: [], symbolCount: 1 }
+    }
+  };
+  const vector = seed => Array.from({ length: dimensions }, (_, i) => Math.sin(seed + i));
+  const previousIndex = {
+    embeddings: [
+      { id: 'src/math.js::add', hash: 'h1', text: 'function add in src/math.js', embedding: vector(1) },
+      { id: 'file::src/math.js', text: 'src/math.js javascript file contains: add', embedding: vector(2) }
+    ],
+    metadata: { model: MINILM, quantized: true, dimensions }
+  };
+  return { symbolGraph, previousIndex, codeFiles: [{ path: 'src/math.js', content: SOURCE }] };
+}
+
+/**
+ * Make embedding fail fast: offline, with no models on disk
+ */
+function withoutModel() {
+  process.env.EMBEDDING_OFFLINE = 'true';
+  process.env.MODELS_DIR = path.join(workDir, 'no-models');
+}
+
+describe('embedding model configuration', () => {
+  it('reads MODELS_DIR when it is used, not when the module is imported', () => {
+    process.env.MODELS_DIR = path.join(workDir, 'models');
+
+    assert.equal(embeddingIndex.getModelsDir(), path.join(workDir, 'models'));
+    assert.equal(embeddingIndex.getEmbeddingModel().directory, path.join(workDir, 'models', MINILM));
+  });
+
+  it('defaults to data/models of the working directory', () => {
+    assert.equal(embeddingIndex.getModelsDir(), path.join(process.cwd(), 'data', 'models'));
+  });
+
+  it('resolves presets and passes other names through as model ids', () => {
+    process.env.EMBEDDING_MODEL = 'bge-small';
+    assert.deepEqual(
+      { ...embeddingIndex.getEmbeddingModel(), directory: undefined },
+      { name: 'bge-small', id: 'Xenova/bge-small-en-v1.5', dimensions: 384, quantized: true, directory: undefined }
+    );
+
+    process.env.EMBEDDING_MODEL = 'acme/code-embedder';
+    process.env.EMBEDDING_QUANTIZED = 'false';
+    const model = embeddingIndex.getEmbeddingModel();
+    assert.equal(model.id, 'acme/code-embedder');
+    assert.equal(model.dimensions, null);
+    assert.equal(model.quantized, false);
+  });
+});
+
+describe('model mismatch', () => {
+  it('records the model and treats an index of another model as missing', async () => {
+    const { symbolGraph, previousIndex } = createFixture();
+
+    const index = await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'mismatch-repo', { previousIndex, chunks: false });
+    assert.equal(index.metadata.model, MINILM);
+    assert.equal(index.metadata.reusedEmbeddings, 2);
+    assert.ok(await embeddingIndex.loadIndex('mismatch-repo'));
+
+    process.env.EMBEDDING_MODEL = 'bge-small';
+    assert.equal(await embeddingIndex.loadIndex('mismatch-repo'), null);
+  });
+
+  it('does not reuse vectors of another model', async () => {
+    const { symbolGraph, previousIndex } = createFixture();
+    process.env.EMBEDDING_MODEL = 'acme/code-embedder';
+    withoutModel();
+
+    // Nothing is reused, and offline without the model nothing can be embedded
+    const index = await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'other-model', { previousIndex, chunks: false, persist: false });
+
+    assert.equal(index.metadata.reusedEmbeddings, 0);
+    assert.equal(index.embeddings.length, 0);
+  });
+});
+
+describe('buildEmbeddingIndex', () => {
+  it('leaves symbol bodies out of the embedded text unless EMBED_SYMBOL_BODY=true', async () => {
+    const { symbolGraph, previousIndex, codeFiles } = createFixture();
+    withoutModel();
+
+    const withoutBody = await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'body', { previousIndex, codeFiles, chunks: false, persist: false });
+    assert.equal(withoutBody.metadata.reusedEmbeddings, 2);
+
+    // The symbol's text now ends with its source, so only the file entry is reused
+    process.env.EMBED_SYMBOL_BODY = 'true';
+    const withBody = await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'body', { previousIndex, codeFiles, chunks: false, persist: false });
+    assert.equal(withBody.metadata.reusedEmbeddings, 1);
+    assert.deepEqual(withBody.embeddings.map(entry => entry.id), ['file::src/math.js']);
+  });
+
+  it('embeds in batches and reports progress once per batch', async () => {
+    const { symbolGraph } = createFixture();
+    withoutModel();
+    const events = [];
+
+    await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'batches', {
+      chunks: false,
+      persist: false,
+      batchSize: 1,
+      onProgress: event => events.push(event)
+    });
+
+    assert.deepEqual(
+      events.map(({ stage, current, total }) => ({ stage, current, total })),
+      [{ stage: 'embedding', current: 1, total: 2 }, { stage: 'embedding', current: 2, total: 2 }]
+    );
+  });
+});
+
+describe('index files', () => {
+  const indexPath = file => path.join(workDir, 'data', 'indexes', file);
+
+  it('stores metadata as JSON and vectors as a float32 file with a header', async () => {
+    const { symbolGraph, previousIndex } = createFixture();
+    await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'acme/binary', { previousIndex, chunks: false });
+
+    const meta = JSON.parse(await fs.readFile(indexPath('acme_binary.meta.json'), 'utf-8'));
+    assert.deepEqual({ formatVersion: meta.formatVersion, count: meta.count, dimensions: meta.dimensions }, { formatVersion: 2, count: 2, dimensions: 384 });
+    assert.ok(meta.entries.every(entry => !('embedding' in entry)));
+
+    const vectors = await fs.readFile(indexPath('acme_binary.vectors.bin'));
+    assert.equal(vectors.length, 16 + 2 * 384 * 4);
+    assert.deepEqual(
+      { magic: vectors.toString('ascii', 0, 4), version: vectors.readUInt32LE(4), count: vectors.readUInt32LE(8), dimensions: vectors.readUInt32LE(12) },
+      { magic: 'GCVX', version: 2, count: 2, dimensions: 384 }
+    );
+
+    const loaded = await embeddingIndex.loadIndex('acme/binary');
+    assert.ok(loaded.embeddings[0].embedding instanceof Float32Array);
+    assert.deepEqual(Array.from(loaded.embeddings[1].embedding), Array.from(Float32Array.from(previousIndex.embeddings[1].embedding)));
+  });
+
+  it('reads indexes saved as a single JSON file by older versions', async () => {
+    const { previousIndex } = createFixture();
+    await fs.writeFile(indexPath('acme_legacy.json'), JSON.stringify({ repoId: 'acme/legacy', ...previousIndex }));
+
+    assert.equal(await embeddingIndex.indexExists('acme/legacy'), true);
+    const loaded = await embeddingIndex.loadIndex('acme/legacy');
+    assert.deepEqual(loaded.embeddings.map(entry => entry.id), ['src/math.js::add', 'file::src/math.js']);
+    assert.ok(loaded.lexical);
+  });
+
+  it('rejects a vector file that does not match its metadata', async () => {
+    const { symbolGraph, previousIndex } = createFixture();
+    await embeddingIndex.buildEmbeddingIndex(symbolGraph, 'acme/truncated', { previousIndex, chunks: false });
+    const vectorsPath = indexPath('acme_truncated.vectors.bin');
+    await fs.truncate(vectorsPath, 16 + 384 * 4);
+
+    await assert.rejects(embeddingIndex.loadIndex('acme/truncated'), /acme_truncated\.vectors\.bin is truncated/);
+
+    await fs.writeFile(vectorsPath, Buffer.alloc(16));
+    await assert.rejects(embeddingIndex.loadIndex('acme/truncated'), /is not a vector file/);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 👻 GhostCoder - File Scanner Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanCodeFiles, SkipReason } from '../src/fileScanner.js';
+import { buildSymbolGraph } from '../src/symbolGraph.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const dirs = [];
+
+async function createTree(files) {
+  const dir = await createTempDir();
+  dirs.push(dir);
+  await writeFiles(dir, files);
+  return dir;
+}
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('scanCodeFiles', () => {
+  it('skips ignored, generated, vendored, minified and binary files', async () => {
+    const root = await createTree({
+      '.gitignore': 'tmp/\n*.local.js\n',
+      '.gitattributes': 'proto/** linguist-generated\nthird_party/** linguist-vendored\n',
+      'src/app.js': 'export const app = 1;\n',
+      'src/config.local.js': 'export const secret = 1;\n',
+      'src/nested/.gitignore': 'skip.js\n',
+      'src/nested/skip.js': 'export const skipped = 1;\n',
+      'src/nested/keep.js': 'export const kept = 1;\n',
+      'tmp/scratch.js': 'export const scratch = 1;\n',
+      'proto/user_pb.js': 'export const user = 1;\n',
+      'third_party/lib.js': 'export const lib = 1;\n',
+      'src/codegen.js': '// Code generated by protoc-gen-go. DO NOT EDIT.\nexport const x = 1;\n',
+      'src/vendor.min.js': 'var a=1;\n',
+      'src/blob.js': 'binary\u0000data\n',
+      'node_modules/pkg/index.js': 'module.exports = 1;\n',
+      'README.md': '# not code\n'
+    });
+
+    const { files, skipped } = await scanCodeFiles(root);
+
+    assert.deepEqual(files.map(file => file.path).sort(), ['src/app.js', 'src/nested/keep.js']);
+    assert.equal(skipped[SkipReason.IGNORED], 3);
+    assert.equal(skipped[SkipReason.GENERATED], 2);
+    assert.equal(skipped[SkipReason.VENDORED], 1);
+    assert.equal(skipped[SkipReason.MINIFIED], 1);
+    assert.equal(skipped[SkipReason.BINARY], 1);
+  });
+
+  it('applies .gitignore files above the scanned directory', async () => {
+    const root = await createTree({
+      '.gitignore': 'packages/app/generated/\n',
+      'packages/app/index.js': 'export const app = 1;\n',
+      'packages/app/generated/schema.js': 'export const schema = 1;\n'
+    });
+
+    const { files } = await scanCodeFiles(`${root}/packages/app`, { repoRoot: root });
+
+    assert.deepEqual(files.map(file => file.path), ['index.js']);
+  });
+
+  it('honors extensions, extra ignored directories, size limit and filter', async () => {
+    const root = await createTree({
+      'src/a.js': 'export const a = 1;\n',
+      'src/b.py': 'b = 1\n',
+      'src/big.js': `export const big = '${'x'.repeat(200)}';\n`,
+      'fixtures/c.js': 'export const c = 1;\n',
+      'src/excluded.js': 'export const e = 1;\n'
+    });
+
+    const { files, skipped } = await scanCodeFiles(root, {
+      extensions: ['.js'],
+      ignoreDirs: ['fixtures'],
+      maxSize: 100,
+      filter: relativePath => !relativePath.endsWith('excluded.js')
+    });
+
+    assert.deepEqual(files.map(file => file.path), ['src/a.js']);
+    assert.equal(skipped[SkipReason.TOO_LARGE], 1);
+  });
+});
+
+describe('buildSymbolGraph', () => {
+  it('scans the repository for import context with the same scanner options', async () => {
+    const root = await createTree({
+      'src/app.js': "import { helper } from './helper.js';\nexport const app = helper;\n",
+      'src/helper.js': 'export const helper = 1;\n',
+      'excluded/legacy.js': 'export const legacy = 1;\n'
+    });
+    const seen = [];
+
+    await buildSymbolGraph(
+      [{ path: 'src/app.js', content: "import { helper } from './helper.js';\nexport const app = helper;\n" }],
+      root,
+      {
+        scanOptions: {
+          filter: relativePath => {
+            seen.push(relativePath);
+            return !relativePath.startsWith('excluded');
+          }
+        }
+      }
+    );
+
+    assert.deepEqual(seen.sort(), ['excluded/legacy.js', 'src/app.js', 'src/helper.js']);
+  });
+});
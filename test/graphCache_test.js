@@ -0,0 +1,153 @@
+/**
+ * 👻 GhostCoder - Incremental Symbol Graph Tests
+ *
+ * The cache lives in data/indexes of the working directory, so the tests run
+ * from a temporary directory and import the module after changing into it.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { buildSymbolGraph } from '../src/symbolGraph.js';
+import { evictIndexFiles } from '../src/embeddingIndex.js';
+import { getFileChangesSince } from '../src/repo_manager.js';
+import { createGitRepo, createTempDir, writeFiles, git, removeDir } from './helpers.js';
+
+const FILES = {
+  'src/math.js': 'export function add(a, b) {\n  return a + b;\n}\n',
+  'src/text.js': 'export function upper(text) {\n  return text.toUpperCase();\n}\n'
+};
+
+const dirs = [];
+let graphCache;
+
+/**
+ * Build the symbol graph of files already written to repoPath
+ */
+function build(repoPath, files, options) {
+  return buildSymbolGraph(Object.entries(files).map(([file, content]) => ({ path: file, content })), repoPath, options);
+}
+
+before(async () => {
+  const workDir = await createTempDir();
+  dirs.push(workDir);
+  process.chdir(workDir);
+  graphCache = await import('../src/graphCache.js');
+});
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('graph cache', () => {
+  it('saves and loads the per-file analyses with their commit', async () => {
+    const repoPath = await createTempDir();
+    dirs.push(repoPath);
+    await writeFiles(repoPath, FILES);
+    const graph = await build(repoPath, FILES);
+
+    await graphCache.saveGraphCache('acme/app', 'abc1234def', graph);
+    const cache = await graphCache.loadGraphCache('acme/app');
+
+    assert.equal(cache.commit, 'abc1234def');
+    assert.deepEqual(Object.keys(cache.fileAnalyses).sort(), ['src/math.js', 'src/text.js']);
+    assert.equal(await graphCache.loadGraphCache('acme/other'), null);
+  });
+
+  it('ignores a cache written by another version', async () => {
+    const cachePath = path.join(process.cwd(), 'data', 'indexes', 'acme_old.graph.json');
+    await fs.writeFile(cachePath, JSON.stringify({ version: 1, commit: 'abc1234', fileAnalyses: {} }));
+
+    assert.equal(await graphCache.loadGraphCache('acme/old'), null);
+  });
+});
+
+describe('incremental builds', () => {
+  it('parses only files whose content changed or that are marked changed', async () => {
+    const repoPath = await createTempDir();
+    dirs.push(repoPath);
+    await writeFiles(repoPath, FILES);
+    const first = await build(repoPath, FILES);
+
+    const edited = { ...FILES, 'src/math.js': 'export function add(a, b, c = 0) {\n  return a + b + c;\n}\n' };
+    await writeFiles(repoPath, edited);
+    const second = await build(repoPath, edited, { previousAnalyses: first.fileAnalyses });
+
+    assert.deepEqual({ parsed: second.metadata.parsedFiles, reused: second.metadata.reusedFiles }, { parsed: 1, reused: 1 });
+    assert.deepEqual(second.symbols['src/math.js::add'].params, ['a', 'b', 'c']);
+    assert.equal(second.symbols['src/text.js::upper'].hash, first.symbols['src/text.js::upper'].hash);
+
+    const forced = await build(repoPath, edited, { previousAnalyses: second.fileAnalyses, changedFiles: new Set(['src/text.js']) });
+    assert.deepEqual({ parsed: forced.metadata.parsedFiles, reused: forced.metadata.reusedFiles }, { parsed: 1, reused: 1 });
+  });
+
+  it('drops files that are no longer part of the build', async () => {
+    const repoPath = await createTempDir();
+    dirs.push(repoPath);
+    await writeFiles(repoPath, FILES);
+    const first = await build(repoPath, FILES);
+
+    await fs.rm(path.join(repoPath, 'src/text.js'));
+    const remaining = { 'src/math.js': FILES['src/math.js'] };
+    const second = await build(repoPath, remaining, { previousAnalyses: first.fileAnalyses });
+
+    assert.equal(second.symbols['src/text.js::upper'], undefined);
+    assert.deepEqual(Object.keys(second.fileAnalyses), ['src/math.js']);
+  });
+});
+
+describe('deleted files', () => {
+  it('are evicted from the reused graph and embedding index of the next run', async () => {
+    const repoPath = await createGitRepo(FILES);
+    dirs.push(repoPath);
+    const first = await build(repoPath, FILES);
+    await graphCache.saveGraphCache('acme/deleted', git(repoPath, 'rev-parse', 'HEAD').trim(), first);
+
+    git(repoPath, 'rm', '-q', 'src/text.js');
+    git(repoPath, 'commit', '-q', '-m', 'Delete text.js');
+    const cache = await graphCache.loadGraphCache('acme/deleted');
+    const changes = await graphCache.getChangesSinceCache(cache, repoPath, repoPath, git(repoPath, 'rev-parse', 'HEAD').trim());
+
+    assert.deepEqual({ changed: [...changes.changed], deleted: [...changes.deleted] }, { changed: [], deleted: ['src/text.js'] });
+
+    const reused = graphCache.evictCachedFiles(cache, changes.deleted);
+    assert.deepEqual(Object.keys(reused.fileAnalyses), ['src/math.js']);
+    const second = await build(repoPath, { 'src/math.js': FILES['src/math.js'] }, {
+      previousAnalyses: reused.fileAnalyses,
+      changedFiles: changes.changed
+    });
+    assert.deepEqual({ parsed: second.metadata.parsedFiles, reused: second.metadata.reusedFiles }, { parsed: 0, reused: 1 });
+
+    const previousIndex = {
+      embeddings: [
+        { id: 'src/math.js::add', file: 'src/math.js' },
+        { id: 'file::src/text.js', file: 'src/text.js' },
+        { id: 'chunk::src/text.js#L1-L3', file: 'src/text.js' }
+      ]
+    };
+    assert.deepEqual(evictIndexFiles(previousIndex, changes.deleted).embeddings.map(entry => entry.id), ['src/math.js::add']);
+  });
+});
+
+describe('getFileChangesSince', () => {
+  it('lists changed and deleted files, splitting renames', async () => {
+    const repoPath = await createGitRepo({ ...FILES, 'src/old.js': 'export const old = true;\n// keep the rename similar\n' });
+    dirs.push(repoPath);
+    const baseCommit = git(repoPath, 'rev-parse', 'HEAD').trim();
+
+    await writeFiles(repoPath, { 'src/math.js': 'export const add = (a, b) => a + b;\n', 'src/new.js': 'export {};\n' });
+    git(repoPath, 'rm', '-q', 'src/text.js');
+    git(repoPath, 'mv', 'src/old.js', 'src/renamed.js');
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-q', '-m', 'Change files');
+
+    const changes = await getFileChangesSince(repoPath, baseCommit);
+
+    assert.deepEqual(changes.changed.sort(), ['src/math.js', 'src/new.js', 'src/renamed.js']);
+    assert.deepEqual(changes.deleted.sort(), ['src/old.js', 'src/text.js']);
+    assert.equal(await getFileChangesSince(repoPath, '0000000000000000000000000000000000000000'), null);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * 👻 GhostCoder - Test Helpers
+ *
+ * Temporary directories and git repositories for tests.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+/**
+ * Create an empty temporary directory
+ * @returns {Promise<string>} Absolute path
+ */
+export async function createTempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'ghostcoder-test-'));
+}
+
+/**
+ * Write files into a directory
+ * @param {string} root - Directory
+ * @param {Object<string, string>} files - Relative path -> content
+ */
+export async function writeFiles(root, files) {
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, file)), { recursive: true });
+    await fs.writeFile(path.join(root, file), content, 'utf-8');
+  }
+}
+
+/**
+ * Create a git repository with one commit on `main`
+ * @param {Object<string, string>} files - Relative path -> content
+ * @returns {Promise<string>} Repository path
+ */
+export async function createGitRepo(files) {
+  const repoPath = await createTempDir();
+  await writeFiles(repoPath, files);
+  git(repoPath, 'init', '-q', '-b', 'main');
+  git(repoPath, 'add', '-A');
+  git(repoPath, 'commit', '-q', '-m', 'Initial commit');
+  return repoPath;
+}
+
+/**
+ * Run git in a repository
+ * @returns {string} Standard output
+ */
+export function git(repoPath, ...args) {
+  return execFileSync('git', ['-c', 'user.name=GhostCoder Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd: repoPath,
+    encoding: 'utf-8'
+  });
+}
+
+/**
+ * Remove a temporary directory
+ */
+export async function removeDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
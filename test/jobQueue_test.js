@@ -0,0 +1,162 @@
+/**
+ * 👻 GhostCoder - Job Queue Tests
+ *
+ * The queue is a module singleton persisted to data/jobs.json of the working
+ * directory, so the tests run from a temporary directory, seed the file,
+ * import the module and initialize it once.
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let workDir;
+let queue;
+const started = [];          // name of each job, in start order
+const deferreds = new Map(); // name -> { resolve, reject } of its running job
+
+function storedJob(id, status, finishedAgoMs, repoUrl = 'https://github.com/acme/old') {
+  const finishedAt = finishedAgoMs === null ? null : new Date(Date.now() - finishedAgoMs).toISOString();
+  return {
+    id,
+    status,
+    request: { repoUrl, name: id },
+    result: null,
+    error: null,
+    progress: null,
+    createdAt: new Date(Date.now() - 60 * DAY_MS).toISOString(),
+    startedAt: null,
+    finishedAt
+  };
+}
+
+/**
+ * Resolves once a job reaches a final state
+ */
+function waitForJob(jobId) {
+  return new Promise(resolve => {
+    const check = () => {
+      const job = queue.getJob(jobId);
+      if (job && queue.isJobFinished(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    };
+    const unsubscribe = queue.subscribeToJob(jobId, check);
+    check();
+  });
+}
+
+/**
+ * Resolves once a job with this name has started
+ */
+async function waitForStart(name) {
+  while (!deferreds.has(name)) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  return deferreds.get(name);
+}
+
+async function readJobsFile() {
+  return JSON.parse(await fs.readFile(path.join(workDir, 'data', 'jobs.json'), 'utf-8'));
+}
+
+before(async () => {
+  workDir = await createTempDir();
+  await writeFiles(workDir, {
+    'data/jobs.json': JSON.stringify([
+      storedJob('expired', 'completed', 30 * DAY_MS),
+      storedJob('recent', 'failed', DAY_MS),
+      storedJob('interrupted', 'running', null),
+      storedJob('restored', 'queued', null, 'https://github.com/acme/restored')
+    ])
+  });
+  process.chdir(workDir);
+  queue = await import('../src/jobQueue.js');
+
+  await queue.initJobQueue(async (request, { onProgress }) => {
+    started.push(request.name);
+    onProgress({ stage: 'clone', message: `Cloning ${request.name}` });
+    return new Promise((resolve, reject) => {
+      deferreds.set(request.name, { resolve, reject });
+    });
+  }, {
+    concurrency: 2,
+    historyLimit: 3,
+    retentionHours: 24 * 7,
+    getJobKey: request => request.repoUrl.toLowerCase().replace(/\.git$/, '')
+  });
+});
+
+after(async () => {
+  await removeDir(workDir);
+});
+
+describe('restoring jobs', () => {
+  it('drops expired finished jobs, fails interrupted ones and resumes queued ones', async () => {
+    assert.equal(queue.getJob('expired'), null);
+    assert.equal(queue.getJob('recent').status, 'failed');
+    assert.equal(queue.getJob('interrupted').status, 'failed');
+    assert.equal(queue.getJob('interrupted').error, 'Interrupted by server restart');
+
+    (await waitForStart('restored')).resolve('done');
+    const job = await waitForJob('restored');
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result, 'done');
+    assert.deepEqual(queue.getJobProgress('restored').map(event => event.message), ['Cloning restored']);
+  });
+});
+
+describe('running jobs', () => {
+  it('runs jobs on the same repository one at a time, and other repositories alongside', async () => {
+    const first = await queue.enqueueJob({ repoUrl: 'https://github.com/acme/app', name: 'app-1' });
+    const second = await queue.enqueueJob({ repoUrl: 'https://github.com/acme/app.git', name: 'app-2' });
+    const other = await queue.enqueueJob({ repoUrl: 'https://github.com/acme/lib', name: 'lib-1' });
+
+    await waitForStart('app-1');
+    await waitForStart('lib-1');
+    assert.equal(queue.getJob(second.id).status, 'queued');
+    assert.deepEqual(started.slice(-2), ['app-1', 'lib-1']);
+
+    deferreds.get('lib-1').resolve('ok');
+    assert.equal((await waitForJob(other.id)).status, 'completed');
+    assert.equal(queue.getJob(second.id).status, 'queued');
+
+    deferreds.get('app-1').resolve('ok');
+    await waitForJob(first.id);
+    (await waitForStart('app-2')).reject(new Error('boom'));
+
+    assert.equal((await waitForJob(second.id)).error, 'boom');
+    assert.deepEqual(started.slice(-3), ['app-1', 'lib-1', 'app-2']);
+  });
+
+  it('cancels a queued job without running it', async () => {
+    const blocker = await queue.enqueueJob({ repoUrl: 'https://github.com/acme/busy', name: 'busy-1' });
+    const waiting = await queue.enqueueJob({ repoUrl: 'https://github.com/acme/busy', name: 'busy-2' });
+    await waitForStart('busy-1');
+
+    assert.equal((await queue.cancelJob(waiting.id)).status, 'cancelled');
+    deferreds.get('busy-1').resolve('ok');
+    await waitForJob(blocker.id);
+
+    assert.equal(started.includes('busy-2'), false);
+  });
+});
+
+describe('job history', () => {
+  it('keeps only the most recently finished jobs, in memory and on disk', async () => {
+    const finished = queue.listJobs().filter(queue.isJobFinished);
+    assert.equal(finished.length, 3);
+    assert.deepEqual(finished.map(job => job.request.name).sort(), ['app-2', 'busy-1', 'busy-2']);
+
+    const stored = await readJobsFile();
+    assert.deepEqual(stored.map(job => job.id).sort(), finished.map(job => job.id).sort());
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * 👻 GhostCoder - Go, Java and Rust Extractor Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractLanguageSymbols } from '../src/languageExtractors.js';
+import { buildSymbolGraph } from '../src/symbolGraph.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const dirs = [];
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+/**
+ * Extract symbols and index them by name
+ */
+async function extract(ext, content) {
+  const { symbols, packageName } = await extractLanguageSymbols(ext, content, `fixture${ext}`);
+  return { packageName, byName: Object.fromEntries(symbols.map(symbol => [symbol.name, symbol])) };
+}
+
+describe('Go', () => {
+  it('extracts structs, interfaces, functions, methods with receivers and imports', async () => {
+    const { packageName, byName } = await extract('.go', [
+      'package store',
+      '',
+      'import (',
+      '\t"fmt"',
+      '\tcfg "example.com/shop/config"',
+      ')',
+      '',
+      'type Store struct {',
+      '\tName string',
+      '}',
+      '',
+      'type Saver interface {',
+      '\tSave() error',
+      '}',
+      '',
+      'func (s *Store) Save() error {',
+      '\treturn fmt.Errorf(cfg.Prefix)',
+      '}',
+      '',
+      'func helper(name string) *Store {',
+      '\treturn &Store{Name: name}',
+      '}',
+      ''
+    ].join('\n'));
+
+    assert.equal(packageName, 'store');
+    assert.deepEqual(
+      { type: byName.Store.type, kind: byName.Store.kind, fields: byName.Store.fields, methods: byName.Store.methods },
+      { type: 'class', kind: 'struct', fields: ['Name'], methods: ['Save'] }
+    );
+    assert.deepEqual(byName.Saver.methods, ['Save']);
+    assert.deepEqual(
+      { className: byName['Store.Save'].className, receiver: byName['Store.Save'].receiver, pointerReceiver: byName['Store.Save'].pointerReceiver, returnType: byName['Store.Save'].returnType },
+      { className: 'Store', receiver: 's', pointerReceiver: true, returnType: 'error' }
+    );
+    assert.deepEqual(
+      { params: byName.helper.params, exported: byName.helper.exported, line: byName.helper.line, endLine: byName.helper.endLine },
+      { params: ['name'], exported: false, line: 20, endLine: 22 }
+    );
+    assert.deepEqual({ from: byName.cfg.from, type: byName.cfg.type }, { from: 'example.com/shop/config', type: 'import' });
+  });
+});
+
+describe('Java', () => {
+  it('extracts classes, constructors, methods with modifiers and imports', async () => {
+    const { packageName, byName } = await extract('.java', [
+      'package com.acme;',
+      '',
+      'import java.util.List;',
+      '',
+      'public class App implements Runnable {',
+      '  public App(List<String> names) {}',
+      '  @Override',
+      '  public void run() {}',
+      '  static int count(int a, String b) { return a; }',
+      '}',
+      ''
+    ].join('\n'));
+
+    assert.equal(packageName, 'com.acme');
+    assert.deepEqual(
+      { implements: byName.App.implements, methods: byName.App.methods, exported: byName.App.exported },
+      { implements: ['Runnable'], methods: ['App', 'run', 'count'], exported: true }
+    );
+    assert.equal(byName['App.App'].kind, 'constructor');
+    assert.deepEqual(byName['App.run'].decorators, ['Override']);
+    assert.deepEqual(
+      { static: byName['App.count'].static, typeHints: byName['App.count'].typeHints, returnType: byName['App.count'].returnType, exported: byName['App.count'].exported },
+      { static: true, typeHints: { a: 'int', b: 'String' }, returnType: 'int', exported: false }
+    );
+    assert.equal(byName.List.from, 'java.util.List');
+  });
+});
+
+describe('Rust', () => {
+  it('extracts traits, structs, impl methods, functions and use declarations', async () => {
+    const { byName } = await extract('.rs', [
+      'use std::collections::HashMap;',
+      '',
+      'pub trait Priced {',
+      '    fn price(&self) -> u32;',
+      '}',
+      '',
+      'pub struct Item {',
+      '    pub cost: u32,',
+      '}',
+      '',
+      'impl Priced for Item {',
+      '    fn price(&self) -> u32 { self.cost }',
+      '}',
+      '',
+      'pub fn total(items: &[Item]) -> u32 {',
+      '    items.iter().map(|i| i.price()).sum()',
+      '}',
+      ''
+    ].join('\n'));
+
+    assert.deepEqual({ type: byName.Priced.type, kind: byName.Priced.kind }, { type: 'interface', kind: 'trait' });
+    assert.deepEqual(byName.Item.methods, ['price']);
+    assert.deepEqual(
+      { className: byName['Item.price'].className, trait: byName['Item.price'].trait, params: byName['Item.price'].params },
+      { className: 'Item', trait: 'Priced', params: ['&self'] }
+    );
+    assert.deepEqual(
+      { params: byName.total.params, returnType: byName.total.returnType, exported: byName.total.exported },
+      { params: ['items'], returnType: 'u32', exported: true }
+    );
+    assert.deepEqual({ imported: byName.HashMap.imported, from: byName.HashMap.from }, { imported: 'HashMap', from: 'std::collections' });
+  });
+});
+
+describe('symbol graph', () => {
+  it('resolves Go, Java and Rust imports to repository files and names every scanned language', async () => {
+    const files = {
+      'go.mod': 'module example.com/shop\n\ngo 1.21\n',
+      'store/store.go': 'package store\n\nimport cfg "example.com/shop/config"\n\nvar prefix = cfg.Prefix\n',
+      'config/config.go': 'package config\n\nconst Prefix = "x"\n',
+      'src/main/java/com/acme/App.java': 'package com.acme;\n\nimport com.acme.util.Strings;\n\nclass App {}\n',
+      'src/main/java/com/acme/util/Strings.java': 'package com.acme.util;\n\npublic final class Strings {}\n',
+      'Cargo.toml': '[package]\nname = "shop-core"\nversion = "0.1.0"\n',
+      'src/lib.rs': 'pub mod cart;\n\nuse crate::cart::Cart;\nuse serde::Serialize;\n',
+      'src/cart.rs': 'pub struct Cart;\n',
+      'src/Tools/Util.cs': 'namespace Tools { class Util {} }\n',
+      'include/util.h': 'int util(void);\n'
+    };
+    const repoPath = await createTempDir();
+    dirs.push(repoPath);
+    await writeFiles(repoPath, files);
+    const codeFiles = Object.entries(files)
+      .filter(([file]) => /\.(go|java|rs|cs|h)$/.test(file))
+      .map(([path, content]) => ({ path, content }));
+
+    const graph = await buildSymbolGraph(codeFiles, repoPath);
+    const resolved = id => ({ resolvedFile: graph.symbols[id].resolvedFile, external: graph.symbols[id].external });
+
+    assert.deepEqual(resolved('store/store.go::cfg'), { resolvedFile: 'config/config.go', external: false });
+    assert.deepEqual(resolved('src/main/java/com/acme/App.java::Strings'), { resolvedFile: 'src/main/java/com/acme/util/Strings.java', external: false });
+    assert.deepEqual(resolved('src/lib.rs::Cart'), { resolvedFile: 'src/cart.rs', external: false });
+    assert.deepEqual(resolved('src/lib.rs::Serialize'), { resolvedFile: null, external: true });
+    assert.deepEqual(
+      { language: graph.files['store/store.go'].language, package: graph.files['store/store.go'].package },
+      { language: 'go', package: 'store' }
+    );
+    assert.equal(graph.files['src/Tools/Util.cs'].language, 'csharp');
+    assert.equal(graph.files['include/util.h'].language, 'c');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * 👻 GhostCoder - Lexical Index Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tokenize,
+  buildLexicalIndex,
+  searchLexicalIndex,
+  serializeLexicalIndex,
+  deserializeLexicalIndex
+} from '../src/lexicalIndex.js';
+
+const DOCUMENTS = [
+  { name: 'getUserById', text: 'function getUserById in src/users.js', body: 'return db.users.find(id);' },
+  { name: 'listUsers', text: 'function listUsers in src/users.js', body: 'return db.users.all();' },
+  { name: 'loadConfig', text: 'function loadConfig in src/config.js', body: "if (!process.env.MAX_RETRY_COUNT) throw new Error('Config file not found');" },
+  { name: 'parseHTTPResponse', text: 'function parseHTTPResponse in src/http.js', body: 'return JSON.parse(raw_body);' }
+];
+
+describe('tokenize', () => {
+  it('splits camelCase, acronyms and snake_case, and keeps the whole identifier', () => {
+    assert.deepEqual(tokenize('parseHTTPResponse(raw_body)'), ['parse', 'http', 'response', 'parsehttpresponse', 'raw', 'body', 'raw_body']);
+    assert.deepEqual(tokenize('MAX_RETRY_COUNT = 3'), ['max', 'retry', 'count', 'max_retry_count']);
+    assert.deepEqual(tokenize('a + x'), []);
+  });
+});
+
+describe('searchLexicalIndex', () => {
+  const lexical = buildLexicalIndex(DOCUMENTS);
+
+  it('ranks the exact identifier first', () => {
+    const results = searchLexicalIndex(lexical, 'getUserById');
+
+    assert.equal(results[0].id, 0);
+    assert.ok(results[0].score > (results[1]?.score ?? 0));
+  });
+
+  it('finds identifiers from their words, error messages and config keys', () => {
+    assert.equal(searchLexicalIndex(lexical, 'user by id')[0].id, 0);
+    assert.equal(searchLexicalIndex(lexical, 'Config file not found')[0].id, 2);
+    assert.equal(searchLexicalIndex(lexical, 'MAX_RETRY_COUNT')[0].id, 2);
+    assert.equal(searchLexicalIndex(lexical, 'http response')[0].id, 3);
+  });
+
+  it('weights terms in the name above terms in the body', () => {
+    const index = buildLexicalIndex([
+      { name: 'render', body: 'cache cache' },
+      { name: 'cache', body: 'render' }
+    ]);
+
+    assert.deepEqual(searchLexicalIndex(index, 'cache').map(result => result.id), [1, 0]);
+  });
+
+  it('returns nothing for unknown terms and honors topK', () => {
+    assert.deepEqual(searchLexicalIndex(lexical, 'kubernetes'), []);
+    assert.equal(searchLexicalIndex(lexical, 'users', 1).length, 1);
+  });
+});
+
+describe('serialization', () => {
+  it('round-trips through JSON and rejects other versions', () => {
+    const lexical = buildLexicalIndex(DOCUMENTS);
+    const restored = deserializeLexicalIndex(JSON.parse(JSON.stringify(serializeLexicalIndex(lexical))));
+
+    assert.deepEqual(searchLexicalIndex(restored, 'load config'), searchLexicalIndex(lexical, 'load config'));
+    assert.throws(() => deserializeLexicalIndex({ ...serializeLexicalIndex(lexical), version: 99 }), /unsupported lexical index version 99/);
+  });
+});
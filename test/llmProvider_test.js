@@ -0,0 +1,172 @@
+/**
+ * 👻 GhostCoder - LLM Provider Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import {
+  createReplayProvider,
+  createRecordingProvider,
+  createOpenAICompatibleProvider,
+  validateProviderConfig,
+  setLLMProvider
+} from '../src/llmProvider.js';
+import { resetCircuitBreakers } from '../src/llmRequest.js';
+import { generateImprovedCode } from '../src/openrouter_api.js';
+import { createTempDir, removeDir } from './helpers.js';
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_RECORD_UPSTREAM', 'LLM_BASE_URL', 'LLM_MODEL', 'OPENROUTER_API_KEY', 'LLM_RETRY_BASE_MS', 'LLM_RETRY_MAX_MS'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const REQUEST = {
+  messages: [{ role: 'user', content: 'Suggest one improvement' }],
+  temperature: 0.2,
+  maxTokens: 100
+};
+
+let workDir;
+
+before(async () => {
+  workDir = await createTempDir();
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+  setLLMProvider(null);
+  resetCircuitBreakers();
+});
+
+after(async () => {
+  await removeDir(workDir);
+});
+
+/**
+ * Serve chat completions from a handler on a local port
+ * @param {Function} handler - (body, requestNumber) => { status, body }
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ url: req.url, headers: req.headers, body });
+      const reply = handler(body, requests.length);
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('record and replay providers', () => {
+  it('replays what was recorded', async () => {
+    const recordingsPath = path.join(workDir, 'recordings.json');
+    const upstream = {
+      name: 'fake',
+      model: 'upstream-model',
+      chat: async ({ messages }) => ({ content: `Answer to: ${messages[0].content}`, raw: {} })
+    };
+
+    const recorded = await createRecordingProvider(upstream, { recordingsPath }).chat(REQUEST);
+    const replayed = await createReplayProvider({ recordingsPath }).chat(REQUEST);
+
+    assert.equal(recorded.content, 'Answer to: Suggest one improvement');
+    assert.deepEqual(replayed, { content: recorded.content, raw: null });
+  });
+
+  it('fails on a request that was never recorded', async () => {
+    const replay = createReplayProvider({ recordingsPath: path.join(workDir, 'empty.json') });
+
+    await assert.rejects(replay.chat({ ...REQUEST, temperature: 0.9 }), /No recorded LLM response for request/);
+  });
+
+  it('drives generateImprovedCode without a network', async () => {
+    setLLMProvider({
+      name: 'fixed',
+      model: 'fixed',
+      chat: async () => ({
+        content: '<<<<<<< SEARCH\n  return a - b;\n=======\n  return a + b;\n>>>>>>> REPLACE',
+        raw: null
+      })
+    });
+
+    const result = await generateImprovedCode('src/add.js', 'function add(a, b) {\n  return a - b;\n}\n', 'Fix the sum');
+
+    assert.equal(result.content, 'function add(a, b) {\n  return a + b;\n}\n');
+    assert.equal(result.appliedEdits.length, 1);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  it('posts chat completions with the model and API key', async () => {
+    const server = await startServer(() => ({ body: { choices: [{ message: { content: 'hello' } }] } }));
+
+    try {
+      const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, apiKey: 'secret', model: 'local-model' });
+      const response = await provider.chat(REQUEST);
+
+      assert.equal(response.content, 'hello');
+      assert.equal(server.requests[0].url, '/v1/chat/completions');
+      assert.equal(server.requests[0].headers.authorization, 'Bearer secret');
+      assert.deepEqual(server.requests[0].body, {
+        model: 'local-model',
+        messages: REQUEST.messages,
+        temperature: 0.2,
+        max_tokens: 100
+      });
+    } finally {
+      await server.close();
+    }
+  });
+
+  it('retries a response without message content', async () => {
+    process.env.LLM_RETRY_BASE_MS = '1';
+    process.env.LLM_RETRY_MAX_MS = '5';
+    const server = await startServer((body, count) => ({
+      body: count === 1 ? { choices: [] } : { choices: [{ message: { content: 'second try' } }] }
+    }));
+
+    try {
+      const provider = createOpenAICompatibleProvider({ baseUrl: server.baseUrl, model: 'local-model' });
+
+      assert.equal((await provider.chat(REQUEST)).content, 'second try');
+      assert.equal(server.requests.length, 2);
+      assert.equal(server.requests[0].headers.authorization, undefined);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('validateProviderConfig', () => {
+  it('names the settings each provider needs', () => {
+    process.env.LLM_PROVIDER = 'openai-compatible';
+    delete process.env.LLM_BASE_URL;
+    assert.throws(() => validateProviderConfig(), /requires LLM_BASE_URL and LLM_MODEL/);
+
+    process.env.LLM_PROVIDER = 'record';
+    delete process.env.LLM_RECORD_UPSTREAM;
+    delete process.env.OPENROUTER_API_KEY;
+    assert.throws(() => validateProviderConfig(), /OPENROUTER_API_KEY/);
+
+    process.env.LLM_PROVIDER = 'replay';
+    assert.doesNotThrow(() => validateProviderConfig());
+
+    process.env.LLM_PROVIDER = 'carrier-pigeon';
+    assert.throws(() => validateProviderConfig(), /Unknown LLM_PROVIDER "carrier-pigeon"/);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * 👻 GhostCoder - LLM Request Layer Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  requestWithRetry,
+  resetCircuitBreakers,
+  createRequestStats,
+  trackRequestStats,
+  isRetryableError,
+  parseRetryAfter
+} from '../src/llmRequest.js';
+import { sleep } from '../src/utils.js';
+
+const FAST = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5, breakerThreshold: 10, breakerCooldownMs: 60000 };
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`status ${status}`), { response: { status, headers } });
+}
+
+/**
+ * A request whose outcome the test decides
+ */
+function createDeferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+beforeEach(() => {
+  resetCircuitBreakers();
+});
+
+describe('requestWithRetry', () => {
+  it('retries transient failures and records them in the run statistics', async () => {
+    const stats = createRequestStats();
+    let calls = 0;
+
+    const result = await trackRequestStats(stats, () => requestWithRetry('retry', async () => {
+      calls++;
+      if (calls < 3) throw httpError(503);
+      return 'ok';
+    }, FAST));
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+    assert.deepEqual(stats, { requests: 3, retries: 2, jsonRetries: 0, failures: 0, circuitBreakerRejections: 0 });
+  });
+
+  it('does not retry client errors', async () => {
+    let calls = 0;
+
+    await assert.rejects(requestWithRetry('client-error', async () => {
+      calls++;
+      throw httpError(400);
+    }, FAST), /status 400/);
+    assert.equal(calls, 1);
+  });
+
+  it('passes the timeout to the request', async () => {
+    const result = await requestWithRetry('timeout', async ({ timeoutMs }) => timeoutMs, { ...FAST, timeoutMs: 1234 });
+    assert.equal(result, 1234);
+  });
+});
+
+describe('circuit breaker', () => {
+  const BREAKER = { ...FAST, maxRetries: 0, breakerThreshold: 2, breakerCooldownMs: 30 };
+  const failing = async () => { throw httpError(503); };
+
+  async function openBreaker(endpoint) {
+    await assert.rejects(requestWithRetry(endpoint, failing, BREAKER));
+    await assert.rejects(requestWithRetry(endpoint, failing, BREAKER));
+  }
+
+  it('fails fast after consecutive failures until the cooldown has passed', async () => {
+    await openBreaker('open');
+    const stats = createRequestStats();
+    let calls = 0;
+
+    await assert.rejects(
+      trackRequestStats(stats, () => requestWithRetry('open', async () => { calls++; }, BREAKER)),
+      /Circuit breaker open for open/
+    );
+    assert.equal(calls, 0);
+    assert.equal(stats.circuitBreakerRejections, 1);
+
+    await sleep(40);
+    await requestWithRetry('open', async () => { calls++; }, BREAKER);
+    assert.equal(calls, 1);
+  });
+
+  it('lets one trial request through and holds the others until it succeeds', async () => {
+    await openBreaker('trial');
+    await sleep(40);
+    const trial = createDeferred();
+    const sent = [];
+
+    const first = requestWithRetry('trial', () => { sent.push('first'); return trial.promise; }, BREAKER);
+    const second = requestWithRetry('trial', async () => { sent.push('second'); return 'second'; }, BREAKER);
+    await sleep(5);
+    assert.deepEqual(sent, ['first']);
+
+    trial.resolve('first');
+    assert.deepEqual(await Promise.all([first, second]), ['first', 'second']);
+    assert.deepEqual(sent, ['first', 'second']);
+  });
+
+  it('opens again when the trial request fails, rejecting the held requests', async () => {
+    await openBreaker('reopen');
+    await sleep(40);
+    const trial = createDeferred();
+    let heldCalls = 0;
+
+    const first = requestWithRetry('reopen', () => trial.promise, BREAKER);
+    const second = requestWithRetry('reopen', async () => { heldCalls++; }, BREAKER);
+
+    trial.reject(httpError(502));
+    await assert.rejects(first, /status 502/);
+    await assert.rejects(second, /Circuit breaker open for reopen/);
+    assert.equal(heldCalls, 0);
+  });
+});
+
+describe('isRetryableError and parseRetryAfter', () => {
+  it('classify errors and parse Retry-After headers', () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(401)), false);
+    assert.equal(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryableError(Object.assign(new Error('bad json'), { retryable: true })), true);
+
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    const inAMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inAMinute > 58000 && inAMinute <= 60000);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * 👻 GhostCoder - Module Resolver Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createModuleResolver } from '../src/moduleResolver.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const FILES = {
+  'tsconfig.base.json': '{ "compilerOptions": { "baseUrl": "." } }\n',
+  'tsconfig.json': [
+    '{',
+    '  // Aliases for the app',
+    '  "extends": "./tsconfig.base",',
+    '  "compilerOptions": { "paths": { "@app/*": ["src/app/*"], "~config": ["config/index.ts"] } }',
+    '}',
+    ''
+  ].join('\n'),
+  'config/index.ts': 'export default {};\n',
+  'shared/env.ts': 'export const env = {};\n',
+  'src/main.ts': "import './util';\n",
+  'src/util.ts': 'export const util = 1;\n',
+  'src/lib/index.js': 'export * from "./format.js";\n',
+  'src/lib/format.js': 'export const format = String;\n',
+  'src/app/routes.tsx': 'export const routes = [];\n',
+  'packages/ui/package.json': JSON.stringify({
+    name: '@acme/ui',
+    exports: { '.': { import: './src/index.js', require: './dist/index.cjs' }, './button': './src/button.js' }
+  }),
+  'packages/ui/src/index.js': 'export * from "./button.js";\n',
+  'packages/ui/src/button.js': 'export const Button = () => null;\n',
+  'packages/legacy/package.json': JSON.stringify({ name: 'legacy', main: 'lib/entry' }),
+  'packages/legacy/lib/entry.js': 'module.exports = {};\n'
+};
+
+let repoPath;
+let resolver;
+
+before(async () => {
+  repoPath = await createTempDir();
+  await writeFiles(repoPath, FILES);
+  resolver = createModuleResolver(repoPath, { files: Object.keys(FILES).filter(file => /\.(js|ts|tsx)$/.test(file)) });
+});
+
+after(async () => {
+  await removeDir(repoPath);
+});
+
+describe('relative specifiers', () => {
+  it('resolves extensionless imports, directory index files and .js → .ts', () => {
+    assert.equal(resolver.resolve('src/main.ts', './util').file, 'src/util.ts');
+    assert.equal(resolver.resolve('src/main.ts', './util.js').file, 'src/util.ts');
+    assert.equal(resolver.resolve('src/main.ts', './lib').file, 'src/lib/index.js');
+    assert.equal(resolver.resolve('src/lib/index.js', './format.js').file, 'src/lib/format.js');
+    assert.equal(resolver.resolve('src/lib/format.js', '../util').file, 'src/util.ts');
+  });
+
+  it('returns no file, and no package, for a missing relative file', () => {
+    assert.deepEqual(resolver.resolve('src/main.ts', './missing'), { file: null, external: false, package: null });
+  });
+});
+
+describe('tsconfig aliases', () => {
+  it('maps paths aliases and baseUrl from an extended config', () => {
+    assert.equal(resolver.resolve('src/main.ts', '@app/routes').file, 'src/app/routes.tsx');
+    assert.equal(resolver.resolve('src/main.ts', '~config').file, 'config/index.ts');
+    assert.equal(resolver.resolve('src/main.ts', 'shared/env').file, 'shared/env.ts');
+  });
+});
+
+describe('packages', () => {
+  it('resolves workspace packages through exports, subpaths and main', () => {
+    assert.equal(resolver.resolve('src/main.ts', '@acme/ui').file, 'packages/ui/src/index.js');
+    assert.equal(resolver.resolve('src/main.ts', '@acme/ui/button').file, 'packages/ui/src/button.js');
+    assert.equal(resolver.resolve('src/main.ts', 'legacy').file, 'packages/legacy/lib/entry.js');
+  });
+
+  it('marks bare specifiers and node: builtins as external', () => {
+    assert.deepEqual(resolver.resolve('src/main.ts', 'react-dom/client'), { file: null, external: true, package: 'react-dom' });
+    assert.deepEqual(resolver.resolve('src/main.ts', '@scope/pkg/deep'), { file: null, external: true, package: '@scope/pkg' });
+    assert.deepEqual(resolver.resolve('src/main.ts', 'node:fs'), { file: null, external: true, package: 'node:fs' });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * 👻 GhostCoder - Patch Bundle Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { writePatchBundle } from '../src/patchBundle.js';
+import { createGitRepo, createTempDir, writeFiles, git, removeDir } from './helpers.js';
+
+const dirs = [];
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('writePatchBundle', () => {
+  it('writes a patch series, a diff per file and the analysis', async () => {
+    const repoPath = await createGitRepo({
+      'src/a.js': 'export const a = 1;\n',
+      'src/lib/b.js': 'export const b = 1;\n'
+    });
+    const outputDir = path.join(await createTempDir(), 'bundle');
+    dirs.push(repoPath, path.dirname(outputDir));
+    const baseCommit = git(repoPath, 'rev-parse', 'HEAD').trim();
+
+    await writeFiles(repoPath, { 'src/a.js': 'export const a = 2;\n' });
+    git(repoPath, 'commit', '-q', '-am', 'Change a');
+    await writeFiles(repoPath, { 'src/lib/b.js': 'export const b = 2;\n' });
+    git(repoPath, 'commit', '-q', '-am', 'Change b');
+
+    const bundle = await writePatchBundle({
+      repoPath,
+      baseCommit,
+      outputDir,
+      analysis: { summary: 'Two constants bumped' },
+      changes: [{ file: 'src/a.js', description: 'Bump a', content: 'export const a = 2;\n' }],
+      syntaxFixes: [{ filePath: 'src/lib/b.js', fixes: ['missing semicolon'], fixedContent: '...' }]
+    });
+
+    assert.equal(bundle.patches.length, 2);
+    assert.match(path.basename(bundle.patches[0]), /^0001-Change-a\.patch$/);
+    assert.deepEqual(bundle.diffs.map(diff => path.basename(diff.path)), ['src__a.js.diff', 'src__lib__b.js.diff']);
+    assert.match(await fs.readFile(bundle.diffs[0].path, 'utf-8'), /-export const a = 1;\n\+export const a = 2;/);
+
+    const report = JSON.parse(await fs.readFile(bundle.analysis, 'utf-8'));
+    assert.equal(report.baseCommit, baseCommit);
+    assert.deepEqual(report.analysis, { summary: 'Two constants bumped' });
+    assert.deepEqual(report.changes, [{ file: 'src/a.js', description: 'Bump a' }]);
+    assert.deepEqual(report.syntaxFixes, [{ filePath: 'src/lib/b.js', fixes: ['missing semicolon'] }]);
+  });
+
+  it('writes patches that apply with git am on the base commit', async () => {
+    const repoPath = await createGitRepo({ 'README.md': '# fixture\n' });
+    const outputDir = path.join(await createTempDir(), 'bundle');
+    dirs.push(repoPath, path.dirname(outputDir));
+    const baseCommit = git(repoPath, 'rev-parse', 'HEAD').trim();
+
+    await writeFiles(repoPath, { 'src/new.js': 'export const added = true;\n' });
+    git(repoPath, 'add', '-A');
+    git(repoPath, 'commit', '-q', '-m', 'Add new.js');
+
+    const bundle = await writePatchBundle({ repoPath, baseCommit, outputDir });
+
+    git(repoPath, 'checkout', '-q', '-b', 'review', baseCommit);
+    git(repoPath, 'am', '-q', ...bundle.patches);
+    assert.equal(await fs.readFile(path.join(repoPath, 'src/new.js'), 'utf-8'), 'export const added = true;\n');
+    assert.equal(git(repoPath, 'log', '-1', '--format=%s').trim(), 'Add new.js');
+  });
+});
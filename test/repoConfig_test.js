@@ -0,0 +1,101 @@
+/**
+ * 👻 GhostCoder - Repository Configuration Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadRepoConfig,
+  parseRepoConfig,
+  isPathIncluded,
+  isProtectedPath,
+  DEFAULT_CONFIG
+} from '../src/repoConfig.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const dirs = [];
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('parseRepoConfig', () => {
+  it('maps snake_case keys onto the defaults', () => {
+    const config = parseRepoConfig([
+      'include: ["src/**"]',
+      'exclude: ["*.min.js"]',
+      'extensions: [JS, ".ts"]',
+      'max_changes_per_pr: 3',
+      'reviewers: [octocat, my-org/backend-team]',
+      'base_branch: develop',
+      'labels: null'
+    ].join('\n'));
+
+    assert.equal(config.source, '.ghostcoder.yml');
+    assert.deepEqual(config.include, ['src/**']);
+    assert.deepEqual(config.extensions, ['.js', '.ts']);
+    assert.equal(config.maxChangesPerPR, 3);
+    assert.deepEqual(config.reviewers, ['octocat', 'my-org/backend-team']);
+    assert.equal(config.baseBranch, 'develop');
+    assert.deepEqual(config.labels, DEFAULT_CONFIG.labels);
+    assert.equal(config.tokenBudget, DEFAULT_CONFIG.tokenBudget);
+  });
+
+  it('reports every problem at once', () => {
+    assert.throws(
+      () => parseRepoConfig('max_files: 0\nlabels: ghostcoder\nreviewer: [octocat]\n'),
+      error => {
+        assert.match(error.message, /^Invalid \.ghostcoder\.yml:/);
+        assert.match(error.message, /max_files must be a positive integer \(got 0\)/);
+        assert.match(error.message, /labels must be a list of non-empty strings/);
+        assert.match(error.message, /unknown key "reviewer"/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects YAML syntax errors and non-mapping documents', () => {
+    assert.throws(() => parseRepoConfig('include: [src/**\n'), /YAML syntax error/);
+    assert.throws(() => parseRepoConfig('- src/**\n'), /expected a mapping of settings/);
+  });
+});
+
+describe('loadRepoConfig', () => {
+  it('reads .ghostcoder.yaml too, and falls back to the defaults', async () => {
+    const withConfig = await createTempDir();
+    const withoutConfig = await createTempDir();
+    dirs.push(withConfig, withoutConfig);
+    await writeFiles(withConfig, { '.ghostcoder.yaml': 'max_files: 4\n' });
+
+    const config = await loadRepoConfig(withConfig);
+    assert.equal(config.source, '.ghostcoder.yaml');
+    assert.equal(config.maxFiles, 4);
+
+    assert.deepEqual(await loadRepoConfig(withoutConfig), { ...DEFAULT_CONFIG, source: null });
+  });
+});
+
+describe('path rules', () => {
+  const config = parseRepoConfig([
+    'include: ["src/**", "lib/**"]',
+    'exclude: ["src/generated/**", "*.min.js"]',
+    'protected_paths: ["migrations/**", "*.lock"]'
+  ].join('\n'));
+
+  it('applies include, then exclude; name-only globs match at any depth', () => {
+    assert.equal(isPathIncluded(config, 'src/app.js'), true);
+    assert.equal(isPathIncluded(config, 'lib/deep/util.js'), true);
+    assert.equal(isPathIncluded(config, 'scripts/build.js'), false);
+    assert.equal(isPathIncluded(config, 'src/generated/api.js'), false);
+    assert.equal(isPathIncluded(config, 'src/vendor/jquery.min.js'), false);
+    assert.equal(isPathIncluded(DEFAULT_CONFIG, 'anything/at/all.py'), true);
+  });
+
+  it('marks protected paths', () => {
+    assert.equal(isProtectedPath(config, 'migrations/001_init.sql'), true);
+    assert.equal(isProtectedPath(config, 'packages/api/yarn.lock'), true);
+    assert.equal(isProtectedPath(config, 'src/app.js'), false);
+  });
+});
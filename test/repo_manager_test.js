@@ -0,0 +1,106 @@
+/**
+ * 👻 GhostCoder - Repository Management Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  openLocalRepository,
+  getLocalRepoName,
+  restoreLocalCheckout,
+  createBranch,
+  applyChanges,
+  commitChanges,
+  revertFiles,
+  readFileAtHead,
+  hasUncommittedChanges
+} from '../src/repo_manager.js';
+import { createGitRepo, createTempDir, git, removeDir } from './helpers.js';
+
+const dirs = [];
+
+async function createRepo(files = { 'src/a.js': 'export const a = 1;\n' }) {
+  const repoPath = await createGitRepo(files);
+  dirs.push(repoPath);
+  return repoPath;
+}
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('openLocalRepository', () => {
+  it('returns the repository root, its branch and a name for the checkout', async () => {
+    const repoPath = await createRepo();
+
+    const repo = await openLocalRepository(path.join(repoPath, 'src'));
+
+    assert.equal(await fs.realpath(repo.path), await fs.realpath(repoPath));
+    assert.equal(repo.branch, 'main');
+    assert.equal(repo.name, getLocalRepoName(repo.path));
+  });
+
+  it('rejects a directory that is not a git repository', async () => {
+    const dir = await createTempDir();
+    dirs.push(dir);
+
+    await assert.rejects(openLocalRepository(dir), /Not a git repository/);
+  });
+});
+
+describe('getLocalRepoName', () => {
+  it('differs for checkouts with the same folder name', () => {
+    const first = getLocalRepoName('/home/alice/work/app');
+    const second = getLocalRepoName('/home/alice/forks/app');
+
+    assert.match(first, /^app-[0-9a-f]{8}$/);
+    assert.notEqual(first, second);
+    assert.equal(first, getLocalRepoName('/home/alice/work/app'));
+  });
+});
+
+describe('restoreLocalCheckout', () => {
+  it('checks the original branch out again and keeps the new branch commit', async () => {
+    const repoPath = await createRepo();
+    const branch = await createBranch(repoPath, 'ghostcoder/test');
+    await applyChanges(repoPath, [{ file: 'src/a.js', content: 'export const a = 2;\n' }]);
+    await commitChanges(repoPath, 'Change a', ['src/a.js']);
+
+    await restoreLocalCheckout(repoPath, 'main', ['src/a.js']);
+
+    assert.equal(git(repoPath, 'branch', '--show-current').trim(), 'main');
+    assert.equal(await fs.readFile(path.join(repoPath, 'src/a.js'), 'utf-8'), 'export const a = 1;\n');
+    assert.equal(git(repoPath, 'show', `${branch}:src/a.js`), 'export const a = 2;\n');
+  });
+
+  it('discards uncommitted edits and new files left by a failed run', async () => {
+    const repoPath = await createRepo();
+    await createBranch(repoPath, 'ghostcoder/failed');
+    await applyChanges(repoPath, [
+      { file: 'src/a.js', content: 'export const a = 3;\n' },
+      { file: 'src/new.js', content: 'export const added = true;\n' }
+    ]);
+
+    await restoreLocalCheckout(repoPath, 'main', ['src/a.js', 'src/new.js']);
+
+    assert.equal(git(repoPath, 'branch', '--show-current').trim(), 'main');
+    assert.equal(await hasUncommittedChanges(repoPath), false);
+  });
+});
+
+describe('revertFiles and readFileAtHead', () => {
+  it('restore and read files as they are at HEAD', async () => {
+    const repoPath = await createRepo();
+    await applyChanges(repoPath, [{ file: 'src/a.js', content: 'changed\n' }]);
+
+    assert.equal(await readFileAtHead(repoPath, 'src/a.js'), 'export const a = 1;\n');
+    assert.equal(await readFileAtHead(repoPath, 'src/missing.js'), null);
+
+    await revertFiles(repoPath, ['src/a.js']);
+    assert.equal(await fs.readFile(path.join(repoPath, 'src/a.js'), 'utf-8'), 'export const a = 1;\n');
+  });
+});
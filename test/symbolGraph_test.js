@@ -0,0 +1,407 @@
+/**
+ * 👻 GhostCoder - Symbol Graph Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSymbolGraph, getCallers, getCallees, diffSymbolGraphs } from '../src/symbolGraph.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const dirs = [];
+
+/**
+ * Write files to a temporary repository and build their symbol graph
+ * @param {Object<string, string>} files - Relative path -> content
+ */
+async function buildGraph(files) {
+  const repoPath = await createTempDir();
+  dirs.push(repoPath);
+  await writeFiles(repoPath, files);
+  const codeFiles = Object.entries(files).map(([path, content]) => ({ path, content }));
+  return buildSymbolGraph(codeFiles, repoPath);
+}
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('module imports without a binding', () => {
+  it('records import() and require() as file-level import edges, not symbols', async () => {
+    const graph = await buildGraph({
+      'src/main.js': [
+        "export async function load() {",
+        "  await import('./lib/dyn.js');",
+        "  require('./lib/polyfill.js');",
+        "}",
+        ""
+      ].join('\n'),
+      'src/lib/dyn.js': 'export const dyn = 1;\n',
+      'src/lib/polyfill.js': 'globalThis.ready = true;\n'
+    });
+
+    assert.deepEqual(
+      Object.keys(graph.symbols).filter(id => id.startsWith('src/main.js::')),
+      ['src/main.js::load']
+    );
+
+    const importEdges = graph.edges.filter(edge => edge.type === 'imports' && edge.from.startsWith('src/main.js'));
+    assert.deepEqual(importEdges, [
+      { from: 'src/main.js', type: 'imports', to: 'src/lib/dyn.js', toFile: 'src/lib/dyn.js' },
+      { from: 'src/main.js', type: 'imports', to: 'src/lib/polyfill.js', toFile: 'src/lib/polyfill.js' }
+    ]);
+
+    assert.deepEqual(
+      graph.imports['src/main.js'].map(({ specifier, file, names }) => ({ specifier, file, names })),
+      [
+        { specifier: './lib/dyn.js', file: 'src/lib/dyn.js', names: [] },
+        { specifier: './lib/polyfill.js', file: 'src/lib/polyfill.js', names: [] }
+      ]
+    );
+  });
+
+  it('keeps a bound import() as a namespace import', async () => {
+    const graph = await buildGraph({
+      'src/main.js': "export async function load() {\n  const lib = await import('./lib.js');\n  return lib.value();\n}\n",
+      'src/lib.js': 'export function value() {\n  return 1;\n}\n'
+    });
+
+    assert.equal(graph.symbols['src/main.js::lib'].imported, '*');
+    assert.deepEqual(graph.calls['src/main.js::load'].map(call => call.callee), ['src/lib.js::value']);
+  });
+});
+
+describe('CommonJS modules', () => {
+  it('records require() bindings and module.exports / exports assignments', async () => {
+    const graph = await buildGraph({
+      'lib/db.js': 'function connect(url) {\n  return url;\n}\nmodule.exports = { connect, VERSION: 2 };\n',
+      'lib/app.js': [
+        "const { connect } = require('./db');",
+        "const path = require('path');",
+        "const db = require('./db.js');",
+        '',
+        'exports.start = function start(port) {',
+        "  return connect(path.join('x', port));",
+        '};',
+        '',
+        'module.exports.stop = () => db.connect(null);',
+        ''
+      ].join('\n')
+    });
+    const symbol = id => graph.symbols[id];
+
+    assert.equal(symbol('lib/db.js::connect').exported, true);
+    assert.deepEqual({ type: symbol('lib/db.js::VERSION').type, commonjs: symbol('lib/db.js::VERSION').commonjs }, { type: 'export', commonjs: true });
+    assert.deepEqual(
+      { type: symbol('lib/app.js::start').type, params: symbol('lib/app.js::start').params, exported: symbol('lib/app.js::start').exported },
+      { type: 'function', params: ['port'], exported: true }
+    );
+    assert.deepEqual({ arrow: symbol('lib/app.js::stop').arrow, exported: symbol('lib/app.js::stop').exported }, { arrow: true, exported: true });
+
+    assert.deepEqual(
+      graph.imports['lib/app.js'].map(({ specifier, file, names, external }) => ({ specifier, file, names, external })),
+      [
+        { specifier: './db', file: 'lib/db.js', names: ['connect'], external: false },
+        { specifier: 'path', file: null, names: ['path'], external: true },
+        { specifier: './db.js', file: 'lib/db.js', names: ['db'], external: false }
+      ]
+    );
+    assert.deepEqual(getCallees(graph, 'lib/app.js::stop').map(call => call.callee), ['lib/db.js::connect']);
+  });
+});
+
+describe('call graph', () => {
+  it('resolves direct, member, new and callback calls across files', async () => {
+    const graph = await buildGraph({
+      'src/lib.js': [
+        'export function normalize(value) {',
+        '  return String(value).trim();',
+        '}',
+        'export class Store {',
+        '  add(item) {',
+        '    return this.save([item].map(normalize));',
+        '  }',
+        '  save(items) {',
+        '    return items.length;',
+        '  }',
+        '}',
+        ''
+      ].join('\n'),
+      'src/main.js': [
+        "import { normalize, Store } from './lib.js';",
+        "import * as helpers from './lib.js';",
+        "import axios from 'axios';",
+        '',
+        'export async function run(input) {',
+        '  const store = new Store();',
+        '  store.add(normalize(input));',
+        '  await axios.get(input);',
+        '  return finish(input);',
+        '}',
+        '',
+        'function finish(input) {',
+        '  return helpers.normalize(input);',
+        '}',
+        ''
+      ].join('\n')
+    });
+
+    assert.deepEqual(
+      getCallees(graph, 'src/main.js::run').map(({ callee, name, kind, line }) => ({ callee, name, kind, line })),
+      [
+        { callee: 'src/lib.js::Store', name: 'Store', kind: 'new', line: 6 },
+        { callee: null, name: 'store.add', kind: 'call', line: 7 },
+        { callee: 'src/lib.js::normalize', name: 'normalize', kind: 'call', line: 7 },
+        { callee: null, name: 'axios.get', kind: 'call', line: 8 },
+        { callee: 'src/main.js::finish', name: 'finish', kind: 'call', line: 9 }
+      ]
+    );
+    assert.deepEqual(
+      getCallees(graph, 'src/main.js::finish').map(({ callee, name }) => ({ callee, name })),
+      [{ callee: 'src/lib.js::normalize', name: 'helpers.normalize' }]
+    );
+
+    assert.deepEqual(
+      getCallees(graph, 'src/lib.js::Store.add').filter(call => call.callee).map(({ callee, kind }) => ({ callee, kind })),
+      [
+        { callee: 'src/lib.js::Store.save', kind: 'call' },
+        { callee: 'src/lib.js::normalize', kind: 'callback' }
+      ]
+    );
+
+    assert.deepEqual(
+      getCallers(graph, 'src/lib.js::normalize').map(({ caller, kind }) => `${caller} (${kind})`).sort(),
+      [
+        'src/lib.js::Store.add (callback)',
+        'src/main.js::finish (call)',
+        'src/main.js::run (call)'
+      ]
+    );
+    assert.deepEqual(getCallers(graph, 'src/main.js::run'), []);
+  });
+
+  it('lets a nested function shadow an import of the same name', async () => {
+    const graph = await buildGraph({
+      'src/text.js': 'export function format(value) {\n  return `${value}`;\n}\n',
+      'src/report.js': [
+        "import { format } from './text.js';",
+        '',
+        'export function report(rows) {',
+        '  function format(row) {',
+        '    return row.join(",");',
+        '  }',
+        '  return rows.map(row => format(row));',
+        '}',
+        ''
+      ].join('\n')
+    });
+
+    assert.deepEqual(
+      getCallees(graph, 'src/report.js::report').filter(call => call.callee).map(call => call.callee),
+      ['src/report.js::report.format']
+    );
+    assert.deepEqual(getCallers(graph, 'src/text.js::format'), []);
+  });
+});
+
+describe('symbol extraction', () => {
+  /**
+   * Pick the fields a symbol test cares about
+   */
+  const describeSymbol = ({ type, params, async, arrow, parent, kind }) => ({ type, params, async, arrow, parent, kind });
+
+  it('records arrow functions, nested functions, object methods and default exports', async () => {
+    const graph = await buildGraph({
+      'src/api.js': [
+        'export const handler = async (req, res) => {',
+        '  function inner(x) { return x; }',
+        '  return inner(req);',
+        '};',
+        '',
+        'export const routes = {',
+        '  list() { return []; },',
+        '  remove: async (id) => id',
+        '};',
+        '',
+        'export default function (app) { return app; }',
+        ''
+      ].join('\n')
+    });
+
+    assert.deepEqual(describeSymbol(graph.symbols['src/api.js::handler']), {
+      type: 'function', params: ['req', 'res'], async: true, arrow: true, parent: null, kind: undefined
+    });
+    assert.equal(graph.symbols['src/api.js::handler'].exported, true);
+    assert.deepEqual(describeSymbol(graph.symbols['src/api.js::handler.inner']), {
+      type: 'function', params: ['x'], async: false, arrow: false, parent: 'handler', kind: undefined
+    });
+    assert.deepEqual(describeSymbol(graph.symbols['src/api.js::routes.list']), {
+      type: 'method', params: [], async: false, arrow: false, parent: 'routes', kind: 'method'
+    });
+    assert.deepEqual(describeSymbol(graph.symbols['src/api.js::routes.remove']), {
+      type: 'method', params: ['id'], async: true, arrow: true, parent: 'routes', kind: 'property'
+    });
+    assert.equal(graph.symbols['src/api.js::default'].type, 'function');
+    assert.equal(graph.symbols['src/api.js::default'].default, true);
+  });
+
+  it('records class methods, accessors and property arrow functions in JS and TS', async () => {
+    const graph = await buildGraph({
+      'src/widget.js': [
+        'export class Widget {',
+        '  static create(opts) { return new Widget(opts); }',
+        '  render = () => null;',
+        '  get size() { return 1; }',
+        '}',
+        ''
+      ].join('\n'),
+      'src/service.ts': [
+        'export class Service<T> {',
+        '  private cache: Map<string, T> = new Map();',
+        '  async fetch(id: string): Promise<T | undefined> { return this.cache.get(id); }',
+        '  handle = (event: Event): void => {};',
+        '}',
+        ''
+      ].join('\n')
+    });
+
+    assert.deepEqual(graph.symbols['src/widget.js::Widget'].methods, ['create', 'render', 'size']);
+    assert.equal(graph.symbols['src/widget.js::Widget.create'].static, true);
+    assert.equal(graph.symbols['src/widget.js::Widget.render'].kind, 'property');
+    assert.equal(graph.symbols['src/widget.js::Widget.size'].kind, 'get');
+
+    assert.deepEqual(describeSymbol(graph.symbols['src/service.ts::Service.fetch']), {
+      type: 'method', params: ['id'], async: true, arrow: false, parent: 'Service', kind: 'method'
+    });
+    assert.equal(graph.symbols['src/service.ts::Service.fetch'].className, 'Service');
+    assert.deepEqual(describeSymbol(graph.symbols['src/service.ts::Service.handle']), {
+      type: 'method', params: ['event'], async: false, arrow: true, parent: 'Service', kind: 'property'
+    });
+    assert.equal(graph.symbols['src/service.ts::Service.cache'], undefined);
+  });
+});
+
+describe('symbol ranges and hashes', () => {
+  const SOURCE = [
+    "const greeting = 'héllo wörld';",
+    '',
+    'export function shout(text) {',
+    '  return text.toUpperCase();',
+    '}',
+    '',
+    'export function whisper(text) {',
+    '  return text.toLowerCase();',
+    '}',
+    ''
+  ].join('\n');
+
+  it('records line, column and byte ranges that cut out exactly the symbol', async () => {
+    const graph = await buildGraph({ 'src/voice.js': SOURCE });
+    const { range } = graph.symbols['src/voice.js::whisper'];
+
+    assert.deepEqual(
+      { startLine: range.startLine, startColumn: range.startColumn, endLine: range.endLine, endColumn: range.endColumn },
+      { startLine: 7, startColumn: 7, endLine: 9, endColumn: 1 }
+    );
+    assert.equal(
+      Buffer.from(SOURCE).subarray(range.startByte, range.endByte).toString(),
+      'function whisper(text) {\n  return text.toLowerCase();\n}'
+    );
+  });
+
+  it('changes the hash only of symbols whose source changed', async () => {
+    const before = await buildGraph({ 'src/voice.js': SOURCE });
+    const after = await buildGraph({
+      'src/voice.js': [
+        '// Voices',
+        "const greeting = 'héllo wörld';",
+        '',
+        'export function shout(text) {',
+        '  return text.toUpperCase();',
+        '}',
+        '',
+        'export function whisper(text) {',
+        '  return text.toLocaleLowerCase();',
+        '}',
+        '',
+        'export function murmur() {}',
+        ''
+      ].join('\n')
+    });
+    const diff = diffSymbolGraphs(before, after);
+
+    assert.ok(diff.changed.includes('src/voice.js::whisper'));
+    assert.ok(diff.unchanged.includes('src/voice.js::shout'), 'moving a symbol keeps its hash');
+    assert.ok(diff.unchanged.includes('src/voice.js::greeting'));
+    assert.deepEqual(diff.added, ['src/voice.js::murmur']);
+    assert.deepEqual(diff.removed, []);
+  });
+});
+
+describe('Python symbols', () => {
+  it('extracts decorated classes, methods, type hints, imports and __all__', async () => {
+    const graph = await buildGraph({
+      'pkg/__init__.py': '',
+      'pkg/helpers.py': 'def slug(text):\n    return text\n',
+      'pkg/models.py': [
+        'import os.path as osp',
+        'from .helpers import slug as make_slug',
+        '',
+        '__all__ = ["User", "load"]',
+        '',
+        '',
+        '@dataclass',
+        'class User(Base):',
+        '    class Meta:',
+        '        table = "users"',
+        '',
+        '    @property',
+        '    def name(self) -> str:',
+        '        return make_slug(self.raw)',
+        '',
+        '    async def save(',
+        '        self,',
+        '        force: bool = False,',
+        '    ) -> None:',
+        '        pass',
+        '',
+        '',
+        'def load(path: str, *args, **kwargs) -> "User":',
+        '    return User()',
+        '',
+        '',
+        'def _private():',
+        '    pass',
+        ''
+      ].join('\n')
+    });
+    const symbol = name => graph.symbols[`pkg/models.py::${name}`];
+
+    assert.deepEqual(
+      { bases: symbol('User').bases, decorators: symbol('User').decorators, methods: symbol('User').methods, exported: symbol('User').exported },
+      { bases: ['Base'], decorators: ['dataclass'], methods: ['name', 'save'], exported: true }
+    );
+    assert.equal(symbol('User.Meta').parent, 'User');
+    assert.deepEqual(
+      { decorators: symbol('User.name').decorators, kind: symbol('User.name').kind, returnType: symbol('User.name').returnType },
+      { decorators: ['property'], kind: 'property', returnType: 'str' }
+    );
+    assert.deepEqual(
+      { params: symbol('User.save').params, typeHints: symbol('User.save').typeHints, async: symbol('User.save').async, line: symbol('User.save').line, endLine: symbol('User.save').endLine },
+      { params: ['self', 'force'], typeHints: { force: 'bool' }, async: true, line: 16, endLine: 20 }
+    );
+    assert.deepEqual(symbol('load').params, ['path', '*args', '**kwargs']);
+    assert.equal(symbol('load').exported, true);
+    assert.equal(symbol('_private').exported, undefined);
+
+    assert.deepEqual(
+      { imported: symbol('make_slug').imported, resolvedFile: symbol('make_slug').resolvedFile },
+      { imported: 'slug', resolvedFile: 'pkg/helpers.py' }
+    );
+    assert.deepEqual(
+      { from: symbol('osp').from, external: symbol('osp').external, package: symbol('osp').package },
+      { from: 'os.path', external: true, package: 'os' }
+    );
+  });
+});
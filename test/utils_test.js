@@ -0,0 +1,72 @@
+/**
+ * 👻 GhostCoder - Utility Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { emitProgress, isProgressStep, ProgressStage, parseGitHubUrl } from '../src/utils.js';
+import { buildSymbolGraph } from '../src/symbolGraph.js';
+import { createTempDir, writeFiles, removeDir } from './helpers.js';
+
+const dirs = [];
+
+after(async () => {
+  await Promise.all(dirs.map(removeDir));
+});
+
+describe('emitProgress', () => {
+  it('sends a timestamped event with its counts', () => {
+    const events = [];
+    emitProgress(event => events.push(event), ProgressStage.EMBEDDING, 'Embedded 120/800', { current: 120, total: 800 });
+
+    assert.equal(events.length, 1);
+    const { timestamp, ...event } = events[0];
+    assert.deepEqual(event, { stage: 'embedding', message: 'Embedded 120/800', current: 120, total: 800 });
+    assert.ok(!Number.isNaN(Date.parse(timestamp)));
+  });
+
+  it('ignores a missing listener and survives a failing one', () => {
+    assert.doesNotThrow(() => emitProgress(null, ProgressStage.CLONE, 'Cloning'));
+    assert.doesNotThrow(() => emitProgress(() => { throw new Error('listener bug'); }, ProgressStage.CLONE, 'Cloning'));
+  });
+});
+
+describe('isProgressStep', () => {
+  it('reports about `steps` times per loop, always including the last item', () => {
+    const reported = Array.from({ length: 1000 }, (_, i) => i + 1).filter(i => isProgressStep(i, 1000, 10));
+
+    assert.equal(reported.length, 10);
+    assert.equal(reported.at(-1), 1000);
+    assert.deepEqual(Array.from({ length: 3 }, (_, i) => isProgressStep(i + 1, 3)), [true, true, true]);
+  });
+
+  it('paces the symbol graph build', async () => {
+    const repoPath = await createTempDir();
+    dirs.push(repoPath);
+    const files = Object.fromEntries(Array.from({ length: 3 }, (_, i) => [`src/m${i}.js`, `export const m${i} = ${i};\n`]));
+    await writeFiles(repoPath, files);
+    const events = [];
+
+    await buildSymbolGraph(
+      Object.entries(files).map(([path, content]) => ({ path, content })),
+      repoPath,
+      { onProgress: event => events.push(event) }
+    );
+
+    assert.deepEqual(
+      events.map(({ stage, current, total }) => ({ stage, current, total })),
+      [1, 2, 3].map(current => ({ stage: ProgressStage.SYMBOL_GRAPH, current, total: 3 }))
+    );
+  });
+});
+
+describe('parseGitHubUrl', () => {
+  it('accepts HTTPS and SSH URLs, with or without .git', () => {
+    for (const url of ['https://github.com/acme/app', 'https://github.com/acme/app.git', 'git@github.com:acme/app.git']) {
+      assert.deepEqual(parseGitHubUrl(url), { owner: 'acme', repo: 'app' }, url);
+    }
+    assert.throws(() => parseGitHubUrl('https://example.com/app'), /Invalid GitHub URL format/);
+  });
+});
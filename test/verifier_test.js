@@ -0,0 +1,138 @@
+/**
+ * 👻 GhostCoder - Verifier Tests
+ *
+ * Author: Ayushman Lakshkar
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { verifyChanges, VerificationStatus, CommandStatus } from '../src/verifier.js';
+import { checkSyntax } from '../src/symbolGraph.js';
+import { createGitRepo, removeDir } from './helpers.js';
+
+const repos = [];
+
+async function createProject(testScript, files = {}) {
+  const repoPath = await createGitRepo({
+    'package.json': JSON.stringify({ name: 'fixture', scripts: { test: testScript } }),
+    'node_modules/.keep': '',
+    ...files
+  });
+  repos.push(repoPath);
+  return repoPath;
+}
+
+async function writeChange(repoPath, change) {
+  await fs.writeFile(path.join(repoPath, change.file), change.content, 'utf-8');
+  return change;
+}
+
+after(async () => {
+  await Promise.all(repos.map(removeDir));
+});
+
+describe('checkSyntax', () => {
+  it('parses angle-bracket type assertions in .ts files', async () => {
+    const result = await checkSyntax('const y: unknown = 1;\nconst x = <number>y;\n', 'src/cast.ts');
+    assert.equal(result.valid, true);
+  });
+
+  it('still parses JSX in .tsx files', async () => {
+    const result = await checkSyntax('export const App = () => <div className="app" />;\n', 'src/App.tsx');
+    assert.equal(result.valid, true);
+  });
+
+  it('checks Go, Java and Rust files', async () => {
+    const cases = [
+      ['main.go', 'package main\n\nfunc main() {}\n', 'package main\n\nfunc main() {\n'],
+      ['Main.java', 'class Main { void run() {} }\n', 'class Main { void run() {}\n'],
+      ['main.rs', 'fn main() { let x = 1; }\n', 'fn main() { let x = ; }\n']
+    ];
+
+    for (const [file, valid, invalid] of cases) {
+      assert.deepEqual(await checkSyntax(valid, file), { checked: true, valid: true, error: null }, file);
+      const result = await checkSyntax(invalid, file);
+      assert.equal(result.checked, true, file);
+      assert.equal(result.valid, false, file);
+    }
+  });
+});
+
+describe('verifyChanges', () => {
+  it('drops a change that breaks parsing', async () => {
+    const repoPath = await createProject('exit 0', { 'src/a.js': 'export const a = 1;\n' });
+    const change = await writeChange(repoPath, { file: 'src/a.js', content: 'export const a = ;\n' });
+
+    const result = await verifyChanges(repoPath, [change]);
+
+    assert.equal(result.status, VerificationStatus.FAILED);
+    assert.equal(result.droppedChanges[0].file, 'src/a.js');
+    assert.equal(await fs.readFile(path.join(repoPath, 'src/a.js'), 'utf-8'), 'export const a = 1;\n');
+  });
+
+  it('keeps a change to a file that did not parse before either', async () => {
+    const repoPath = await createProject('exit 0', { 'src/broken.js': 'function (\n' });
+    const change = await writeChange(repoPath, { file: 'src/broken.js', content: '// TODO\nfunction (\n' });
+
+    const result = await verifyChanges(repoPath, [change]);
+
+    assert.equal(result.status, VerificationStatus.PASSED);
+    assert.deepEqual(result.changes, [change]);
+    assert.equal(result.syntax[0].preexisting, true);
+  });
+
+  it('passes when the checks pass with the changes', async () => {
+    const repoPath = await createProject('exit 0', { 'src/a.js': 'export const a = 1;\n' });
+    const change = await writeChange(repoPath, { file: 'src/a.js', content: 'export const a = 2;\n' });
+
+    const result = await verifyChanges(repoPath, [change]);
+
+    assert.equal(result.status, VerificationStatus.PASSED);
+    assert.equal(result.commands[0].status, CommandStatus.PASSED);
+  });
+
+  it('is inconclusive, not passed, when a check fails without the changes too', async () => {
+    const repoPath = await createProject('exit 1', { 'src/a.js': 'export const a = 1;\n' });
+    const change = await writeChange(repoPath, { file: 'src/a.js', content: 'export const a = 2;\n' });
+
+    const result = await verifyChanges(repoPath, [change]);
+
+    assert.equal(result.status, VerificationStatus.INCONCLUSIVE);
+    assert.equal(result.commands[0].status, CommandStatus.PREEXISTING_FAILURE);
+    assert.deepEqual(result.changes, [change]);
+  });
+
+  it('reverts only the change that breaks a check', async () => {
+    const testScript = 'node -e "process.exit(require(\'fs\').readFileSync(\'src/b.js\', \'utf8\').includes(\'broken\') ? 1 : 0)"';
+    const repoPath = await createProject(testScript, {
+      'src/a.js': 'export const a = 1;\n',
+      'src/b.js': 'export const b = 1;\n'
+    });
+    const good = await writeChange(repoPath, { file: 'src/a.js', content: 'export const a = 2;\n' });
+    const bad = await writeChange(repoPath, { file: 'src/b.js', content: 'export const b = "broken";\n' });
+
+    const result = await verifyChanges(repoPath, [good, bad]);
+
+    assert.equal(result.status, VerificationStatus.PASSED);
+    assert.deepEqual(result.changes, [good]);
+    assert.deepEqual(result.droppedChanges.map(dropped => dropped.file), ['src/b.js']);
+    assert.equal(await fs.readFile(path.join(repoPath, 'src/b.js'), 'utf-8'), 'export const b = 1;\n');
+  });
+
+  it('installs Node dependencies before running checks in a fresh clone', async () => {
+    const repoPath = await createGitRepo({
+      'package.json': JSON.stringify({ name: 'fixture', scripts: { test: 'exit 0' } }),
+      'src/a.js': 'export const a = 1;\n'
+    });
+    repos.push(repoPath);
+    const change = await writeChange(repoPath, { file: 'src/a.js', content: 'export const a = 2;\n' });
+
+    const result = await verifyChanges(repoPath, [change]);
+
+    assert.equal(result.install.command, 'npm install');
+    assert.equal(result.install.status, CommandStatus.PASSED);
+    assert.equal(result.status, VerificationStatus.PASSED);
+  });
+});